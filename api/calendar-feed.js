@@ -0,0 +1,95 @@
+/**
+ * calendar-feed.js - Serverless function serving a user's tasks as an .ics feed
+ *
+ * Calendar apps subscribe to /calendar/<token>.ics (rewritten here by
+ * vercel.json) and poll it. There is no session on those requests, so the
+ * token is the credential: it is looked up in calendar_feeds with the service
+ * role key and resolves to exactly one user. Revoking or resetting the link
+ * in the app deletes the row, after which the old URL returns 404.
+ *
+ * Environment variables required (server-side only, never VITE_-prefixed):
+ * - SUPABASE_URL: Project URL (falls back to VITE_SUPABASE_URL)
+ * - SUPABASE_SERVICE_ROLE_KEY: Service role key, bypasses RLS
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { buildIcsCalendar, ICS_MIME_TYPE } from "../src/utils/ics.js";
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+const TASK_COLUMNS = "id,title,description,due_date,completed,priority,subtasks,recurrence,tag_ids,updated_at";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    res.status(405).send("Method not allowed");
+    return;
+  }
+
+  const token = String(req.query.token ?? "").replace(/\.ics$/i, "");
+  if (!TOKEN_PATTERN.test(token)) {
+    res.status(404).send("Calendar not found");
+    return;
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL ?? process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceRoleKey) {
+    res.status(500).send("Calendar feed is not configured");
+    return;
+  }
+  const client = createClient(supabaseUrl, serviceRoleKey, { auth: { persistSession: false } });
+
+  const { data: feed, error: feedError } = await client
+    .from("calendar_feeds")
+    .select("user_id,time_zone")
+    .eq("token", token)
+    .maybeSingle();
+  if (feedError) {
+    res.status(500).send("Could not load calendar");
+    return;
+  }
+  if (!feed) {
+    res.status(404).send("Calendar not found");
+    return;
+  }
+
+  // CRITICAL: Every query below is scoped to the user the token belongs to
+  const [tasksResult, tagsResult] = await Promise.all([
+    client
+      .from("tasks")
+      .select(TASK_COLUMNS)
+      .eq("user_id", feed.user_id)
+      .is("deleted_at", null)  // Tasks in the Trash stay out of the feed
+      .not("due_date", "is", null),
+    client.from("tags").select("id,name").eq("user_id", feed.user_id),
+  ]);
+  if (tasksResult.error || tagsResult.error) {
+    res.status(500).send("Could not load calendar");
+    return;
+  }
+
+  const body = buildIcsCalendar((tasksResult.data ?? []).map(mapFeedTask), {
+    tags: tagsResult.data ?? [],
+    timeZone: feed.time_zone ?? "",
+  });
+  res.setHeader("Content-Type", ICS_MIME_TYPE);
+  res.setHeader("Content-Disposition", 'inline; filename="taskflow.ics"');
+  // private: the URL is a secret, shared caches must not keep a copy
+  res.setHeader("Cache-Control", "private, max-age=300");
+  res.status(200).send(req.method === "HEAD" ? "" : body);
+}
+
+function mapFeedTask(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description ?? "",
+    dueDate: row.due_date,
+    completed: row.completed ?? false,
+    priority: row.priority ?? "medium",
+    subtasks: Array.isArray(row.subtasks) ? row.subtasks : [],
+    recurrence: row.recurrence || null,
+    tagIds: Array.isArray(row.tag_ids) ? row.tag_ids : [],
+    updatedAt: row.updated_at ?? null,
+  };
+}
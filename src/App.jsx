@@ -3,10 +3,16 @@
  * 
  * This is the main application file that handles:
  * 1. Authentication state management (user login/logout)
- * 2. Task data fetching from Supabase (filtered by user_id)
+ * 2. Task data fetching through the task repository (filtered by user_id)
  * 3. Real-time task updates via subscriptions (filtered by user_id)
  * 4. Routing to different pages (Dashboard, Calendar, Stats, etc.)
  * 5. Mobile navigation state
+ * 6. Offline-first caching (IndexedDB) and replay of edits queued offline
+ * 7. Command palette (Ctrl/Cmd+K) and the keyboard shortcut help overlay
+ * 8. Trash - deleted tasks are kept out of the list and purged after the
+ *    user's retention period
+ * 9. Archive - old completed tasks are archived on load and browsed on the
+ *    History page
  * 
  * CRITICAL SECURITY:
  * - All task queries filtered by user_id to ensure user isolation
@@ -21,16 +27,42 @@
 
 import { useCallback, useEffect, useRef, useState } from "react";
 import { BrowserRouter as Router, Routes, Route, Navigate, NavLink, useLocation, useNavigate } from "react-router-dom";
-import { supabase } from "./supabase";
+import { normalizeProject, sortProjects } from "./utils/projects";
+import { getCurrentUser, onAuthChange, signOut } from "./data/authRepository";
+import { archiveCompletedTasks, listTasks, purgeTrashedTasks, subscribeToTasks } from "./data/taskRepository";
+import { listTags } from "./data/tagRepository";
+import {
+  createProject as insertProject,
+  listProjects,
+  updateProject as saveProject,
+} from "./data/projectRepository";
+import { readCachedTasks, writeCachedTasks, listQueuedMutations } from "./offline/taskCache";
+import { flushOutbox, isNetworkError, isOnline, subscribeToSync } from "./offline/taskSync";
+import { useOnlineStatus } from "./offline/useOnlineStatus";
+import { useTheme } from "./context/useTheme";
+import { getPurgeCutoff, getTrashRetentionDays } from "./utils/trash";
+import { getArchiveCutoff, getAutoArchiveDays } from "./utils/archive";
+import {
+  formatShortcutKey,
+  isPaletteShortcut,
+  isShortcutBlocked,
+  queueTaskCommand,
+  sendTaskCommand,
+} from "./utils/shortcuts";
 import Auth from "./auth/Auth";
 import Dashboard from "./pages/Dashboard";
 import CalendarPage from "./pages/CalendarPage";
+import ProjectPage from "./pages/ProjectPage";
+import History from "./pages/History";
 import Stats from "./pages/Stats";
+import Trash from "./pages/Trash";
 import ThemeSettings from "./pages/ThemeSettings";
 import Terms from "./pages/Terms";
 import Privacy from "./pages/Privacy";
 
 import Sidebar from "./components/Sidebar";
+import CommandPalette from "./components/CommandPalette";
+import ShortcutHelp from "./components/ShortcutHelp";
 import SiteFooter from "./components/SiteFooter";
 
 /**
@@ -58,11 +90,31 @@ function AppContent() {
   // Loading and error states for task fetching
   const [tasksLoading, setTasksLoading] = useState(true);
   const [tasksError, setTasksError] = useState("");
+
+  // Tags - user-defined labels referenced by task.tagIds
+  const [tags, setTags] = useState([]);
+
+  // Projects - user-defined workspaces referenced by task.projectId
+  const [projects, setProjects] = useState([]);
+  // True until the first project fetch settles, so /projects/:id can wait for it
+  const [projectsLoading, setProjectsLoading] = useState(true);
+
+  // Keyboard overlays - command palette (Ctrl/Cmd+K) and shortcut help (?)
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [shortcutHelpOpen, setShortcutHelpOpen] = useState(false);
+  const { themes, themeId, setTheme } = useTheme();
+
+  // Offline sync - connectivity, queued change count and last replay notice
+  const online = useOnlineStatus();
+  const [syncStatus, setSyncStatus] = useState({ pending: 0, notice: "" });
   
   // Refs for tracking authentication state across renders
   const userRef = useRef(null);
   const hasHydratedSessionRef = useRef(false);
   const wasAuthenticatedRef = useRef(false);
+
+  // User id whose tasks are currently in state - gates writes to the offline cache
+  const cachedUserIdRef = useRef(null);
   
   // React Router hooks for navigation and location
   const location = useLocation();
@@ -70,26 +122,6 @@ function AppContent() {
   
 
 
-  /**
-   * normalizeTask - Converts database task object to app format
-   * 
-   * Takes raw database row and transforms it with:
-   * - Default values for missing fields
-   * - Renamed properties (due_date -> dueDate)
-   * - Type consistency
-   * 
-   * @param {Object} row - Database task row
-   * @returns {Object} Normalized task object
-   */
-  const normalizeTask = useCallback((row) => ({
-    id: row.id,
-    title: row.title,
-    description: row.description ?? "",
-    dueDate: row.due_date ?? null,
-    completed: row.completed ?? false,
-    priority: row.priority ?? "medium",
-  }), []);
-
   /**
    * sortTasks - Sorts tasks by due date, then by title
    * 
@@ -130,42 +162,190 @@ function AppContent() {
    * - Task normalization
    * - Task sorting
    * - User isolation (critical)
+   * - Trash and archive: the repository leaves out rows with deleted_at or
+   *   archived_at set; completed tasks past the auto-archive period are
+   *   archived just before the fetch
+   * - Offline-first startup: cached tasks render immediately, queued offline
+   *   edits are replayed, then the network result replaces the cache. When
+   *   the network is unreachable the cached list stays on screen.
    * 
    * @param {Object} currentUser - Current authenticated user object (required)
    */
   const fetchTasks = useCallback(async (currentUser) => {
     if (!currentUser) {
+      cachedUserIdRef.current = null;
       setTasks([]);
       setTasksLoading(false);
       setTasksError("");
       return;
     }
 
+    if (cachedUserIdRef.current !== currentUser.id) {
+      cachedUserIdRef.current = null;
+      setTasks([]);
+    }
     setTasksLoading(true);
     setTasksError("");
+
+    // SECURITY: The cache is keyed by user_id, like every Supabase query
+    const cached = await readCachedTasks(currentUser.id);
+    if (cached) {
+      cachedUserIdRef.current = currentUser.id;
+      setTasks(sortTasks(cached));
+    }
+
+    if (!isOnline()) {
+      if (!cached) {
+        setTasksError("You're offline and no saved copy of your tasks is available yet.");
+      }
+      setTasksLoading(false);
+      return;
+    }
+
     try {
-      // SECURITY: Query Supabase for tasks belonging ONLY to current user
-      // The .eq("user_id", currentUser.id) ensures isolation between users
-      const { data, error } = await supabase
-        .from("tasks")
-        .select("id,title,description,due_date,completed,priority")
-        .eq("user_id", currentUser.id)  // CRITICAL: Filter by user_id
-        .order("due_date", { ascending: true });
+      // Replay offline edits first so the fetch below already includes them
+      await flushOutbox(currentUser.id);
+
+      const archiveCutoff = getArchiveCutoff(getAutoArchiveDays(currentUser.id));
+      if (archiveCutoff) {
+        // SECURITY: The repository scopes the archive update to currentUser.id
+        const { error: archiveError } = await archiveCompletedTasks(currentUser.id, archiveCutoff);
+        if (archiveError) {
+          console.error("[TaskFlow] Failed to archive completed tasks:", archiveError.message);
+        }
+      }
+
+      // SECURITY: Fetch tasks belonging ONLY to current user
+      // The repository scopes the query to currentUser.id
+      const { data, error } = await listTasks(currentUser.id);  // CRITICAL: Filter by user_id
 
       if (error) {
-        setTasks([]);
-        setTasksError(error.message);
+        if (!cached || !isNetworkError(error)) {
+          if (!cached) setTasks([]);
+          setTasksError(error.message);
+        }
       } else {
-        // Normalize and sort tasks before storing
-        setTasks(sortTasks((data ?? []).map((row) => normalizeTask(row))));
+        // Sort tasks before storing (the repository already normalized them)
+        cachedUserIdRef.current = currentUser.id;
+        setTasks(sortTasks(data));
       }
     } catch (error) {
-      setTasks([]);
-      setTasksError(error.message ?? "Failed to load tasks");
+      if (!cached) {
+        setTasks([]);
+        setTasksError(error.message ?? "Failed to load tasks");
+      }
     } finally {
       setTasksLoading(false);
     }
-  }, [normalizeTask, sortTasks]);
+  }, [sortTasks]);
+
+  /**
+   * fetchTags - Fetches the current user's tags
+   *
+   * SECURITY: Scoped to currentUser.id like fetchTasks.
+   * A failure here only hides tag chips, so it is logged rather than surfaced.
+   *
+   * @param {Object} currentUser - Current authenticated user object
+   */
+  const fetchTags = useCallback(async (currentUser) => {
+    if (!currentUser) {
+      setTags([]);
+      return;
+    }
+    const { data, error } = await listTags(currentUser.id);  // CRITICAL: Filter by user_id
+    if (error) {
+      console.error("[TaskFlow] Failed to load tags:", error.message);
+      return;
+    }
+    setTags(data);
+  }, []);
+
+  /**
+   * handleTagsChange - Updates tags state after a child creates a tag
+   *
+   * @param {Array|Function} nextValue - New tags array or function to compute it
+   */
+  const handleTagsChange = useCallback((nextValue) => {
+    setTags((prev) => {
+      const resolved = typeof nextValue === "function" ? nextValue(prev) : nextValue;
+      if (!Array.isArray(resolved)) {
+        return prev;
+      }
+      return [...resolved].sort((a, b) => a.name.localeCompare(b.name));
+    });
+  }, []);
+
+  /**
+   * fetchProjects - Fetches the current user's projects
+   *
+   * SECURITY: Scoped to currentUser.id like fetchTasks.
+   *
+   * @param {Object} currentUser - Current authenticated user object
+   */
+  const fetchProjects = useCallback(async (currentUser) => {
+    if (!currentUser) {
+      setProjects([]);
+      setProjectsLoading(false);
+      return;
+    }
+    setProjectsLoading(true);
+    const { data, error } = await listProjects(currentUser.id);  // CRITICAL: Filter by user_id
+    setProjectsLoading(false);
+    if (error) {
+      console.error("[TaskFlow] Failed to load projects:", error.message);
+      return;
+    }
+    setProjects(data);
+  }, []);
+
+  /**
+   * createProject - Inserts a new project for the current user
+   *
+   * @param {Object} fields - { name, color }
+   * @returns {Promise<Object>} { project, error } - project is null on failure
+   */
+  const createProject = useCallback(async ({ name, color }) => {
+    const currentUser = userRef.current;
+    const trimmedName = name?.trim();
+    if (!currentUser || !trimmedName) {
+      return { project: null, error: "A project name is required." };
+    }
+    const { data: project, error } = await insertProject(currentUser.id, { name: trimmedName, color });  // CRITICAL: Bind project to current user
+    if (error || !project) {
+      return { project: null, error: error?.message ?? "Failed to create project" };
+    }
+    setProjects((prev) => sortProjects([...prev.filter((entry) => entry.id !== project.id), project]));
+    return { project, error: "" };
+  }, []);
+
+  /**
+   * updateProject - Renames, recolors or (un)archives a project
+   *
+   * Applied optimistically and rolled back if the update is rejected.
+   *
+   * @param {string} projectId - Project to update
+   * @param {Object} patch - Any of { name, color, archived }
+   * @returns {Promise<string>} Error message, or "" on success
+   */
+  const updateProject = useCallback(async (projectId, patch) => {
+    const currentUser = userRef.current;
+    if (!currentUser) {
+      return "You must be signed in to update projects.";
+    }
+    const snapshot = projects.find((project) => project.id === projectId);
+    if (!snapshot) {
+      return "Project not found.";
+    }
+    setProjects((prev) => sortProjects(prev.map((project) => (
+      project.id === projectId ? normalizeProject({ ...project, ...patch }) : project
+    ))));
+    const { error } = await saveProject(currentUser.id, projectId, patch);  // CRITICAL: Ensure project belongs to current user
+    if (error) {
+      setProjects((prev) => sortProjects(prev.map((project) => (project.id === projectId ? snapshot : project))));
+      return error.message;
+    }
+    return "";
+  }, [projects]);
 
   /**
    * handleChildTasksChange - Updates tasks state from child components
@@ -190,33 +370,34 @@ function AppContent() {
   }, [sortTasks]);
 
   /**
-   * applyRealtimeChange - Processes real-time Supabase subscription updates
+   * applyRealtimeChange - Processes real-time task subscription updates
    * 
    * Handles three types of events:
    * - DELETE: Removes task from local state
-   * - INSERT/UPDATE: Adds or updates task in local state
+   * - INSERT/UPDATE: Adds or updates task in local state; a task moved to
+   *   the Trash or archived (deletedAt/archivedAt set) is removed instead
    * 
    * REAL-TIME INTEGRATION: This function ensures Stats, Calendar, and all pages
-   * get immediate updates when tasks change via Supabase subscriptions.
+   * get immediate updates when tasks change via repository subscriptions.
    * 
-   * @param {Object} payload - Supabase subscription event payload
+   * @param {Object} change - { eventType, id, task } from subscribeToTasks
    */
-  const applyRealtimeChange = useCallback((payload) => {
-    if (!payload) {
+  const applyRealtimeChange = useCallback((change) => {
+    if (!change) {
       return;
     }
     setTasks((current) => {
-      if (payload.eventType === "DELETE" && payload.old?.id) {
-        const updated = current.filter((task) => task.id !== payload.old.id);
+      if (change.eventType === "DELETE" || change.task?.deletedAt || change.task?.archivedAt) {
+        const updated = current.filter((task) => task.id !== change.id);
         if (import.meta.env.MODE === "development") {
-          console.log("[TaskFlow Real-Time] Task deleted:", payload.old.id, "Remaining:", updated.length);
+          console.log("[TaskFlow Real-Time] Task deleted:", change.id, "Remaining:", updated.length);
         }
         return updated;
       }
-      if (!payload.new) {
+      if (!change.task) {
         return current;
       }
-      const incoming = normalizeTask(payload.new);
+      const incoming = change.task;
       const existingIndex = current.findIndex((task) => task.id === incoming.id);
       if (existingIndex === -1) {
         const updated = sortTasks([...current, incoming]);
@@ -234,24 +415,22 @@ function AppContent() {
       }
       return sorted;
     });
-  }, [normalizeTask, sortTasks]);
+  }, [sortTasks]);
 
   useEffect(() => {
     let isMounted = true;
-    supabase.auth.getSession().then(({ data }) => {
+    getCurrentUser().then((initialUser) => {
       if (!isMounted) {
         return;
       }
-      const initialUser = data.session?.user ?? null;
       setUser(initialUser);
       userRef.current = initialUser;
       hasHydratedSessionRef.current = true;
     });
-    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+    const unsubscribe = onAuthChange((event, nextUser) => {
       if (!isMounted) {
         return;
       }
-      const nextUser = session?.user ?? null;
       const previousUser = userRef.current;
       setUser(nextUser);
       userRef.current = nextUser;
@@ -268,7 +447,7 @@ function AppContent() {
     });
     return () => {
       isMounted = false;
-      subscription.unsubscribe();
+      unsubscribe();
     };
   }, [navigate]);
 
@@ -276,33 +455,86 @@ function AppContent() {
     fetchTasks(user);
   }, [user, fetchTasks]);
 
+  // Keep the offline cache in step with every task change (local or realtime)
+  useEffect(() => {
+    if (!user?.id || cachedUserIdRef.current !== user.id) {
+      return;
+    }
+    writeCachedTasks(user.id, tasks);
+  }, [user, tasks]);
+
+  useEffect(() => {
+    return subscribeToSync((event) => {
+      if (event.userId !== userRef.current?.id) {
+        return;
+      }
+      const skipped = event.conflicts.length + event.failed.length;
+      setSyncStatus((prev) => ({
+        pending: event.pending,
+        notice: skipped
+          ? `${skipped} offline ${skipped === 1 ? "change was" : "changes were"} not applied because the task changed elsewhere or was rejected. Showing the latest saved version.`
+          : prev.notice,
+      }));
+      if (event.pending === 0 && (event.replayed > 0 || skipped > 0)) {
+        // Reconcile with the server after replay, especially after conflicts
+        fetchTasks(userRef.current);
+      }
+    });
+  }, [fetchTasks]);
+
+  useEffect(() => {
+    if (!user?.id) {
+      return;
+    }
+    if (online) {
+      flushOutbox(user.id).catch((error) => console.error("[TaskFlow Offline] Failed to replay outbox:", error));
+      return;
+    }
+    listQueuedMutations(user.id)
+      .then((entries) => {
+        setSyncStatus((prev) => ({ ...prev, pending: entries.length }));
+      })
+      .catch((error) => console.error("[TaskFlow Offline] Failed to read outbox:", error));
+  }, [user, online]);
+
+  // Purge tasks that outlived the Trash retention period, once per sign-in while online
+  useEffect(() => {
+    if (!user?.id || !online) {
+      return;
+    }
+    const cutoff = getPurgeCutoff(getTrashRetentionDays(user.id));
+    // SECURITY: The repository scopes the purge to the current user's rows
+    purgeTrashedTasks(user.id, cutoff).then(({ data, error }) => {
+      if (error) {
+        console.error("[TaskFlow] Failed to purge the Trash:", error.message);
+      } else if (data.length && import.meta.env.MODE === "development") {
+        console.log("[TaskFlow] Purged", data.length, "tasks from the Trash");
+      }
+    });
+  }, [user, online]);
+
+  useEffect(() => {
+    fetchTags(user);
+  }, [user, fetchTags]);
+
+  useEffect(() => {
+    fetchProjects(user);
+  }, [user, fetchProjects]);
+
   useEffect(() => {
     if (!user?.id) {
       return undefined;
     }
     // SECURITY: Real-time subscription filtered by user_id
-    // This channel listens ONLY to changes in tasks belonging to current user
-    const channel = supabase
-      .channel(`tasks-realtime-${user.id}`)
-      .on(
-        "postgres_changes",
-        { event: "*", schema: "public", table: "tasks", filter: `user_id=eq.${user.id}` },
-        (payload) => {
-          if (import.meta.env.MODE === "development") {
-            console.log("[TaskFlow Real-Time] Event received:", payload.eventType);
-          }
-          applyRealtimeChange(payload);
-        }
-      )
-      .subscribe((status) => {
-        if (import.meta.env.MODE === "development") {
-          console.log("[TaskFlow Real-Time] Channel status:", status);
-        }
-      });
+    // This listens ONLY to changes in tasks belonging to current user
+    const unsubscribe = subscribeToTasks(user.id, (change) => {
+      if (import.meta.env.MODE === "development") {
+        console.log("[TaskFlow Real-Time] Event received:", change.eventType);
+      }
+      applyRealtimeChange(change);
+    });
 
-    return () => {
-      supabase.removeChannel(channel);
-    };
+    return unsubscribe;
   }, [user, applyRealtimeChange]);
 
   useEffect(() => {
@@ -333,19 +565,94 @@ function AppContent() {
     wasAuthenticatedRef.current = isAuthenticated;
   }, [user, navigate]);
 
+  useEffect(() => {
+    if (!user) {
+      return undefined;
+    }
+    const handleKeyDown = (event) => {
+      if (isPaletteShortcut(event)) {
+        event.preventDefault();
+        setShortcutHelpOpen(false);
+        setPaletteOpen((open) => !open);
+      } else if (event.key === "?" && !isShortcutBlocked(event)) {
+        event.preventDefault();
+        setShortcutHelpOpen(true);
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [user]);
+
+  const closePalette = useCallback(() => setPaletteOpen(false), []);
+  const closeShortcutHelp = useCallback(() => setShortcutHelpOpen(false), []);
+
   if (!user) return <Auth />;
 
   const navLinks = [
     { to: "/", label: "Dashboard", exact: true, icon: "grid" },
     { to: "/calendar", label: "Calendar", icon: "calendar" },
     { to: "/stats", label: "Stats", icon: "chart" },
+    { to: "/history", label: "History", icon: "archive" },
+    { to: "/trash", label: "Trash", icon: "trash" },
     { to: "/change-theme", label: "Change Theme", icon: "palette" },
   ];
 
   const handleLogout = async () => {
-    await supabase.auth.signOut();
+    await signOut();
+  };
+
+  // Task lists are mounted on the Dashboard and on project pages
+  const projectRouteId = location.pathname.match(/^\/projects\/([^/]+)/)?.[1] ?? null;
+  const hostsTaskList = location.pathname === "/" || Boolean(projectRouteId);
+
+  /**
+   * runTaskCommand - Sends a palette command to the task list, moving to
+   * the Dashboard first when the current page has none
+   */
+  const runTaskCommand = (command) => {
+    if (hostsTaskList) {
+      sendTaskCommand(command);
+      return;
+    }
+    queueTaskCommand(command);
+    navigate("/");
+  };
+
+  const openTaskFromPalette = (task) => {
+    const command = { type: "open-task", taskId: task.id };
+    if (location.pathname === "/" || (projectRouteId && task.projectId === projectRouteId)) {
+      sendTaskCommand(command);
+      return;
+    }
+    queueTaskCommand(command);
+    navigate("/");
   };
 
+  const paletteCommands = [
+    { id: "action:new-task", group: "Action", label: "New task", run: () => runTaskCommand({ type: "new-task" }) },
+    { id: "action:quick-add", group: "Action", label: "Quick add task", run: () => runTaskCommand({ type: "quick-add" }) },
+    ...(hostsTaskList
+      ? [
+          { id: "action:complete", group: "Action", label: "Complete selected tasks", run: () => sendTaskCommand({ type: "complete-selected" }) },
+          { id: "action:undo", group: "Action", label: "Undo", hint: `${formatShortcutKey("Mod")}+Z`, run: () => sendTaskCommand({ type: "undo" }) },
+          { id: "action:redo", group: "Action", label: "Redo", hint: `${formatShortcutKey("Mod")}+Shift+Z`, run: () => sendTaskCommand({ type: "redo" }) },
+        ]
+      : []),
+    { id: "action:shortcuts", group: "Action", label: "Keyboard shortcuts", hint: "?", run: () => setShortcutHelpOpen(true) },
+    ...navLinks.map((link) => ({ id: `nav:${link.to}`, group: "Go to", label: link.label, run: () => navigate(link.to) })),
+    ...projects
+      .filter((project) => !project.archived)
+      .map((project) => ({ id: `project:${project.id}`, group: "Project", label: project.name, run: () => navigate(`/projects/${project.id}`) })),
+    ...themes.map((theme) => ({
+      id: `theme:${theme.id}`,
+      group: "Theme",
+      label: theme.label,
+      hint: theme.id === themeId ? "Current" : "",
+      run: () => setTheme(theme.id),
+    })),
+    { id: "action:sign-out", group: "Action", label: "Sign out", run: () => signOut() },
+  ];
+
   const toggleNav = () => {
     setNavOpen((open) => !open);
   };
@@ -403,6 +710,17 @@ function AppContent() {
                 {label}
               </NavLink>
             ))}
+            {projects.filter((project) => !project.archived).map((project) => (
+              <NavLink
+                key={project.id}
+                to={`/projects/${project.id}`}
+                className={({ isActive }) => `mobile-menu__link mobile-menu__link--project${isActive ? " is-active" : ""}`}
+                onClick={closeNav}
+              >
+                <span className="project-dot" style={{ backgroundColor: project.color }} aria-hidden="true" />
+                {project.name}
+              </NavLink>
+            ))}
           </nav>
           <button type="button" className="mobile-menu__signout" onClick={handleMobileLogout}>
             Sign out
@@ -417,11 +735,32 @@ function AppContent() {
       <div className="app-shell app-shell--underlap">
         <Sidebar
           navLinks={navLinks}
+          projects={projects}
+          onCreateProject={createProject}
           user={user}
           onLogout={handleLogout}
         />
         <div className="app-surface">
           <main className="app-main">
+            {(!online || syncStatus.pending > 0 || syncStatus.notice) && (
+              <div className={`sync-banner${online ? "" : " sync-banner--offline"}`} role="status">
+                <span>
+                  {online
+                    ? syncStatus.notice || `Syncing ${syncStatus.pending} offline ${syncStatus.pending === 1 ? "change" : "changes"}…`
+                    : "You're offline. Changes are saved on this device and sync when you reconnect."}
+                  {!online && syncStatus.pending > 0 && ` ${syncStatus.pending} waiting to sync.`}
+                </span>
+                {online && syncStatus.notice && (
+                  <button
+                    type="button"
+                    className="ghost-btn"
+                    onClick={() => setSyncStatus((prev) => ({ ...prev, notice: "" }))}
+                  >
+                    Dismiss
+                  </button>
+                )}
+              </div>
+            )}
             <Routes>
               <Route
                 path="/"
@@ -430,14 +769,54 @@ function AppContent() {
                     user={user}
                     tasks={tasks}
                     onTasksChange={handleChildTasksChange}
+                    tags={tags}
+                    onTagsChange={handleTagsChange}
+                    projects={projects}
                     tasksLoading={tasksLoading}
                     tasksError={tasksError}
                     onRefreshTasks={() => fetchTasks(user)}
                   />
                 )}
               />
-              <Route path="/calendar" element={<CalendarPage tasks={tasks} />} />
-              <Route path="/stats" element={<Stats tasks={tasks} />} />
+              <Route
+                path="/projects/:projectId"
+                element={(
+                  <ProjectPage
+                    user={user}
+                    tasks={tasks}
+                    onTasksChange={handleChildTasksChange}
+                    tags={tags}
+                    onTagsChange={handleTagsChange}
+                    projects={projects}
+                    projectsLoading={projectsLoading}
+                    onUpdateProject={updateProject}
+                    tasksLoading={tasksLoading}
+                    tasksError={tasksError}
+                    onRefreshTasks={() => fetchTasks(user)}
+                  />
+                )}
+              />
+              <Route
+                path="/calendar"
+                element={(
+                  <CalendarPage
+                    user={user}
+                    tasks={tasks}
+                    tags={tags}
+                    projects={projects}
+                    onTasksChange={handleChildTasksChange}
+                  />
+                )}
+              />
+              <Route path="/stats" element={<Stats user={user} tasks={tasks} projects={projects} />} />
+              <Route
+                path="/history"
+                element={<History user={user} projects={projects} onTasksChange={handleChildTasksChange} />}
+              />
+              <Route
+                path="/trash"
+                element={<Trash user={user} projects={projects} onTasksChange={handleChildTasksChange} />}
+              />
               <Route path="/change-theme" element={<ThemeSettings />} />
               <Route path="/terms" element={<Terms />} />
               <Route path="/privacy" element={<Privacy />} />
@@ -447,6 +826,15 @@ function AppContent() {
         </div>
       </div>
       <SiteFooter navLinks={navLinks} />
+      {paletteOpen && (
+        <CommandPalette
+          commands={paletteCommands}
+          tasks={tasks}
+          onSelectTask={openTaskFromPalette}
+          onClose={closePalette}
+        />
+      )}
+      {shortcutHelpOpen && <ShortcutHelp onClose={closeShortcutHelp} />}
     </>
   );
 }
@@ -10,11 +10,11 @@
  * - Password strength requirements
  * - Error handling and user feedback
  * - Toggle between login and signup modes
- * - Supabase integration for all auth operations
+ * - Auth operations through the data layer (src/data/authRepository.js)
  */
 
 import { useState } from "react";
-import { supabase } from "../supabase";
+import { createProfile, signIn, signUp } from "../data/authRepository";
 import "./Auth.css";
 
 /**
@@ -147,7 +147,7 @@ function Auth() {
 
     if (isLogin) {
       // LOGIN FLOW - Authenticate existing user
-      const { error } = await supabase.auth.signInWithPassword({
+      const { error } = await signIn({
         email: normalizedEmail,
         password,
       });
@@ -169,15 +169,13 @@ function Auth() {
       }
     } else {
       // SIGNUP FLOW - Create new user account
-      const { data, error } = await supabase.auth.signUp({
+      const { user, error } = await signUp({
         email: normalizedEmail,
         password,
-        options: {
-          data: {
-            first_name: firstName,
-            last_name: lastName,
-            full_name: `${firstName} ${lastName}`.trim(),
-          },
+        metadata: {
+          first_name: firstName,
+          last_name: lastName,
+          full_name: `${firstName} ${lastName}`.trim(),
         },
       });
 
@@ -196,17 +194,14 @@ function Auth() {
         return;
       }
 
-      const user = data.user;
       if (user) {
         // Create user profile in profiles table
-        const { error: profileError } = await supabase
-          .from("profiles")
-          .insert({
-            id: user.id,
-            first_name: firstName.trim(),
-            last_name: lastName.trim(),
-            email: user.email,
-          });
+        const { error: profileError } = await createProfile({
+          id: user.id,
+          first_name: firstName.trim(),
+          last_name: lastName.trim(),
+          email: user.email,
+        });
 
         if (profileError) {
           setAuthError(profileError.message || "Account created but profile setup failed. Please contact support.");
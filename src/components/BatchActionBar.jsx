@@ -0,0 +1,126 @@
+import React, { useEffect, useRef, useState } from "react";
+
+/**
+ * BatchActionBar - Toolbar for acting on the selected task rows at once
+ *
+ * Purely presentational: TasksFixed owns the selection and performs each
+ * action as one bulk mutation. The select-all box covers the tasks visible
+ * under the current filters.
+ */
+export default function BatchActionBar({
+  selectedCount,
+  visibleCount,
+  projects = [],
+  disabled = false,
+  onSelectAll,
+  onComplete,
+  onReopen,
+  onDelete,
+  onArchive,
+  archivableCount = 0,
+  onSetPriority,
+  onShiftDays,
+  onMoveToProject,
+  onExit,
+}) {
+  const [shiftDays, setShiftDays] = useState("1");
+  const selectAllRef = useRef(null);
+  const allSelected = visibleCount > 0 && selectedCount === visibleCount;
+  const hasSelection = selectedCount > 0;
+  const isDisabled = disabled || !hasSelection;
+  const parsedShift = Number(shiftDays);
+  const canShift = Number.isInteger(parsedShift) && parsedShift !== 0;
+
+  useEffect(() => {
+    if (selectAllRef.current) {
+      selectAllRef.current.indeterminate = hasSelection && !allSelected;
+    }
+  }, [hasSelection, allSelected]);
+
+  return (
+    <div className="batch-bar" role="toolbar" aria-label="Selected tasks">
+      <label className="batch-bar__select-all">
+        <input
+          ref={selectAllRef}
+          type="checkbox"
+          checked={allSelected}
+          onChange={(event) => onSelectAll(event.target.checked)}
+          disabled={!visibleCount}
+        />
+        <span>{hasSelection ? `${selectedCount} selected` : "Select all"}</span>
+      </label>
+      <div className="batch-bar__actions">
+        <button type="button" className="chip" onClick={onComplete} disabled={isDisabled}>
+          Complete
+        </button>
+        <button type="button" className="chip" onClick={onReopen} disabled={isDisabled}>
+          Reopen
+        </button>
+        <select
+          className="input-field select-field batch-bar__select"
+          value=""
+          onChange={(event) => event.target.value && onSetPriority(event.target.value)}
+          disabled={isDisabled}
+          aria-label="Set priority of selected tasks"
+        >
+          <option value="">Priority…</option>
+          <option value="high">High</option>
+          <option value="medium">Medium</option>
+          <option value="low">Low</option>
+        </select>
+        <span className="batch-bar__shift">
+          <input
+            className="input-field batch-bar__days"
+            type="number"
+            step="1"
+            value={shiftDays}
+            onChange={(event) => setShiftDays(event.target.value)}
+            disabled={isDisabled}
+            aria-label="Days to shift due dates by"
+          />
+          <button
+            type="button"
+            className="chip"
+            onClick={() => onShiftDays(parsedShift)}
+            disabled={isDisabled || !canShift}
+            title="Saved one due date at a time. If a save fails the rest are put back, but a task that can't be put back keeps its new date."
+          >
+            Shift days
+          </button>
+        </span>
+        {projects.length > 0 && (
+          <select
+            className="input-field select-field batch-bar__select"
+            value=""
+            onChange={(event) => event.target.value && onMoveToProject(event.target.value === "inbox" ? null : event.target.value)}
+            disabled={isDisabled}
+            aria-label="Move selected tasks to project"
+          >
+            <option value="">Move to…</option>
+            <option value="inbox">Inbox</option>
+            {projects.map((project) => (
+              <option key={project.id} value={project.id}>
+                {project.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          type="button"
+          className="chip"
+          onClick={onArchive}
+          disabled={isDisabled || !archivableCount}
+          title="Archives the completed tasks in the selection"
+        >
+          Archive{archivableCount ? ` (${archivableCount})` : ""}
+        </button>
+        <button type="button" className="chip batch-bar__delete" onClick={onDelete} disabled={isDisabled}>
+          Delete
+        </button>
+      </div>
+      <button type="button" className="ghost-btn" onClick={onExit}>
+        Done
+      </button>
+    </div>
+  );
+}
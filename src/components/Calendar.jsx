@@ -1,8 +1,59 @@
-import React, { useCallback, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import SubtaskList from "./SubtaskList";
+import TagChips from "./TagChips";
+import QuickCreatePopover from "./QuickCreatePopover";
+import { resolveTaskTags } from "../utils/tags";
+import { getSubtaskProgress } from "../utils/subtasks";
+import { describeRRule, getOccurrences } from "../utils/recurrence";
+import { ICS_MIME_TYPE, buildIcsCalendar } from "../utils/ics";
+import { downloadTextFile } from "../utils/taskExport";
+import { formatEstimate, getDayLoad } from "../utils/workload";
 import "./Calendar.css";
 
-export default function Calendar({ tasks, localTimes, initialView = "month" }) {
-  const [view, setView] = useState(initialView); // 'day' | 'month' | 'year'
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const GRID_SCROLL_HOUR = 7;
+const AGENDA_DAY_OPTIONS = [7, 14, 30];
+
+const MONTH_CELL_TASK_LIMIT = 3;
+const DOUBLE_CLICK_DELAY = 250;
+const QUICK_CREATE_DEFAULT_HOUR = 9;
+
+/**
+ * Calendar - Day, Week, Month, Year and Agenda views of tasks by due date
+ *
+ * With onReschedule(task, nextDueIso), tasks can be dragged between month
+ * cells (date changes, time kept) and between hour slots in the Day and Week
+ * grids (date and hour change, minutes kept). The keyboard alternative: focus
+ * a task, Space picks it up, arrow keys move it, Enter or Space drops it and
+ * Escape cancels. Projected occurrences of repeating tasks cannot be moved.
+ *
+ * With onCreateTask(fields) (resolving to { error }), double-clicking a month
+ * cell or hour slot, or its "+" button, opens a quick-create popover
+ * prefilled with that date and time. Month cells then wait DOUBLE_CLICK_DELAY
+ * before a single click opens the Day view.
+ *
+ * With capacity ({ dailyMinutes, defaultEstimateMinutes }), month cells from
+ * today on are flagged when the open tasks shown for them exceed it.
+ */
+export default function Calendar({
+  tasks,
+  tags = [],
+  localTimes,
+  initialView = "month",
+  onSubtasksChange,
+  onReschedule,
+  onCreateTask,
+  capacity,
+}) {
+  const [view, setView] = useState(initialView); // 'day' | 'week' | 'month' | 'year' | 'agenda'
+  const [agendaDays, setAgendaDays] = useState(AGENDA_DAY_OPTIONS[1]);
+  const gridScrollRef = useRef(null);
+  const [dragTaskId, setDragTaskId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [keyboardMove, setKeyboardMove] = useState(null); // { task, target: Date }
+  const [announcement, setAnnouncement] = useState("");
+  const [quickCreate, setQuickCreate] = useState(null); // { due: Date, position: { x, y } }
+  const clickTimerRef = useRef(null);
   const [cursor, setCursor] = useState(() => {
     const today = new Date();
     return new Date(today.getFullYear(), today.getMonth(), today.getDate());
@@ -13,17 +64,193 @@ export default function Calendar({ tasks, localTimes, initialView = "month" }) {
   const cursorM = cursor.getMonth();
   const cursorD = cursor.getDate();
 
+  const visibleRange = useMemo(() => getVisibleRange(view, cursor, agendaDays), [view, cursor, agendaDays]);
+  // Week and Agenda can cross into the previous or next year
+  const projectionStartYear = Math.min(cursorY, visibleRange.start.getFullYear());
+  const projectionEndYear = Math.max(cursorY, new Date(visibleRange.end.getTime() - 1).getFullYear());
+
+  // Repeating tasks are projected across the visible years in memory only;
+  // Supabase holds just the current occurrence of each series.
   const tasksByDate = useMemo(() => {
     const map = new Map();
-    (tasks || []).forEach((t) => {
-      const d = getDateKey(t?.due_date ?? t?.dueDate);
-      if (!d) return;
+    const addToDate = (d, t) => {
       const arr = map.get(d) || [];
       arr.push(t);
       map.set(d, arr);
+    };
+    (tasks || []).forEach((t) => {
+      const due = t?.due_date ?? t?.dueDate;
+      const d = getDateKey(due);
+      if (!d) return;
+      addToDate(d, t);
+      if (t.recurrence && !t.completed) {
+        projectOccurrences(t, due, projectionStartYear, projectionEndYear).forEach((occurrence) => {
+          addToDate(getDateKey(occurrence.dueDate), occurrence);
+        });
+      }
     });
+    map.forEach((list) => list.sort((a, b) => getDueTime(a) - getDueTime(b)));
     return map;
-  }, [tasks]);
+  }, [tasks, projectionStartYear, projectionEndYear]);
+
+  useEffect(() => {
+    if ((view !== "week" && view !== "day") || !gridScrollRef.current) return;
+    const row = gridScrollRef.current.querySelector(`[data-hour="${GRID_SCROLL_HOUR}"]`);
+    if (row) {
+      gridScrollRef.current.scrollTop = row.offsetTop;
+    }
+  }, [view]);
+
+  const moveTask = useCallback((task, nextDue) => {
+    const currentDue = new Date(task?.due_date ?? task?.dueDate);
+    if (!onReschedule || Number.isNaN(nextDue.getTime()) || nextDue.getTime() === currentDue.getTime()) {
+      return false;
+    }
+    onReschedule(task, nextDue.toISOString());
+    return true;
+  }, [onReschedule]);
+
+  // Listens on the document while a task is picked up, because following the
+  // target into another week or day re-renders the grid and drops focus
+  useEffect(() => {
+    if (!keyboardMove) return undefined;
+    const { task, target } = keyboardMove;
+    const handleKeyDown = (event) => {
+      const stepDays = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+      const stepVertical = { ArrowUp: -1, ArrowDown: 1 }[event.key];
+      if (stepDays || stepVertical) {
+        event.preventDefault();
+        const next = new Date(target);
+        if (stepDays) {
+          next.setDate(next.getDate() + stepDays);
+        } else if (view === "month") {
+          next.setDate(next.getDate() + stepVertical * 7);
+        } else {
+          next.setHours(next.getHours() + stepVertical);
+        }
+        setKeyboardMove({ task, target: next });
+        setCursor(new Date(next.getFullYear(), next.getMonth(), next.getDate()));
+        setAnnouncement(`Move to ${formatMoveTarget(next, view)}`);
+      } else if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        setKeyboardMove(null);
+        setAnnouncement(
+          moveTask(task, target) ? `Moved ${task.title} to ${formatMoveTarget(target, view)}` : `${task.title} not moved`
+        );
+      } else if (event.key === "Escape") {
+        event.preventDefault();
+        setKeyboardMove(null);
+        setAnnouncement(`Move cancelled, ${task.title} not moved`);
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [keyboardMove, view, moveTask]);
+
+  const keyboardTargetKey = keyboardMove
+    ? view === "month"
+      ? getDateKey(keyboardMove.target)
+      : getSlotKey(keyboardMove.target, keyboardMove.target.getHours())
+    : null;
+  const isDropTarget = (key) => dropTarget === key || keyboardTargetKey === key;
+
+  // Props for an element the user can pick up; onActivate runs on click/Enter
+  function getDragProps(t, onActivate) {
+    const movable = Boolean(onReschedule) && !t.isProjected;
+    const isGrabbed = keyboardMove?.task.id === t.id;
+    return {
+      role: "button",
+      tabIndex: 0,
+      draggable: movable,
+      "aria-roledescription": movable ? "movable task" : undefined,
+      "aria-describedby": movable ? "calendar-move-help" : undefined,
+      "aria-pressed": movable ? isGrabbed : undefined,
+      "data-state": isGrabbed ? "grabbed" : dragTaskId === t.id ? "dragging" : undefined,
+      onClick: onActivate,
+      onDragStart: (event) => {
+        event.stopPropagation();
+        event.dataTransfer.setData("text/plain", t.id);
+        event.dataTransfer.effectAllowed = "move";
+        setDragTaskId(t.id);
+      },
+      onDragEnd: () => {
+        setDragTaskId(null);
+        setDropTarget(null);
+      },
+      onKeyDown: (event) => {
+        if (keyboardMove) return; // handled by the document listener
+        if (event.key === " " && movable) {
+          event.preventDefault();
+          event.stopPropagation();
+          setKeyboardMove({ task: t, target: new Date(t?.due_date ?? t?.dueDate) });
+          setAnnouncement(`Picked up ${t.title}. Use the arrow keys to move it, Enter to drop, Escape to cancel.`);
+        } else if (event.key === "Enter" && onActivate) {
+          event.preventDefault();
+          event.stopPropagation();
+          onActivate(event);
+        }
+      },
+    };
+  }
+
+  // Props for a month cell or hour slot; resolveDue(task) gives the new due date
+  function getDropProps(key, resolveDue) {
+    if (!onReschedule) return {};
+    return {
+      onDragOver: (event) => {
+        if (!dragTaskId) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "move";
+        if (dropTarget !== key) setDropTarget(key);
+      },
+      onDragLeave: (event) => {
+        if (!event.currentTarget.contains(event.relatedTarget) && dropTarget === key) setDropTarget(null);
+      },
+      onDrop: (event) => {
+        event.preventDefault();
+        const task = (tasks || []).find((item) => item.id === (event.dataTransfer.getData("text/plain") || dragTaskId));
+        setDragTaskId(null);
+        setDropTarget(null);
+        if (task) moveTask(task, resolveDue(task));
+      },
+    };
+  }
+
+  useEffect(() => () => clearTimeout(clickTimerRef.current), []);
+
+  const closeQuickCreate = useCallback(() => setQuickCreate(null), []);
+
+  function openQuickCreate(due, event) {
+    event.stopPropagation();
+    clearTimeout(clickTimerRef.current);
+    const rect = event.currentTarget.getBoundingClientRect();
+    const position = event.clientX || event.clientY
+      ? { x: event.clientX, y: event.clientY }
+      : { x: rect.left, y: rect.bottom };
+    setQuickCreate({ due, position });
+  }
+
+  // "+" button and double-click handler for a cell or slot. The week grid's
+  // 168 slot buttons stay out of the tab order; keyboard users add from the
+  // Month or Day view instead.
+  function getQuickCreateProps(getDue, label, { focusable = true } = {}) {
+    if (!onCreateTask) return { button: null, onDoubleClick: undefined };
+    return {
+      button: (
+        <button
+          type="button"
+          className="slot-add"
+          aria-label={`Add task ${label}`}
+          tabIndex={focusable ? undefined : -1}
+          onClick={(event) => openQuickCreate(getDue(), event)}
+          onDoubleClick={(event) => event.stopPropagation()}
+        >
+          +
+        </button>
+      ),
+      onDoubleClick: (event) => openQuickCreate(getDue(), event),
+    };
+  }
 
   function changeMonth(delta) {
     const d = new Date(cursor);
@@ -49,7 +276,23 @@ export default function Calendar({ tasks, localTimes, initialView = "month" }) {
     resetExpanded();
   }, [resetExpanded]);
 
-  // ICS export removed per request
+  // Exports what the current view shows. Repeating tasks are already
+  // expanded into occurrences by tasksByDate, so each one is written as its
+  // own event rather than as an RRULE series.
+  function exportVisibleRange() {
+    const startKey = getDateKey(visibleRange.start);
+    const endKey = getDateKey(visibleRange.end);
+    const rangeTasks = [...tasksByDate.entries()]
+      .filter(([dateKey]) => dateKey >= startKey && dateKey < endKey)
+      .flatMap(([, list]) => list);
+    const content = buildIcsCalendar(rangeTasks, {
+      calendarName: `TaskFlow ${visibleRange.label}`,
+      tags,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      includeRecurrence: false,
+    });
+    downloadTextFile(`taskflow-${visibleRange.label}.ics`, content, ICS_MIME_TYPE);
+  }
 
   function goToToday() {
     const t = new Date();
@@ -65,6 +308,7 @@ export default function Calendar({ tasks, localTimes, initialView = "month" }) {
     const tY = today.getFullYear();
     const tM = today.getMonth();
     const tD = today.getDate();
+    const todayKey = getDateKey(today);
     const cells = [];
     for (let i = 0; i < startDay; i++) cells.push(null);
     for (let d = 1; d <= daysInMonth; d++) cells.push(d);
@@ -85,7 +329,10 @@ export default function Calendar({ tasks, localTimes, initialView = "month" }) {
               const list = tasksByDate.get(dateStr) || [];
               const isToday = (cursorY === tY && cursorM === tM && d === tD);
               const isSelected = (d === cursorD);
-              const cls = `calendar-cell${isToday ? ' today' : ''}${isSelected ? ' selected' : ''}${list.length ? ' has-tasks' : ''} clickable`;
+              // Past days are history; only what's still ahead can be rebalanced
+              const load = capacity && dateStr >= todayKey ? getDayLoad(list, capacity) : null;
+              const isOverloaded = Boolean(load?.isOverloaded);
+              const cls = `calendar-cell${isToday ? ' today' : ''}${isSelected ? ' selected' : ''}${list.length ? ' has-tasks' : ''}${isOverloaded ? ' is-overloaded' : ''} clickable`;
               // Determine a single priority level for the day: high > medium > low
               let dayPriority = null;
               if (list.length) {
@@ -93,16 +340,65 @@ export default function Calendar({ tasks, localTimes, initialView = "month" }) {
                 const hasMedium = list.some(t => t.priority === 'medium');
                 dayPriority = hasHigh ? 'high' : hasMedium ? 'medium' : 'low';
               }
+              const openCellDay = () => {
+                setCursor(new Date(cursorY, cursorM, d));
+                handleViewChange("day");
+              };
+              const quickCreateProps = getQuickCreateProps(
+                () => getQuickCreateDefault(new Date(cursorY, cursorM, d)),
+                `on ${new Date(cursorY, cursorM, d).toLocaleDateString(undefined, { month: 'long', day: 'numeric' })}`
+              );
+              const handleCellClick = (event) => {
+                if (!onCreateTask) {
+                  openCellDay();
+                  return;
+                }
+                // Wait to see whether this is the first half of a double-click
+                if (event.detail > 1) return;
+                clearTimeout(clickTimerRef.current);
+                clickTimerRef.current = setTimeout(openCellDay, DOUBLE_CLICK_DELAY);
+              };
               return (
                 <div
                   key={i}
-                  className={cls}
-                  onClick={() => {
-                    setCursor(new Date(cursorY, cursorM, d));
-                    handleViewChange("day");
-                  }}
+                  className={`${cls}${isDropTarget(dateStr) ? ' is-drop-target' : ''}`}
+                  onClick={handleCellClick}
+                  onDoubleClick={quickCreateProps.onDoubleClick}
+                  {...getDropProps(dateStr, (task) => withDate(task, cursorY, cursorM, d))}
                 >
-                  <div className="cell-day">{d}</div>
+                  <div className="cell-day">
+                    {d}
+                    {isOverloaded && (
+                      <span
+                        className="cell-overload"
+                        title={`${formatEstimate(load.minutes)} planned, over capacity by ${formatEstimate(load.overByMinutes)}`}
+                      >
+                        ⚠ {formatEstimate(load.minutes)}
+                        <span className="sr-only"> planned, over capacity</span>
+                      </span>
+                    )}
+                  </div>
+                  {quickCreateProps.button}
+                  {list.length > 0 && (
+                    <div className="month-tasks">
+                      {list.slice(0, MONTH_CELL_TASK_LIMIT).map((t) => (
+                        <div
+                          key={t.id}
+                          className={`month-task ${t.priority}${t.completed ? ' is-completed' : ''}`}
+                          title={t.title}
+                          {...getDragProps(t, (event) => {
+                            event.stopPropagation();
+                            openCellDay();
+                          })}
+                        >
+                          {t.isProjected ? '↻ ' : ''}{t.title}
+                        </div>
+                      ))}
+                      {list.length > MONTH_CELL_TASK_LIMIT && (
+                        <div className="month-task-more">+{list.length - MONTH_CELL_TASK_LIMIT} more</div>
+                      )}
+                    </div>
+                  )}
                   {dayPriority ? <div className={`priority-bar ${dayPriority}`} aria-hidden="true" /> : null}
                 </div>
               );
@@ -134,57 +430,246 @@ export default function Calendar({ tasks, localTimes, initialView = "month" }) {
           <div className="calendar-title">{label}</div>
           <button type="button" onClick={() => changeDay(1)} className="ghost-btn calendar-nav-btn">▶</button>
         </div>
-        <div className="day-list">
-          {list.length === 0 ? (
-            <div className="empty">No tasks scheduled.</div>
-          ) : (
-              list.map((t) => {
-              const fallbackTime = formatTimeLabel(t?.due_date ?? t?.dueDate);
-              const timeLabel = localTimes?.[t.id] || fallbackTime;
-              const isExpanded = expanded.has(t.id);
-                const priorityLabel = t.priority ? `${t.priority.slice(0, 1).toUpperCase()}${t.priority.slice(1)} priority` : "";
-                return (
-                  <div key={t.id} className={`day-item-wrap${isExpanded ? " is-expanded" : ""}`}>
-                  <div
-                    className={`day-item clickable${isExpanded ? ' expanded' : ''}`}
-                    role="button"
-                    tabIndex={0}
-                    aria-expanded={isExpanded}
-                    onClick={() => toggleExpanded(t.id)}
-                    onKeyDown={(e) => onKeyToggle(e, t.id)}
-                  >
-                    <div className="title-stack">
-                      <div className="title">{t.title}</div>
-                      {!isExpanded && (
-                        <div className="title-time">Due time: {timeLabel || "—"}</div>
-                      )}
-                    </div>
-                    <div className={`priority-badge ${t.priority}`}>{priorityLabel}</div>
-                  </div>
-                  {isExpanded && (
-                    <div className="calendar-task-details">
-                      <div className="task-detail-head">Details</div>
-                      <div className="task-detail-body">
-                        {t.description ? (
-                          <div className="task-detail-description">{t.description}</div>
-                        ) : (
-                          <div className="task-detail-description is-empty">No description.</div>
+        {list.length === 0 && <div className="empty">No tasks scheduled.</div>}
+        <div className="day-grid" ref={gridScrollRef}>
+          {HOURS.map((hour) => {
+            const slotKey = getSlotKey(cursor, hour);
+            const hourList = list.filter((t) => new Date(t?.due_date ?? t?.dueDate).getHours() === hour);
+            const quickCreateProps = getQuickCreateProps(
+              () => new Date(cursorY, cursorM, cursorD, hour),
+              `at ${formatHourLabel(hour)}`
+            );
+            return (
+              <div
+                key={hour}
+                className={`day-hour${hourList.length ? " has-tasks" : ""}${isDropTarget(slotKey) ? " is-drop-target" : ""}`}
+                data-hour={hour}
+                onDoubleClick={quickCreateProps.onDoubleClick}
+                {...getDropProps(slotKey, (task) => withDateHour(task, cursor, hour))}
+              >
+                <div className="day-hour__label">{formatHourLabel(hour)}</div>
+                {quickCreateProps.button}
+                <div className="day-list">
+                  {hourList.map((t) => {
+                    const fallbackTime = formatTimeLabel(t?.due_date ?? t?.dueDate);
+                    const timeLabel = localTimes?.[t.id] || fallbackTime;
+                    const isExpanded = expanded.has(t.id);
+                    const subtaskProgress = getSubtaskProgress(t);
+                    const recurrenceLabel = t.recurrence ? describeRRule(t.recurrence) : "";
+                    const priorityLabel = t.priority ? `${t.priority.slice(0, 1).toUpperCase()}${t.priority.slice(1)} priority` : "";
+                    return (
+                      <div key={t.id} className={`day-item-wrap${isExpanded ? " is-expanded" : ""}`}>
+                        <div className="day-item-row">
+                          {onReschedule && !t.isProjected && (
+                            <div className="day-item-handle" aria-label={`Move ${t.title}`} {...getDragProps(t)}>⠿</div>
+                          )}
+                          <div
+                            className={`day-item clickable${isExpanded ? ' expanded' : ''}`}
+                            role="button"
+                            tabIndex={0}
+                            aria-expanded={isExpanded}
+                            onClick={() => toggleExpanded(t.id)}
+                            onKeyDown={(e) => onKeyToggle(e, t.id)}
+                          >
+                            <div className="title-stack">
+                              <div className="title">{t.title}</div>
+                              <TagChips tags={resolveTaskTags(t, tags)} />
+                              {!isExpanded && (
+                                <div className="title-time">
+                                  Due time: {timeLabel || "—"}
+                                  {recurrenceLabel && ` · ↻ ${t.isProjected ? "Upcoming occurrence" : "Repeats"}`}
+                                  {subtaskProgress.total > 0 && ` · ${subtaskProgress.label} subtasks`}
+                                </div>
+                              )}
+                            </div>
+                            <div className={`priority-badge ${t.priority}`}>{priorityLabel}</div>
+                          </div>
+                        </div>
+                        {isExpanded && (
+                          <div className="calendar-task-details">
+                            <div className="task-detail-head">Details</div>
+                            <div className="task-detail-body">
+                              {t.description ? (
+                                <div className="task-detail-description">{t.description}</div>
+                              ) : (
+                                <div className="task-detail-description is-empty">No description.</div>
+                              )}
+                              <div className="task-detail-meta"><strong>Due:</strong> {label}</div>
+                              <div className="task-detail-meta"><strong>Time:</strong> {timeLabel || "—"}</div>
+                              <div className="task-detail-meta"><strong>Priority:</strong> {t.priority}</div>
+                              {recurrenceLabel && (
+                                <div className="task-detail-meta"><strong>Repeats:</strong> {recurrenceLabel}</div>
+                              )}
+                            </div>
+                            {onSubtasksChange && !t.isProjected ? (
+                              <SubtaskList
+                                taskId={t.id}
+                                subtasks={t.subtasks ?? []}
+                                onChange={(next) => onSubtasksChange(t.id, next)}
+                              />
+                            ) : null}
+                          </div>
                         )}
-                        <div className="task-detail-meta"><strong>Due:</strong> {label}</div>
-                        <div className="task-detail-meta"><strong>Time:</strong> {timeLabel || "—"}</div>
-                        <div className="task-detail-meta"><strong>Priority:</strong> {t.priority}</div>
                       </div>
-                    </div>
-                  )}
+                    );
+                  })}
                 </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  function openDay(date) {
+    setCursor(new Date(date.getFullYear(), date.getMonth(), date.getDate()));
+    handleViewChange("day");
+  }
+
+  function renderWeek() {
+    const days = Array.from({ length: 7 }, (_, i) => addDays(visibleRange.start, i));
+    const todayKey = getDateKey(new Date());
+    const label = formatRangeLabel(days[0], days[6]);
+    const tasksByDayHour = days.map((day) => {
+      const byHour = new Map();
+      (tasksByDate.get(getDateKey(day)) || []).forEach((t) => {
+        const hour = new Date(t?.due_date ?? t?.dueDate).getHours();
+        byHour.set(hour, [...(byHour.get(hour) || []), t]);
+      });
+      return byHour;
+    });
+    return (
+      <div className="calendar-week">
+        <div className="calendar-toolbar">
+          <button type="button" onClick={() => changeDay(-7)} className="ghost-btn calendar-nav-btn" aria-label="Previous week">◀</button>
+          <div className="calendar-title">{label}</div>
+          <button type="button" onClick={() => changeDay(7)} className="ghost-btn calendar-nav-btn" aria-label="Next week">▶</button>
+        </div>
+        <div className="week-grid-shell" ref={gridScrollRef}>
+          <div className="week-grid" aria-label={`Week of ${label}`}>
+            <div className="week-corner" aria-hidden="true" />
+            {days.map((day) => {
+              const dayKey = getDateKey(day);
+              return (
+                <button
+                  key={dayKey}
+                  type="button"
+                  className={`week-day-head${dayKey === todayKey ? " today" : ""}`}
+                  onClick={() => openDay(day)}
+                >
+                  <span className="week-day-name">{day.toLocaleDateString(undefined, { weekday: "short" })}</span>
+                  <span className="week-day-number">{day.getDate()}</span>
+                </button>
               );
-            })
-          )}
+            })}
+            {HOURS.map((hour) => (
+              <React.Fragment key={hour}>
+                <div className="week-hour" data-hour={hour}>{formatHourLabel(hour)}</div>
+                {days.map((day, dayIndex) => {
+                  const list = tasksByDayHour[dayIndex].get(hour) || [];
+                  const quickCreateProps = getQuickCreateProps(
+                    () => new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour),
+                    `on ${day.toLocaleDateString(undefined, { weekday: "long" })} at ${formatHourLabel(hour)}`,
+                    { focusable: false }
+                  );
+                  return (
+                    <div
+                      key={getSlotKey(day, hour)}
+                      className={`week-slot${isDropTarget(getSlotKey(day, hour)) ? " is-drop-target" : ""}`}
+                      onDoubleClick={quickCreateProps.onDoubleClick}
+                      {...getDropProps(getSlotKey(day, hour), (task) => withDateHour(task, day, hour))}
+                    >
+                      {quickCreateProps.button}
+                      {list.map((t) => (
+                        <div
+                          key={t.id}
+                          className={`week-task ${t.priority}${t.completed ? " is-completed" : ""}`}
+                          title={t.title}
+                          {...getDragProps(t, () => openDay(day))}
+                        >
+                          <span className="week-task__time">{formatTimeLabel(t?.due_date ?? t?.dueDate)}</span>
+                          <span className="week-task__title">{t.isProjected ? "↻ " : ""}{t.title}</span>
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
         </div>
       </div>
     );
   }
 
+  function renderAgenda() {
+    const days = Array.from({ length: agendaDays }, (_, i) => addDays(visibleRange.start, i));
+    const todayKey = getDateKey(new Date());
+    const tomorrowKey = getDateKey(addDays(new Date(), 1));
+    const groups = days
+      .map((day) => ({ day, key: getDateKey(day), list: tasksByDate.get(getDateKey(day)) || [] }))
+      .filter((group) => group.list.length);
+    return (
+      <div className="calendar-agenda">
+        <div className="calendar-toolbar">
+          <button type="button" onClick={() => changeDay(-agendaDays)} className="ghost-btn calendar-nav-btn" aria-label={`Previous ${agendaDays} days`}>◀</button>
+          <div className="calendar-title agenda-title">
+            {formatRangeLabel(days[0], days[days.length - 1])}
+            <select
+              className="input-field select-field agenda-range"
+              value={agendaDays}
+              onChange={(event) => setAgendaDays(Number(event.target.value))}
+              aria-label="Agenda length"
+            >
+              {AGENDA_DAY_OPTIONS.map((count) => (
+                <option key={count} value={count}>Next {count} days</option>
+              ))}
+            </select>
+          </div>
+          <button type="button" onClick={() => changeDay(agendaDays)} className="ghost-btn calendar-nav-btn" aria-label={`Next ${agendaDays} days`}>▶</button>
+        </div>
+        {groups.length === 0 ? (
+          <div className="empty">No tasks in the next {agendaDays} days.</div>
+        ) : (
+          <ol className="agenda-list">
+            {groups.map(({ day, key, list }) => (
+              <li key={key} className={`agenda-day${key === todayKey ? " today" : ""}`}>
+                <h3 className="agenda-day__label">
+                  {day.toLocaleDateString(undefined, { weekday: "long", month: "short", day: "numeric" })}
+                  {key === todayKey && <span className="agenda-day__hint">Today</span>}
+                  {key === tomorrowKey && <span className="agenda-day__hint">Tomorrow</span>}
+                </h3>
+                <ul className="agenda-items">
+                  {list.map((t) => {
+                    const timeLabel = (!t.isProjected && localTimes?.[t.id]) || formatTimeLabel(t?.due_date ?? t?.dueDate);
+                    return (
+                      <li key={t.id}>
+                        <button
+                          type="button"
+                          className={`agenda-item${t.completed ? " is-completed" : ""}`}
+                          onClick={() => openDay(day)}
+                        >
+                          <span className="agenda-item__time">{timeLabel}</span>
+                          <span className="agenda-item__title">
+                            {t.title}
+                            {t.recurrence && <span className="agenda-item__repeat" aria-label="Repeats"> ↻</span>}
+                          </span>
+                          <TagChips tags={resolveTaskTags(t, tags)} />
+                          <span className={`priority-badge ${t.priority}`}>{t.priority}</span>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    );
+  }
+
   function renderYear() {
     const months = Array.from({ length: 12 }, (_, i) => new Date(cursorY, i, 1));
     return (
@@ -233,6 +718,15 @@ export default function Calendar({ tasks, localTimes, initialView = "month" }) {
         >
           Day
         </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={view === "week"}
+          className={`ghost-btn switch-btn${view === "week" ? " is-active" : ""}`}
+          onClick={() => handleViewChange("week")}
+        >
+          Week
+        </button>
         <button
           type="button"
           role="tab"
@@ -251,11 +745,48 @@ export default function Calendar({ tasks, localTimes, initialView = "month" }) {
         >
           Year
         </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={view === "agenda"}
+          className={`ghost-btn switch-btn${view === "agenda" ? " is-active" : ""}`}
+          onClick={() => handleViewChange("agenda")}
+        >
+          Agenda
+        </button>
         <button type="button" className="primary-btn calendar-today-btn" onClick={goToToday} aria-label="Go to Today">
           Today
         </button>
+        <button type="button" className="ghost-btn calendar-export-btn" onClick={exportVisibleRange}>
+          Export .ics
+        </button>
       </div>
-      {view === 'day' ? renderDay() : view === 'year' ? renderYear() : renderMonth()}
+      {onReschedule && (
+        <>
+          <p id="calendar-move-help" className="sr-only">
+            Press Space to pick up a task, arrow keys to move it, Enter or Space to drop it and Escape to cancel.
+          </p>
+          <div className="sr-only" aria-live="assertive">{announcement}</div>
+        </>
+      )}
+      {quickCreate && (
+        <QuickCreatePopover
+          key={quickCreate.due.getTime()}
+          initialDue={quickCreate.due}
+          position={quickCreate.position}
+          onSubmit={onCreateTask}
+          onClose={closeQuickCreate}
+        />
+      )}
+      {view === "day"
+        ? renderDay()
+        : view === "week"
+          ? renderWeek()
+          : view === "agenda"
+            ? renderAgenda()
+            : view === "year"
+              ? renderYear()
+              : renderMonth()}
     </div>
   );
 }
@@ -275,9 +806,106 @@ function getDateKey(value) {
   return null;
 }
 
+function projectOccurrences(task, dueValue, startYear, endYear) {
+  const dueTs = new Date(dueValue).getTime();
+  return getOccurrences(task.recurrence, dueValue, {
+    from: new Date(startYear, 0, 1),
+    to: new Date(endYear + 1, 0, 1),
+    limit: 400 * (endYear - startYear + 1),
+  })
+    .filter((date) => date.getTime() !== dueTs)
+    .map((date) => {
+      const iso = date.toISOString();
+      return {
+        ...task,
+        id: `${task.id}@${iso}`,
+        sourceId: task.id,
+        dueDate: iso,
+        ...(task.due_date ? { due_date: iso } : {}),
+        subtasks: (task.subtasks ?? []).map((item) => ({ ...item, completed: false })),
+        isProjected: true,
+      };
+    });
+}
+
 function formatTimeLabel(value) {
   if (!value) return "";
   const date = value instanceof Date ? value : new Date(value);
   if (Number.isNaN(date.getTime())) return "";
   return date.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
 }
+
+// Range each view shows, as [start, end) local-midnight dates plus a label
+// used for export file names
+function getVisibleRange(view, cursor, agendaDays) {
+  const y = cursor.getFullYear();
+  const m = cursor.getMonth();
+  const day = new Date(y, m, cursor.getDate());
+  if (view === "day") {
+    return { start: day, end: addDays(day, 1), label: getDateKey(day) };
+  }
+  if (view === "week") {
+    const start = addDays(day, -day.getDay());
+    return { start, end: addDays(start, 7), label: `week-of-${getDateKey(start)}` };
+  }
+  if (view === "agenda") {
+    return { start: day, end: addDays(day, agendaDays), label: `${getDateKey(day)}-next-${agendaDays}-days` };
+  }
+  if (view === "year") {
+    return { start: new Date(y, 0, 1), end: new Date(y + 1, 0, 1), label: `${y}` };
+  }
+  return { start: new Date(y, m, 1), end: new Date(y, m + 1, 1), label: `${y}-${String(m + 1).padStart(2, "0")}` };
+}
+
+function addDays(date, count) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + count);
+}
+
+function getDueTime(task) {
+  const time = new Date(task?.due_date ?? task?.dueDate).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+function formatRangeLabel(start, end) {
+  const sameYear = start.getFullYear() === end.getFullYear();
+  const startLabel = start.toLocaleDateString(undefined, { month: "short", day: "numeric", ...(sameYear ? {} : { year: "numeric" }) });
+  const endLabel = end.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+  return `${startLabel} – ${endLabel}`;
+}
+
+function formatHourLabel(hour) {
+  return new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, { hour: "numeric" });
+}
+
+function getSlotKey(date, hour) {
+  return `${getDateKey(date)}T${String(hour).padStart(2, "0")}`;
+}
+
+// New due date on another day, same time of day
+function withDate(task, year, month, day) {
+  const due = new Date(task?.due_date ?? task?.dueDate);
+  return new Date(year, month, day, due.getHours(), due.getMinutes());
+}
+
+// New due date on another day and hour, same minutes
+function withDateHour(task, date, hour) {
+  const due = new Date(task?.due_date ?? task?.dueDate);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, due.getMinutes());
+}
+
+function formatMoveTarget(date, view) {
+  return view === "month"
+    ? date.toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric" })
+    : date.toLocaleString(undefined, { weekday: "long", month: "long", day: "numeric", hour: "numeric", minute: "2-digit" });
+}
+
+// Today: the next full hour (capped at 23:59); other days: a morning slot
+function getQuickCreateDefault(date) {
+  const now = new Date();
+  if (getDateKey(date) !== getDateKey(now)) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), QUICK_CREATE_DEFAULT_HOUR);
+  }
+  return now.getHours() >= 23
+    ? new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59)
+    : new Date(date.getFullYear(), date.getMonth(), date.getDate(), now.getHours() + 1);
+}
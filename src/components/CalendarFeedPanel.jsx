@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from "react";
+import {
+  buildCalendarFeedUrl,
+  createCalendarFeed,
+  getCalendarFeed,
+  revokeCalendarFeed,
+} from "../data/calendarFeedRepository";
+
+/**
+ * CalendarFeedPanel - Creates, copies, resets and revokes the .ics feed link
+ *
+ * The link works without signing in, so anyone holding it can read the
+ * user's task deadlines. Resetting issues a new link and breaks the old one;
+ * revoking just breaks it.
+ */
+export default function CalendarFeedPanel({ user }) {
+  const [feed, setFeed] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!user?.id) {
+      return undefined;
+    }
+    let cancelled = false;
+    getCalendarFeed(user.id).then(({ data, error: loadError }) => {
+      if (cancelled) return;
+      setFeed(data);
+      setError(loadError ? loadError.message : "");
+      setIsLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const feedUrl = feed ? buildCalendarFeedUrl(feed.token) : "";
+
+  const issueLink = async () => {
+    setIsSaving(true);
+    setError("");
+    setCopied(false);
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const { data, error: saveError } = await createCalendarFeed(user.id, timeZone);
+    if (saveError) {
+      setError(saveError.message);
+    } else {
+      setFeed(data);
+    }
+    setIsSaving(false);
+  };
+
+  const revokeLink = async () => {
+    setIsSaving(true);
+    setError("");
+    setCopied(false);
+    const { error: revokeError } = await revokeCalendarFeed(user.id);
+    if (revokeError) {
+      setError(revokeError.message);
+    } else {
+      setFeed(null);
+    }
+    setIsSaving(false);
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+    } catch {
+      setError("Could not copy the link - select it and copy manually.");
+    }
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <section className="calendar-feed" aria-labelledby="calendar-feed-title">
+      <div>
+        <p className="eyebrow-label" id="calendar-feed-title">Calendar subscription</p>
+        <p className="muted">
+          Subscribe from Google Calendar, Apple Calendar or Outlook to see task deadlines there. Anyone with the link
+          can see your tasks - reset or revoke it if it leaks.
+        </p>
+      </div>
+      {isLoading ? (
+        <p className="muted">Loading…</p>
+      ) : feed ? (
+        <div className="calendar-feed__link">
+          <input
+            className="input-field calendar-feed__url"
+            type="text"
+            readOnly
+            value={feedUrl}
+            aria-label="Calendar feed URL"
+            onFocus={(event) => event.target.select()}
+          />
+          <div className="calendar-feed__actions">
+            <button type="button" className="ghost-btn" onClick={copyLink} disabled={isSaving}>
+              {copied ? "Copied" : "Copy link"}
+            </button>
+            <a className="ghost-btn" href={buildCalendarFeedUrl(feed.token, { webcal: true })}>
+              Open in calendar app
+            </a>
+            <button type="button" className="ghost-btn" onClick={issueLink} disabled={isSaving}>
+              Reset link
+            </button>
+            <button type="button" className="ghost-btn" onClick={revokeLink} disabled={isSaving}>
+              Revoke
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="calendar-feed__actions">
+          <button type="button" className="primary-btn" onClick={issueLink} disabled={isSaving}>
+            Create feed link
+          </button>
+        </div>
+      )}
+      {error && <p className="form-error" role="alert">{error}</p>}
+    </section>
+  );
+}
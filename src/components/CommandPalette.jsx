@@ -0,0 +1,120 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+
+const TASK_RESULT_LIMIT = 8;
+
+/**
+ * CommandPalette - Ctrl/Cmd+K launcher for pages, themes, actions and tasks
+ *
+ * commands are { id, label, group, hint?, run } built by the caller; tasks
+ * are searched by title and description once the user types. Arrow keys
+ * move the highlight, Enter runs it and Esc closes.
+ */
+export default function CommandPalette({ commands = [], tasks = [], onSelectTask, onClose }) {
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const items = useMemo(() => {
+    const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = (text) => terms.every((term) => text.toLowerCase().includes(term));
+    const commandItems = commands.filter((command) => matches(`${command.group} ${command.label}`));
+    if (!terms.length) {
+      return commandItems;
+    }
+    const taskItems = tasks
+      .filter((task) => matches(`${task.title ?? ""} ${task.description ?? ""}`))
+      .slice(0, TASK_RESULT_LIMIT)
+      .map((task) => ({
+        id: `task:${task.id}`,
+        label: task.title || "Untitled task",
+        group: "Tasks",
+        hint: task.completed ? "Completed" : formatDue(task.dueDate),
+        run: () => onSelectTask(task),
+      }));
+    return [...commandItems, ...taskItems];
+  }, [commands, tasks, query, onSelectTask]);
+
+  const highlighted = Math.min(activeIndex, Math.max(items.length - 1, 0));
+
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${highlighted}"]`)?.scrollIntoView({ block: "nearest" });
+  }, [highlighted]);
+
+  const runItem = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActiveIndex(items.length ? (highlighted + 1) % items.length : 0);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex(items.length ? (highlighted - 1 + items.length) % items.length : 0);
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      if (items[highlighted]) {
+        runItem(items[highlighted]);
+      }
+    } else if (event.key === "Escape") {
+      event.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="composer-overlay command-palette-overlay" role="dialog" aria-modal="true" aria-label="Command palette" onClick={onClose}>
+      <div className="command-palette glass-panel" onClick={(event) => event.stopPropagation()}>
+        <input
+          ref={inputRef}
+          className="input-field command-palette__input"
+          type="text"
+          value={query}
+          onChange={(event) => {
+            setQuery(event.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Search tasks, pages, themes and actions…"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-list"
+          aria-activedescendant={items.length ? `command-palette-item-${highlighted}` : undefined}
+          aria-label="Command"
+        />
+        <ul className="command-palette__list" id="command-palette-list" role="listbox" ref={listRef}>
+          {items.length === 0 && <li className="command-palette__empty">No matches</li>}
+          {items.map((item, index) => (
+            <li
+              key={item.id}
+              id={`command-palette-item-${index}`}
+              data-index={index}
+              role="option"
+              aria-selected={index === highlighted}
+              className={`command-palette__item${index === highlighted ? " is-active" : ""}`}
+              onMouseMove={() => setActiveIndex(index)}
+              onClick={() => runItem(item)}
+            >
+              <span className="command-palette__group">{item.group}</span>
+              <span className="command-palette__label">{item.label}</span>
+              {item.hint && <span className="command-palette__hint">{item.hint}</span>}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+function formatDue(dueDate) {
+  if (!dueDate) return "";
+  const date = new Date(dueDate);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
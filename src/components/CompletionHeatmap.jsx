@@ -0,0 +1,77 @@
+import React from "react";
+
+const LEVELS = [0, 1, 2, 3, 4];
+
+/**
+ * CompletionHeatmap - Contribution-style calendar of completions per day
+ *
+ * Renders a buildCompletionHeatmap result: one column per week, its first
+ * day (the user's week start) at the top; every other row is labelled. Each cell's title gives its count on hover; the grid as a whole
+ * is announced as a one-line summary.
+ */
+export default function CompletionHeatmap({ heatmap }) {
+  const { weeks, months, total, activeDays } = heatmap;
+  const weekdayLabels = (weeks[0]?.days ?? []).map((day, index) => (index % 2 ? "" : formatWeekday(day.key)));
+  const summary = `${total} ${total === 1 ? "task" : "tasks"} completed on ${activeDays} ${
+    activeDays === 1 ? "day" : "days"
+  } in the past year`;
+
+  return (
+    <div className="completion-heatmap">
+      <div className="completion-heatmap__scroll">
+        <div
+          className="completion-heatmap__months"
+          style={{ gridTemplateColumns: `repeat(${weeks.length}, var(--heatmap-cell))` }}
+          aria-hidden="true"
+        >
+          {months.map((month) => (
+            <span key={month.index} style={{ gridColumnStart: month.index + 1 }}>
+              {month.label}
+            </span>
+          ))}
+        </div>
+        <div className="completion-heatmap__body">
+          <div className="completion-heatmap__weekdays" aria-hidden="true">
+            {weekdayLabels.map((label, index) => (
+              <span key={index}>{label}</span>
+            ))}
+          </div>
+          <div className="completion-heatmap__grid" role="img" aria-label={summary}>
+            {weeks.map((week) =>
+              week.days.map((day) => (
+                <span
+                  key={day.key}
+                  className={`completion-heatmap__cell level-${day.level}${day.isFuture ? " is-future" : ""}`}
+                  title={day.isFuture ? undefined : `${day.count || "No"} ${day.count === 1 ? "task" : "tasks"} on ${formatDayKey(day.key)}`}
+                />
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+      <div className="completion-heatmap__legend" aria-hidden="true">
+        <span>Less</span>
+        {LEVELS.map((level) => (
+          <span key={level} className={`completion-heatmap__cell level-${level}`} />
+        ))}
+        <span>More</span>
+      </div>
+    </div>
+  );
+}
+
+function formatWeekday(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(undefined, { weekday: "short", timeZone: "UTC" });
+}
+
+// Day keys are calendar dates; formatting in UTC keeps them from shifting a day
+function formatDayKey(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
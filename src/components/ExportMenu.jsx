@@ -0,0 +1,103 @@
+import React, { useEffect, useRef, useState } from "react";
+import { EXPORT_FORMATS, buildTaskExport, downloadTextFile } from "../utils/taskExport";
+
+/**
+ * ExportMenu - Downloads tasks as CSV, JSON or Markdown
+ *
+ * "All tasks" exports every task passed in allTasks; "Current view" exports
+ * visibleTasks, i.e. whatever the list's filter, tag filter and search show.
+ */
+export default function ExportMenu({ allTasks = [], visibleTasks = [], tags = [], projects = [] }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [scope, setScope] = useState("all");
+  const containerRef = useRef(null);
+  const isFiltered = visibleTasks.length !== allTasks.length;
+  const tasksToExport = scope === "view" ? visibleTasks : allTasks;
+
+  useEffect(() => {
+    if (!isOpen) {
+      return undefined;
+    }
+    const handlePointerDown = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isOpen]);
+
+  const handleExport = (formatId) => {
+    const { filename, content, mimeType } = buildTaskExport(formatId, tasksToExport, {
+      tags,
+      projects,
+      scope: scope === "view" && isFiltered ? "view" : "all",
+    });
+    downloadTextFile(filename, content, mimeType);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="export-menu" ref={containerRef}>
+      <button
+        type="button"
+        className="ghost-btn export-menu__trigger"
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={!allTasks.length}
+      >
+        Export
+      </button>
+      {isOpen && (
+        <div className="export-menu__panel glass-panel" role="dialog" aria-label="Export tasks">
+          <fieldset className="export-menu__scope">
+            <legend className="form-label">Include</legend>
+            <label>
+              <input
+                type="radio"
+                name="export-scope"
+                value="all"
+                checked={scope === "all"}
+                onChange={() => setScope("all")}
+              />
+              All tasks ({allTasks.length})
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="export-scope"
+                value="view"
+                checked={scope === "view"}
+                onChange={() => setScope("view")}
+              />
+              Current filter &amp; search ({visibleTasks.length})
+            </label>
+          </fieldset>
+          <div className="export-menu__formats">
+            {EXPORT_FORMATS.map((format) => (
+              <button
+                key={format.id}
+                type="button"
+                className="chip"
+                onClick={() => handleExport(format.id)}
+                disabled={!tasksToExport.length}
+              >
+                {format.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
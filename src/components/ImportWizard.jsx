@@ -0,0 +1,301 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { createTasks } from "../data/taskRepository";
+import { isOnline } from "../offline/taskSync";
+import {
+  IMPORT_BATCH_SIZE,
+  IMPORT_FIELDS,
+  IMPORT_SOURCES,
+  buildImportPreview,
+  chunk,
+  detectImportSource,
+  guessColumnMapping,
+  readImportFile,
+  recordsToDrafts,
+} from "../utils/taskImport";
+
+const PREVIEW_LIMIT = 200;
+
+const SOURCE_FILE_TYPES = {
+  csv: ".csv,text/csv",
+  todoist: ".csv,text/csv",
+  taskflow: ".json,application/json",
+  trello: ".json,application/json",
+  ics: ".ics,text/calendar",
+};
+
+/**
+ * ImportWizard - Imports tasks from CSV, Todoist, Trello, iCalendar or a TaskFlow backup
+ *
+ * Steps: pick a file (source is auto-detected and can be overridden) → map
+ * CSV columns → preview with per-row status → insert in batches of
+ * IMPORT_BATCH_SIZE. Each saved batch is reported through onImported so the
+ * list updates while a large import is still running. Pass sources (a list of
+ * IMPORT_SOURCES ids) to offer only some formats, e.g. ["ics"] on the Calendar.
+ *
+ * SECURITY: Rows are inserted through the task repository with user.id, which
+ * binds every imported task to the current user.
+ */
+export default function ImportWizard({
+  user,
+  existingTasks = [],
+  tags = [],
+  projects = [],
+  projectId = null,
+  sources = null,
+  onImported,
+  onClose,
+}) {
+  const [step, setStep] = useState("file");
+  const [fileName, setFileName] = useState("");
+  const [fileText, setFileText] = useState("");
+  const availableSources = useMemo(
+    () => (sources ? IMPORT_SOURCES.filter((entry) => sources.includes(entry.id)) : IMPORT_SOURCES),
+    [sources]
+  );
+  const [source, setSource] = useState(() => availableSources[0]?.id ?? "csv");
+  const [mapping, setMapping] = useState({});
+  const [dropInvalidDates, setDropInvalidDates] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [importError, setImportError] = useState("");
+
+  const parsed = useMemo(() => (fileText ? readImportFile(source, fileText) : null), [source, fileText]);
+  const isCsvSource = Boolean(parsed?.columns);
+
+  const preview = useMemo(() => {
+    if (!parsed || parsed.error) return [];
+    const drafts = isCsvSource ? recordsToDrafts(source, parsed.records, mapping) : parsed.drafts;
+    return buildImportPreview(drafts, { existingTasks, tags, projects, projectId, dropInvalidDates });
+  }, [parsed, isCsvSource, source, mapping, existingTasks, tags, projects, projectId, dropInvalidDates]);
+
+  const readyRows = preview.filter((row) => row.status === "ready");
+  const duplicateCount = preview.filter((row) => row.status === "duplicate").length;
+  const invalidCount = preview.filter((row) => row.status === "invalid").length;
+  const isImporting = step === "importing";
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape" && !isImporting) {
+        onClose();
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [isImporting, onClose]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    const guess = detectImportSource(file.name, text);
+    const detected = availableSources.some((entry) => entry.id === guess) ? guess : availableSources[0].id;
+    const result = readImportFile(detected, text);
+    setFileName(file.name);
+    setFileText(text);
+    setSource(detected);
+    setMapping(guessColumnMapping(result.columns ?? []));
+    setImportError("");
+  };
+
+  const handleSourceChange = (nextSource) => {
+    setSource(nextSource);
+    setMapping(guessColumnMapping(readImportFile(nextSource, fileText).columns ?? []));
+  };
+
+  const runImport = async () => {
+    if (!user) {
+      setImportError("You must be signed in to import tasks.");
+      return;
+    }
+    if (!isOnline()) {
+      setImportError("Importing needs a connection. Try again once you're back online.");
+      return;
+    }
+    const batches = chunk(readyRows.map((row) => row.fields), IMPORT_BATCH_SIZE);
+    setStep("importing");
+    setImportError("");
+    setProgress({ done: 0, total: readyRows.length });
+    let done = 0;
+    for (const batch of batches) {
+      const updatedAt = new Date().toISOString();
+      const { data, error } = await createTasks(
+        user.id,
+        // The import time stands in only for timestamps the source did not record
+        batch.map((fields) => ({
+          ...fields,
+          createdAt: fields.createdAt ?? updatedAt,
+          completedAt: fields.completed ? fields.completedAt ?? updatedAt : null,
+          updatedAt,
+        }))
+      );
+      if (error) {
+        setImportError(`Stopped after ${done} of ${readyRows.length} tasks: ${error.message}`);
+        setStep("done");
+        return;
+      }
+      done += batch.length;
+      setProgress({ done, total: readyRows.length });
+      if (data?.length) {
+        onImported(data);
+      }
+    }
+    setStep("done");
+  };
+
+  const acceptedFileTypes = [...new Set(availableSources.map((entry) => SOURCE_FILE_TYPES[entry.id]))].join(",");
+  const canContinue = step === "file" && parsed && !parsed.error && (isCsvSource ? parsed.records.length : parsed.drafts.length);
+
+  return (
+    <div className="composer-overlay" role="dialog" aria-modal="true" aria-label="Import tasks" onClick={isImporting ? undefined : onClose}>
+      <div className="tasks-card__form composer composer-depth composer-float import-wizard" onClick={(event) => event.stopPropagation()}>
+        <button type="button" className="composer-close" aria-label="Close import" onClick={onClose} disabled={isImporting}>
+          ×
+        </button>
+        <p className="eyebrow-label">Import tasks</p>
+
+        {step === "file" && (
+          <div className="form-fields">
+            <div className="form-field">
+              <label className="form-label" htmlFor="import-file">File</label>
+              <input id="import-file" type="file" accept={acceptedFileTypes} onChange={handleFileChange} />
+              <p className="muted">{availableSources.map((entry) => entry.label).join(", ")}.</p>
+            </div>
+            {fileName && availableSources.length > 1 && (
+              <div className="form-field">
+                <label className="form-label" htmlFor="import-source">Format</label>
+                <select
+                  id="import-source"
+                  className="input-field select-field"
+                  value={source}
+                  onChange={(event) => handleSourceChange(event.target.value)}
+                >
+                  {availableSources.map((entry) => (
+                    <option key={entry.id} value={entry.id}>{entry.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {parsed?.error && <p className="form-error">{parsed.error}</p>}
+            {parsed && !parsed.error && (
+              <p className="muted">
+                {fileName}: {isCsvSource ? parsed.records.length : parsed.drafts.length} rows found.
+              </p>
+            )}
+            <div className="composer-actions">
+              <button type="button" className="ghost-btn" onClick={onClose}>Cancel</button>
+              <button
+                type="button"
+                className="primary-btn"
+                disabled={!canContinue}
+                onClick={() => setStep(isCsvSource ? "map" : "preview")}
+              >
+                Continue
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === "map" && parsed?.columns && (
+          <div className="form-fields">
+            <p className="muted">Choose which column fills each task field.</p>
+            {IMPORT_FIELDS.map((field) => (
+              <div className="form-field" key={field.id}>
+                <label className="form-label" htmlFor={`import-map-${field.id}`}>
+                  {field.label}{field.required ? " *" : ""}
+                </label>
+                <select
+                  id={`import-map-${field.id}`}
+                  className="input-field select-field"
+                  value={mapping[field.id] ?? ""}
+                  onChange={(event) => setMapping((prev) => ({ ...prev, [field.id]: event.target.value }))}
+                >
+                  <option value="">{field.required ? "Select a column" : "Don't import"}</option>
+                  {parsed.columns.map((column) => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div className="composer-actions">
+              <button type="button" className="ghost-btn" onClick={() => setStep("file")}>Back</button>
+              <button type="button" className="primary-btn" disabled={!mapping.title} onClick={() => setStep("preview")}>
+                Preview
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === "preview" && (
+          <div className="form-fields">
+            <p className="muted">
+              {readyRows.length} ready · {duplicateCount} duplicates skipped · {invalidCount} invalid
+            </p>
+            <label className="import-wizard__option">
+              <input
+                type="checkbox"
+                checked={dropInvalidDates}
+                onChange={(event) => setDropInvalidDates(event.target.checked)}
+              />
+              Import rows with past or unreadable due dates without a due date
+            </label>
+            <div className="import-wizard__table-wrap">
+              <table className="import-wizard__table">
+                <thead>
+                  <tr>
+                    <th scope="col">Status</th>
+                    <th scope="col">Title</th>
+                    <th scope="col">Due</th>
+                    <th scope="col">Priority</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.slice(0, PREVIEW_LIMIT).map((row) => (
+                    <tr key={row.index} className={`import-wizard__row import-wizard__row--${row.status}`}>
+                      <td>
+                        {row.status === "ready" ? "Ready" : row.status === "duplicate" ? "Duplicate" : "Invalid"}
+                        {row.message && <span className="import-wizard__message">{row.message}</span>}
+                      </td>
+                      <td>{row.fields?.title ?? row.draft.title}</td>
+                      <td>
+                        {row.fields?.dueDate
+                          ? new Date(row.fields.dueDate).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })
+                          : row.draft.dueDate || "—"}
+                      </td>
+                      <td>{row.fields?.priority ?? row.draft.priority}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {preview.length > PREVIEW_LIMIT && (
+              <p className="muted">Showing the first {PREVIEW_LIMIT} of {preview.length} rows.</p>
+            )}
+            {importError && <p className="form-error">{importError}</p>}
+            <div className="composer-actions">
+              <button type="button" className="ghost-btn" onClick={() => setStep(isCsvSource ? "map" : "file")}>Back</button>
+              <button type="button" className="primary-btn" disabled={!readyRows.length} onClick={runImport}>
+                Import {readyRows.length} {readyRows.length === 1 ? "task" : "tasks"}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {(step === "importing" || step === "done") && (
+          <div className="form-fields" role="status">
+            <progress className="import-wizard__progress" value={progress.done} max={progress.total || 1} />
+            <p>
+              {step === "importing"
+                ? `Importing ${progress.done} of ${progress.total}…`
+                : `Imported ${progress.done} of ${progress.total} tasks.`}
+            </p>
+            {importError && <p className="form-error">{importError}</p>}
+            {step === "done" && (
+              <div className="composer-actions">
+                <button type="button" className="primary-btn" onClick={onClose}>Done</button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from "react";
+import { ALL_PROJECTS, INBOX_PROJECT } from "../utils/projects";
+
+/**
+ * ProjectFilter - Select for narrowing a page to one project
+ *
+ * Values are ALL_PROJECTS, INBOX_PROJECT (tasks without a project) or a
+ * project id. Hidden entirely until the user has created a project.
+ */
+export default function ProjectFilter({ id, projects = [], value = ALL_PROJECTS, onChange, className = "" }) {
+  if (!projects.length) {
+    return null;
+  }
+  return (
+    <select
+      id={id}
+      className={`input-field select-field project-filter${className ? ` ${className}` : ""}`}
+      value={value}
+      onChange={(event) => onChange(event.target.value)}
+      aria-label="Filter by project"
+    >
+      <option value={ALL_PROJECTS}>All projects</option>
+      <option value={INBOX_PROJECT}>Inbox (no project)</option>
+      {projects.map((project) => (
+        <option key={project.id} value={project.id}>
+          {project.archived ? `${project.name} (archived)` : project.name}
+        </option>
+      ))}
+    </select>
+  );
+}
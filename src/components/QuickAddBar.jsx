@@ -0,0 +1,114 @@
+import React, { useMemo, useState } from "react";
+import TagChips from "./TagChips";
+import { describeRRule } from "../utils/recurrence";
+import { findTagByName, pickTagColor } from "../utils/tags";
+import { parseQuickAdd } from "../utils/quickAdd";
+import { validateNewTaskDue } from "../utils/newTask";
+
+const PRIORITY_LABELS = { high: "High", medium: "Medium", low: "Low" };
+
+/**
+ * QuickAddBar - One-line task entry that understands dates, tags and more
+ *
+ * Parses as the user types (see parseQuickAdd) and previews the result so
+ * they can check it before pressing Enter. onSubmit receives the parsed
+ * draft plus the resolved tags and resolves to { error }.
+ */
+export default function QuickAddBar({ tags = [], now, disabled = false, onSubmit, inputRef }) {
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const draft = useMemo(() => parseQuickAdd(text, { now }), [text, now]);
+  const previewTags = useMemo(
+    () => draft.tagNames.map((name) => findTagByName(tags, name) ?? { id: `new:${name}`, name, color: pickTagColor(name), isNew: true }),
+    [draft.tagNames, tags]
+  );
+  const newTagNames = previewTags.filter((tag) => tag.isNew).map((tag) => tag.name);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!draft.title) {
+      setError("Add a title - only the date and options were recognized");
+      return;
+    }
+    const dueError = validateNewTaskDue(draft.dueDate, now);
+    if (dueError) {
+      setError(dueError.message);
+      return;
+    }
+    setError("");
+    setIsSaving(true);
+    const result = await onSubmit({ ...draft, tags: previewTags });
+    setIsSaving(false);
+    if (result?.error) {
+      setError(result.error.message ?? "Failed to add task");
+      return;
+    }
+    setText("");
+  };
+
+  const hasInput = Boolean(text.trim());
+
+  return (
+    <form className="quick-add" onSubmit={handleSubmit}>
+      <div className="quick-add__row">
+        <input
+          ref={inputRef}
+          className="input-field quick-add__input"
+          type="text"
+          value={text}
+          onChange={(event) => {
+            setText(event.target.value);
+            setError("");
+          }}
+          placeholder='Quick add: "Send report tomorrow 3pm !high #client every friday"'
+          aria-label="Quick add task"
+          aria-describedby={text.trim() ? "quick-add-preview" : undefined}
+          disabled={disabled}
+        />
+        <button type="submit" className="primary-btn" disabled={disabled || isSaving || !hasInput}>
+          {isSaving ? "Adding…" : "Add"}
+        </button>
+      </div>
+      {hasInput && (
+        <dl className="quick-add__preview" id="quick-add-preview" aria-live="polite">
+          <div>
+            <dt>Title</dt>
+            <dd>{draft.title || <span className="muted">Missing</span>}</dd>
+          </div>
+          <div>
+            <dt>Due</dt>
+            <dd>{draft.dueDate ? formatDue(draft.dueDate, draft.hasTime) : <span className="muted">No due date</span>}</dd>
+          </div>
+          <div>
+            <dt>Priority</dt>
+            <dd>{PRIORITY_LABELS[draft.priority]}</dd>
+          </div>
+          {draft.recurrence && (
+            <div>
+              <dt>Repeats</dt>
+              <dd>{describeRRule(draft.recurrence)}</dd>
+            </div>
+          )}
+          {previewTags.length > 0 && (
+            <div>
+              <dt>Tags</dt>
+              <dd>
+                <TagChips tags={previewTags} />
+                {newTagNames.length > 0 && <span className="muted"> New: {newTagNames.join(", ")}</span>}
+              </dd>
+            </div>
+          )}
+        </dl>
+      )}
+      {error && <p className="form-error" role="alert">{error}</p>}
+    </form>
+  );
+}
+
+function formatDue(iso, hasTime) {
+  const date = new Date(iso);
+  const day = date.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+  return hasTime ? `${day}, ${date.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })}` : `${day}, end of day`;
+}
@@ -0,0 +1,141 @@
+import React, { useEffect, useRef, useState } from "react";
+import { validateDueDate } from "../utils/dueDates";
+import { buildNewTaskFields, validateNewTaskDue } from "../utils/newTask";
+
+const POPOVER_WIDTH = 300;
+const POPOVER_HEIGHT = 320;
+
+/**
+ * QuickCreatePopover - Small task form opened from a calendar cell or slot
+ *
+ * Prefills the date and time it was opened for; validates like the task
+ * composer and hands buildNewTaskFields output to onSubmit, which performs
+ * the insert and resolves to { error }.
+ */
+export default function QuickCreatePopover({ initialDue, position, onSubmit, onClose }) {
+  const [title, setTitle] = useState("");
+  const [date, setDate] = useState(() => toDateInputValue(initialDue));
+  const [time, setTime] = useState(() => toTimeInputValue(initialDue));
+  const [priority, setPriority] = useState("medium");
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const panelRef = useRef(null);
+  const titleRef = useRef(null);
+
+  useEffect(() => {
+    titleRef.current?.focus();
+    const handlePointerDown = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        onClose();
+      }
+    };
+    document.addEventListener("mousedown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [onClose]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!title.trim()) {
+      setError("Please enter a title");
+      return;
+    }
+    const dateValidation = validateDueDate(date);
+    if (!dateValidation.valid) {
+      setError(dateValidation.message);
+      return;
+    }
+    if (!/^\d{2}:\d{2}$/.test(time)) {
+      setError("Please enter a due time");
+      return;
+    }
+    const dueDate = new Date(`${date}T${time}:00`).toISOString();
+    const dueError = validateNewTaskDue(dueDate);
+    if (dueError) {
+      setError(dueError.message);
+      return;
+    }
+    setError("");
+    setIsSaving(true);
+    const result = await onSubmit(buildNewTaskFields({ title, dueDate, priority }));
+    setIsSaving(false);
+    if (result?.error) {
+      setError(result.error.message ?? "Failed to add task");
+      return;
+    }
+    onClose();
+  };
+
+  const style = {
+    left: Math.max(8, Math.min(position.x, window.innerWidth - POPOVER_WIDTH - 8)),
+    top: Math.max(8, Math.min(position.y, window.innerHeight - POPOVER_HEIGHT - 8)),
+    width: POPOVER_WIDTH,
+  };
+
+  return (
+    <div ref={panelRef} className="quick-create glass-panel" role="dialog" aria-label="Quick add task" style={style}>
+      <form className="form-fields" onSubmit={handleSubmit}>
+        <input
+          ref={titleRef}
+          className="input-field"
+          type="text"
+          placeholder="Task title"
+          aria-label="Task title"
+          value={title}
+          onChange={(event) => setTitle(event.target.value)}
+        />
+        <div className="quick-create__row">
+          <input
+            className="input-field"
+            type="date"
+            aria-label="Due date"
+            value={date}
+            onChange={(event) => setDate(event.target.value)}
+          />
+          <input
+            className="input-field"
+            type="time"
+            aria-label="Due time"
+            value={time}
+            onChange={(event) => setTime(event.target.value)}
+          />
+        </div>
+        <select
+          className="input-field select-field"
+          aria-label="Priority"
+          value={priority}
+          onChange={(event) => setPriority(event.target.value)}
+        >
+          <option value="low">Low priority</option>
+          <option value="medium">Medium priority</option>
+          <option value="high">High priority</option>
+        </select>
+        {error && <p className="form-error" role="alert">{error}</p>}
+        <div className="composer-actions">
+          <button type="button" className="ghost-btn" onClick={onClose}>Cancel</button>
+          <button type="submit" className="primary-btn" disabled={isSaving || !title.trim()}>
+            {isSaving ? "Adding…" : "Add task"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function toDateInputValue(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toTimeInputValue(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { RECURRENCE_PRESETS, describeRRule, isValidRRule } from "../utils/recurrence";
+
+const CUSTOM_KEY = "custom";
+
+/**
+ * RecurrenceField - Repeat rule picker used by the add and edit task forms
+ *
+ * Offers the common presets and a "Custom" mode that accepts any RRULE the
+ * recurrence utilities understand. The value is always the raw RRULE string
+ * ("" when the task does not repeat); the task's due date acts as DTSTART.
+ */
+export default function RecurrenceField({ id, value = "", onChange, error = "" }) {
+  const [mode, setMode] = useState(() => getPresetKey(value));
+  const summary = value && isValidRRule(value) ? describeRRule(value) : "";
+
+  const handlePresetChange = (nextMode) => {
+    setMode(nextMode);
+    if (nextMode === CUSTOM_KEY) {
+      return;
+    }
+    const preset = RECURRENCE_PRESETS.find((entry) => entry.key === nextMode);
+    onChange(preset?.rule ?? "");
+  };
+
+  return (
+    <div className="form-field">
+      <label className="form-label" htmlFor={id}>Repeat</label>
+      <select
+        id={id}
+        className="input-field select-field"
+        value={mode}
+        onChange={(event) => handlePresetChange(event.target.value)}
+      >
+        {RECURRENCE_PRESETS.map((preset) => (
+          <option key={preset.key} value={preset.key}>
+            {preset.label}
+          </option>
+        ))}
+        <option value={CUSTOM_KEY}>Custom (RRULE)</option>
+      </select>
+      {mode === CUSTOM_KEY && (
+        <input
+          id={`${id}-rule`}
+          className="input-field recurrence-field__rule"
+          value={value}
+          onChange={(event) => onChange(event.target.value)}
+          placeholder="FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1"
+          aria-label="Custom repeat rule"
+          aria-invalid={Boolean(error)}
+          spellCheck={false}
+        />
+      )}
+      {summary && !error && <p className="recurrence-field__summary">{summary}</p>}
+      {error && <p className="form-error">{error}</p>}
+    </div>
+  );
+}
+
+function getPresetKey(value) {
+  const normalized = (value ?? "").trim().toUpperCase();
+  const preset = RECURRENCE_PRESETS.find((entry) => entry.rule === normalized);
+  return preset ? preset.key : CUSTOM_KEY;
+}
@@ -0,0 +1,49 @@
+import React, { useEffect, useRef } from "react";
+import { SHORTCUT_GROUPS, formatShortcutKey } from "../utils/shortcuts";
+
+/**
+ * ShortcutHelp - Overlay listing every keyboard binding from SHORTCUT_GROUPS
+ */
+export default function ShortcutHelp({ onClose }) {
+  const closeRef = useRef(null);
+
+  useEffect(() => {
+    closeRef.current?.focus();
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape" || event.key === "?") {
+        event.preventDefault();
+        onClose();
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="composer-overlay" role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title" onClick={onClose}>
+      <div className="tasks-card__form composer composer-depth composer-float shortcut-help" onClick={(event) => event.stopPropagation()}>
+        <button ref={closeRef} type="button" className="composer-close" aria-label="Close keyboard shortcuts" onClick={onClose}>
+          ×
+        </button>
+        <p className="eyebrow-label" id="shortcut-help-title">Keyboard shortcuts</p>
+        {SHORTCUT_GROUPS.map((group) => (
+          <section key={group.title} className="shortcut-help__group">
+            <h3>{group.title}</h3>
+            <dl>
+              {group.bindings.map((binding) => (
+                <div key={`${group.title}-${binding.description}`} className="shortcut-help__row">
+                  <dt>
+                    {binding.keys.map((key) => (
+                      <kbd key={key}>{formatShortcutKey(key)}</kbd>
+                    ))}
+                  </dt>
+                  <dd>{binding.description}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,20 @@
 import { useState } from "react";
-import { NavLink } from "react-router-dom";
+import { NavLink, useNavigate } from "react-router-dom";
+import { PROJECT_COLORS } from "../utils/projects";
 
-function Sidebar({ navLinks = [], isOpen, onClose, user, onLogout }) {
+function Sidebar({ navLinks = [], projects = [], onCreateProject, isOpen, onClose, user, onLogout }) {
 	const displayName = getDisplayName(user);
+	const navigate = useNavigate();
 	const [accountExpanded, setAccountExpanded] = useState(false);
 	const accountOpen = accountExpanded;
+	const [showArchived, setShowArchived] = useState(false);
+	const [projectFormOpen, setProjectFormOpen] = useState(false);
+	const [projectName, setProjectName] = useState("");
+	const [projectColor, setProjectColor] = useState(PROJECT_COLORS[0]);
+	const [projectError, setProjectError] = useState("");
+	const [isSavingProject, setIsSavingProject] = useState(false);
+	const archivedCount = projects.filter((project) => project.archived).length;
+	const visibleProjects = showArchived ? projects : projects.filter((project) => !project.archived);
 
 	const handleCloseSidebar = () => {
 		setAccountExpanded(false);
@@ -17,6 +27,30 @@ function Sidebar({ navLinks = [], isOpen, onClose, user, onLogout }) {
 		handleCloseSidebar();
 	};
 
+	const resetProjectForm = () => {
+		setProjectFormOpen(false);
+		setProjectName("");
+		setProjectColor(PROJECT_COLORS[0]);
+		setProjectError("");
+	};
+
+	const handleCreateProject = async (event) => {
+		event.preventDefault();
+		if (!projectName.trim() || typeof onCreateProject !== "function") {
+			return;
+		}
+		setIsSavingProject(true);
+		const { project, error } = await onCreateProject({ name: projectName, color: projectColor });
+		setIsSavingProject(false);
+		if (!project) {
+			setProjectError(error || "Failed to create project");
+			return;
+		}
+		resetProjectForm();
+		navigate(`/projects/${project.id}`);
+		handleCloseSidebar();
+	};
+
 	return (
 		<>
 			<div
@@ -69,6 +103,79 @@ function Sidebar({ navLinks = [], isOpen, onClose, user, onLogout }) {
 					))}
 				</nav>
 
+				<section className="sidebar-projects" aria-label="Projects">
+					<div className="sidebar-projects__header">
+						<p className="sidebar-projects__title">Projects</p>
+						<button
+							type="button"
+							className="sidebar-projects__add"
+							onClick={() => (projectFormOpen ? resetProjectForm() : setProjectFormOpen(true))}
+							aria-expanded={projectFormOpen}
+							aria-label={projectFormOpen ? "Cancel new project" : "New project"}
+						>
+							{projectFormOpen ? "×" : "+"}
+						</button>
+					</div>
+					{projectFormOpen && (
+						<form className="sidebar-projects__form" onSubmit={handleCreateProject}>
+							<input
+								className="input-field"
+								value={projectName}
+								onChange={(event) => setProjectName(event.target.value)}
+								placeholder="Project name"
+								aria-label="Project name"
+								autoFocus
+							/>
+							<div className="tag-picker__colors" role="radiogroup" aria-label="Project color">
+								{PROJECT_COLORS.map((color) => (
+									<button
+										key={color}
+										type="button"
+										role="radio"
+										aria-checked={color === projectColor}
+										aria-label={`Color ${color}`}
+										className={`tag-picker__swatch${color === projectColor ? " is-active" : ""}`}
+										style={{ backgroundColor: color }}
+										onClick={() => setProjectColor(color)}
+									/>
+								))}
+							</div>
+							{projectError && <p className="form-error">{projectError}</p>}
+							<button type="submit" className="primary-btn" disabled={isSavingProject || !projectName.trim()}>
+								Create project
+							</button>
+						</form>
+					)}
+					{visibleProjects.length === 0 && !projectFormOpen && (
+						<p className="sidebar-projects__empty">No projects yet.</p>
+					)}
+					<nav className="sidebar-projects__list">
+						{visibleProjects.map((project) => (
+							<NavLink
+								key={project.id}
+								to={`/projects/${project.id}`}
+								className={({ isActive }) =>
+									`sidebar-link sidebar-link--project${isActive ? " active" : ""}${project.archived ? " is-archived" : ""}`
+								}
+								onClick={handleLinkClick}
+							>
+								<span className="project-dot" style={{ backgroundColor: project.color }} aria-hidden="true" />
+								<span>{project.name}</span>
+							</NavLink>
+						))}
+					</nav>
+					{archivedCount > 0 && (
+						<button
+							type="button"
+							className="sidebar-projects__toggle"
+							onClick={() => setShowArchived((prev) => !prev)}
+							aria-pressed={showArchived}
+						>
+							{showArchived ? "Hide archived" : `Show archived (${archivedCount})`}
+						</button>
+					)}
+				</section>
+
 				<div className="sidebar__footer">
 					<button type="button" className="sidebar-logout" onClick={onLogout}>
 						<span className="sidebar-link__icon" aria-hidden="true">
@@ -122,6 +229,24 @@ function Icon({ name }) {
 					<path d="M22 20v-9" />
 				</svg>
 			);
+		case "archive":
+			return (
+				<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" strokeWidth="1.8">
+					<rect x="3" y="4" width="18" height="5" rx="1.5" />
+					<path d="M5 9v10a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V9" />
+					<path d="M10 13h4" />
+				</svg>
+			);
+		case "trash":
+			return (
+				<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" strokeWidth="1.8">
+					<path d="M4 7h16" />
+					<path d="M9 7V4h6v3" />
+					<path d="M6 7l1 13a1 1 0 0 0 1 1h8a1 1 0 0 0 1-1l1-13" />
+					<line x1="10" y1="11" x2="10" y2="17" />
+					<line x1="14" y1="11" x2="14" y2="17" />
+				</svg>
+			);
 		case "palette":
 			return (
 				<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" strokeWidth="1.8">
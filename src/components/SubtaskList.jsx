@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import {
+  addSubtask,
+  getSubtaskProgress,
+  moveSubtask,
+  removeSubtask,
+  toggleSubtask,
+} from "../utils/subtasks";
+
+/**
+ * SubtaskList - Editable checklist shown inside an expanded task
+ *
+ * Stateless with respect to the subtasks themselves: every add, reorder,
+ * check-off or removal is reported through onChange with the full next array
+ * so the owner can apply it optimistically and persist it.
+ */
+export default function SubtaskList({ taskId, subtasks = [], onChange, disabled = false }) {
+  const [draft, setDraft] = useState("");
+  const progress = getSubtaskProgress({ subtasks });
+  const inputId = `subtask-new-${taskId}`;
+
+  const commit = (next) => {
+    if (next !== subtasks && typeof onChange === "function") {
+      onChange(next);
+    }
+  };
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (!draft.trim()) return;
+    commit(addSubtask(subtasks, draft));
+    setDraft("");
+  };
+
+  return (
+    <div className="subtask-list" aria-label="Subtasks">
+      <div className="subtask-list__header">
+        <span className="subtask-list__label">Subtasks</span>
+        {progress.total > 0 && (
+          <span className="subtask-progress" aria-label={`${progress.completed} of ${progress.total} subtasks completed`}>
+            {progress.label}
+          </span>
+        )}
+      </div>
+      {subtasks.length > 0 && (
+        <ul className="subtask-list__items">
+          {subtasks.map((item, index) => (
+            <li key={item.id} className={`subtask-item${item.completed ? " is-complete" : ""}`}>
+              <button
+                type="button"
+                className={`task-checkbox-button subtask-item__toggle${item.completed ? " is-checked" : ""}`}
+                onClick={() => commit(toggleSubtask(subtasks, item.id))}
+                disabled={disabled}
+                aria-pressed={item.completed}
+                aria-label={item.completed ? `Mark "${item.title}" as active` : `Mark "${item.title}" as completed`}
+              >
+                <span className="task-checkbox-button__icon" aria-hidden="true" />
+              </button>
+              <span className="subtask-item__title">{item.title}</span>
+              <div className="subtask-item__actions">
+                <button
+                  type="button"
+                  className="subtask-item__action"
+                  onClick={() => commit(moveSubtask(subtasks, item.id, -1))}
+                  disabled={disabled || index === 0}
+                  aria-label={`Move "${item.title}" up`}
+                >
+                  ▲
+                </button>
+                <button
+                  type="button"
+                  className="subtask-item__action"
+                  onClick={() => commit(moveSubtask(subtasks, item.id, 1))}
+                  disabled={disabled || index === subtasks.length - 1}
+                  aria-label={`Move "${item.title}" down`}
+                >
+                  ▼
+                </button>
+                <button
+                  type="button"
+                  className="subtask-item__action subtask-item__action--danger"
+                  onClick={() => commit(removeSubtask(subtasks, item.id))}
+                  disabled={disabled}
+                  aria-label={`Remove "${item.title}"`}
+                >
+                  ×
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className="subtask-list__composer" onSubmit={handleAdd}>
+        <input
+          id={inputId}
+          aria-label="New subtask"
+          className="input-field"
+          value={draft}
+          onChange={(event) => setDraft(event.target.value)}
+          placeholder="Add a subtask"
+          disabled={disabled}
+        />
+        <button type="submit" className="ghost-btn" disabled={disabled || !draft.trim()}>
+          Add
+        </button>
+      </form>
+    </div>
+  );
+}
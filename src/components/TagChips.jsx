@@ -0,0 +1,37 @@
+import React from "react";
+import { getTagTextColor } from "../utils/tags";
+
+/**
+ * TagChips - Read-only colored chips for a task's tags
+ *
+ * Pass already-resolved tag objects (see resolveTaskTags). Renders nothing
+ * when the list is empty so callers don't need to guard.
+ */
+export default function TagChips({ tags = [], onRemove, className = "" }) {
+  if (!tags.length) {
+    return null;
+  }
+  return (
+    <span className={`tag-chips${className ? ` ${className}` : ""}`}>
+      {tags.map((tag) => (
+        <span
+          key={tag.id}
+          className="tag-chip"
+          style={{ backgroundColor: tag.color, color: getTagTextColor(tag.color) }}
+        >
+          #{tag.name}
+          {onRemove && (
+            <button
+              type="button"
+              className="tag-chip__remove"
+              onClick={() => onRemove(tag.id)}
+              aria-label={`Remove tag ${tag.name}`}
+            >
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+    </span>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import TagChips from "./TagChips";
+import { TAG_COLORS, findTagByName, normalizeTagName, pickTagColor } from "../utils/tags";
+
+/**
+ * TagPicker - Assigns existing tags to a task or creates new ones inline
+ *
+ * Lives inside the add/edit task forms, so Enter in the tag input adds the
+ * tag instead of submitting the surrounding form. New tags are created through
+ * onCreateTag(name, color), which resolves to the saved tag (or null).
+ */
+export default function TagPicker({ id, tags = [], value = [], onChange, onCreateTag, disabled = false }) {
+  const [draft, setDraft] = useState("");
+  const [draftColor, setDraftColor] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const selected = value.map((tagId) => tags.find((tag) => tag.id === tagId)).filter(Boolean);
+  const normalizedDraft = normalizeTagName(draft);
+  const existingMatch = normalizedDraft ? findTagByName(tags, normalizedDraft) : null;
+  const suggestions = tags.filter(
+    (tag) => !value.includes(tag.id) && (!normalizedDraft || tag.name.includes(normalizedDraft))
+  );
+  const newTagColor = draftColor ?? pickTagColor(normalizedDraft);
+
+  const selectTag = (tagId) => {
+    if (!value.includes(tagId)) {
+      onChange([...value, tagId]);
+    }
+  };
+
+  const removeTag = (tagId) => {
+    onChange(value.filter((entry) => entry !== tagId));
+  };
+
+  const commitDraft = async () => {
+    if (!normalizedDraft || isCreating) return;
+    if (existingMatch) {
+      selectTag(existingMatch.id);
+      setDraft("");
+      setDraftColor(null);
+      return;
+    }
+    if (typeof onCreateTag !== "function") return;
+    setIsCreating(true);
+    try {
+      const created = await onCreateTag(normalizedDraft, newTagColor);
+      if (created) {
+        selectTag(created.id);
+        setDraft("");
+        setDraftColor(null);
+      }
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="form-field tag-picker">
+      <label className="form-label" htmlFor={id}>Tags</label>
+      <TagChips tags={selected} onRemove={disabled ? undefined : removeTag} className="tag-picker__selected" />
+      <div className="tag-picker__entry">
+        <input
+          id={id}
+          className="input-field"
+          value={draft}
+          onChange={(event) => setDraft(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === "Enter" || event.key === ",") {
+              event.preventDefault();
+              commitDraft();
+            }
+          }}
+          placeholder="client-a, errand…"
+          disabled={disabled || isCreating}
+        />
+        <button
+          type="button"
+          className="ghost-btn"
+          onClick={commitDraft}
+          disabled={disabled || isCreating || !normalizedDraft}
+        >
+          {existingMatch ? "Add" : "Create"}
+        </button>
+      </div>
+      {normalizedDraft && !existingMatch && (
+        <div className="tag-picker__colors" role="radiogroup" aria-label="New tag color">
+          {TAG_COLORS.map((color) => (
+            <button
+              key={color}
+              type="button"
+              role="radio"
+              aria-checked={color === newTagColor}
+              aria-label={`Color ${color}`}
+              className={`tag-picker__swatch${color === newTagColor ? " is-active" : ""}`}
+              style={{ backgroundColor: color }}
+              onClick={() => setDraftColor(color)}
+            />
+          ))}
+        </div>
+      )}
+      {suggestions.length > 0 && (
+        <div className="tag-picker__suggestions" aria-label="Existing tags">
+          {suggestions.slice(0, 12).map((tag) => (
+            <button
+              key={tag.id}
+              type="button"
+              className="chip tag-picker__suggestion"
+              onClick={() => selectTag(tag.id)}
+              disabled={disabled}
+            >
+              <span className="tag-dot" style={{ backgroundColor: tag.color }} aria-hidden="true" />
+              {tag.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
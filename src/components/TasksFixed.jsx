@@ -1,5 +1,30 @@
-import React, { useState, useMemo, useEffect, useCallback, useRef } from "react";
-import { supabase } from "../supabase";
+import React, { useState, useMemo, useEffect, useCallback, useEffectEvent, useRef } from "react";
+import SubtaskList from "./SubtaskList";
+import RecurrenceField from "./RecurrenceField";
+import TagChips from "./TagChips";
+import TagPicker from "./TagPicker";
+import ExportMenu from "./ExportMenu";
+import ImportWizard from "./ImportWizard";
+import BatchActionBar from "./BatchActionBar";
+import QuickAddBar from "./QuickAddBar";
+import { getSubtaskChanges, getSubtaskProgress } from "../utils/subtasks";
+import { advanceRRule, describeRRule, getNextOccurrence, isValidRRule } from "../utils/recurrence";
+import { findTagByName, normalizeTagIds, normalizeTagName, pickTagColor, resolveTaskTags } from "../utils/tags";
+import { findProject } from "../utils/projects";
+import { validateDueDate } from "../utils/dueDates";
+import { buildNewTaskFields, validateNewTaskDue } from "../utils/newTask";
+import { ESTIMATE_OPTIONS, formatEstimate, normalizeEstimate } from "../utils/workload";
+import { createTag as saveTag } from "../data/tagRepository";
+import { isOnline, runTaskMutation } from "../offline/taskSync";
+import { getHistoryShortcut, isEditableTarget, isModalOpen, isShortcutBlocked, subscribeToTaskCommands } from "../utils/shortcuts";
+import {
+  UNDO_WINDOW_MS,
+  applyHistorySteps,
+  createHistoryEntry,
+  getHistorySteps,
+  planHistoryMutations,
+  pushHistoryEntry,
+} from "../utils/taskHistory";
 
 /**
  * CRITICAL SECURITY: Multi-User Task Isolation
@@ -8,12 +33,14 @@ import { supabase } from "../supabase";
  * can ONLY access and modify their own tasks. All operations are isolated by user_id.
  * 
  * Security Implementation:
- * 1. Every task query includes .eq("user_id", userId) filter
- * 2. Task creation always includes user_id: user.id
+ * 1. Every task query is scoped to user.id by the repository (src/data)
+ * 2. Task creation always binds the row to user.id
  * 3. Task updates and deletes verified against task owner
  * 4. Supabase RLS policies must enforce user_id matching on tasks table
  * 5. Real-time subscriptions filtered by user_id (in App.jsx)
  * 6. User preferences (priority visibility) isolated by user_id in localStorage
+ * 7. Task writes go through runTaskMutation (src/offline/taskSync.js), which
+ *    applies the same user_id scoping when replaying edits queued offline
  * 
  * DO NOT remove user_id checks - they are critical for data isolation
  */
@@ -34,6 +61,11 @@ export default function TasksFixed({
   user,
   tasks: tasksProp = [],
   onTasksChange,
+  tags = [],
+  onTagsChange,
+  projects = [],
+  projectId = null,
+  listTitle = "My Tasks",
   isFetchingTasks = false,
   fetchError = "",
   onRefreshTasks,
@@ -43,9 +75,19 @@ export default function TasksFixed({
 
   const [tasks, setTasksState] = useState(tasksProp ?? []);
   const [filter, setFilter] = useState("active");
+  const [tagFilter, setTagFilter] = useState("all");
   const [search, setSearch] = useState("");
   const [composerOpen, setComposerOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
   const [menuTaskId, setMenuTaskId] = useState(null);
+  // Keyboard cursor - the row J/K move through and X/E/Enter/Delete act on
+  const [cursorTaskId, setCursorTaskId] = useState(null);
+  // Multi-select - checkbox mode, the selected ids and the shift-click anchor
+  const [selectMode, setSelectMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionAnchorId, setSelectionAnchorId] = useState(null);
+  // Undo/redo stacks of history entries (see utils/taskHistory.js)
+  const [history, setHistory] = useState({ undo: [], redo: [] });
   const [expandedTaskId, setExpandedTaskId] = useState(null);
   const [editTaskId, setEditTaskId] = useState(null);
   const [editFields, setEditFields] = useState(emptyEditFields());
@@ -58,6 +100,12 @@ export default function TasksFixed({
   const [newTaskMinute, setNewTaskMinute] = useState("");
   const [newTaskPeriod, setNewTaskPeriod] = useState("AM");
   const [newTaskPriority, setNewTaskPriority] = useState("medium");
+  const [newTaskRecurrence, setNewTaskRecurrence] = useState("");
+  const [newTaskTagIds, setNewTaskTagIds] = useState([]);
+  const [newTaskProjectId, setNewTaskProjectId] = useState(projectId ?? "");
+  const [newTaskEstimate, setNewTaskEstimate] = useState("");
+  const [recurrenceError, setRecurrenceError] = useState("");
+  const [editRecurrenceError, setEditRecurrenceError] = useState("");
   const [showPriorityMeta, setShowPriorityMeta] = useState(() => {
     if (typeof window === "undefined") {
       return true;
@@ -77,10 +125,14 @@ export default function TasksFixed({
   const editDescriptionRef = useRef(null);
   const newTaskTitleRef = useRef(null);
   const newTaskDescriptionRef = useRef(null);
+  const quickAddInputRef = useRef(null);
+  const searchInputRef = useRef(null);
   const toastTimeoutRef = useRef(null);
   const statusToastTimersRef = useRef(new Map());
   const [statusToasts, setStatusToasts] = useState([]);
   const autoHighPriorityRef = useRef(new Set());
+  // Tasks whose automatic priority bump was undone - never bumped again
+  const autoPriorityOptOutRef = useRef(new Set());
   const autoMediumPriorityRef = useRef(new Set());
   const optimisticEditRef = useRef(null);
 
@@ -101,6 +153,15 @@ export default function TasksFixed({
     setTasksState(tasksProp ?? []);
   }, [tasksProp]);
 
+  const recordHistory = useCallback((entry) => {
+    if (!entry.changes.length) return;
+    setHistory((prev) => ({ undo: pushHistoryEntry(prev.undo, entry), redo: [] }));
+  }, []);
+
+  const discardHistory = useCallback((entryId) => {
+    setHistory((prev) => ({ ...prev, undo: prev.undo.filter((entry) => entry.id !== entryId) }));
+  }, []);
+
   useEffect(() => {
     autoHighPriorityRef.current.clear();
     autoMediumPriorityRef.current.clear();
@@ -113,6 +174,7 @@ export default function TasksFixed({
       (task) =>
         !task.completed &&
         task.priority !== "high" &&
+        !autoPriorityOptOutRef.current.has(task.id) &&
         shouldAutoElevatePriority(task.dueDate, now)
     );
     if (!dueSoonTasks.length) {
@@ -137,18 +199,20 @@ export default function TasksFixed({
 
     idsToPersist.forEach((id) => autoHighPriorityRef.current.add(id));
 
-    supabase
-      .from("tasks")
-      .update({ priority: "high" })
-      .in("id", idsToPersist)
-      .eq("user_id", userId)
+    runTaskMutation(userId, { kind: "update", ids: idsToPersist, changes: { priority: "high" } })
       .then(({ error }) => {
         if (error) {
           idsToPersist.forEach((id) => autoHighPriorityRef.current.delete(id));
           setMutationError((prev) => prev || error.message);
+          return;
         }
+        const raised = dueSoonTasks.filter((task) => idsToPersist.includes(task.id));
+        recordHistory(createHistoryEntry(
+          "Priority raised (due soon)",
+          raised.map((task) => ({ before: task, after: { ...task, priority: "high" } }))
+        ));
       });
-  }, [tasks, now, updateTasks, userId]);
+  }, [tasks, now, updateTasks, userId, recordHistory]);
 
   useEffect(() => {
     if (!tasks.length) {
@@ -156,7 +220,10 @@ export default function TasksFixed({
     }
 
     const mediumCandidates = tasks.filter(
-      (task) => task.priority === "low" && shouldAutoPromoteToMedium(task.dueDate, now)
+      (task) =>
+        task.priority === "low" &&
+        !autoPriorityOptOutRef.current.has(task.id) &&
+        shouldAutoPromoteToMedium(task.dueDate, now)
     );
 
     if (!mediumCandidates.length) {
@@ -182,18 +249,20 @@ export default function TasksFixed({
 
     idsToPersist.forEach((id) => autoMediumPriorityRef.current.add(id));
 
-    supabase
-      .from("tasks")
-      .update({ priority: "medium" })
-      .in("id", idsToPersist)
-      .eq("user_id", userId)
+    runTaskMutation(userId, { kind: "update", ids: idsToPersist, changes: { priority: "medium" } })
       .then(({ error }) => {
         if (error) {
           idsToPersist.forEach((id) => autoMediumPriorityRef.current.delete(id));
           setMutationError((prev) => prev || error.message);
+          return;
         }
+        const promoted = mediumCandidates.filter((task) => idsToPersist.includes(task.id));
+        recordHistory(createHistoryEntry(
+          "Priority raised (due soon)",
+          promoted.map((task) => ({ before: task, after: { ...task, priority: "medium" } }))
+        ));
       });
-  }, [tasks, now, updateTasks, userId]);
+  }, [tasks, now, updateTasks, userId, recordHistory]);
 
   useEffect(() => {
     if (typeof window === "undefined") {
@@ -212,6 +281,11 @@ export default function TasksFixed({
     setNewTaskMinute("");
     setNewTaskPeriod("AM");
     setNewTaskPriority("medium");
+    setNewTaskRecurrence("");
+    setRecurrenceError("");
+    setNewTaskTagIds([]);
+    setNewTaskProjectId(projectId ?? "");
+    setNewTaskEstimate("");
     if (newTaskTitleRef.current) {
       newTaskTitleRef.current.style.height = "";
     }
@@ -219,7 +293,7 @@ export default function TasksFixed({
       newTaskDescriptionRef.current.style.height = "";
     }
     setTimeError("");
-  }, []);
+  }, [projectId]);
 
   const dismissComposer = useCallback(() => {
     setComposerOpen(false);
@@ -232,12 +306,26 @@ export default function TasksFixed({
     setEditFields(emptyEditFields());
     setEditDateError("");
     setEditTimeError("");
+    setEditRecurrenceError("");
   }, []);
 
   const closeTaskMenu = useCallback(() => {
     setMenuTaskId(null);
   }, []);
 
+  const closeImportWizard = useCallback(() => {
+    setImportOpen(false);
+  }, []);
+
+  // Realtime may deliver the same inserts first, so merge by id
+  const handleTasksImported = useCallback(
+    (importedTasks) => {
+      const importedIds = new Set(importedTasks.map((task) => task.id));
+      updateTasks((prev) => [...prev.filter((task) => !importedIds.has(task.id)), ...importedTasks]);
+    },
+    [updateTasks]
+  );
+
   const revertOptimisticEdit = useCallback(() => {
     if (!optimisticEditRef.current) {
       return;
@@ -285,7 +373,7 @@ export default function TasksFixed({
     if (typeof document === "undefined") {
       return undefined;
     }
-    if (!composerOpen && !editTaskId && !menuTaskId) {
+    if (!composerOpen && !editTaskId && !menuTaskId && !importOpen) {
       return undefined;
     }
     const originalOverflow = document.body.style.overflow;
@@ -293,7 +381,7 @@ export default function TasksFixed({
     return () => {
       document.body.style.overflow = originalOverflow;
     };
-  }, [composerOpen, editTaskId, menuTaskId]);
+  }, [composerOpen, editTaskId, menuTaskId, importOpen]);
 
   const minDate = useMemo(() => {
     const today = new Date();
@@ -303,6 +391,9 @@ export default function TasksFixed({
     return adjusted.toISOString().split("T")[0];
   }, []);
 
+  // A tag filter pointing at a tag that no longer exists falls back to "all"
+  const activeTagFilter = tagFilter !== "all" && tags.some((tag) => tag.id === tagFilter) ? tagFilter : "all";
+
   const { filteredTasks, completedCount, activeCount } = useMemo(() => {
     const completed = tasks.filter((t) => t.completed).length;
     const active = tasks.length - completed;
@@ -310,12 +401,13 @@ export default function TasksFixed({
     const filtered = tasks.filter((task) => {
       if (filter === "active" && task.completed) return false;
       if (filter === "completed" && !task.completed) return false;
+      if (activeTagFilter !== "all" && !(task.tagIds ?? []).includes(activeTagFilter)) return false;
       if (search && !task.title.toLowerCase().includes(search.toLowerCase())) return false;
       return true;
     });
 
     return { filteredTasks: filtered, completedCount: completed, activeCount: active };
-  }, [tasks, filter, search]);
+  }, [tasks, filter, search, activeTagFilter]);
 
   const visibleTasks = filteredTasks;
   const disableMutations = isMutating || isFetchingTasks;
@@ -373,16 +465,25 @@ export default function TasksFixed({
     }, 1800);
   }, []);
 
-  const triggerTaskStatusToast = useCallback((variant = "done") => {
+  /**
+   * triggerTaskStatusToast - Adds a toast to the floating stack
+   *
+   * @param {string} variant - "done", "active", "deleted" or "archived"
+   * @param {Object} [options] - { message, entryId } - a toast with a history
+   *   entry offers Undo while that entry is the latest and stays for the
+   *   whole undo window
+   */
+  const triggerTaskStatusToast = useCallback((variant = "done", { message = "", entryId = null } = {}) => {
     const toastId = typeof crypto !== "undefined" && typeof crypto.randomUUID === "function"
       ? crypto.randomUUID()
       : `${Date.now()}-${Math.random()}`;
-    setStatusToasts((prev) => [...prev, { id: toastId, variant }]);
+    setStatusToasts((prev) => [...prev, { id: toastId, variant, message, entryId }]);
+    const duration = entryId ? UNDO_WINDOW_MS : 4500;
     const schedule = (handler) => {
       if (typeof window !== "undefined" && typeof window.setTimeout === "function") {
-        return window.setTimeout(handler, 4500);
+        return window.setTimeout(handler, duration);
       }
-      return setTimeout(handler, 4500);
+      return setTimeout(handler, duration);
     };
     const timeoutId = schedule(() => {
       setStatusToasts((prev) => prev.filter((toast) => toast.id !== toastId));
@@ -535,9 +636,69 @@ export default function TasksFixed({
           ))}
         </select>
       </div>
+      <EstimateSelect
+        id="edit-estimate"
+        value={editFields.estimateMinutes}
+        onChange={(value) => handleEditFieldChange("estimateMinutes", value)}
+      />
+      <RecurrenceField
+        id="edit-recurrence"
+        value={editFields.recurrence}
+        onChange={(value) => handleEditFieldChange("recurrence", value)}
+        error={editRecurrenceError}
+      />
+      {projects.length > 0 && (
+        <ProjectSelect
+          id="edit-project"
+          projects={projects}
+          value={editFields.projectId}
+          onChange={(value) => handleEditFieldChange("projectId", value)}
+        />
+      )}
+      <TagPicker
+        id="edit-tags"
+        tags={tags}
+        value={editFields.tagIds}
+        onChange={(value) => handleEditFieldChange("tagIds", value)}
+        onCreateTag={createTag}
+        disabled={disableMutations}
+      />
     </div>
   );
 
+  /**
+   * createTag - Creates a user-scoped tag, or returns the existing one with that name
+   *
+   * @param {string} name - Tag name (normalized to lowercase-kebab)
+   * @param {string} color - Hex color for the chip
+   * @returns {Promise<Object|null>} Saved tag or null on failure
+   */
+  const createTag = useCallback(async (name, color) => {
+    const normalizedName = normalizeTagName(name);
+    if (!normalizedName) return null;
+    const existing = findTagByName(tags, normalizedName);
+    if (existing) return existing;
+    if (!user) {
+      setMutationError("You must be signed in to create tags.");
+      return null;
+    }
+    try {
+      // SECURITY: The repository binds the tag to the current user
+      const { data: created, error } = await saveTag(user.id, { name: normalizedName, color });
+      if (error || !created) {
+        setMutationError(error?.message ?? "Failed to create tag");
+        return null;
+      }
+      if (onTagsChange) {
+        onTagsChange((prev) => (prev.some((tag) => tag.id === created.id) ? prev : [...prev, created]));
+      }
+      return created;
+    } catch (error) {
+      setMutationError(error.message ?? "Failed to create tag");
+      return null;
+    }
+  }, [tags, user, onTagsChange]);
+
   const toggleTask = async (id) => {
     if (isMutating) return;
     const targetTask = tasks.find((task) => task.id === id);
@@ -546,37 +707,48 @@ export default function TasksFixed({
       return;
     }
     const nextCompleted = !targetTask.completed;
-    if (nextCompleted) {
-      triggerTaskStatusToast("done");
-    } else {
-      triggerTaskStatusToast("active");
+    if (nextCompleted && targetTask.recurrence && targetTask.dueDate) {
+      const nextOccurrence = getNextOccurrence(targetTask.recurrence, targetTask.dueDate);
+      if (nextOccurrence) {
+        await completeRecurringOccurrence(targetTask, nextOccurrence);
+        return;
+      }
     }
     const optimisticSnapshot = { ...targetTask };
+    const completionChanges = { completed: nextCompleted, completedAt: nextCompleted ? new Date().toISOString() : null };
+    const historyEntry = createHistoryEntry(nextCompleted ? "Marked done" : "Task reopened", [
+      { before: optimisticSnapshot, after: { ...optimisticSnapshot, ...completionChanges } },
+    ]);
+    recordHistory(historyEntry);
+    triggerTaskStatusToast(nextCompleted ? "done" : "active", { entryId: historyEntry.id });
     updateTasks((prev) =>
-      prev.map((task) => (task.id === targetTask.id ? { ...task, completed: nextCompleted } : task))
+      prev.map((task) => (task.id === targetTask.id ? { ...task, ...completionChanges } : task))
     );
     setIsMutating(true);
     setMutationError("");
     try {
       // SECURITY: Verify task ownership before updating
       // Both id AND user_id must match to prevent unauthorized modifications
-      const { data, error } = await supabase
-        .from("tasks")
-        .update({ completed: nextCompleted })
-        .eq("id", id)
-        .eq("user_id", user.id)  // CRITICAL: Ensure task belongs to current user
-        .select("*")
-        .single();
+      const { data, error, queued, updatedAt } = await runTaskMutation(user.id, {
+        kind: "update",
+        ids: [id],
+        changes: completionChanges,
+        baseUpdatedAt: targetTask.updatedAt,
+      });
       if (error) {
         setMutationError(error.message);
+        discardHistory(historyEntry.id);
         updateTasks((prev) =>
           prev.map((task) => (task.id === optimisticSnapshot.id ? optimisticSnapshot : task))
         );
-      } else if (data) {
-        updateTasks((prev) => prev.map((task) => (task.id === data.id ? mapTaskRow(data) : task)));
+      } else if (queued) {
+        updateTasks((prev) => prev.map((task) => (task.id === id ? { ...task, updatedAt } : task)));
+      } else if (data?.[0]) {
+        updateTasks((prev) => prev.map((task) => (task.id === data[0].id ? data[0] : task)));
       }
     } catch (error) {
       setMutationError(error.message ?? "Failed to update task");
+      discardHistory(historyEntry.id);
       updateTasks((prev) =>
         prev.map((task) => (task.id === optimisticSnapshot.id ? optimisticSnapshot : task))
       );
@@ -585,6 +757,174 @@ export default function TasksFixed({
     }
   };
 
+  /**
+   * completeRecurringOccurrence - Completes the current occurrence of a repeating task
+   *
+   * The recurring row itself is advanced to its next occurrence (so only one
+   * live instance ever exists in Supabase) and a completed, non-repeating copy
+   * is inserted to keep the finished occurrence in history and stats.
+   *
+   * The series keeps its createdAt; occurrenceStartedAt marks when its next
+   * occurrence began and startedAt is cleared. The copy carries the finished
+   * occurrence's occurrenceStartedAt/startedAt, so lead and cycle times are
+   * measured per occurrence rather than from when the series was created.
+   */
+  const completeRecurringOccurrence = async (targetTask, nextOccurrence) => {
+    const optimisticSnapshot = { ...targetTask };
+    const completedAt = new Date().toISOString();
+    const nextDueDate = nextOccurrence.toISOString();
+    const nextRecurrence = advanceRRule(targetTask.recurrence) || null;
+    const resetSubtasks = (targetTask.subtasks ?? []).map((item) => ({ ...item, completed: false }));
+    const seriesChanges = {
+      dueDate: nextDueDate,
+      recurrence: nextRecurrence,
+      subtasks: resetSubtasks,
+      occurrenceStartedAt: completedAt,
+      startedAt: null,
+    };
+    // Recorded once both writes succeed; undo rewinds the series and removes the copy
+    const historyEntry = createHistoryEntry("Marked done", [
+      { before: optimisticSnapshot, after: { ...optimisticSnapshot, ...seriesChanges } },
+    ]);
+    triggerTaskStatusToast("done", { entryId: historyEntry.id });
+    updateTasks((prev) =>
+      prev.map((task) => (task.id === targetTask.id ? { ...task, ...seriesChanges } : task))
+    );
+    setIsMutating(true);
+    setMutationError("");
+    try {
+      const { data, error, queued, updatedAt } = await runTaskMutation(user.id, {
+        kind: "update",
+        ids: [targetTask.id],
+        changes: seriesChanges,
+        baseUpdatedAt: targetTask.updatedAt,
+      });
+      if (error) {
+        setMutationError(error.message);
+        updateTasks((prev) =>
+          prev.map((task) => (task.id === optimisticSnapshot.id ? optimisticSnapshot : task))
+        );
+        return;
+      }
+      if (queued) {
+        updateTasks((prev) => prev.map((task) => (task.id === targetTask.id ? { ...task, updatedAt } : task)));
+      } else if (data?.[0]) {
+        updateTasks((prev) => prev.map((task) => (task.id === data[0].id ? data[0] : task)));
+      }
+      const history = await runTaskMutation(user.id, {
+        kind: "insert",
+        fields: {
+          title: targetTask.title,
+          description: targetTask.description ?? "",
+          dueDate: targetTask.dueDate,
+          completed: true,
+          createdAt: targetTask.createdAt ?? undefined,
+          occurrenceStartedAt: targetTask.occurrenceStartedAt ?? null,
+          startedAt: targetTask.startedAt ?? null,
+          completedAt,
+          priority: targetTask.priority ?? "medium",
+          subtasks: targetTask.subtasks ?? [],
+          recurrence: null,
+          tagIds: targetTask.tagIds ?? [],
+          projectId: targetTask.projectId ?? null,
+        },
+      });
+      if (history.error) {
+        setMutationError(history.error.message);
+      } else if (history.data) {
+        updateTasks((prev) =>
+          prev.some((task) => task.id === history.data.id) ? prev : [...prev, history.data]
+        );
+        historyEntry.changes.push({ before: null, after: history.data });
+      }
+      recordHistory(historyEntry);
+      triggerTaskSavedToast(`Next due ${formatDueInputEcho(nextDueDate).dateLabel}`);
+    } catch (error) {
+      setMutationError(error.message ?? "Failed to update task");
+      updateTasks((prev) =>
+        prev.map((task) => (task.id === optimisticSnapshot.id ? optimisticSnapshot : task))
+      );
+    } finally {
+      setIsMutating(false);
+    }
+  };
+
+  const updateSubtasks = async (taskId, nextSubtasks) => {
+    const targetTask = tasks.find((task) => task.id === taskId);
+    if (!targetTask || !user) {
+      setMutationError(user ? "Task not found." : "You must be signed in to update tasks.");
+      return;
+    }
+    const { changes, previousFields } = getSubtaskChanges(targetTask, nextSubtasks);
+    updateTasks((prev) =>
+      prev.map((task) => (task.id === taskId ? { ...task, ...changes } : task))
+    );
+    setMutationError("");
+    try {
+      // SECURITY: Same ownership check as every other task update
+      const { error, updatedAt } = await runTaskMutation(user.id, {
+        kind: "update",
+        ids: [taskId],
+        changes,
+        baseUpdatedAt: targetTask.updatedAt,
+      });
+      if (error) {
+        setMutationError(error.message);
+        updateTasks((prev) =>
+          prev.map((task) => (task.id === taskId ? { ...task, ...previousFields } : task))
+        );
+      } else {
+        updateTasks((prev) => prev.map((task) => (task.id === taskId ? { ...task, updatedAt } : task)));
+        recordHistory(createHistoryEntry("Checklist updated", [
+          { before: targetTask, after: { ...targetTask, ...changes } },
+        ]));
+      }
+    } catch (error) {
+      setMutationError(error.message ?? "Failed to update subtasks");
+      updateTasks((prev) =>
+        prev.map((task) => (task.id === taskId ? { ...task, ...previousFields } : task))
+      );
+    }
+  };
+
+  /**
+   * markTaskStarted - Records when work on a task began, for cycle time
+   *
+   * Checking off a first subtask does the same implicitly; this is the way
+   * to start the clock on tasks without a checklist.
+   */
+  const markTaskStarted = async (targetTask) => {
+    closeTaskMenu();
+    if (!user || targetTask.completed || targetTask.startedAt) return;
+    const changes = { startedAt: new Date().toISOString() };
+    const applyStartedAt = (startedAt) => {
+      updateTasks((prev) => prev.map((task) => (task.id === targetTask.id ? { ...task, startedAt } : task)));
+    };
+    applyStartedAt(changes.startedAt);
+    setMutationError("");
+    try {
+      // SECURITY: Same ownership check as every other task update
+      const { error, updatedAt } = await runTaskMutation(user.id, {
+        kind: "update",
+        ids: [targetTask.id],
+        changes,
+        baseUpdatedAt: targetTask.updatedAt,
+      });
+      if (error) {
+        setMutationError(error.message);
+        applyStartedAt(null);
+      } else {
+        updateTasks((prev) => prev.map((task) => (task.id === targetTask.id ? { ...task, updatedAt } : task)));
+        recordHistory(createHistoryEntry("Marked started", [
+          { before: targetTask, after: { ...targetTask, ...changes } },
+        ]));
+      }
+    } catch (error) {
+      setMutationError(error.message ?? "Failed to start task");
+      applyStartedAt(null);
+    }
+  };
+
   const toggleTaskDetails = (taskId) => {
     setExpandedTaskId((prev) => (prev === taskId ? null : taskId));
   };
@@ -602,48 +942,456 @@ export default function TasksFixed({
     if (isInteractiveTarget(event.target)) {
       return;
     }
+    setCursorTaskId(taskId);
+    if (selectMode || event.shiftKey) {
+      toggleSelection(taskId, event.shiftKey);
+      return;
+    }
     toggleTaskDetails(taskId);
   };
 
-  const handleDeleteTask = async (taskId) => {
+  const cursorTask = visibleTasks.find((task) => task.id === cursorTaskId) ?? null;
+  // Only rows visible under the current filters are acted on
+  const selectedTasks = visibleTasks.filter((task) => selectedIds.includes(task.id));
+
+  /**
+   * toggleSelection - Selects or deselects a row; with shift, the whole range
+   * from the last clicked row takes that row's new state
+   */
+  const toggleSelection = (taskId, extendRange = false) => {
+    setSelectMode(true);
+    const willSelect = !selectedIds.includes(taskId);
+    const anchorIndex = visibleTasks.findIndex((task) => task.id === selectionAnchorId);
+    const targetIndex = visibleTasks.findIndex((task) => task.id === taskId);
+    let rangeIds = [taskId];
+    if (extendRange && anchorIndex !== -1 && targetIndex !== -1) {
+      const [from, to] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+      rangeIds = visibleTasks.slice(from, to + 1).map((task) => task.id);
+    }
+    setSelectedIds((prev) => (willSelect
+      ? [...new Set([...prev, ...rangeIds])]
+      : prev.filter((id) => !rangeIds.includes(id))));
+    setSelectionAnchorId(taskId);
+  };
+
+  const selectAllVisible = (checked) => {
+    setSelectedIds(checked ? visibleTasks.map((task) => task.id) : []);
+  };
+
+  const exitSelectMode = () => {
+    setSelectMode(false);
+    setSelectedIds([]);
+    setSelectionAnchorId(null);
+  };
+
+  /**
+   * runBulkUpdate - Applies changes to several tasks with optimistic UI
+   *
+   * Tasks receiving identical changes share one update (a single
+   * `.in("id", ids)` statement); only date shifts can produce more than one
+   * group. Groups are separate statements, so the batch is not atomic: when
+   * a group fails, the groups that already saved are written back. That
+   * write-back can fail too (e.g. a conflict with another device), in which
+   * case those tasks keep the change and the error says how many.
+   *
+   * @param {Array} targets - Tasks to change
+   * @param {Function} getChanges - Task => changes, or null to leave it alone
+   * @param {string} label - History label; the whole batch is undone together
+   * @returns {Promise<boolean>} True when every group saved
+   */
+  const runBulkUpdate = async (targets, getChanges, label) => {
+    const groups = groupTasksByChanges(targets, getChanges);
+    if (!groups.length || !user) return false;
+
+    const snapshots = new Map(groups.flatMap(({ tasks: groupTasks }) => groupTasks.map((task) => [task.id, task])));
+    const changesById = new Map();
+    groups.forEach(({ changes, tasks: groupTasks }) => groupTasks.forEach((task) => changesById.set(task.id, changes)));
+    updateTasks((prev) => prev.map((task) => (changesById.has(task.id) ? { ...task, ...changesById.get(task.id) } : task)));
+    setIsMutating(true);
+    setMutationError("");
+    try {
+      const savedGroups = [];
+      let failure = null;
+      for (const group of groups) {
+        const result = await saveBulkGroup(group.tasks, group.changes, getLatestUpdatedAt(group.tasks));
+        if (result.error) {
+          failure = result.error;
+          break;
+        }
+        savedGroups.push({ ...group, result });
+      }
+
+      if (failure) {
+        const { current, keptCount } = await revertBulkGroups(savedGroups);
+        updateTasks((prev) => prev.map((task) => current.get(task.id) ?? snapshots.get(task.id) ?? task));
+        setMutationError(
+          keptCount
+            ? `${failure.message} ${keptCount} ${keptCount === 1 ? "task" : "tasks"} kept the change and could not be put back.`
+            : failure.message
+        );
+        return false;
+      }
+
+      const saved = new Map(savedGroups.flatMap(({ result }) => (result.data ?? []).map((task) => [task.id, task])));
+      const savedAt = new Map(
+        savedGroups.flatMap(({ tasks: groupTasks, result }) => groupTasks.map((task) => [task.id, result.updatedAt]))
+      );
+      updateTasks((prev) => prev.map((task) => {
+        if (saved.has(task.id)) return saved.get(task.id);
+        return savedAt.has(task.id) ? { ...task, updatedAt: savedAt.get(task.id) } : task;
+      }));
+      recordHistory(createHistoryEntry(
+        label,
+        groups.flatMap(({ changes, tasks: groupTasks }) => groupTasks.map((task) => ({ before: task, after: { ...task, ...changes } })))
+      ));
+      return true;
+    } finally {
+      setIsMutating(false);
+    }
+  };
+
+  const saveBulkGroup = async (groupTasks, changes, baseUpdatedAt) => {
+    try {
+      // SECURITY: The repository scopes the bulk update to the current user's rows
+      return await runTaskMutation(user.id, {
+        kind: "update",
+        ids: groupTasks.map((task) => task.id),
+        changes,
+        baseUpdatedAt,
+      });
+    } catch (error) {
+      return { error: { message: error.message ?? "Failed to update tasks" } };
+    }
+  };
+
+  /**
+   * revertBulkGroups - Writes back the previous values of groups that saved
+   *
+   * Tasks are regrouped by their previous values, so undoing a date shift
+   * is again one update per distinct date.
+   *
+   * @param {Array} savedGroups - [{ changes, tasks, result }] from runBulkUpdate
+   * @returns {Promise<Object>} { current: Map of id -> task as saved now, keptCount }
+   */
+  const revertBulkGroups = async (savedGroups) => {
+    const current = new Map();
+    let keptCount = 0;
+    for (const { changes, tasks: groupTasks, result } of savedGroups) {
+      const reverts = groupTasksByChanges(groupTasks, (task) =>
+        Object.fromEntries(Object.keys(changes).map((key) => [key, task[key] ?? null]))
+      );
+      for (const revert of reverts) {
+        const undone = await saveBulkGroup(revert.tasks, revert.changes, result.updatedAt);
+        revert.tasks.forEach((task) => {
+          current.set(
+            task.id,
+            undone.error ? { ...task, ...changes, updatedAt: result.updatedAt } : { ...task, updatedAt: undone.updatedAt }
+          );
+        });
+        if (undone.error) keptCount += revert.tasks.length;
+      }
+    }
+    return { current, keptCount };
+  };
+
+  /**
+   * handleBulkComplete - Completes or reopens the selection
+   *
+   * Repeating tasks are completed one by one afterwards, because each
+   * advances to its own next occurrence.
+   */
+  const handleBulkComplete = async (completed) => {
     if (isMutating) return;
-    if (!user) {
-      setMutationError("You must be signed in to delete tasks.");
+    const repeating = completed
+      ? selectedTasks.filter((task) => !task.completed && task.recurrence && task.dueDate && getNextOccurrence(task.recurrence, task.dueDate))
+      : [];
+    const plain = selectedTasks.filter((task) => task.completed !== completed && !repeating.includes(task));
+    if (plain.length) {
+      const completedAt = completed ? new Date().toISOString() : null;
+      await runBulkUpdate(plain, () => ({ completed, completedAt }), completed ? "Marked done" : "Tasks reopened");
+      triggerTaskStatusToast(completed ? "done" : "active");
+    }
+    for (const task of repeating) {
+      await completeRecurringOccurrence(task, getNextOccurrence(task.recurrence, task.dueDate));
+    }
+  };
+
+  const handleBulkPriority = async (priority) => {
+    if (isMutating) return;
+    await runBulkUpdate(selectedTasks, (task) => (task.priority === priority ? null : { priority }), "Priority changed");
+  };
+
+  const handleBulkMove = async (targetProjectId) => {
+    if (isMutating) return;
+    const moved = await runBulkUpdate(
+      selectedTasks,
+      (task) => ((task.projectId ?? null) === targetProjectId ? null : { projectId: targetProjectId }),
+      "Tasks moved"
+    );
+    if (moved && projectId && targetProjectId !== projectId) {
+      // The moved tasks leave this project's list
+      setSelectedIds([]);
+    }
+  };
+
+  // Each distinct new due date is its own update (see runBulkUpdate), so a
+  // failed shift can leave some tasks moved; the toolbar says as much
+  const handleBulkShift = async (days) => {
+    if (isMutating || !days) return;
+    const dated = selectedTasks.filter((task) => task.dueDate);
+    const shifted = new Map(dated.map((task) => {
+      const next = new Date(task.dueDate);
+      next.setDate(next.getDate() + days);
+      return [task.id, next];
+    }));
+    const pastCount = dated.filter((task) => !task.completed && shifted.get(task.id).getTime() <= Date.now()).length;
+    if (pastCount) {
+      setMutationError(`Shifting by ${days} ${Math.abs(days) === 1 ? "day" : "days"} would move ${pastCount} open ${pastCount === 1 ? "task" : "tasks"} into the past.`);
       return;
     }
-    
-    // SECURITY: Verify task ownership before deletion
-    // This ensures a user cannot delete another user's task
+    await runBulkUpdate(dated, (task) => ({ dueDate: shifted.get(task.id).toISOString() }), "Due dates shifted");
+  };
+
+  /**
+   * setTasksAside - Moves tasks out of the list as one undoable change
+   *
+   * Used for the Trash (deletedAt) and the archive (archivedAt). The rows
+   * keep their ids and only get the timestamp, so Undo - or Restore on the
+   * Trash page, Unarchive on History - brings them back unchanged.
+   *
+   * @param {Array} targets - Tasks to move
+   * @param {"deletedAt"|"archivedAt"} field - Timestamp to set
+   * @param {Object} labels - { one, many(count), variant, failure }
+   */
+  const setTasksAside = async (targets, field, labels) => {
+    const timestamp = new Date().toISOString();
+    const removedIds = new Set(targets.map((task) => task.id));
+    updateTasks((prev) => prev.filter((task) => !removedIds.has(task.id)));
+    setSelectedIds((prev) => prev.filter((id) => !removedIds.has(id)));
+    if (removedIds.has(menuTaskId)) setMenuTaskId(null);
+    if (removedIds.has(expandedTaskId)) setExpandedTaskId(null);
+    if (removedIds.has(editTaskId)) {
+      setEditTaskId(null);
+      setEditFields(emptyEditFields());
+    }
+    const entry = createHistoryEntry(
+      targets.length === 1 ? labels.one : labels.many(targets.length),
+      targets.map((task) => ({ before: task, after: { ...task, [field]: timestamp } }))
+    );
+    recordHistory(entry);
+    triggerTaskStatusToast(labels.variant, { message: entry.label, entryId: entry.id });
+
     setIsMutating(true);
     setMutationError("");
     try {
-      const { error } = await supabase
-        .from("tasks")
-        .delete()
-        .eq("id", taskId)
-        .eq("user_id", user.id);  // CRITICAL: Ensure task belongs to current user
+      // SECURITY: The repository scopes the update to the current user's rows
+      const { error } = await runTaskMutation(user.id, {
+        kind: "update",
+        ids: [...removedIds],
+        changes: { [field]: timestamp },
+        baseUpdatedAt: getLatestUpdatedAt(targets),
+      });
       if (error) {
-        setMutationError(error.message);
-      } else {
-        updateTasks((prev) => prev.filter((task) => task.id !== taskId));
-        if (menuTaskId === taskId) {
-          setMenuTaskId(null);
-        }
-        if (expandedTaskId === taskId) {
-          setExpandedTaskId(null);
-        }
-        if (editTaskId === taskId) {
-          setEditTaskId(null);
-          setEditFields(emptyEditFields());
+        throw new Error(error.message);
+      }
+    } catch (error) {
+      setMutationError(error.message ?? labels.failure);
+      discardHistory(entry.id);
+      updateTasks((prev) => [...prev, ...targets.filter((task) => !prev.some((item) => item.id === task.id))]);
+    } finally {
+      setIsMutating(false);
+    }
+  };
+
+  const trashTasks = (targets) => setTasksAside(targets, "deletedAt", {
+    one: "Moved to Trash",
+    many: (count) => `${count} tasks moved to Trash`,
+    variant: "deleted",
+    failure: "Failed to delete task",
+  });
+
+  // Only completed tasks are archived; open ones stay in the list
+  const archiveTasks = (targets) => setTasksAside(targets.filter((task) => task.completed), "archivedAt", {
+    one: "Task archived",
+    many: (count) => `${count} tasks archived`,
+    variant: "archived",
+    failure: "Failed to archive task",
+  });
+
+  const handleBulkArchive = () => {
+    if (isMutating || !user) return;
+    const completed = selectedTasks.filter((task) => task.completed);
+    if (!completed.length) {
+      setMutationError("Only completed tasks can be archived.");
+      return;
+    }
+    archiveTasks(completed);
+  };
+
+  const handleBulkDelete = () => {
+    if (isMutating || !user || !selectedTasks.length) return;
+    trashTasks(selectedTasks);
+  };
+
+  /**
+   * stepHistory - Undoes or redoes the latest entry
+   *
+   * The steps are applied optimistically, written back through
+   * runTaskMutation and reverted together if any write fails.
+   *
+   * @param {"undo"|"redo"} direction
+   */
+  const stepHistory = async (direction) => {
+    const source = direction === "undo" ? history.undo : history.redo;
+    const entry = source[source.length - 1];
+    if (!entry || isMutating) return;
+    if (!user) {
+      setMutationError("You must be signed in to change tasks.");
+      return;
+    }
+    const steps = getHistorySteps(entry, direction);
+    const previousTasks = tasks;
+    const previousHistory = history;
+
+    steps.forEach((step) => {
+      if (step.to && step.from?.priority !== step.to.priority) {
+        // Don't let the automatic bump immediately redo an undone priority change
+        autoPriorityOptOutRef.current.add(step.to.id);
+      }
+    });
+    updateTasks((prev) => applyHistorySteps(prev, steps));
+    setHistory((prev) => (direction === "undo"
+      ? { undo: prev.undo.slice(0, -1), redo: [...prev.redo, entry] }
+      : { undo: [...prev.undo, entry], redo: prev.redo.slice(0, -1) }));
+
+    setIsMutating(true);
+    setMutationError("");
+    try {
+      for (const mutation of planHistoryMutations(steps, tasks)) {
+        // SECURITY: The repository scopes every history write to the current user's rows
+        const { error } = await runTaskMutation(user.id, mutation);
+        if (error) {
+          throw new Error(error.message);
         }
       }
+      triggerTaskSavedToast(`${direction === "undo" ? "Undid" : "Redid"}: ${entry.label}`);
     } catch (error) {
-      setMutationError(error.message ?? "Failed to delete task");
+      setMutationError(error.message ?? `Failed to ${direction}`);
+      updateTasks(() => previousTasks);
+      setHistory(previousHistory);
     } finally {
       setIsMutating(false);
     }
   };
 
+  const moveCursor = (step) => {
+    if (!visibleTasks.length) return;
+    const index = visibleTasks.findIndex((task) => task.id === cursorTaskId);
+    const nextIndex = index === -1
+      ? (step > 0 ? 0 : visibleTasks.length - 1)
+      : Math.min(Math.max(index + step, 0), visibleTasks.length - 1);
+    setCursorTaskId(visibleTasks[nextIndex].id);
+  };
+
+  // Single-key shortcuts from SHORTCUT_GROUPS; ignored while typing or in a dialog
+  const handleShortcutKey = useEffectEvent((event) => {
+    const historyStep = getHistoryShortcut(event);
+    if (historyStep) {
+      // Fields keep their own native undo
+      if (event.defaultPrevented || isEditableTarget(event.target) || isModalOpen()) return;
+      event.preventDefault();
+      stepHistory(historyStep);
+      return;
+    }
+    if (isShortcutBlocked(event)) return;
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const actions = {
+      j: () => moveCursor(1),
+      k: () => moveCursor(-1),
+      n: () => setComposerOpen(true),
+      q: () => quickAddInputRef.current?.focus(),
+      "/": () => searchInputRef.current?.focus(),
+    };
+    if (selectMode) {
+      actions.Escape = exitSelectMode;
+    }
+    if (cursorTask) {
+      actions.s = () => toggleSelection(cursorTask.id, event.shiftKey);
+      actions.x = () => !disableMutations && toggleTask(cursorTask.id);
+      actions.e = () => startEditTask(cursorTask);
+      actions.Delete = () => !disableMutations && handleDeleteTask(cursorTask.id);
+      actions.Escape = selectMode ? exitSelectMode : () => setCursorTaskId(null);
+      if (!isInteractiveTarget(event.target)) {
+        actions.Enter = () => toggleTaskDetails(cursorTask.id);
+      }
+    }
+    // With a selection, X and Delete act on all selected rows
+    if (selectedTasks.length) {
+      actions.x = () => handleBulkComplete(!selectedTasks.every((task) => task.completed));
+      actions.Delete = handleBulkDelete;
+    }
+    if (!actions[key]) return;
+    event.preventDefault();
+    actions[key]();
+  });
+
+  // Commands sent from the command palette (see sendTaskCommand)
+  const handleTaskCommand = useEffectEvent((command) => {
+    if (command.type === "new-task") {
+      setComposerOpen(true);
+    } else if (command.type === "quick-add") {
+      quickAddInputRef.current?.focus();
+    } else if (command.type === "complete-selected") {
+      if (selectedTasks.length) {
+        handleBulkComplete(true);
+      } else if (!cursorTask) {
+        setMutationError("Select a task with J/K first, then complete it.");
+      } else if (!cursorTask.completed) {
+        toggleTask(cursorTask.id);
+      }
+    } else if (command.type === "undo" || command.type === "redo") {
+      stepHistory(command.type);
+    } else if (command.type === "open-task") {
+      const target = tasks.find((task) => task.id === command.taskId);
+      if (!target) return;
+      // Clear filters that would hide the task
+      if ((filter === "active" && target.completed) || (filter === "completed" && !target.completed)) {
+        setFilter("all");
+      }
+      setSearch("");
+      setTagFilter("all");
+      setCursorTaskId(target.id);
+      setExpandedTaskId(target.id);
+    }
+  });
+
+  useEffect(() => {
+    document.addEventListener("keydown", handleShortcutKey);
+    const unsubscribe = subscribeToTaskCommands(handleTaskCommand);
+    return () => {
+      document.removeEventListener("keydown", handleShortcutKey);
+      unsubscribe();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (cursorTaskId) {
+      document.getElementById(`task-item-${cursorTaskId}`)?.scrollIntoView({ block: "nearest" });
+    }
+  }, [cursorTaskId]);
+
+  const handleDeleteTask = (taskId) => {
+    if (isMutating) return;
+    if (!user) {
+      setMutationError("You must be signed in to delete tasks.");
+      return;
+    }
+    const target = tasks.find((task) => task.id === taskId);
+    if (target) {
+      trashTasks([target]);
+    }
+  };
+
   const startEditTask = (task) => {
     const parts = getDueDateParts(task.dueDate);
     setEditTaskId(task.id);
@@ -656,9 +1404,14 @@ export default function TasksFixed({
       period: parts.period,
       status: task.completed ? "completed" : "active",
       priority: task.priority || "medium",
+      recurrence: task.recurrence ?? "",
+      tagIds: task.tagIds ?? [],
+      projectId: task.projectId ?? "",
+      estimateMinutes: task.estimateMinutes ? String(task.estimateMinutes) : "",
     });
     setEditDateError("");
     setEditTimeError("");
+    setEditRecurrenceError("");
   };
 
   const saveEditTask = async (e) => {
@@ -683,6 +1436,20 @@ export default function TasksFixed({
       : null;
     const normalizedDescription = editFields.description.trim();
     const selectedPriority = editFields.priority || "medium";
+    const selectedRecurrence = editFields.recurrence.trim() || null;
+    const selectedTagIds = normalizeTagIds(editFields.tagIds);
+    const selectedProjectId = editFields.projectId || null;
+    const selectedEstimate = normalizeEstimate(editFields.estimateMinutes);
+
+    if (selectedRecurrence && !isValidRRule(selectedRecurrence)) {
+      setEditRecurrenceError("Enter a supported repeat rule");
+      return;
+    }
+    if (selectedRecurrence && !dueDateIso) {
+      setEditRecurrenceError("Repeating tasks need a due date");
+      return;
+    }
+    setEditRecurrenceError("");
 
     if (dueDateIso) {
       const dueDateObj = new Date(dueDateIso);
@@ -730,13 +1497,22 @@ export default function TasksFixed({
     if (completed && didExtendDueDate(currentTask.dueDate, dueDateIso)) {
       completed = false;
     }
+    // Only a change of status moves completedAt; re-saving a done task keeps it
+    let completedAt = currentTask.completedAt ?? null;
+    if (completed !== currentTask.completed) {
+      completedAt = completed ? new Date().toISOString() : null;
+    }
 
     const hasChanges =
       normalizedCurrentTitle !== title ||
       normalizedCurrentDescription !== normalizedDescription ||
       normalizedCurrentDueDate !== dueDateIso ||
       currentTask.completed !== completed ||
-      currentTask.priority !== selectedPriority;
+      currentTask.priority !== selectedPriority ||
+      (currentTask.recurrence ?? null) !== selectedRecurrence ||
+      !haveSameMembers(currentTask.tagIds ?? [], selectedTagIds) ||
+      (currentTask.projectId ?? null) !== selectedProjectId ||
+      (currentTask.estimateMinutes ?? null) !== selectedEstimate;
 
     if (!hasChanges) {
       closeEditOverlay();
@@ -749,7 +1525,6 @@ export default function TasksFixed({
     }
 
     const optimisticSnapshot = { ...currentTask };
-    const updatedAt = new Date().toISOString();
     updateTasks((prev) =>
       prev.map((task) =>
         task.id === currentTask.id
@@ -759,8 +1534,12 @@ export default function TasksFixed({
               description: normalizedDescription,
               dueDate: dueDateIso,
               completed,
+              completedAt,
               priority: selectedPriority,
-              updated_at: updatedAt,
+              recurrence: selectedRecurrence,
+              tagIds: selectedTagIds,
+              projectId: selectedProjectId,
+              estimateMinutes: selectedEstimate,
             }
           : task
       )
@@ -770,28 +1549,57 @@ export default function TasksFixed({
     setIsMutating(true);
     setMutationError("");
     try {
-      const { data, error } = await supabase
-        .from("tasks")
-        .update({
+      const { data, error, queued, updatedAt } = await runTaskMutation(user.id, {
+        kind: "update",
+        ids: [editTaskId],
+        changes: {
           title,
           description: normalizedDescription,
-          due_date: dueDateIso,
+          dueDate: dueDateIso,
           completed,
+          completedAt,
           priority: selectedPriority,
-            updated_at: updatedAt,
-        })
-        .eq("id", editTaskId)
-        .eq("user_id", user.id)
-        .select("*")
-        .single();
+          recurrence: selectedRecurrence,
+          tagIds: selectedTagIds,
+          projectId: selectedProjectId,
+          estimateMinutes: selectedEstimate,
+        },
+        baseUpdatedAt: currentTask.updatedAt,
+      });
       if (error) {
         revertOptimisticEdit();
         setMutationError(error.message);
-      } else if (data) {
+      } else if (queued || data?.[0]) {
         optimisticEditRef.current = null;
-        updateTasks((prev) => prev.map((task) => (task.id === data.id ? mapTaskRow(data) : task)));
+        updateTasks((prev) =>
+          prev.map((task) => {
+            if (task.id !== currentTask.id) return task;
+            return queued ? { ...task, updatedAt } : data[0];
+          })
+        );
+        recordHistory(createHistoryEntry("Task edited", [
+          {
+            before: optimisticSnapshot,
+            after: {
+              ...optimisticSnapshot,
+              title,
+              description: normalizedDescription,
+              dueDate: dueDateIso,
+              completed,
+              completedAt,
+              priority: selectedPriority,
+              recurrence: selectedRecurrence,
+              tagIds: selectedTagIds,
+              projectId: selectedProjectId,
+              estimateMinutes: selectedEstimate,
+            },
+          },
+        ]));
         closeEditOverlay();
-        triggerTaskSavedToast("Task saved");
+        triggerTaskSavedToast(queued ? "Saved offline" : "Task saved");
+      } else {
+        revertOptimisticEdit();
+        setMutationError("Task not found. Please refresh and try again.");
       }
     } catch (error) {
       revertOptimisticEdit();
@@ -840,67 +1648,51 @@ export default function TasksFixed({
     if (!title) return;
     if (!validateDateField(newTaskDate)) return;
     if (!validateTimeFields(newTaskHour, newTaskMinute)) return;
+    const recurrence = newTaskRecurrence.trim() || null;
+    if (recurrence && !isValidRRule(recurrence)) {
+      setRecurrenceError("Enter a supported repeat rule");
+      return;
+    }
+    setRecurrenceError("");
     if (!user) {
       setMutationError("You must be signed in to add tasks.");
       return;
     }
 
     const dueDateIso = buildDueDateIso(newTaskDate, newTaskHour, newTaskMinute, newTaskPeriod);
-    if (dueDateIso) {
-      const dueDateObj = new Date(dueDateIso);
-      if (!Number.isNaN(dueDateObj.getTime())) {
-        const startOfToday = new Date();
-        startOfToday.setHours(0, 0, 0, 0);
-        const startOfDue = new Date(dueDateObj);
-        startOfDue.setHours(0, 0, 0, 0);
-        const startOfTodayTs = startOfToday.getTime();
-        const startOfDueTs = startOfDue.getTime();
-        const dueTs = dueDateObj.getTime();
-        const nowTs = Date.now();
-        if (startOfDueTs < startOfTodayTs) {
-          setDateError("Due date cannot be in the past");
-          setTimeError("");
-          return;
-        }
-        if (startOfDueTs === startOfTodayTs && dueTs <= nowTs) {
-          setDateError("");
-          setTimeError("Due time cannot be in the past");
-          return;
-        }
-        if (dueTs <= nowTs) {
-          setDateError("");
-          setTimeError("Due time cannot be in the past");
-          return;
-        }
-      }
+    const dueError = validateNewTaskDue(dueDateIso);
+    if (dueError) {
+      setDateError(dueError.field === "date" ? dueError.message : "");
+      setTimeError(dueError.field === "time" ? dueError.message : "");
+      return;
     }
     setDateError("");
     setTimeError("");
     setIsMutating(true);
     setMutationError("");
     try {
-      // SECURITY: Always set user_id to currently authenticated user
+      // SECURITY: Always bind the task to the currently authenticated user
       // This ensures tasks can ONLY be created for the logged-in user
-      const { data, error } = await supabase
-        .from("tasks")
-        .insert([
-          {
-            user_id: user.id,  // CRITICAL: Bind task to current user
-            title,
-            description: newTaskDescription.trim(),
-            due_date: dueDateIso,
-            completed: false,
-            priority: newTaskPriority,
-          },
-        ])
-        .select("*")
-        .single();
+      const { data, error, queued } = await runTaskMutation(user.id, {
+        kind: "insert",
+        fields: buildNewTaskFields({
+          title,
+          description: newTaskDescription,
+          dueDate: dueDateIso,
+          priority: newTaskPriority,
+          recurrence,
+          tagIds: newTaskTagIds,
+          projectId: newTaskProjectId,
+          estimateMinutes: newTaskEstimate,
+        }),
+      });
       if (error) {
         setMutationError(error.message);
         } else if (data) {
-          updateTasks((prev) => [...prev, mapTaskRow(data)]);
+          updateTasks((prev) => [...prev, data]);
+          recordHistory(createHistoryEntry("Task added", [{ before: null, after: data }]));
           dismissComposer();
-          triggerTaskSavedToast();
+          triggerTaskSavedToast(queued ? "Saved offline" : undefined);
         }
     } catch (error) {
       setMutationError(error.message ?? "Failed to add task");
@@ -909,13 +1701,67 @@ export default function TasksFixed({
     }
   };
 
+  /**
+   * handleQuickAdd - Saves a task typed into the quick-add bar
+   *
+   * Unknown #tags are created first (that needs a connection); the insert
+   * itself goes through runTaskMutation and is queued while offline.
+   *
+   * @param {Object} draft - parseQuickAdd result plus resolved preview tags
+   * @returns {Promise<Object>} { error } - error is null on success
+   */
+  const handleQuickAdd = async (draft) => {
+    if (!user) {
+      return { error: { message: "You must be signed in to add tasks." } };
+    }
+    const newTags = draft.tags.filter((tag) => tag.isNew);
+    if (newTags.length && !isOnline()) {
+      return { error: { message: `New tags can't be created offline: ${newTags.map((tag) => `#${tag.name}`).join(", ")}` } };
+    }
+    setIsMutating(true);
+    setMutationError("");
+    try {
+      const tagIds = [];
+      for (const tag of draft.tags) {
+        const saved = tag.isNew ? await createTag(tag.name, pickTagColor(tag.name)) : tag;
+        if (!saved) {
+          return { error: { message: `Failed to create tag #${tag.name}` } };
+        }
+        tagIds.push(saved.id);
+      }
+      // SECURITY: Always bind the task to the currently authenticated user
+      const { data, error, queued } = await runTaskMutation(user.id, {
+        kind: "insert",
+        fields: buildNewTaskFields({
+          title: draft.title,
+          dueDate: draft.dueDate,
+          priority: draft.priority,
+          recurrence: draft.recurrence,
+          tagIds,
+          projectId,
+        }),
+      });
+      if (!error && data) {
+        updateTasks((prev) => [...prev, data]);
+        recordHistory(createHistoryEntry("Task added", [{ before: null, after: data }]));
+        triggerTaskSavedToast(queued ? "Saved offline" : undefined);
+      }
+      return { error };
+    } catch (error) {
+      return { error: { message: error.message ?? "Failed to add task" } };
+    } finally {
+      setIsMutating(false);
+    }
+  };
+
   const isSaveDisabled =
     !newTaskTitle.trim() ||
     !newTaskDate ||
     !newTaskHour.trim() ||
     !newTaskMinute.trim() ||
     Boolean(dateError) ||
-    Boolean(timeError);
+    Boolean(timeError) ||
+    Boolean(recurrenceError);
 
   const handleNewTaskTitleChange = (value) => {
     setNewTaskTitle(value);
@@ -950,6 +1796,9 @@ export default function TasksFixed({
     if (field === "hour" || field === "minute" || field === "period") {
       setEditTimeError("");
     }
+    if (field === "recurrence") {
+      setEditRecurrenceError("");
+    }
 
     if (field === "title" && editTitleRef.current) {
       autoResizeTextarea(editTitleRef.current);
@@ -1115,6 +1964,36 @@ export default function TasksFixed({
                   ))}
                 </select>
               </div>
+
+              <EstimateSelect id="task-estimate" value={newTaskEstimate} onChange={setNewTaskEstimate} />
+
+              <RecurrenceField
+                id="task-recurrence"
+                value={newTaskRecurrence}
+                onChange={(value) => {
+                  setNewTaskRecurrence(value);
+                  setRecurrenceError("");
+                }}
+                error={recurrenceError}
+              />
+
+              {projects.length > 0 && (
+                <ProjectSelect
+                  id="task-project"
+                  projects={projects}
+                  value={newTaskProjectId}
+                  onChange={setNewTaskProjectId}
+                />
+              )}
+
+              <TagPicker
+                id="task-tags"
+                tags={tags}
+                value={newTaskTagIds}
+                onChange={setNewTaskTagIds}
+                onCreateTag={createTag}
+                disabled={disableMutations}
+              />
             </div>
 
             <div className="composer-actions">
@@ -1139,6 +2018,18 @@ export default function TasksFixed({
         </div>
       )}
 
+      {importOpen && (
+        <ImportWizard
+          user={user}
+          existingTasks={tasks}
+          tags={tags}
+          projects={projects}
+          projectId={projectId}
+          onImported={handleTasksImported}
+          onClose={closeImportWizard}
+        />
+      )}
+
       {editTaskId && (
         <div
           className="composer-overlay"
@@ -1219,6 +2110,28 @@ export default function TasksFixed({
               >
                 Edit task
               </button>
+              {!activeMenuTask.completed && !activeMenuTask.startedAt && (
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="task-menu-action"
+                  onClick={() => markTaskStarted(activeMenuTask)}
+                  disabled={disableMutations}
+                >
+                  Mark started
+                </button>
+              )}
+              {activeMenuTask.completed && (
+                <button
+                  type="button"
+                  role="menuitem"
+                  className="task-menu-action"
+                  onClick={() => archiveTasks([activeMenuTask])}
+                  disabled={disableMutations}
+                >
+                  Archive task
+                </button>
+              )}
               <button
                 type="button"
                 role="menuitem"
@@ -1244,9 +2157,15 @@ export default function TasksFixed({
         <header className="tasks-card__header">
           <div>
             <p className="eyebrow-label">Priority queue</p>
-            <h2>My Tasks</h2>
+            <h2>{listTitle}</h2>
             <p className="muted">{completedCount} completed · {tasks.length} total</p>
           </div>
+          <div className="tasks-card__header-actions">
+            <button type="button" className="ghost-btn" onClick={() => setImportOpen(true)} disabled={!user}>
+              Import
+            </button>
+            <ExportMenu allTasks={tasks} visibleTasks={visibleTasks} tags={tags} projects={projects} />
+          </div>
         </header>
 
         <section className="tasks-card__metrics">
@@ -1278,6 +2197,14 @@ export default function TasksFixed({
           </div>
         )}
 
+        <QuickAddBar
+          tags={tags}
+          now={now}
+          disabled={!user || isFetchingTasks}
+          onSubmit={handleQuickAdd}
+          inputRef={quickAddInputRef}
+        />
+
         {!composerOpen && (
           <button
             type="button"
@@ -1291,6 +2218,7 @@ export default function TasksFixed({
         <div className="tasks-card__toolbar">
           <div className="search-field">
             <input
+              ref={searchInputRef}
               className="input-field"
               value={search}
               onChange={(event) => setSearch(event.target.value)}
@@ -1301,6 +2229,21 @@ export default function TasksFixed({
             <FilterButton label="All" active={filter === "all"} onClick={() => setFilter("all")} />
             <FilterButton label="Active" active={filter === "active"} onClick={() => setFilter("active")} />
             <FilterButton label="Completed" active={filter === "completed"} onClick={() => setFilter("completed")} />
+            {tags.length > 0 && (
+              <select
+                className="input-field select-field tag-filter"
+                value={activeTagFilter}
+                onChange={(event) => setTagFilter(event.target.value)}
+                aria-label="Filter by tag"
+              >
+                <option value="all">All tags</option>
+                {tags.map((tag) => (
+                  <option key={tag.id} value={tag.id}>
+                    #{tag.name}
+                  </option>
+                ))}
+              </select>
+            )}
             <button
               type="button"
               className={`chip${showPriorityMeta ? " is-active" : ""}`}
@@ -1309,9 +2252,37 @@ export default function TasksFixed({
             >
               {showPriorityMeta ? "Hide priority" : "Show priority"}
             </button>
+            <button
+              type="button"
+              className={`chip${selectMode ? " is-active" : ""}`}
+              onClick={() => (selectMode ? exitSelectMode() : setSelectMode(true))}
+              aria-pressed={selectMode}
+              disabled={!user}
+            >
+              Select
+            </button>
           </div>
         </div>
 
+        {selectMode && (
+          <BatchActionBar
+            selectedCount={selectedTasks.length}
+            visibleCount={visibleTasks.length}
+            projects={projects.filter((project) => !project.archived)}
+            disabled={disableMutations}
+            onSelectAll={selectAllVisible}
+            onComplete={() => handleBulkComplete(true)}
+            onReopen={() => handleBulkComplete(false)}
+            onDelete={handleBulkDelete}
+            onArchive={handleBulkArchive}
+            archivableCount={selectedTasks.filter((task) => task.completed).length}
+            onSetPriority={handleBulkPriority}
+            onShiftDays={handleBulkShift}
+            onMoveToProject={handleBulkMove}
+            onExit={exitSelectMode}
+          />
+        )}
+
       <ul className="tasks-list">
         {visibleTasks.length === 0 && (
           <li className="tasks-list__empty">No tasks match your filters.</li>
@@ -1323,11 +2294,16 @@ export default function TasksFixed({
           const checkboxId = `task-${task.id}-toggle`;
           const countdownLabel = task.completed ? "Completed" : formatCountdown(task.dueDate, now);
           const isExpanded = expandedTaskId === task.id;
+          const isSelected = selectMode && selectedIds.includes(task.id);
           const detailDescription = task.description?.trim() ? task.description : "No description provided.";
           const detailPriorityLabel = task.priority
             ? `${task.priority.charAt(0).toUpperCase()}${task.priority.slice(1)} priority`
             : "Priority not set";
           const detailTimeLabel = dueEcho.timeLabel || "—";
+          const subtaskProgress = getSubtaskProgress(task);
+          const recurrenceLabel = task.recurrence ? describeRRule(task.recurrence) : "";
+          const taskTags = resolveTaskTags(task, tags);
+          const taskProject = projectId ? null : findProject(projects, task.projectId);
           let detailDateLabel = "No due date";
           if (task.dueDate) {
             const detailDate = new Date(task.dueDate);
@@ -1341,7 +2317,12 @@ export default function TasksFixed({
             }
           }
           return (
-            <li key={task.id} className={`tasks-list__item${isExpanded ? " is-expanded" : ""}`}>
+            <li
+              key={task.id}
+              id={`task-item-${task.id}`}
+              className={`tasks-list__item${isExpanded ? " is-expanded" : ""}${cursorTaskId === task.id ? " is-cursor" : ""}${isSelected ? " is-selected" : ""}`}
+              aria-current={cursorTaskId === task.id || undefined}
+            >
               <button
                 type="button"
                 className="task-menu-trigger"
@@ -1356,6 +2337,20 @@ export default function TasksFixed({
               </button>
               <div className="task-row" onClick={(event) => handleTaskRowClick(task.id, event)}>
                 <div className="task-row__primary">
+                  {selectMode && (
+                    <input
+                      type="checkbox"
+                      className="task-select"
+                      checked={isSelected}
+                      readOnly
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        setCursorTaskId(task.id);
+                        toggleSelection(task.id, event.shiftKey);
+                      }}
+                      aria-label={`Select ${task.title || "untitled task"}`}
+                    />
+                  )}
                   <div className="task-toggle" role="group" aria-label="Task completion">
                     <button
                       type="button"
@@ -1395,6 +2390,31 @@ export default function TasksFixed({
                       >
                         {countdownLabel}
                       </span>
+                      {taskProject && (
+                        <span className="project-chip">
+                          <span className="project-dot" style={{ backgroundColor: taskProject.color }} aria-hidden="true" />
+                          {taskProject.name}
+                        </span>
+                      )}
+                      <TagChips tags={taskTags} />
+                      {recurrenceLabel && (
+                        <span className="task-repeat" title={recurrenceLabel} aria-label={`Repeats: ${recurrenceLabel}`}>
+                          ↻ {recurrenceLabel}
+                        </span>
+                      )}
+                      {task.estimateMinutes && (
+                        <span className="task-estimate" aria-label={`Estimate: ${formatEstimate(task.estimateMinutes)}`}>
+                          ~{formatEstimate(task.estimateMinutes)}
+                        </span>
+                      )}
+                      {subtaskProgress.total > 0 && (
+                        <span
+                          className="subtask-progress"
+                          aria-label={`${subtaskProgress.completed} of ${subtaskProgress.total} subtasks completed`}
+                        >
+                          {subtaskProgress.label}
+                        </span>
+                      )}
                       {showPriorityMeta && (
                         <span className={`priority-chip priority-${task.priority || "medium"}`}>
                           {task.priority ?? "medium"}
@@ -1422,7 +2442,37 @@ export default function TasksFixed({
                       <span className="task-detail-panel__meta-label">Priority:</span>
                       <span>{detailPriorityLabel}</span>
                     </div>
+                    {task.startedAt && !task.completed && (
+                      <div className="task-detail-panel__meta-item">
+                        <span className="task-detail-panel__meta-label">Started:</span>
+                        <span>{new Date(task.startedAt).toLocaleDateString(undefined, { month: "short", day: "numeric" })}</span>
+                      </div>
+                    )}
+                    {task.estimateMinutes && (
+                      <div className="task-detail-panel__meta-item">
+                        <span className="task-detail-panel__meta-label">Estimate:</span>
+                        <span>{formatEstimate(task.estimateMinutes)}</span>
+                      </div>
+                    )}
+                    {taskTags.length > 0 && (
+                      <div className="task-detail-panel__meta-item">
+                        <span className="task-detail-panel__meta-label">Tags:</span>
+                        <TagChips tags={taskTags} />
+                      </div>
+                    )}
+                    {recurrenceLabel && (
+                      <div className="task-detail-panel__meta-item">
+                        <span className="task-detail-panel__meta-label">Repeats:</span>
+                        <span>{recurrenceLabel}</span>
+                      </div>
+                    )}
                   </div>
+                  <SubtaskList
+                    taskId={task.id}
+                    subtasks={task.subtasks ?? []}
+                    onChange={(next) => updateSubtasks(task.id, next)}
+                    disabled={isFetchingTasks}
+                  />
                 </div>
               )}
             </li>
@@ -1436,6 +2486,20 @@ export default function TasksFixed({
               Edit
             </button>
           </li>
+          {!activeMenuTask.completed && !activeMenuTask.startedAt && (
+            <li>
+              <button type="button" role="menuitem" onClick={() => markTaskStarted(activeMenuTask)}>
+                Mark started
+              </button>
+            </li>
+          )}
+          {activeMenuTask.completed && (
+            <li>
+              <button type="button" role="menuitem" onClick={() => archiveTasks([activeMenuTask])}>
+                Archive
+              </button>
+            </li>
+          )}
           <li>
             <button type="button" role="menuitem" onClick={() => handleDeleteTask(activeMenuTask.id)}>
               Delete
@@ -1447,17 +2511,29 @@ export default function TasksFixed({
       {statusToasts.length > 0 && (
         <div className="task-floating-toast-stack" aria-live="assertive">
           {statusToasts.map((toast) => {
-            const variant = toast.variant === "active" ? "active" : "done";
+            const variant = toast.variant === "done" || toast.variant === "archived" ? "done" : "active";
+            const label = toast.message || (toast.variant === "active" ? "Task now Active" : "Marked done");
+            const canUndo = Boolean(toast.entryId) && history.undo[history.undo.length - 1]?.id === toast.entryId;
             return (
               <div
                 key={toast.id}
-                className={`task-floating-toast task-floating-toast--${variant}`}
+                className={`task-floating-toast task-floating-toast--${variant}${toast.entryId ? " task-floating-toast--undoable" : ""}`}
                 role="status"
               >
                 <div className={`task-floating-toast__icon task-floating-toast__icon--${variant}`}>
-                  {variant === "active" ? "↺" : "✓"}
+                  {toast.variant === "deleted" ? "✕" : toast.variant === "archived" ? "⇩" : variant === "active" ? "↺" : "✓"}
                 </div>
-                <span>{variant === "active" ? "Task now Active" : "Marked done"}</span>
+                <span>{label}</span>
+                {canUndo && (
+                  <button
+                    type="button"
+                    className="task-floating-toast__undo"
+                    onClick={() => stepHistory("undo")}
+                    disabled={isMutating}
+                  >
+                    Undo
+                  </button>
+                )}
               </div>
             );
           })}
@@ -1477,9 +2553,78 @@ function emptyEditFields() {
     period: "AM",
     status: "active",
     priority: "medium",
+    recurrence: "",
+    tagIds: [],
+    projectId: "",
+    estimateMinutes: "",
   };
 }
 
+// Groups tasks whose changes are identical; tasks getting null are skipped
+function groupTasksByChanges(tasks, getChanges) {
+  const groups = new Map();
+  tasks.forEach((task) => {
+    const changes = getChanges(task);
+    if (!changes) return;
+    const key = JSON.stringify(changes);
+    if (!groups.has(key)) groups.set(key, { changes, tasks: [] });
+    groups.get(key).tasks.push(task);
+  });
+  return [...groups.values()];
+}
+
+function haveSameMembers(a = [], b = []) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  const lookup = new Set(a);
+  return b.every((value) => lookup.has(value));
+}
+
+function ProjectSelect({ id, projects, value, onChange }) {
+  const activeProjects = projects.filter((project) => !project.archived || project.id === value);
+  return (
+    <div className="form-field">
+      <label className="form-label" htmlFor={id}>Project</label>
+      <select
+        id={id}
+        className="input-field select-field"
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+      >
+        <option value="">Inbox (no project)</option>
+        {activeProjects.map((project) => (
+          <option key={project.id} value={project.id}>
+            {project.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// Stored as minutes; the empty option clears the estimate
+function EstimateSelect({ id, value, onChange }) {
+  return (
+    <div className="form-field">
+      <label className="form-label" htmlFor={id}>Estimate</label>
+      <select
+        id={id}
+        className="input-field select-field"
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+      >
+        <option value="">No estimate</option>
+        {ESTIMATE_OPTIONS.map((minutes) => (
+          <option key={minutes} value={String(minutes)}>
+            {formatEstimate(minutes)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
 function FilterButton({ label, active, onClick }) {
   return (
     <button type="button" className={`chip${active ? " is-active" : ""}`} onClick={onClick}>
@@ -1493,6 +2638,11 @@ const COUNTDOWN_OVERDUE_GRACE_MS = 10000; // buffer to avoid flickering overdue
 const DAY_IN_MS = 86400000;
 const TWO_DAYS_IN_MS = DAY_IN_MS * 2;
 
+// Bulk writes pass the newest updatedAt so offline replay skips rows edited since
+function getLatestUpdatedAt(taskList) {
+  return taskList.reduce((latest, task) => (task.updatedAt && (!latest || task.updatedAt > latest) ? task.updatedAt : latest), null);
+}
+
 function isInteractiveTarget(target) {
   let node = target instanceof Element ? target : target?.parentElement ?? null;
   if (!node) {
@@ -1541,36 +2691,6 @@ function didExtendDueDate(previousDueDate, nextDueDate) {
 
 const priorityOptions = ["high", "medium", "low"];
 
-function mapTaskRow(row) {
-  return {
-    id: row.id,
-    title: row.title,
-    description: row.description ?? "",
-    dueDate: normalizeDueDateValue(row.due_date),
-    completed: row.completed ?? false,
-    priority: row.priority ?? "medium",
-  };
-}
-
-function normalizeDueDateValue(value) {
-  if (!value) {
-    return null;
-  }
-  if (value instanceof Date) {
-    return Number.isNaN(value.getTime()) ? null : value.toISOString();
-  }
-  if (typeof value === "string") {
-    const trimmed = value.trim();
-    if (!trimmed) {
-      return null;
-    }
-    const normalizedString = trimmed.includes("T") ? trimmed : trimmed.replace(" ", "T");
-    const date = new Date(normalizedString);
-    return Number.isNaN(date.getTime()) ? null : date.toISOString();
-  }
-  return null;
-}
-
 function getDueDateParts(value) {
   if (!value) {
     return { date: "", hour: "", minute: "", period: "AM" };
@@ -1676,41 +2796,3 @@ function formatDueInputEcho(isoString) {
     timeLabel: `${hour12}:${minutes} ${period}`,
   };
 }
-
-function validateDueDate(dateString) {
-  if (!dateString) return { valid: false, message: "Please select a due date" };
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
-    return { valid: false, message: "Enter a valid date (YYYY-MM-DD)" };
-  }
-  const [yearStr, monthStr, dayStr] = dateString.split("-");
-  const year = Number(yearStr);
-  const month = Number(monthStr);
-  const day = Number(dayStr);
-  if (!Number.isFinite(year) || year < 1900 || year > 2100) {
-    return { valid: false, message: "Year must be between 1900 and 2100" };
-  }
-  if (!Number.isFinite(month) || month < 1 || month > 12) {
-    return { valid: false, message: "Enter a valid month" };
-  }
-  if (!Number.isFinite(day) || day < 1 || day > 31) {
-    return { valid: false, message: "Enter a valid day" };
-  }
-  const candidate = new Date(`${dateString}T00:00:00`);
-  if (Number.isNaN(candidate.getTime())) {
-    return { valid: false, message: "Enter a real calendar date" };
-  }
-  if (
-    candidate.getFullYear() !== year ||
-    candidate.getMonth() + 1 !== month ||
-    candidate.getDate() !== day
-  ) {
-    return { valid: false, message: "Enter a real calendar date" };
-  }
-  candidate.setHours(0, 0, 0, 0);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  if (candidate < today) {
-    return { valid: false, message: "Due date cannot be in the past" };
-  }
-  return { valid: true, message: "" };
-}
@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+
+/**
+ * TrendChart - Bar and line chart of a buildTrendSeries result
+ *
+ * Bars show how many tasks fall due in each bucket (left scale); the line
+ * shows the share of them completed (0-100%). The previous window is drawn
+ * underneath as hollow bars and a dashed line, matched bucket by bucket.
+ *
+ * The SVG only paints; each bucket is a focusable button carrying its own
+ * description, and a visually hidden table repeats the numbers for screen
+ * readers.
+ */
+export default function TrendChart({ series, previousSeries, caption = "Tasks due and completion rate" }) {
+  const [activeIndex, setActiveIndex] = useState(null);
+  const buckets = series?.buckets ?? [];
+  const previousBuckets = previousSeries?.buckets ?? [];
+
+  if (!buckets.length) {
+    return <div className="sparkline sparkline--empty">No data for this range yet.</div>;
+  }
+
+  const count = buckets.length;
+  const maxTotal = Math.max(...buckets.map((bucket) => bucket.total), ...previousBuckets.map((bucket) => bucket.total), 1);
+  const scaleMax = maxTotal <= 1 ? 1 : Math.ceil(maxTotal / 2) * 2;
+  const columnWidth = 100 / count;
+  const getCenter = (index) => (index + 0.5) * columnWidth;
+  const getBarTop = (total) => 100 - (total / scaleMax) * 100;
+  const getPointTop = (percent) => 100 - percent;
+  const currentLine = buildLinePoints(buckets, getCenter, getPointTop);
+  const previousLine = buildLinePoints(previousBuckets.slice(0, count), getCenter, getPointTop);
+  const hasData = buckets.some((bucket) => bucket.total) || previousBuckets.some((bucket) => bucket.total);
+  const activeBucket = activeIndex === null ? null : buckets[activeIndex];
+  const activePrevious = activeIndex === null ? null : previousBuckets[activeIndex];
+  // Tooltips near the top of the plot open downwards so the card doesn't clip them
+  const activeTop = activeBucket
+    ? Math.min(getBarTop(activeBucket.total), activeBucket.total ? getPointTop(activeBucket.completionPercent) : 100)
+    : 0;
+
+  return (
+    <figure className="sparkline trend-chart">
+      <div className="trend-chart__legend" aria-hidden="true">
+        <span className="trend-chart__key trend-chart__key--bar">Tasks due</span>
+        <span className="trend-chart__key trend-chart__key--line">Completion</span>
+        {previousBuckets.length > 0 && <span className="trend-chart__key trend-chart__key--previous">Previous range</span>}
+      </div>
+      <div className="sparkline__inner">
+        <div className="sparkline__yaxis" aria-hidden="true">
+          {[1, 0.5, 0].map((ratio) => (
+            <span key={ratio}>
+              <strong>{Math.round(scaleMax * ratio)}</strong>
+              <em>{Math.round(ratio * 100)}%</em>
+            </span>
+          ))}
+        </div>
+        <div className="sparkline__plot" onMouseLeave={() => setActiveIndex(null)}>
+          <div className="sparkline__grid sparkline__grid--horizontal" aria-hidden="true">
+            {[0, 50, 100].map((top) => (
+              <span key={top} style={{ top: `${top}%` }} />
+            ))}
+          </div>
+          <div className="trend-chart__canvas">
+            <svg viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true" focusable="false">
+              {previousBuckets.slice(0, count).map((bucket) => (
+                <rect
+                  key={`previous-${bucket.index}`}
+                  className="trend-chart__bar trend-chart__bar--previous"
+                  x={bucket.index * columnWidth + columnWidth * 0.18}
+                  y={getBarTop(bucket.total)}
+                  width={columnWidth * 0.64}
+                  height={100 - getBarTop(bucket.total)}
+                  vectorEffect="non-scaling-stroke"
+                />
+              ))}
+              {buckets.map((bucket) => (
+                <rect
+                  key={bucket.index}
+                  className={`trend-chart__bar${bucket.index === activeIndex ? " is-active" : ""}`}
+                  x={bucket.index * columnWidth + columnWidth * 0.26}
+                  y={getBarTop(bucket.total)}
+                  width={columnWidth * 0.48}
+                  height={100 - getBarTop(bucket.total)}
+                />
+              ))}
+              {previousLine && (
+                <polyline className="trend-chart__line trend-chart__line--previous" points={previousLine} vectorEffect="non-scaling-stroke" />
+              )}
+              {currentLine && <polyline className="trend-chart__line" points={currentLine} vectorEffect="non-scaling-stroke" />}
+            </svg>
+            {buckets.map((bucket) => {
+              const previous = previousBuckets[bucket.index];
+              return (
+                <button
+                  key={bucket.index}
+                  type="button"
+                  className={`trend-chart__hit${bucket.index === activeIndex ? " is-active" : ""}`}
+                  style={{ left: `${bucket.index * columnWidth}%`, width: `${columnWidth}%` }}
+                  aria-label={describeBucket(bucket, previous)}
+                  onMouseEnter={() => setActiveIndex(bucket.index)}
+                  onFocus={() => setActiveIndex(bucket.index)}
+                  onBlur={() => setActiveIndex(null)}
+                  onKeyDown={(event) => {
+                    if (event.key === "Escape") {
+                      setActiveIndex(null);
+                    }
+                  }}
+                >
+                  {bucket.total > 0 && (
+                    <span className="trend-chart__point" style={{ top: `${getPointTop(bucket.completionPercent)}%` }} />
+                  )}
+                </button>
+              );
+            })}
+            {activeBucket && (
+              <div
+                className={`trend-chart__tooltip${activeTop < 35 ? " is-below" : ""}`}
+                aria-hidden="true"
+                style={{ left: `${clamp(getCenter(activeBucket.index), 12, 88)}%`, top: `${activeTop}%` }}
+              >
+                <strong>{activeBucket.label}</strong>
+                <span>{describeCounts(activeBucket)}</span>
+                {activePrevious && <span className="muted">Previous: {describeCounts(activePrevious)}</span>}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+      <div className="sparkline__xaxis trend-chart__xaxis" aria-hidden="true">
+        {buckets.map((bucket) => (
+          <span key={bucket.index} style={{ left: `${getCenter(bucket.index)}%` }}>
+            <strong>{bucket.label}</strong>
+            <em>{bucket.total ? `${bucket.completed}/${bucket.total}` : "–"}</em>
+          </span>
+        ))}
+      </div>
+      {!hasData && <p className="muted trend-chart__empty">No tasks are due in this range or the one before it.</p>}
+      <table className="sr-only">
+        <caption>{caption}</caption>
+        <thead>
+          <tr>
+            <th scope="col">Period</th>
+            <th scope="col">Due</th>
+            <th scope="col">Completed</th>
+            <th scope="col">Completion</th>
+            {previousBuckets.length > 0 && <th scope="col">Previous range</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {buckets.map((bucket) => {
+            const previous = previousBuckets[bucket.index];
+            return (
+              <tr key={bucket.index}>
+                <th scope="row">{bucket.label}</th>
+                <td>{bucket.total}</td>
+                <td>{bucket.completed}</td>
+                <td>{bucket.completionPercent}%</td>
+                {previousBuckets.length > 0 && <td>{previous ? describeCounts(previous) : "No data"}</td>}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </figure>
+  );
+}
+
+// Empty buckets are skipped so the line doesn't dip to 0% where nothing was due
+function buildLinePoints(buckets, getCenter, getPointTop) {
+  const points = buckets
+    .filter((bucket) => bucket.total > 0)
+    .map((bucket) => `${getCenter(bucket.index)},${getPointTop(bucket.completionPercent)}`);
+  return points.length ? points.join(" ") : null;
+}
+
+function describeCounts(bucket) {
+  if (!bucket.total) {
+    return "nothing due";
+  }
+  return `${bucket.completed} of ${bucket.total} done (${bucket.completionPercent}%)`;
+}
+
+function describeBucket(bucket, previous) {
+  const current = `${bucket.label}: ${describeCounts(bucket)}`;
+  return previous ? `${current}. Previous range: ${describeCounts(previous)}` : current;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { formatHourSlot, formatWeekday } from "../utils/stats";
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const LABELLED_HOURS = [0, 6, 12, 18];
+
+/**
+ * WeekHourHeatmap - 7×24 grid of a buildWeekHourMatrix result
+ *
+ * A real table, so screen readers can walk it by weekday and hour; each cell
+ * holds its count as visually hidden text and shows it in its title on hover.
+ * Shading is relative to the busiest slot.
+ */
+export default function WeekHourHeatmap({ matrix, caption, noun = "tasks" }) {
+  return (
+    <div className="week-hour-heatmap">
+      <table className="week-hour-heatmap__table">
+        <caption className="sr-only">{caption}</caption>
+        <thead>
+          <tr>
+            <td />
+            {HOURS.map((hour) => (
+              <th key={hour} scope="col" className="week-hour-heatmap__hour">
+                <span className={LABELLED_HOURS.includes(hour) ? "week-hour-heatmap__hour-label" : "sr-only"}>
+                  {formatHourSlot(hour)}
+                </span>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {matrix.rows.map((row) => (
+            <tr key={row.weekday}>
+              <th scope="row" className="week-hour-heatmap__day">
+                {formatWeekday(row.weekday)}
+              </th>
+              {row.counts.map((count, hour) => (
+                <td
+                  key={hour}
+                  className={`week-hour-heatmap__cell level-${getLevel(count, matrix.max)}`}
+                  title={`${formatWeekday(row.weekday)} ${formatHourSlot(hour)} · ${count} ${noun}`}
+                >
+                  <span className="sr-only">{count}</span>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function getLevel(count, max) {
+  return count && max ? Math.min(Math.ceil((count / max) * 4), 4) : 0;
+}
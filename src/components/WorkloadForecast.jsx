@@ -0,0 +1,88 @@
+import React from "react";
+import { formatEstimate } from "../utils/workload";
+
+/**
+ * WorkloadForecast - Column chart of a buildWorkloadForecast result
+ *
+ * One column per day, its height the planned minutes; the dashed line is the
+ * daily capacity and columns above it are drawn as overloaded. The scale
+ * always leaves headroom over capacity so the line stays in view on light
+ * days. Each column's title gives its numbers on hover, and a visually
+ * hidden table repeats them for screen readers.
+ */
+export default function WorkloadForecast({ forecast, capacity, caption = "Planned work per day" }) {
+  const { days } = forecast;
+  const scaleMax = Math.max(capacity.dailyMinutes * 1.25, ...days.map((day) => day.minutes), 1);
+  const capacityTop = 100 - (capacity.dailyMinutes / scaleMax) * 100;
+
+  return (
+    <figure className="workload-forecast">
+      <div className="workload-forecast__legend" aria-hidden="true">
+        <span className="workload-forecast__key">Planned work</span>
+        <span className="workload-forecast__key workload-forecast__key--over">Over capacity</span>
+        <span className="workload-forecast__key workload-forecast__key--capacity">
+          {formatEstimate(capacity.dailyMinutes)} a day
+        </span>
+      </div>
+      <div className="workload-forecast__plot" aria-hidden="true">
+        <span className="workload-forecast__capacity" style={{ top: `${capacityTop}%` }} />
+        {days.map((day) => (
+          <div
+            key={day.key}
+            className={`workload-forecast__day${day.isOverloaded ? " is-overloaded" : ""}`}
+            title={`${formatDay(day.date)} · ${describeDay(day, capacity)}`}
+          >
+            {day.minutes > 0 && (
+              <span className="workload-forecast__bar" style={{ height: `${(day.minutes / scaleMax) * 100}%` }} />
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="workload-forecast__labels" aria-hidden="true">
+        {days.map((day, index) => (
+          <span key={day.key} className={day.isOverloaded ? "is-overloaded" : undefined}>
+            <strong>{day.date.toLocaleDateString(undefined, { weekday: "narrow" })}</strong>
+            <em>{index === 0 || day.date.getDate() === 1 ? formatDay(day.date, false) : day.date.getDate()}</em>
+          </span>
+        ))}
+      </div>
+      <table className="sr-only">
+        <caption>{caption}</caption>
+        <thead>
+          <tr>
+            <th scope="col">Day</th>
+            <th scope="col">Open tasks</th>
+            <th scope="col">Planned</th>
+            <th scope="col">Capacity</th>
+          </tr>
+        </thead>
+        <tbody>
+          {days.map((day) => (
+            <tr key={day.key}>
+              <th scope="row">{formatDay(day.date)}</th>
+              <td>{day.count}</td>
+              <td>{formatEstimate(day.minutes)}</td>
+              <td>{day.isOverloaded ? `Over by ${formatEstimate(day.overByMinutes)}` : `${day.percent}% used`}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+}
+
+function describeDay(day, capacity) {
+  if (!day.count) {
+    return "nothing due";
+  }
+  const planned = `${day.count} ${day.count === 1 ? "task" : "tasks"}, ${formatEstimate(day.minutes)} of ${formatEstimate(capacity.dailyMinutes)}`;
+  return day.isOverloaded ? `${planned} (over by ${formatEstimate(day.overByMinutes)})` : planned;
+}
+
+function formatDay(date, withWeekday = true) {
+  return date.toLocaleDateString(undefined, {
+    ...(withWeekday ? { weekday: "short" } : {}),
+    month: "short",
+    day: "numeric",
+  });
+}
@@ -15,7 +15,7 @@
 
 import { useCallback, useEffect, useMemo, useState } from "react";
 import { DEFAULT_THEME_ID, themes } from "../themes";
-import { supabase } from "../supabase";
+import { getCurrentUser, onAuthChange } from "../data/authRepository";
 import { ThemeContext } from "./ThemeContextState";
 
 /**
@@ -108,9 +108,8 @@ export function ThemeProvider({ children }) {
 	// Monitor authentication status and user changes
 	useEffect(() => {
 		let isMounted = true;
-		supabase.auth.getSession().then(({ data }) => {
+		getCurrentUser().then((user) => {
 			if (isMounted) {
-				const user = data?.session?.user;
 				setCurrentUser(user || null);
 				setIsAuthenticated(Boolean(user));
 				// Load user-specific theme when user is authenticated
@@ -120,9 +119,8 @@ export function ThemeProvider({ children }) {
 				}
 			}
 		});
-		const { data } = supabase.auth.onAuthStateChange((_event, session) => {
+		const unsubscribe = onAuthChange((_event, user) => {
 			if (isMounted) {
-				const user = session?.user;
 				setCurrentUser(user || null);
 				setIsAuthenticated(Boolean(user));
 				// Load user-specific theme when user changes
@@ -137,7 +135,7 @@ export function ThemeProvider({ children }) {
 		});
 		return () => {
 			isMounted = false;
-			data?.subscription?.unsubscribe();
+			unsubscribe();
 		};
 	}, []);
 
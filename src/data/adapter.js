@@ -0,0 +1,30 @@
+/**
+ * adapter.js - Selects the data adapter used by every repository
+ *
+ * Adapter contract (see adapters/supabaseAdapter.js and adapters/memoryAdapter.js):
+ * - auth: getSession, onAuthStateChange(callback(event, user)), signIn,
+ *         signUp, signOut, createProfile
+ * - select(table, userId, { columns, ids, match, isNull, range, orderBy, limit, offset })
+ * - insert(table, userId, rows, { columns })
+ * - update(table, userId, { ids, values, unchangedSince, columns })
+ * - remove(table, userId, { ids, unchangedSince })
+ * - subscribe(table, userId, handler({ eventType, new, old })) -> unsubscribe
+ *
+ * Data methods resolve to { data, error } like supabase-js, so callers keep
+ * the same error.message handling. `unchangedSince` limits a write to rows
+ * whose updated_at is not newer than the given timestamp. `match` maps
+ * column names to values they must equal. `isNull` maps column names to
+ * true (column must be NULL) or false (must not be NULL). `range` is
+ * { column, from, to } and keeps rows with from <= column < to; without
+ * `from` it keeps every row before `to`.
+ * `orderBy` is { column, ascending } or a list of them, most significant
+ * first. `limit` and `offset` page through the ordered result.
+ *
+ * Set VITE_DATA_ADAPTER=memory to run without a Supabase project.
+ */
+
+import { supabase } from "../supabase";
+import { createMemoryAdapter } from "./adapters/memoryAdapter";
+import { createSupabaseAdapter } from "./adapters/supabaseAdapter";
+
+export const dataAdapter = supabase ? createSupabaseAdapter(supabase) : createMemoryAdapter();
@@ -0,0 +1,238 @@
+/**
+ * memoryAdapter.js - Data adapter that keeps everything in memory
+ *
+ * Implements the same contract as supabaseAdapter.js so the app can run
+ * locally (VITE_DATA_ADAPTER=memory) without a live Supabase project. The
+ * repo has no automated tests; changes here are checked by running the app
+ * on it. Nothing is persisted: a reload starts from the seed.
+ *
+ * Behaviour mirrors what the UI relies on from Supabase:
+ * - rows are always scoped to the calling user_id
+ * - inserts fill id/created_at, duplicate ids fail with code "23505"
+ * - ascending order sorts nulls last, like Postgres
+ * - auth emits INITIAL_SESSION, SIGNED_IN and SIGNED_OUT events
+ * - subscribe() delivers { eventType, new, old } payloads after each write
+ */
+
+export function createMemoryAdapter({ users = [], tables = {}, signedInEmail = null } = {}) {
+  const accounts = new Map(
+    users.map((account) => [account.email.toLowerCase(), { id: account.id ?? createId(), ...account }])
+  );
+  const store = new Map(
+    Object.entries(tables).map(([table, rows]) => [table, new Map(rows.map((row) => [row.id, { ...row }]))])
+  );
+  const authListeners = new Set();
+  const tableListeners = new Map();
+  let currentUser = signedInEmail ? toUser(accounts.get(signedInEmail.toLowerCase())) : null;
+
+  const getTable = (table) => {
+    if (!store.has(table)) {
+      store.set(table, new Map());
+    }
+    return store.get(table);
+  };
+
+  const emitAuth = (event) => {
+    authListeners.forEach((listener) => listener(event, currentUser));
+  };
+
+  const emitChange = (table, payload) => {
+    const userId = payload.new?.user_id ?? payload.old?.user_id;
+    (tableListeners.get(table) ?? []).forEach((listener) => {
+      if (listener.userId === userId) {
+        listener.handler(clone(payload));
+      }
+    });
+  };
+
+  const scopedRows = (table, userId, ids) => {
+    const idSet = ids ? new Set(ids) : null;
+    return [...getTable(table).values()].filter(
+      (row) => row.user_id === userId && (!idSet || idSet.has(row.id))
+    );
+  };
+
+  return {
+    name: "memory",
+
+    auth: {
+      async getSession() {
+        return { user: currentUser, error: null };
+      },
+
+      onAuthStateChange(callback) {
+        authListeners.add(callback);
+        queueMicrotask(() => {
+          if (authListeners.has(callback)) {
+            callback("INITIAL_SESSION", currentUser);
+          }
+        });
+        return () => authListeners.delete(callback);
+      },
+
+      async signIn({ email, password }) {
+        const account = accounts.get(String(email).toLowerCase());
+        if (!account || account.password !== password) {
+          return { user: null, error: { message: "Invalid login credentials" } };
+        }
+        currentUser = toUser(account);
+        emitAuth("SIGNED_IN");
+        return { user: currentUser, error: null };
+      },
+
+      async signUp({ email, password, metadata = {} }) {
+        const key = String(email).toLowerCase();
+        if (accounts.has(key)) {
+          return { user: null, error: { message: "User already registered" } };
+        }
+        const account = { id: createId(), email: key, password, user_metadata: metadata };
+        accounts.set(key, account);
+        currentUser = toUser(account);
+        emitAuth("SIGNED_IN");
+        return { user: currentUser, error: null };
+      },
+
+      async signOut() {
+        currentUser = null;
+        emitAuth("SIGNED_OUT");
+        return { error: null };
+      },
+
+      async createProfile(profile) {
+        getTable("profiles").set(profile.id, { ...profile });
+        return { error: null };
+      },
+    },
+
+    async select(table, userId, { columns = "*", ids, match, isNull, range, orderBy, limit, offset = 0 } = {}) {
+      const rows = scopedRows(table, userId, ids).filter((row) =>
+        Object.entries(match ?? {}).every(([column, value]) => row[column] === value) &&
+        Object.entries(isNull ?? {}).every(([column, required]) => (row[column] == null) === required) &&
+        (!range || isInRange(row[range.column], range))
+      );
+      const orders = [].concat(orderBy ?? []);
+      if (orders.length) {
+        rows.sort((a, b) =>
+          orders.reduce(
+            (result, { column, ascending }) => result || compareValues(a[column], b[column], ascending !== false),
+            0
+          )
+        );
+      }
+      const page = limit ? rows.slice(offset, offset + limit) : rows;
+      return { data: page.map((row) => pickColumns(row, columns)), error: null };
+    },
+
+    async insert(table, userId, rows, { columns = "*" } = {}) {
+      const target = getTable(table);
+      const prepared = rows.map((row) => ({
+        created_at: new Date().toISOString(),
+        ...row,
+        id: row.id ?? createId(),
+        user_id: userId,
+      }));
+      const duplicate = prepared.find((row) => target.has(row.id));
+      if (duplicate) {
+        return {
+          data: null,
+          error: { code: "23505", message: `duplicate key value violates unique constraint "${table}_pkey"` },
+        };
+      }
+      prepared.forEach((row) => {
+        target.set(row.id, row);
+        emitChange(table, { eventType: "INSERT", new: row, old: {} });
+      });
+      return { data: prepared.map((row) => pickColumns(row, columns)), error: null };
+    },
+
+    async update(table, userId, { ids, values, unchangedSince, columns = "*" }) {
+      const target = getTable(table);
+      const updated = scopedRows(table, userId, ids)
+        .filter((row) => isUnchangedSince(row, unchangedSince))
+        .map((row) => {
+          const next = { ...row, ...values, id: row.id, user_id: row.user_id };
+          target.set(row.id, next);
+          emitChange(table, { eventType: "UPDATE", new: next, old: row });
+          return next;
+        });
+      return { data: updated.map((row) => pickColumns(row, columns)), error: null };
+    },
+
+    async remove(table, userId, { ids, unchangedSince }) {
+      const target = getTable(table);
+      const removed = scopedRows(table, userId, ids)
+        .filter((row) => isUnchangedSince(row, unchangedSince))
+        .map((row) => {
+          target.delete(row.id);
+          emitChange(table, { eventType: "DELETE", new: {}, old: row });
+          return row;
+        });
+      return { data: removed.map((row) => ({ id: row.id })), error: null };
+    },
+
+    subscribe(table, userId, handler) {
+      if (!tableListeners.has(table)) {
+        tableListeners.set(table, new Set());
+      }
+      const listener = { userId, handler };
+      tableListeners.get(table).add(listener);
+      return () => tableListeners.get(table)?.delete(listener);
+    },
+  };
+}
+
+function toUser(account) {
+  if (!account) return null;
+  return { id: account.id, email: account.email, user_metadata: account.user_metadata ?? {} };
+}
+
+function pickColumns(row, columns) {
+  if (!columns || columns === "*") {
+    return clone(row);
+  }
+  return columns.split(",").reduce((picked, column) => {
+    const key = column.trim();
+    picked[key] = clone(row[key] ?? null);
+    return picked;
+  }, {});
+}
+
+function isUnchangedSince(row, unchangedSince) {
+  if (!unchangedSince || !row.updated_at) {
+    return true;
+  }
+  return new Date(row.updated_at).getTime() <= new Date(unchangedSince).getTime();
+}
+
+function isInRange(value, { from, to }) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  const time = new Date(value).getTime();
+  return (from === undefined || time >= new Date(from).getTime()) && time < new Date(to).getTime();
+}
+
+function compareValues(a, b, ascending) {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) {
+    if (aMissing && bMissing) return 0;
+    return aMissing === ascending ? 1 : -1;
+  }
+  const result = a < b ? -1 : a > b ? 1 : 0;
+  return ascending ? result : -result;
+}
+
+function clone(value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  return typeof structuredClone === "function" ? structuredClone(value) : JSON.parse(JSON.stringify(value));
+}
+
+function createId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `mem-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,128 @@
+/**
+ * supabaseAdapter.js - Data adapter backed by the Supabase client
+ *
+ * Implements the adapter contract described in src/data/adapter.js on top of
+ * supabase-js query builders, auth and realtime channels.
+ *
+ * SECURITY: Every select/update/delete is scoped with .eq("user_id", userId)
+ * and every insert is bound to userId. Supabase RLS policies must still
+ * enforce the same rule server-side.
+ */
+
+export function createSupabaseAdapter(client) {
+  return {
+    name: "supabase",
+
+    auth: {
+      async getSession() {
+        const { data, error } = await client.auth.getSession();
+        return { user: data?.session?.user ?? null, error };
+      },
+
+      onAuthStateChange(callback) {
+        const { data } = client.auth.onAuthStateChange((event, session) => {
+          callback(event, session?.user ?? null);
+        });
+        return () => data?.subscription?.unsubscribe();
+      },
+
+      async signIn({ email, password }) {
+        const { data, error } = await client.auth.signInWithPassword({ email, password });
+        return { user: data?.user ?? null, error };
+      },
+
+      async signUp({ email, password, metadata = {} }) {
+        const { data, error } = await client.auth.signUp({ email, password, options: { data: metadata } });
+        return { user: data?.user ?? null, error };
+      },
+
+      async signOut() {
+        const { error } = await client.auth.signOut();
+        return { error };
+      },
+
+      async createProfile(profile) {
+        const { error } = await client.from("profiles").insert(profile);
+        return { error };
+      },
+    },
+
+    async select(table, userId, { columns = "*", ids, match, isNull, range, orderBy, limit, offset = 0 } = {}) {
+      let query = client
+        .from(table)
+        .select(columns)
+        .eq("user_id", userId);  // CRITICAL: Filter by user_id
+      if (ids) {
+        query = query.in("id", ids);
+      }
+      Object.entries(match ?? {}).forEach(([column, value]) => {
+        query = query.eq(column, value);
+      });
+      Object.entries(isNull ?? {}).forEach(([column, required]) => {
+        query = required ? query.is(column, null) : query.not(column, "is", null);
+      });
+      if (range) {
+        query = range.from === undefined ? query : query.gte(range.column, range.from);
+        query = query.lt(range.column, range.to);
+      }
+      [].concat(orderBy ?? []).forEach(({ column, ascending }) => {
+        query = query.order(column, { ascending: ascending !== false });
+      });
+      if (limit) {
+        query = query.range(offset, offset + limit - 1);
+      }
+      return query;
+    },
+
+    async insert(table, userId, rows, { columns = "*" } = {}) {
+      return client
+        .from(table)
+        .insert(rows.map((row) => ({ ...row, user_id: userId })))  // CRITICAL: Bind rows to current user
+        .select(columns);
+    },
+
+    async update(table, userId, { ids, values, unchangedSince, columns = "*" }) {
+      const query = client
+        .from(table)
+        .update(values)
+        .in("id", ids)
+        .eq("user_id", userId);  // CRITICAL: Ensure rows belong to current user
+      return withUnchangedSince(query, unchangedSince).select(columns);
+    },
+
+    async remove(table, userId, { ids, unchangedSince }) {
+      const query = client
+        .from(table)
+        .delete()
+        .in("id", ids)
+        .eq("user_id", userId);  // CRITICAL: Ensure rows belong to current user
+      return withUnchangedSince(query, unchangedSince).select("id");
+    },
+
+    subscribe(table, userId, handler) {
+      // SECURITY: Channel filtered by user_id so only this user's rows stream in
+      const channel = client
+        .channel(`${table}-realtime-${userId}`)
+        .on(
+          "postgres_changes",
+          { event: "*", schema: "public", table, filter: `user_id=eq.${userId}` },
+          (payload) => handler({ eventType: payload.eventType, new: payload.new, old: payload.old })
+        )
+        .subscribe((status) => {
+          if (import.meta.env.MODE === "development") {
+            console.log("[TaskFlow Real-Time] Channel status:", status);
+          }
+        });
+      return () => {
+        client.removeChannel(channel);
+      };
+    },
+  };
+}
+
+function withUnchangedSince(query, unchangedSince) {
+  if (!unchangedSince) {
+    return query;
+  }
+  return query.or(`updated_at.is.null,updated_at.lte."${unchangedSince}"`);
+}
@@ -0,0 +1,68 @@
+/**
+ * authRepository.js - Authentication through the selected data adapter
+ *
+ * Wraps sign-in, sign-up, sign-out and session events so components never
+ * touch the Supabase client directly. Users are plain objects with at least
+ * { id, email, user_metadata }.
+ */
+
+import { dataAdapter } from "./adapter";
+
+/**
+ * getCurrentUser - Resolves to the signed-in user, or null
+ *
+ * @returns {Promise<Object|null>}
+ */
+export async function getCurrentUser() {
+  const { user } = await dataAdapter.auth.getSession();
+  return user ?? null;
+}
+
+/**
+ * onAuthChange - Listens for auth events (INITIAL_SESSION, SIGNED_IN, SIGNED_OUT, ...)
+ *
+ * @param {Function} callback - Receives (event, user)
+ * @returns {Function} Unsubscribe function
+ */
+export function onAuthChange(callback) {
+  return dataAdapter.auth.onAuthStateChange(callback);
+}
+
+/**
+ * signIn - Email/password login
+ *
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<{user: Object|null, error: Object|null}>}
+ */
+export function signIn(credentials) {
+  return dataAdapter.auth.signIn(credentials);
+}
+
+/**
+ * signUp - Creates an account; metadata is stored on the user
+ *
+ * @param {Object} details - { email, password, metadata }
+ * @returns {Promise<{user: Object|null, error: Object|null}>}
+ */
+export function signUp(details) {
+  return dataAdapter.auth.signUp(details);
+}
+
+/**
+ * signOut - Ends the current session
+ *
+ * @returns {Promise<{error: Object|null}>}
+ */
+export function signOut() {
+  return dataAdapter.auth.signOut();
+}
+
+/**
+ * createProfile - Inserts the profiles row for a new account
+ *
+ * @param {Object} profile - { id, first_name, last_name, email }
+ * @returns {Promise<{error: Object|null}>}
+ */
+export function createProfile(profile) {
+  return dataAdapter.auth.createProfile(profile);
+}
@@ -0,0 +1,100 @@
+/**
+ * calendarFeedRepository.js - Manages the user's subscribable calendar feed
+ *
+ * A feed is a row in the `calendar_feeds` table
+ * ({ id, user_id, token, time_zone, created_at }). The token is the only
+ * credential in the feed URL, so it is long and random, and a user has at most
+ * one: resetting the link deletes the old row before inserting a new one, and
+ * revoking deletes it. api/calendar-feed.js looks the token up server-side.
+ *
+ * SECURITY: RLS on calendar_feeds must restrict select/insert/delete to
+ * auth.uid() = user_id - the token is as sensitive as the tasks it exposes.
+ */
+
+import { dataAdapter } from "./adapter";
+
+const FEED_COLUMNS = "id,token,time_zone,created_at";
+const TOKEN_BYTES = 32;
+
+/**
+ * getCalendarFeed - Fetches the user's active feed, if any
+ *
+ * @param {string} userId - Current user's id
+ * @returns {Promise<{data: Object|null, error: Object|null}>} { id, token, timeZone, createdAt }
+ */
+export async function getCalendarFeed(userId) {
+  const { data, error } = await dataAdapter.select("calendar_feeds", userId, {
+    columns: FEED_COLUMNS,
+    orderBy: { column: "created_at", ascending: false },
+  });
+  return { data: error || !data?.[0] ? null : mapFeedRow(data[0]), error };
+}
+
+/**
+ * createCalendarFeed - Issues a new feed token, revoking any previous one
+ *
+ * @param {string} userId - Current user's id
+ * @param {string} timeZone - IANA time zone the feed renders times in
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+export async function createCalendarFeed(userId, timeZone) {
+  const revoked = await revokeCalendarFeed(userId);
+  if (revoked.error) {
+    return { data: null, error: revoked.error };
+  }
+  const { data, error } = await dataAdapter.insert(
+    "calendar_feeds",
+    userId,
+    [{ token: createFeedToken(), time_zone: timeZone || null }],
+    { columns: FEED_COLUMNS }
+  );
+  return { data: error || !data?.[0] ? null : mapFeedRow(data[0]), error };
+}
+
+/**
+ * revokeCalendarFeed - Deletes the user's feed so its URL stops working
+ *
+ * @param {string} userId - Current user's id
+ * @returns {Promise<{data: string[]|null, error: Object|null}>} Deleted feed ids
+ */
+export async function revokeCalendarFeed(userId) {
+  const existing = await dataAdapter.select("calendar_feeds", userId, { columns: "id" });
+  if (existing.error) {
+    return { data: null, error: existing.error };
+  }
+  const ids = (existing.data ?? []).map((row) => row.id);
+  if (!ids.length) {
+    return { data: [], error: null };
+  }
+  const { data, error } = await dataAdapter.remove("calendar_feeds", userId, { ids });
+  return { data: error ? null : (data ?? []).map((row) => row.id), error };
+}
+
+/**
+ * buildCalendarFeedUrl - Returns the subscription URL for a feed token
+ *
+ * @param {string} token - Feed token
+ * @param {Object} [options] - { webcal } to use the webcal:// scheme calendar apps open directly
+ * @returns {string}
+ */
+export function buildCalendarFeedUrl(token, { webcal = false } = {}) {
+  const origin = typeof window !== "undefined" ? window.location.origin : "";
+  const url = `${origin}/calendar/${encodeURIComponent(token)}.ics`;
+  return webcal ? url.replace(/^https?:/, "webcal:") : url;
+}
+
+function mapFeedRow(row) {
+  return {
+    id: row.id,
+    token: row.token,
+    timeZone: row.time_zone ?? "",
+    createdAt: row.created_at ?? null,
+  };
+}
+
+function createFeedToken() {
+  const bytes = new Uint8Array(TOKEN_BYTES);
+  crypto.getRandomValues(bytes);
+  // base64url, so the token is safe in a URL path without escaping
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
@@ -0,0 +1,59 @@
+/**
+ * projectRepository.js - Reads and writes the current user's projects
+ *
+ * Projects are rows in the `projects` table ({ id, user_id, name, color,
+ * archived }), returned as normalized project objects (see utils/projects.js).
+ */
+
+import { normalizeProject, sortProjects } from "../utils/projects";
+import { dataAdapter } from "./adapter";
+
+const PROJECT_COLUMNS = "id,name,color,archived";
+
+/**
+ * listProjects - Fetches all of a user's projects, active ones first
+ *
+ * @param {string} userId - Current user's id
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export async function listProjects(userId) {
+  const { data, error } = await dataAdapter.select("projects", userId, {
+    columns: PROJECT_COLUMNS,
+    orderBy: { column: "name", ascending: true },
+  });
+  return { data: error ? null : sortProjects((data ?? []).map(normalizeProject)), error };
+}
+
+/**
+ * createProject - Inserts a project for the user
+ *
+ * @param {string} userId - Current user's id
+ * @param {Object} fields - { name, color }
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+export async function createProject(userId, { name, color }) {
+  const { data, error } = await dataAdapter.insert(
+    "projects",
+    userId,
+    [{ name, color, archived: false }],
+    { columns: PROJECT_COLUMNS }
+  );
+  return { data: error || !data?.[0] ? null : normalizeProject(data[0]), error };
+}
+
+/**
+ * updateProject - Renames, recolors or (un)archives a project
+ *
+ * @param {string} userId - Current user's id
+ * @param {string} projectId - Project to update
+ * @param {Object} patch - Any of { name, color, archived }
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+export async function updateProject(userId, projectId, patch) {
+  const { data, error } = await dataAdapter.update("projects", userId, {
+    ids: [projectId],
+    values: patch,
+    columns: PROJECT_COLUMNS,
+  });
+  return { data: error || !data?.[0] ? null : normalizeProject(data[0]), error };
+}
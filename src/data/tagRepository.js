@@ -0,0 +1,35 @@
+/**
+ * tagRepository.js - Reads and writes the current user's tags
+ *
+ * Tags are rows in the `tags` table ({ id, user_id, name, color }), returned
+ * as normalized tag objects (see utils/tags.js).
+ */
+
+import { normalizeTag } from "../utils/tags";
+import { dataAdapter } from "./adapter";
+
+/**
+ * listTags - Fetches all of a user's tags, alphabetically
+ *
+ * @param {string} userId - Current user's id
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+export async function listTags(userId) {
+  const { data, error } = await dataAdapter.select("tags", userId, {
+    columns: "id,name,color",
+    orderBy: { column: "name", ascending: true },
+  });
+  return { data: error ? null : (data ?? []).map(normalizeTag), error };
+}
+
+/**
+ * createTag - Inserts a tag for the user
+ *
+ * @param {string} userId - Current user's id
+ * @param {Object} fields - { name, color }
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+export async function createTag(userId, { name, color }) {
+  const { data, error } = await dataAdapter.insert("tags", userId, [{ name, color }], { columns: "id,name,color" });
+  return { data: error || !data?.[0] ? null : normalizeTag(data[0]), error };
+}
@@ -0,0 +1,404 @@
+/**
+ * taskRepository.js - The single place the app reads and writes tasks
+ *
+ * UI code works with Task objects (camelCase, below) and never sees database
+ * rows. Rows are mapped here, once, by mapTaskRow; writes accept Task-shaped
+ * fields and translate them with toTaskRow. Storage goes through the selected
+ * data adapter (Supabase or in-memory, see adapter.js).
+ *
+ * Every operation resolves to { data, error } with error.message set on
+ * failure, matching the error handling already used across the UI.
+ *
+ * SECURITY: Every operation takes the current user's id; the adapter scopes
+ * every statement to it (user_id filter on reads/writes, user_id bound on
+ * inserts).
+ */
+
+import { normalizeSubtasks } from "../utils/subtasks";
+import { normalizeTagIds } from "../utils/tags";
+import { normalizeEstimate } from "../utils/workload";
+import { dataAdapter } from "./adapter";
+
+/**
+ * @typedef {Object} Task
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string|null} dueDate - ISO timestamp
+ * @property {boolean} completed
+ * @property {"low"|"medium"|"high"} priority
+ * @property {Array<{id: string, title: string, completed: boolean}>} subtasks
+ * @property {string|null} recurrence - RRULE string
+ * @property {string[]} tagIds
+ * @property {string|null} projectId
+ * @property {number|null} estimateMinutes - Expected effort in minutes, null when not estimated
+ * @property {string|null} createdAt - ISO timestamp the task was created
+ * @property {string|null} occurrenceStartedAt - ISO timestamp the current occurrence of a repeating task began, null otherwise
+ * @property {string|null} startedAt - ISO timestamp work started ("Mark started" or the first subtask checked off)
+ * @property {string|null} completedAt - ISO timestamp it was completed, null while open
+ * @property {string|null} updatedAt - ISO timestamp of the last write
+ * @property {string|null} deletedAt - ISO timestamp it was moved to Trash, null otherwise
+ * @property {string|null} archivedAt - ISO timestamp it was archived, null otherwise
+ */
+
+export const TASK_COLUMNS =
+  "id,title,description,due_date,completed,priority,subtasks,recurrence,tag_ids,project_id,estimate_minutes,created_at,occurrence_started_at,started_at,completed_at,updated_at,deleted_at,archived_at";
+
+// Task field -> column, for fields whose names differ
+const FIELD_COLUMNS = {
+  dueDate: "due_date",
+  tagIds: "tag_ids",
+  projectId: "project_id",
+  estimateMinutes: "estimate_minutes",
+  createdAt: "created_at",
+  occurrenceStartedAt: "occurrence_started_at",
+  startedAt: "started_at",
+  completedAt: "completed_at",
+  updatedAt: "updated_at",
+  deletedAt: "deleted_at",
+  archivedAt: "archived_at",
+};
+
+export const ARCHIVE_PAGE_SIZE = 25;
+
+/**
+ * mapTaskRow - Converts a database row into a Task
+ *
+ * @param {Object} row - Row from the tasks table
+ * @returns {Task}
+ */
+export function mapTaskRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description ?? "",
+    dueDate: normalizeDueDateValue(row.due_date),
+    completed: row.completed ?? false,
+    priority: row.priority ?? "medium",
+    subtasks: normalizeSubtasks(row.subtasks),
+    recurrence: row.recurrence || null,
+    tagIds: normalizeTagIds(row.tag_ids),
+    projectId: row.project_id ?? null,
+    estimateMinutes: normalizeEstimate(row.estimate_minutes),
+    createdAt: row.created_at ?? null,
+    occurrenceStartedAt: row.occurrence_started_at ?? null,
+    startedAt: row.started_at ?? null,
+    completedAt: row.completed_at ?? null,
+    updatedAt: row.updated_at ?? null,
+    deletedAt: row.deleted_at ?? null,
+    archivedAt: row.archived_at ?? null,
+  };
+}
+
+/**
+ * toTaskRow - Converts Task-shaped fields into column values
+ *
+ * Keys that are already column names pass through unchanged.
+ *
+ * @param {Object} fields - Partial Task
+ * @returns {Object} Partial tasks row
+ */
+export function toTaskRow(fields) {
+  return Object.entries(fields).reduce((row, [key, value]) => {
+    if (value !== undefined && key !== "user_id" && key !== "userId") {
+      row[FIELD_COLUMNS[key] ?? key] = value;
+    }
+    return row;
+  }, {});
+}
+
+/**
+ * listTasks - Fetches all of a user's tasks, soonest due first
+ *
+ * Tasks in the Trash or the archive are left out; see listTrashedTasks and
+ * listArchivedTasks.
+ *
+ * @param {string} userId - Current user's id
+ * @returns {Promise<{data: Task[]|null, error: Object|null}>}
+ */
+export async function listTasks(userId) {
+  const { data, error } = await dataAdapter.select("tasks", userId, {
+    columns: TASK_COLUMNS,
+    isNull: { deleted_at: true, archived_at: true },
+    orderBy: { column: "due_date", ascending: true },
+  });
+  return { data: error ? null : (data ?? []).map(mapTaskRow), error };
+}
+
+/**
+ * listTrashedTasks - Fetches the user's tasks in the Trash, most recently deleted first
+ *
+ * @param {string} userId - Current user's id
+ * @returns {Promise<{data: Task[]|null, error: Object|null}>}
+ */
+export async function listTrashedTasks(userId) {
+  const { data, error } = await dataAdapter.select("tasks", userId, {
+    columns: TASK_COLUMNS,
+    isNull: { deleted_at: false },
+    orderBy: { column: "deleted_at", ascending: false },
+  });
+  return { data: error ? null : (data ?? []).map(mapTaskRow), error };
+}
+
+/**
+ * purgeTrashedTasks - Permanently deletes tasks that have been in the Trash too long
+ *
+ * @param {string} userId - Current user's id
+ * @param {Date} olderThan - Tasks moved to the Trash before this are deleted
+ * @returns {Promise<{data: string[]|null, error: Object|null}>} Deleted ids
+ */
+export async function purgeTrashedTasks(userId, olderThan) {
+  const { data, error } = await dataAdapter.select("tasks", userId, {
+    columns: "id",
+    isNull: { deleted_at: false },
+    range: { column: "deleted_at", to: olderThan.toISOString() },
+  });
+  if (error) {
+    return { data: null, error };
+  }
+  return deleteTasks(userId, (data ?? []).map((row) => row.id));
+}
+
+/**
+ * listArchivedTasks - Fetches one page of archived tasks, most recently archived first
+ *
+ * Pages start at an offset rather than a page number, so a caller that
+ * unarchives rows can pass the count it still holds and not skip any.
+ * Tasks archived together share archived_at; ordering by id as well keeps
+ * pages stable between requests.
+ *
+ * @param {string} userId - Current user's id
+ * @param {Object} [options] - { offset, pageSize }; offset counts rows already loaded
+ * @returns {Promise<{data: Task[]|null, error: Object|null, hasMore: boolean}>}
+ */
+export async function listArchivedTasks(userId, { offset = 0, pageSize = ARCHIVE_PAGE_SIZE } = {}) {
+  // One extra row tells whether another page exists
+  const { data, error } = await dataAdapter.select("tasks", userId, {
+    columns: TASK_COLUMNS,
+    isNull: { deleted_at: true, archived_at: false },
+    orderBy: [
+      { column: "archived_at", ascending: false },
+      { column: "id", ascending: true },
+    ],
+    limit: pageSize + 1,
+    offset,
+  });
+  if (error) {
+    return { data: null, error, hasMore: false };
+  }
+  const rows = data ?? [];
+  return { data: rows.slice(0, pageSize).map(mapTaskRow), error: null, hasMore: rows.length > pageSize };
+}
+
+/**
+ * listArchivedTasksDueBetween - Fetches archived tasks due within [start, end)
+ *
+ * Lets Stats bring archived tasks into a historical range without loading
+ * the whole archive.
+ *
+ * @param {string} userId - Current user's id
+ * @param {Date} start - Range start (inclusive)
+ * @param {Date} end - Range end (exclusive)
+ * @returns {Promise<{data: Task[]|null, error: Object|null}>}
+ */
+export async function listArchivedTasksDueBetween(userId, start, end) {
+  const { data, error } = await dataAdapter.select("tasks", userId, {
+    columns: TASK_COLUMNS,
+    isNull: { deleted_at: true, archived_at: false },
+    range: { column: "due_date", from: start.toISOString(), to: end.toISOString() },
+    orderBy: { column: "due_date", ascending: true },
+  });
+  return { data: error ? null : (data ?? []).map(mapTaskRow), error };
+}
+
+/**
+ * listArchivedTasksCompletedBetween - Fetches archived tasks completed within [start, end)
+ *
+ * Completion-based stats count work by when it was finished, so they need
+ * these rows as well as the ones due in the range.
+ *
+ * @param {string} userId - Current user's id
+ * @param {Date} start - Range start (inclusive)
+ * @param {Date} end - Range end (exclusive)
+ * @returns {Promise<{data: Task[]|null, error: Object|null}>}
+ */
+export async function listArchivedTasksCompletedBetween(userId, start, end) {
+  const { data, error } = await dataAdapter.select("tasks", userId, {
+    columns: TASK_COLUMNS,
+    isNull: { deleted_at: true, archived_at: false },
+    range: { column: "completed_at", from: start.toISOString(), to: end.toISOString() },
+    orderBy: { column: "completed_at", ascending: true },
+  });
+  return { data: error ? null : (data ?? []).map(mapTaskRow), error };
+}
+
+/**
+ * archiveCompletedTasks - Archives tasks completed before a cutoff
+ *
+ * Tasks completed before completed_at was recorded fall back to their last
+ * write as the completion time. A task must also be unchanged since the
+ * cutoff: unarchiving stamps updated_at, so a task brought back from History
+ * gets a fresh period instead of being archived again on the next fetch.
+ *
+ * This runs on every fetch, so the query only returns completed rows
+ * untouched since the cutoff; completed_at, which may be NULL, is checked
+ * on those few rows here.
+ *
+ * @param {string} userId - Current user's id
+ * @param {Date} completedBefore - Tasks completed before this are archived
+ * @returns {Promise<{data: string[]|null, error: Object|null}>} Archived ids
+ */
+export async function archiveCompletedTasks(userId, completedBefore) {
+  const { data, error } = await dataAdapter.select("tasks", userId, {
+    columns: "id,completed,completed_at,updated_at",
+    match: { completed: true },
+    isNull: { deleted_at: true, archived_at: true },
+    range: { column: "updated_at", to: completedBefore.toISOString() },
+  });
+  if (error) {
+    return { data: null, error };
+  }
+  const cutoff = completedBefore.getTime();
+  const dueIds = (data ?? [])
+    .filter((row) => {
+      const completedAt = row.completed_at ?? row.updated_at;
+      return row.completed && completedAt && new Date(completedAt).getTime() < cutoff;
+    })
+    .map((row) => row.id);
+  const archivedAt = new Date().toISOString();
+  const { data: archived, error: archiveError } = await bulkUpdateTasks(userId, dueIds, { archivedAt, updatedAt: archivedAt });
+  return { data: archiveError ? null : archived.map((task) => task.id), error: archiveError };
+}
+
+/**
+ * findTaskIds - Returns which of the given ids still exist for the user
+ *
+ * @param {string} userId - Current user's id
+ * @param {string[]} ids - Task ids to look up
+ * @returns {Promise<{data: string[]|null, error: Object|null}>}
+ */
+export async function findTaskIds(userId, ids) {
+  const { data, error } = await dataAdapter.select("tasks", userId, { columns: "id", ids });
+  return { data: error ? null : (data ?? []).map((row) => row.id), error };
+}
+
+/**
+ * createTask - Inserts one task
+ *
+ * @param {string} userId - Current user's id
+ * @param {Partial<Task>} fields - Task fields (id optional)
+ * @returns {Promise<{data: Task|null, error: Object|null}>}
+ */
+export async function createTask(userId, fields) {
+  const { data, error } = await dataAdapter.insert("tasks", userId, [toTaskRow(fields)]);
+  if (error) {
+    return { data: null, error };
+  }
+  return { data: data?.[0] ? mapTaskRow(data[0]) : null, error: null };
+}
+
+/**
+ * createTasks - Inserts several tasks in one request
+ *
+ * @param {string} userId - Current user's id
+ * @param {Array<Partial<Task>>} fieldsList - Task fields per row
+ * @returns {Promise<{data: Task[]|null, error: Object|null}>}
+ */
+export async function createTasks(userId, fieldsList) {
+  if (!fieldsList.length) {
+    return { data: [], error: null };
+  }
+  const { data, error } = await dataAdapter.insert("tasks", userId, fieldsList.map(toTaskRow));
+  return { data: error ? null : (data ?? []).map(mapTaskRow), error };
+}
+
+/**
+ * updateTask - Updates one task
+ *
+ * @param {string} userId - Current user's id
+ * @param {string} taskId - Task to update
+ * @param {Partial<Task>} changes - Fields to change
+ * @param {Object} [options] - { unchangedSince } to skip rows edited later
+ * @returns {Promise<{data: Task|null, error: Object|null}>} data is null when no row matched
+ */
+export async function updateTask(userId, taskId, changes, options = {}) {
+  const { data, error } = await bulkUpdateTasks(userId, [taskId], changes, options);
+  return { data: data?.[0] ?? null, error };
+}
+
+/**
+ * bulkUpdateTasks - Applies the same changes to several tasks
+ *
+ * @param {string} userId - Current user's id
+ * @param {string[]} taskIds - Tasks to update
+ * @param {Partial<Task>} changes - Fields to change
+ * @param {Object} [options] - { unchangedSince } to skip rows edited later
+ * @returns {Promise<{data: Task[]|null, error: Object|null}>} Updated tasks
+ */
+export async function bulkUpdateTasks(userId, taskIds, changes, { unchangedSince } = {}) {
+  if (!taskIds.length) {
+    return { data: [], error: null };
+  }
+  const { data, error } = await dataAdapter.update("tasks", userId, {
+    ids: taskIds,
+    values: toTaskRow(changes),
+    unchangedSince,
+  });
+  return { data: error ? null : (data ?? []).map(mapTaskRow), error };
+}
+
+/**
+ * deleteTasks - Deletes one or more tasks
+ *
+ * @param {string} userId - Current user's id
+ * @param {string[]} taskIds - Tasks to delete
+ * @param {Object} [options] - { unchangedSince } to skip rows edited later
+ * @returns {Promise<{data: string[]|null, error: Object|null}>} Deleted ids
+ */
+export async function deleteTasks(userId, taskIds, { unchangedSince } = {}) {
+  if (!taskIds.length) {
+    return { data: [], error: null };
+  }
+  const { data, error } = await dataAdapter.remove("tasks", userId, { ids: taskIds, unchangedSince });
+  return { data: error ? null : (data ?? []).map((row) => row.id), error };
+}
+
+/**
+ * subscribeToTasks - Streams task changes made anywhere (other tabs/devices)
+ *
+ * @param {string} userId - Current user's id
+ * @param {Function} onChange - Receives { eventType, id, task }; task is null for DELETE
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToTasks(userId, onChange) {
+  return dataAdapter.subscribe("tasks", userId, (payload) => {
+    if (payload.eventType === "DELETE") {
+      if (payload.old?.id) {
+        onChange({ eventType: "DELETE", id: payload.old.id, task: null });
+      }
+      return;
+    }
+    if (payload.new?.id) {
+      onChange({ eventType: payload.eventType, id: payload.new.id, task: mapTaskRow(payload.new) });
+    }
+  });
+}
+
+function normalizeDueDateValue(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (!trimmed) {
+      return null;
+    }
+    const normalizedString = trimmed.includes("T") ? trimmed : trimmed.replace(" ", "T");
+    const date = new Date(normalizedString);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  return null;
+}
@@ -0,0 +1,149 @@
+/**
+ * taskCache.js - IndexedDB persistence for offline-first task data
+ *
+ * Two object stores:
+ * - "tasks":  one record per user ({ userId, tasks, savedAt }) holding the last
+ *             known task list, used to render instantly on startup and offline.
+ * - "outbox": mutations made while offline ({ seq, userId, mutation, queuedAt }),
+ *             keyed by an auto-incrementing seq so they replay in order.
+ *
+ * SECURITY: Every record is keyed or indexed by user_id and every read filters
+ * on it, so one account never sees another account's cached tasks or queue.
+ *
+ * All functions resolve to an empty result when IndexedDB is unavailable
+ * (private browsing, old browsers) so callers can treat the cache as optional.
+ * The exception is enqueueMutation, which rejects: a change that could not be
+ * queued must not be reported as saved offline.
+ */
+
+const DB_NAME = "taskflow-offline";
+const DB_VERSION = 1;
+const TASKS_STORE = "tasks";
+const OUTBOX_STORE = "outbox";
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.resolve(null);
+  }
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TASKS_STORE)) {
+          db.createObjectStore(TASKS_STORE, { keyPath: "userId" });
+        }
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          const outbox = db.createObjectStore(OUTBOX_STORE, { keyPath: "seq", autoIncrement: true });
+          outbox.createIndex("userId", "userId", { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error("[TaskFlow Offline] Failed to open cache:", request.error);
+        databasePromise = null;
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(storeName, mode, handler) {
+  const db = await openDatabase();
+  if (!db) {
+    return null;
+  }
+  const transaction = db.transaction(storeName, mode);
+  const result = await handler(transaction.objectStore(storeName));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  return result;
+}
+
+/**
+ * readCachedTasks - Returns the cached task list for a user, or null if none
+ *
+ * @param {string} userId - Owner of the cache entry
+ * @returns {Promise<Array|null>}
+ */
+export async function readCachedTasks(userId) {
+  if (!userId) return null;
+  try {
+    const record = await withStore(TASKS_STORE, "readonly", (store) => requestToPromise(store.get(userId)));
+    return Array.isArray(record?.tasks) ? record.tasks : null;
+  } catch (error) {
+    console.error("[TaskFlow Offline] Failed to read cached tasks:", error);
+    return null;
+  }
+}
+
+/**
+ * writeCachedTasks - Replaces the cached task list for a user
+ *
+ * @param {string} userId - Owner of the cache entry
+ * @param {Array} tasks - Normalized task objects
+ */
+export async function writeCachedTasks(userId, tasks) {
+  if (!userId || !Array.isArray(tasks)) return;
+  try {
+    await withStore(TASKS_STORE, "readwrite", (store) =>
+      requestToPromise(store.put({ userId, tasks, savedAt: new Date().toISOString() }))
+    );
+  } catch (error) {
+    console.error("[TaskFlow Offline] Failed to write cached tasks:", error);
+  }
+}
+
+/**
+ * enqueueMutation - Appends a mutation to the user's outbox
+ *
+ * @param {string} userId - Owner of the mutation
+ * @param {Object} mutation - Serializable mutation (see taskSync.js)
+ * @returns {Promise<number>} Outbox sequence number
+ * @throws {Error} When IndexedDB is unavailable or the write fails
+ */
+export async function enqueueMutation(userId, mutation) {
+  const seq = await withStore(OUTBOX_STORE, "readwrite", (store) =>
+    requestToPromise(store.add({ userId, mutation, queuedAt: new Date().toISOString() }))
+  );
+  if (seq === null) {
+    throw new Error("Offline storage is unavailable in this browser, so the change was not saved. Try again once you're online.");
+  }
+  return seq;
+}
+
+/**
+ * listQueuedMutations - Returns the user's outbox entries, oldest first
+ *
+ * @param {string} userId - Owner of the outbox
+ * @returns {Promise<Array>}
+ */
+export async function listQueuedMutations(userId) {
+  if (!userId) return [];
+  const entries = await withStore(OUTBOX_STORE, "readonly", (store) =>
+    requestToPromise(store.index("userId").getAll(userId))
+  );
+  return (entries ?? []).sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * removeQueuedMutation - Deletes one outbox entry after it has been replayed
+ *
+ * @param {number} seq - Outbox sequence number
+ */
+export async function removeQueuedMutation(seq) {
+  await withStore(OUTBOX_STORE, "readwrite", (store) => requestToPromise(store.delete(seq)));
+}
@@ -0,0 +1,258 @@
+/**
+ * taskSync.js - Offline-aware task mutations and outbox replay
+ *
+ * Every task write goes through runTaskMutation. Online, it runs through the
+ * task repository directly. Offline (or when the request fails at the network level)
+ * the mutation is appended to the IndexedDB outbox and reported as `queued`,
+ * so the caller keeps its optimistic UI instead of rolling back.
+ *
+ * When the connection returns, flushOutbox replays queued mutations in the
+ * order they were made. Each write stamps `updated_at`, and each queued
+ * mutation remembers the `updated_at` it was based on; a replay only applies
+ * if the row has not changed on the server since then. Rows edited elsewhere
+ * in the meantime are reported as conflicts and the server version wins.
+ * Inserts also stamp `created_at`, and `completed_at` when the task is
+ * created already done.
+ *
+ * Mutation shapes (all serializable, stored as-is in the outbox). Fields and
+ * changes are Task-shaped (see data/taskRepository.js):
+ * - { kind: "insert", fields }
+ * - { kind: "update", ids, changes, baseUpdatedAt }
+ * - { kind: "delete", ids, baseUpdatedAt }
+ *
+ * SECURITY: Every replayed write passes the user id of the account that
+ * queued it to the repository, which scopes the statement to that user.
+ */
+
+import { bulkUpdateTasks, createTask, deleteTasks, findTaskIds, mapTaskRow, toTaskRow } from "../data/taskRepository";
+import { enqueueMutation, listQueuedMutations, removeQueuedMutation } from "./taskCache";
+
+const listeners = new Set();
+const flushes = new Map();
+
+/**
+ * isOnline - Best-effort connectivity check (navigator.onLine)
+ *
+ * @returns {boolean}
+ */
+export function isOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+/**
+ * isNetworkError - True when a Supabase error means the request never arrived
+ *
+ * @param {Object|Error} error - Supabase error object or thrown error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (!error) return false;
+  const message = String(error.message ?? error);
+  return /failed to fetch|networkerror|network request failed|load failed|fetch failed/i.test(message);
+}
+
+/**
+ * subscribeToSync - Listens for outbox changes
+ *
+ * Listeners receive { userId, pending, replayed, conflicts, failed } after
+ * every enqueue and every flush.
+ *
+ * @param {Function} listener - Callback for sync events
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSync(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * runTaskMutation - Applies a task mutation now, or queues it while offline
+ *
+ * @param {string} userId - Current user's id
+ * @param {Object} mutation - See module doc for shapes
+ * @returns {Promise<Object>} { data, error, queued, updatedAt }
+ *   data is the inserted Task (insert), the updated Tasks (update) or the
+ *   deleted ids (delete). A queued insert returns the Task as it will be
+ *   written (with its client-generated id); other queued mutations return null.
+ */
+export async function runTaskMutation(userId, mutation) {
+  if (!userId) {
+    return { data: null, error: { message: "You must be signed in to change tasks." }, queued: false, updatedAt: null };
+  }
+  const updatedAt = new Date().toISOString();
+  const stamped = stampMutation(mutation, updatedAt);
+
+  if (isOnline()) {
+    // Earlier offline edits must land first, or replay would overwrite this one
+    const { remaining } = await flushOutbox(userId);
+    if (remaining === 0) {
+      try {
+        const result = await executeMutation(userId, stamped, { checkConflicts: false });
+        if (!isNetworkError(result.error)) {
+          return { data: result.data, error: result.error, queued: false, updatedAt };
+        }
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          return { data: null, error: { message: error.message ?? "Request failed" }, queued: false, updatedAt };
+        }
+      }
+    }
+  }
+
+  try {
+    await enqueueMutation(userId, stamped);
+  } catch (error) {
+    return { data: null, error: { message: error.message ?? "Could not save change offline" }, queued: false, updatedAt };
+  }
+  const pending = (await listQueuedMutations(userId)).length;
+  emit({ userId, pending, replayed: 0, conflicts: [], failed: [] });
+  const data = stamped.kind === "insert" ? mapTaskRow({ ...toTaskRow(stamped.fields), id: stamped.fields.id }) : null;
+  return { data, error: null, queued: true, updatedAt };
+}
+
+/**
+ * flushOutbox - Replays the user's queued mutations in order
+ *
+ * Stops at the first network failure (still offline) and leaves the rest
+ * queued. Conflicting or rejected mutations are dropped and reported.
+ * Concurrent calls for the same user share one replay.
+ *
+ * @param {string} userId - Current user's id
+ * @returns {Promise<Object>} { replayed, conflicts, failed, remaining }
+ */
+export function flushOutbox(userId) {
+  if (!userId) {
+    return Promise.resolve({ replayed: 0, conflicts: [], failed: [], remaining: 0 });
+  }
+  if (!flushes.has(userId)) {
+    const flush = replayOutbox(userId).finally(() => flushes.delete(userId));
+    flushes.set(userId, flush);
+  }
+  return flushes.get(userId);
+}
+
+async function replayOutbox(userId) {
+  const summary = { replayed: 0, conflicts: [], failed: [], remaining: 0 };
+  let entries;
+  try {
+    entries = await listQueuedMutations(userId);
+  } catch (error) {
+    console.error("[TaskFlow Offline] Failed to read outbox:", error);
+    return summary;
+  }
+  if (!entries.length) {
+    return summary;
+  }
+
+  for (let index = 0; index < entries.length; index += 1) {
+    const entry = entries[index];
+    if (!isOnline()) {
+      summary.remaining = entries.length - index;
+      break;
+    }
+    let result;
+    try {
+      result = await executeMutation(userId, entry.mutation, { checkConflicts: true });
+    } catch (error) {
+      result = { data: null, error, conflictIds: [] };
+    }
+    if (isNetworkError(result.error)) {
+      summary.remaining = entries.length - index;
+      break;
+    }
+    if (result.error) {
+      summary.failed.push({ mutation: entry.mutation, message: result.error.message ?? "Request failed" });
+    } else if (result.conflictIds.length) {
+      summary.conflicts.push({ mutation: entry.mutation, ids: result.conflictIds });
+    } else {
+      summary.replayed += 1;
+    }
+    try {
+      await removeQueuedMutation(entry.seq);
+    } catch (error) {
+      // Left queued; replaying it again is caught by the conflict check
+      console.error("[TaskFlow Offline] Failed to remove replayed change:", error);
+      summary.remaining = entries.length - index;
+      break;
+    }
+  }
+
+  emit({ userId, pending: summary.remaining, ...summary });
+  return summary;
+}
+
+function stampMutation(mutation, updatedAt) {
+  if (mutation.kind === "insert") {
+    return {
+      kind: "insert",
+      fields: {
+        ...mutation.fields,
+        id: mutation.fields.id ?? createTaskId(),
+        createdAt: mutation.fields.createdAt ?? updatedAt,
+        completedAt: mutation.fields.completed ? mutation.fields.completedAt ?? updatedAt : null,
+        updatedAt,
+      },
+    };
+  }
+  if (mutation.kind === "update") {
+    return {
+      kind: "update",
+      ids: mutation.ids,
+      changes: { ...mutation.changes, updatedAt },
+      baseUpdatedAt: mutation.baseUpdatedAt ?? null,
+    };
+  }
+  return { kind: "delete", ids: mutation.ids, baseUpdatedAt: mutation.baseUpdatedAt ?? null };
+}
+
+async function executeMutation(userId, mutation, { checkConflicts }) {
+  if (mutation.kind === "insert") {
+    const { data, error } = await createTask(userId, mutation.fields);
+    if (checkConflicts && error?.code === "23505") {
+      // Already inserted by an earlier, interrupted replay
+      return { data: null, error: null, conflictIds: [] };
+    }
+    return { data, error, conflictIds: [] };
+  }
+
+  const ids = mutation.ids ?? [];
+  const options = { unchangedSince: checkConflicts ? mutation.baseUpdatedAt : null };
+  const { data, error } = mutation.kind === "update"
+    ? await bulkUpdateTasks(userId, ids, mutation.changes, options)
+    : await deleteTasks(userId, ids, options);
+  if (error || !checkConflicts) {
+    return { data, error, conflictIds: [] };
+  }
+
+  const appliedIds = new Set((data ?? []).map((entry) => entry.id ?? entry));
+  const skippedIds = ids.filter((id) => !appliedIds.has(id));
+  if (!skippedIds.length) {
+    return { data, error: null, conflictIds: [] };
+  }
+  // Skipped rows that still exist were changed on the server after this edit
+  const { data: remainingIds, error: lookupError } = await findTaskIds(userId, skippedIds);
+  if (lookupError) {
+    return { data, error: lookupError, conflictIds: [] };
+  }
+  return { data, error: null, conflictIds: remainingIds ?? [] };
+}
+
+function emit(event) {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error("[TaskFlow Offline] Sync listener failed:", error);
+    }
+  });
+}
+
+function createTaskId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (char) => {
+    const random = Math.floor(Math.random() * 16);
+    return (char === "x" ? random : (random % 4) + 8).toString(16);
+  });
+}
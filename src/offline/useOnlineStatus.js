@@ -0,0 +1,31 @@
+/**
+ * useOnlineStatus.js - Connectivity Hook
+ *
+ * Tracks navigator.onLine through the window "online"/"offline" events.
+ *
+ * Usage in a component:
+ * ```
+ * const isOnline = useOnlineStatus();
+ * ```
+ */
+
+import { useSyncExternalStore } from "react";
+import { isOnline } from "./taskSync";
+
+function subscribe(callback) {
+  window.addEventListener("online", callback);
+  window.addEventListener("offline", callback);
+  return () => {
+    window.removeEventListener("online", callback);
+    window.removeEventListener("offline", callback);
+  };
+}
+
+/**
+ * useOnlineStatus - Hook returning whether the browser reports a connection
+ *
+ * @returns {boolean} True while online
+ */
+export function useOnlineStatus() {
+  return useSyncExternalStore(subscribe, isOnline, () => true);
+}
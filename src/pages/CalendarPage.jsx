@@ -1,8 +1,33 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
 import Calendar from "../components/Calendar";
+import CalendarFeedPanel from "../components/CalendarFeedPanel";
+import ImportWizard from "../components/ImportWizard";
+import ProjectFilter from "../components/ProjectFilter";
+import { runTaskMutation } from "../offline/taskSync";
+import { validateNewTaskDue } from "../utils/newTask";
+import { ALL_PROJECTS, INBOX_PROJECT, filterTasksByProject } from "../utils/projects";
+import { getSubtaskChanges } from "../utils/subtasks";
+import {
+	UNDO_WINDOW_MS,
+	applyHistorySteps,
+	createHistoryEntry,
+	getHistorySteps,
+	planHistoryMutations,
+} from "../utils/taskHistory";
+import { getCapacity } from "../utils/workload";
 
-function CalendarPage({ tasks = [] }) {
+const ICS_IMPORT_SOURCES = ["ics"];
+
+function CalendarPage({ user, tasks = [], tags = [], projects = [], onTasksChange }) {
 	const [updateKey, setUpdateKey] = useState(0);
+	const [projectFilter, setProjectFilter] = useState(ALL_PROJECTS);
+	const visibleTasks = useMemo(() => filterTasksByProject(tasks, projectFilter), [tasks, projectFilter]);
+	const [mutationError, setMutationError] = useState("");
+	// Latest checklist edit, undoable for UNDO_WINDOW_MS like the task list's toasts
+	const [undoEntry, setUndoEntry] = useState(null);
+	const [importOpen, setImportOpen] = useState(false);
+	// Set on the Stats page; read once so the month grid can flag overloaded days
+	const [capacity] = useState(() => getCapacity(user?.id));
 
 	// Force re-render when tasks update to ensure calendar reflects latest data
 	useEffect(() => {
@@ -20,11 +45,216 @@ function CalendarPage({ tasks = [] }) {
 		return entries;
 	}, [tasks, updateKey]);
 
+	useEffect(() => {
+		if (!undoEntry) return undefined;
+		const timer = window.setTimeout(() => setUndoEntry(null), UNDO_WINDOW_MS);
+		return () => window.clearTimeout(timer);
+	}, [undoEntry]);
+
+	/**
+	 * handleSubtasksChange - Persists checklist edits made from the Day view
+	 *
+	 * Applies the change optimistically through onTasksChange so the Dashboard
+	 * and Stats stay in sync, then rolls back if Supabase rejects the update.
+	 * Writes the same fields as the task list's checklist (getSubtaskChanges),
+	 * so the first subtask checked here starts the cycle-time clock too.
+	 */
+	const handleSubtasksChange = useCallback(async (taskId, nextSubtasks) => {
+		if (!user?.id || typeof onTasksChange !== "function") {
+			return;
+		}
+		const targetTask = tasks.find((task) => task.id === taskId);
+		if (!targetTask) {
+			setMutationError("Task not found.");
+			return;
+		}
+		const { changes, previousFields } = getSubtaskChanges(targetTask, nextSubtasks);
+		const applyFields = (fields) => {
+			onTasksChange((prev) => prev.map((task) => (task.id === taskId ? { ...task, ...fields } : task)));
+		};
+		applyFields(changes);
+		setMutationError("");
+		try {
+			// SECURITY: Scope the update to the current user's row
+			const { error, updatedAt } = await runTaskMutation(user.id, {
+				kind: "update",
+				ids: [taskId],
+				changes,
+				baseUpdatedAt: targetTask.updatedAt,
+			});
+			if (error) {
+				applyFields(previousFields);
+				setMutationError(error.message);
+			} else {
+				onTasksChange((prev) => prev.map((task) => (task.id === taskId ? { ...task, updatedAt } : task)));
+				setUndoEntry(createHistoryEntry("Checklist updated", [
+					{ before: targetTask, after: { ...targetTask, ...changes } },
+				]));
+			}
+		} catch (error) {
+			applyFields(previousFields);
+			setMutationError(error.message ?? "Failed to update subtasks");
+		}
+	}, [user, tasks, onTasksChange]);
+
+	/**
+	 * undoChecklistEdit - Reverts the latest Day view checklist edit
+	 *
+	 * Same steps as the task list's undo (taskHistory.js); a failed write
+	 * re-applies the edit.
+	 */
+	const undoChecklistEdit = useCallback(async () => {
+		if (!undoEntry || !user?.id || typeof onTasksChange !== "function") {
+			return;
+		}
+		const steps = getHistorySteps(undoEntry, "undo");
+		setUndoEntry(null);
+		onTasksChange((prev) => applyHistorySteps(prev, steps));
+		setMutationError("");
+		try {
+			for (const mutation of planHistoryMutations(steps, tasks)) {
+				// SECURITY: The repository scopes every history write to the current user's rows
+				const { error } = await runTaskMutation(user.id, mutation);
+				if (error) {
+					throw new Error(error.message);
+				}
+			}
+		} catch (error) {
+			onTasksChange((prev) => applyHistorySteps(prev, getHistorySteps(undoEntry, "redo")));
+			setMutationError(error.message ?? "Failed to undo");
+		}
+	}, [undoEntry, user, tasks, onTasksChange]);
+
+	/**
+	 * handleReschedule - Persists a due date changed by drag-and-drop
+	 *
+	 * Same optimistic pattern as handleSubtasksChange: the task moves at once
+	 * and moves back if the save fails. The new instant is checked with the
+	 * task composer's rule, so a move to a time that has already passed today
+	 * is rejected along with moves to past days.
+	 */
+	const handleReschedule = useCallback(async (task, nextDueDate) => {
+		if (!user?.id || typeof onTasksChange !== "function") {
+			return;
+		}
+		const dueError = validateNewTaskDue(nextDueDate);
+		if (dueError) {
+			setMutationError(dueError.message);
+			return;
+		}
+		const previousDueDate = task.dueDate;
+		const applyDueDate = (value) => {
+			onTasksChange((prev) => prev.map((item) => (item.id === task.id ? { ...item, dueDate: value } : item)));
+		};
+		applyDueDate(nextDueDate);
+		setMutationError("");
+		try {
+			// SECURITY: Scope the update to the current user's row
+			const { error, updatedAt } = await runTaskMutation(user.id, {
+				kind: "update",
+				ids: [task.id],
+				changes: { dueDate: nextDueDate },
+				baseUpdatedAt: task.updatedAt,
+			});
+			if (error) {
+				applyDueDate(previousDueDate);
+				setMutationError(error.message);
+			} else {
+				onTasksChange((prev) => prev.map((item) => (item.id === task.id ? { ...item, updatedAt } : item)));
+			}
+		} catch (error) {
+			applyDueDate(previousDueDate);
+			setMutationError(error.message ?? "Failed to move task");
+		}
+	}, [user, onTasksChange]);
+
+	/**
+	 * handleCreateTask - Inserts a task from the calendar quick-create popover
+	 *
+	 * Goes through runTaskMutation's insert like the task composer, so it is
+	 * queued while offline. Tasks land in the project the page is filtered to.
+	 */
+	const handleCreateTask = useCallback(async (fields) => {
+		if (!user?.id || typeof onTasksChange !== "function") {
+			return { error: { message: "You must be signed in to add tasks." } };
+		}
+		const filteredProjectId = projectFilter !== ALL_PROJECTS && projectFilter !== INBOX_PROJECT ? projectFilter : null;
+		setMutationError("");
+		try {
+			// SECURITY: Always bind the task to the currently authenticated user
+			const { data, error } = await runTaskMutation(user.id, {
+				kind: "insert",
+				fields: { ...fields, projectId: fields.projectId ?? filteredProjectId },
+			});
+			if (!error && data) {
+				onTasksChange((prev) => [...prev, data]);
+			}
+			return { error };
+		} catch (error) {
+			return { error: { message: error.message ?? "Failed to add task" } };
+		}
+	}, [user, onTasksChange, projectFilter]);
+
+	const closeImportWizard = useCallback(() => setImportOpen(false), []);
+
+	// Realtime may deliver the same inserts first, so merge by id
+	const handleTasksImported = useCallback((importedTasks) => {
+		const importedIds = new Set(importedTasks.map((task) => task.id));
+		onTasksChange((prev) => [...prev.filter((task) => !importedIds.has(task.id)), ...importedTasks]);
+	}, [onTasksChange]);
+
 	return (
 		<div className="page-container" aria-label="Calendar">
 			<section className="page-grid" aria-label="Calendar layout">
 				<article className="glow-card" style={{ gridColumn: "1 / -1" }}>
-					<Calendar tasks={tasks} localTimes={localTimes} />
+					<div className="calendar-page-toolbar">
+						<ProjectFilter
+							id="calendar-project-filter"
+							projects={projects}
+							value={projectFilter}
+							onChange={setProjectFilter}
+							className="calendar-project-filter"
+						/>
+						{user && typeof onTasksChange === "function" && (
+							<button type="button" className="ghost-btn calendar-import-btn" onClick={() => setImportOpen(true)}>
+								Import .ics
+							</button>
+						)}
+					</div>
+					{undoEntry && (
+						<div className="tasks-sync" role="status">
+							<span>{undoEntry.label}</span>
+							<button type="button" className="tasks-sync__retry" onClick={undoChecklistEdit}>
+								Undo
+							</button>
+						</div>
+					)}
+					{mutationError && (
+						<div className="tasks-sync tasks-sync--error" role="alert">
+							<span>{mutationError}</span>
+						</div>
+					)}
+					<Calendar
+						tasks={visibleTasks}
+						tags={tags}
+						localTimes={localTimes}
+						onSubtasksChange={user ? handleSubtasksChange : undefined}
+						onReschedule={user ? handleReschedule : undefined}
+						onCreateTask={user ? handleCreateTask : undefined}
+						capacity={capacity}
+					/>
+					<CalendarFeedPanel user={user} />
+					{importOpen && (
+						<ImportWizard
+							user={user}
+							existingTasks={tasks}
+							tags={tags}
+							projects={projects}
+							sources={ICS_IMPORT_SOURCES}
+							onImported={handleTasksImported}
+							onClose={closeImportWizard}
+						/>
+					)}
 				</article>
 			</section>
 		</div>
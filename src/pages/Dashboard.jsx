@@ -1,7 +1,21 @@
-import React, { useEffect } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import TasksFixed from "../components/TasksFixed";
+import { buildWorkloadForecast, formatEstimate, getCapacity } from "../utils/workload";
 
-function Dashboard({ user, tasks, onTasksChange, tasksLoading = false, tasksError = "", onRefreshTasks }) {
+const OVERLOAD_WARNING_DAYS = 7;
+
+function Dashboard({
+  user,
+  tasks,
+  onTasksChange,
+  tags = [],
+  onTagsChange,
+  projects = [],
+  tasksLoading = false,
+  tasksError = "",
+  onRefreshTasks,
+}) {
   const getFirstName = () => {
     const meta = user?.user_metadata ?? {};
     if (meta.first_name) {
@@ -20,6 +34,12 @@ function Dashboard({ user, tasks, onTasksChange, tasksLoading = false, tasksErro
   };
 
   const displayName = getFirstName();
+  // Capacity is set on the Stats page; the warning looks one week ahead
+  const [capacity] = useState(() => getCapacity(user?.id));
+  const forecast = useMemo(
+    () => buildWorkloadForecast(tasks, { days: OVERLOAD_WARNING_DAYS, capacity }),
+    [tasks, capacity]
+  );
 
   // Track when tasks update and update sync state
   useEffect(() => {
@@ -52,12 +72,41 @@ function Dashboard({ user, tasks, onTasksChange, tasksLoading = false, tasksErro
         </p>
       </div>
 
+      {forecast.overloaded.length > 0 && (
+        <div className="dashboard-overload" role="status">
+          <div>
+            <strong>
+              {forecast.overloaded.length === 1 ? "1 day" : `${forecast.overloaded.length} days`} in the next{" "}
+              {OVERLOAD_WARNING_DAYS} days {forecast.overloaded.length === 1 ? "is" : "are"} over capacity
+            </strong>
+            <p className="muted">
+              You've planned for {formatEstimate(capacity.dailyMinutes)} a day. Move or trim tasks to fit.
+            </p>
+          </div>
+          <ul className="dashboard-overload__days">
+            {forecast.overloaded.map((day) => (
+              <li key={day.key}>
+                {day.date.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" })}
+                {" · "}
+                {formatEstimate(day.minutes)} in {day.count} {day.count === 1 ? "task" : "tasks"}
+              </li>
+            ))}
+          </ul>
+          <Link to="/stats" className="ghost-btn">
+            See forecast
+          </Link>
+        </div>
+      )}
+
       <div className="dashboard-panels">
         <div className="panel-card panel-card--tasks">
           <TasksFixed
             user={user}
             tasks={tasks}
             onTasksChange={onTasksChange}
+            tags={tags}
+            onTagsChange={onTagsChange}
+            projects={projects}
             isFetchingTasks={tasksLoading}
             fetchError={tasksError}
             onRefreshTasks={onRefreshTasks}
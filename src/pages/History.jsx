@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from "react";
+import { ARCHIVE_PAGE_SIZE, listArchivedTasks } from "../data/taskRepository";
+import { runTaskMutation } from "../offline/taskSync";
+import { useOnlineStatus } from "../offline/useOnlineStatus";
+import { findProject } from "../utils/projects";
+import { AUTO_ARCHIVE_OPTIONS, getAutoArchiveDays, setAutoArchiveDays } from "../utils/archive";
+
+/**
+ * History - Archived tasks, loaded a page at a time (/history)
+ *
+ * The archive is not part of the app's task list, so nothing here is
+ * fetched until the page is opened and each "Load more" asks for the next
+ * ARCHIVE_PAGE_SIZE rows, starting after the ones already shown. Unarchiving
+ * hands the task back to the list through onTasksChange.
+ */
+function History({ user, projects = [], onTasksChange }) {
+  const online = useOnlineStatus();
+  const [autoArchiveDays, setAutoArchiveDaysState] = useState(() => getAutoArchiveDays(user?.id));
+  const [archivedTasks, setArchivedTasks] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!user?.id || !online) {
+      return undefined;
+    }
+    let cancelled = false;
+    // SECURITY: The repository scopes the query to the current user's rows
+    listArchivedTasks(user.id).then(({ data, error: loadError, hasMore: more }) => {
+      if (cancelled) return;
+      setArchivedTasks(data ?? []);
+      setHasMore(more);
+      setError(loadError ? loadError.message : "");
+      setIsLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user, online]);
+
+  const loadMore = async () => {
+    setIsLoading(true);
+    setError("");
+    // Unarchived rows have left both the list and the archive, so the list's
+    // length is where the next page starts
+    const { data, error: loadError, hasMore: more } = await listArchivedTasks(user.id, { offset: archivedTasks.length });
+    if (loadError) {
+      setError(loadError.message);
+    } else {
+      // Tasks archived since the page opened push older rows down; skip repeats
+      setArchivedTasks((prev) => [...prev, ...data.filter((task) => !prev.some((item) => item.id === task.id))]);
+      setHasMore(more);
+    }
+    setIsLoading(false);
+  };
+
+  const changeAutoArchive = (days) => {
+    setAutoArchiveDays(user.id, days);
+    setAutoArchiveDaysState(days);
+  };
+
+  const unarchiveTask = async (target) => {
+    setIsSaving(true);
+    setError("");
+    const { error: saveError, updatedAt } = await runTaskMutation(user.id, {
+      kind: "update",
+      ids: [target.id],
+      changes: { archivedAt: null },
+      baseUpdatedAt: target.updatedAt,
+    });
+    if (saveError) {
+      setError(saveError.message);
+    } else {
+      setArchivedTasks((prev) => prev.filter((task) => task.id !== target.id));
+      onTasksChange?.((prev) => [
+        ...prev.filter((task) => task.id !== target.id),
+        { ...target, archivedAt: null, updatedAt },
+      ]);
+    }
+    setIsSaving(false);
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <section className="page-container history-page">
+      <div className="glass-panel history-page__panel" aria-labelledby="history-heading">
+        <div className="history-page__header">
+          <div>
+            <p className="eyebrow-label">Archive</p>
+            <h1 id="history-heading">History</h1>
+            <p className="muted">
+              Archived tasks are kept out of your lists, Calendar and Stats. Stats can still include them for past
+              ranges.
+            </p>
+          </div>
+          <label className="history-page__setting">
+            <span>Archive completed tasks after</span>
+            <select
+              className="input-field select-field"
+              value={autoArchiveDays}
+              onChange={(event) => changeAutoArchive(Number(event.target.value))}
+            >
+              {AUTO_ARCHIVE_OPTIONS.map((days) => (
+                <option key={days} value={days}>
+                  {days ? `${days} days` : "Never"}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {!online ? (
+          <p className="muted">You're offline. History is available again once you reconnect.</p>
+        ) : archivedTasks.length === 0 ? (
+          <p className="muted">{isLoading ? "Loading…" : "No archived tasks yet."}</p>
+        ) : (
+          <>
+            <ul className="history-list">
+              {archivedTasks.map((task) => {
+                const project = findProject(projects, task.projectId);
+                return (
+                  <li key={task.id} className="history-list__item">
+                    <div className="history-list__body">
+                      <strong className="history-list__title">{task.title || "Untitled task"}</strong>
+                      <span className="history-list__meta">
+                        {project ? `${project.name} · ` : ""}
+                        {task.dueDate ? `Due ${formatDate(task.dueDate)} · ` : ""}
+                        {task.completedAt ? `Completed ${formatDate(task.completedAt)} · ` : ""}
+                        Archived {formatDate(task.archivedAt)}
+                      </span>
+                    </div>
+                    <button type="button" className="ghost-btn" onClick={() => unarchiveTask(task)} disabled={isSaving}>
+                      Unarchive
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+            {hasMore && (
+              <button type="button" className="ghost-btn history-page__more" onClick={loadMore} disabled={isLoading}>
+                {isLoading ? "Loading…" : `Load ${ARCHIVE_PAGE_SIZE} more`}
+              </button>
+            )}
+          </>
+        )}
+        {error && <p className="form-error" role="alert">{error}</p>}
+      </div>
+    </section>
+  );
+}
+
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+}
+
+export default History;
@@ -0,0 +1,190 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import TasksFixed from "../components/TasksFixed";
+import { PROJECT_COLORS, findProject, isTaskInProject } from "../utils/projects";
+
+/**
+ * ProjectPage - TasksFixed scoped to a single project (/projects/:projectId)
+ *
+ * TasksFixed reports its whole (scoped) list through onTasksChange, so the
+ * scoped list is merged back into the full task array here instead of
+ * replacing it - otherwise every other project's tasks would be dropped.
+ * While projects are still loading an unknown id is shown as loading rather
+ * than "not found".
+ */
+function ProjectPage({
+  user,
+  tasks = [],
+  onTasksChange,
+  tags = [],
+  onTagsChange,
+  projects = [],
+  projectsLoading = false,
+  onUpdateProject,
+  tasksLoading = false,
+  tasksError = "",
+  onRefreshTasks,
+}) {
+  const { projectId } = useParams();
+  const project = findProject(projects, projectId);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftName, setDraftName] = useState("");
+  const [draftColor, setDraftColor] = useState(PROJECT_COLORS[0]);
+  const [projectError, setProjectError] = useState("");
+
+  const projectTasks = useMemo(
+    () => tasks.filter((task) => isTaskInProject(task, projectId)),
+    [tasks, projectId]
+  );
+
+  const handleScopedTasksChange = useCallback((nextValue) => {
+    if (typeof onTasksChange !== "function") {
+      return;
+    }
+    onTasksChange((prev) => {
+      const scoped = prev.filter((task) => isTaskInProject(task, projectId));
+      const resolved = typeof nextValue === "function" ? nextValue(scoped) : nextValue;
+      if (!Array.isArray(resolved)) {
+        return prev;
+      }
+      const resolvedIds = new Set(resolved.map((task) => task.id));
+      const untouched = prev.filter((task) => !isTaskInProject(task, projectId) && !resolvedIds.has(task.id));
+      return [...untouched, ...resolved];
+    });
+  }, [onTasksChange, projectId]);
+
+  if (!project && projectsLoading) {
+    return (
+      <section className="dashboard">
+        <div className="dashboard-hero glass-panel" aria-busy="true">
+          <h1 className="dashboard-title">Loading project…</h1>
+        </div>
+      </section>
+    );
+  }
+
+  if (!project) {
+    return (
+      <section className="dashboard">
+        <div className="dashboard-hero glass-panel">
+          <h1 className="dashboard-title">Project not found</h1>
+          <p className="dashboard-subtitle">
+            This project may have been removed. <Link to="/">Back to all tasks</Link>
+          </p>
+        </div>
+      </section>
+    );
+  }
+
+  const startEditing = () => {
+    setDraftName(project.name);
+    setDraftColor(project.color);
+    setProjectError("");
+    setIsEditing(true);
+  };
+
+  const saveProject = async (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (!name) {
+      setProjectError("Project name is required.");
+      return;
+    }
+    const error = await onUpdateProject(project.id, { name, color: draftColor });
+    if (error) {
+      setProjectError(error);
+      return;
+    }
+    setIsEditing(false);
+  };
+
+  const toggleArchived = async () => {
+    setProjectError("");
+    const error = await onUpdateProject(project.id, { archived: !project.archived });
+    if (error) {
+      setProjectError(error);
+    }
+  };
+
+  return (
+    <section className="dashboard">
+      <div className="dashboard-hero glass-panel project-hero">
+        {isEditing ? (
+          <form className="project-hero__form" onSubmit={saveProject}>
+            <label className="form-label" htmlFor="project-name">Project name</label>
+            <input
+              id="project-name"
+              className="input-field"
+              value={draftName}
+              onChange={(event) => setDraftName(event.target.value)}
+              autoFocus
+            />
+            <div className="tag-picker__colors" role="radiogroup" aria-label="Project color">
+              {PROJECT_COLORS.map((color) => (
+                <button
+                  key={color}
+                  type="button"
+                  role="radio"
+                  aria-checked={color === draftColor}
+                  aria-label={`Color ${color}`}
+                  className={`tag-picker__swatch${color === draftColor ? " is-active" : ""}`}
+                  style={{ backgroundColor: color }}
+                  onClick={() => setDraftColor(color)}
+                />
+              ))}
+            </div>
+            <div className="composer-actions">
+              <button type="button" className="ghost-btn" onClick={() => setIsEditing(false)}>
+                Cancel
+              </button>
+              <button type="submit" className="primary-btn">
+                Save project
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <p className="eyebrow-label">{project.archived ? "Archived project" : "Project"}</p>
+            <h1 className="dashboard-title">
+              <span className="project-dot project-dot--large" style={{ backgroundColor: project.color }} aria-hidden="true" />
+              {project.name}
+            </h1>
+            <p className="dashboard-subtitle">
+              {projectTasks.length} {projectTasks.length === 1 ? "task" : "tasks"} in this workspace.
+            </p>
+            <div className="project-hero__actions">
+              <button type="button" className="ghost-btn" onClick={startEditing}>
+                Edit project
+              </button>
+              <button type="button" className="ghost-btn" onClick={toggleArchived}>
+                {project.archived ? "Restore project" : "Archive project"}
+              </button>
+            </div>
+          </>
+        )}
+        {projectError && <p className="form-error">{projectError}</p>}
+      </div>
+
+      <div className="dashboard-panels">
+        <div className="panel-card panel-card--tasks">
+          <TasksFixed
+            key={project.id}
+            user={user}
+            tasks={projectTasks}
+            onTasksChange={handleScopedTasksChange}
+            tags={tags}
+            onTagsChange={onTagsChange}
+            projects={projects}
+            projectId={project.id}
+            listTitle={project.name}
+            isFetchingTasks={tasksLoading}
+            fetchError={tasksError}
+            onRefreshTasks={onRefreshTasks}
+          />
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default ProjectPage;
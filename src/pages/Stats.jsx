@@ -1,16 +1,74 @@
 import React, { useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import {
   RANGE_OPTIONS,
+  ROLLING_DAY_OPTIONS,
+  buildCompletionHeatmap,
+  buildCompletionSeries,
+  buildTrendSeries,
+  buildWeekHourMatrix,
+  computeFlowMetrics,
   computePriorityBreakdown,
+  computeStreaks,
   computeSummaryMetrics,
   filterTasksByWindow,
+  formatDuration,
+  formatHourSlot,
   formatRangeDisplay,
-  getRangeWindow,
+  formatWeekday,
+  getSelectionWindow,
+  parseRangeParams,
   shiftWindow,
+  toDateParam,
+  toRangeParams,
 } from "../utils/stats";
+import { ALL_PROJECTS, filterTasksByProject } from "../utils/projects";
+import { listArchivedTasksCompletedBetween, listArchivedTasksDueBetween } from "../data/taskRepository";
+import ProjectFilter from "../components/ProjectFilter";
+import TrendChart from "../components/TrendChart";
+import CompletionHeatmap from "../components/CompletionHeatmap";
+import WeekHourHeatmap from "../components/WeekHourHeatmap";
+import WorkloadForecast from "../components/WorkloadForecast";
+import { GOAL_PERIODS, MAX_GOAL_TARGET, getCompletionGoal, normalizeGoal, setCompletionGoal } from "../utils/goals";
+import { WEEK_START_OPTIONS, getWeekStart, setWeekStart } from "../utils/weekStart";
+import {
+  CAPACITY_HOUR_OPTIONS,
+  DEFAULT_ESTIMATE_OPTIONS,
+  DEFAULT_FORECAST_DAYS,
+  FORECAST_DAY_OPTIONS,
+  buildWorkloadForecast,
+  formatEstimate,
+  getCapacity,
+  normalizeCapacity,
+  setCapacity,
+} from "../utils/workload";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEATMAP_DAYS = 53 * 7;
 
-function Stats({ tasks = [] }) {
-  const [selectedRange, setSelectedRange] = useState("daily");
+function Stats({ user, tasks: listedTasks = [], projects = [] }) {
+  // The range lives in the query string so an analytics view can be bookmarked
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selection = useMemo(() => parseRangeParams(searchParams), [searchParams]);
+  const selectedRange = selection.range;
+  const [projectFilter, setProjectFilter] = useState(ALL_PROJECTS);
+  // Archived tasks are loaded only for the shown ranges, and only when asked for
+  const [includeArchived, setIncludeArchived] = useState(false);
+  const [archivedTasks, setArchivedTasks] = useState([]);
+  const allTasks = useMemo(
+    () => (includeArchived ? [...listedTasks, ...archivedTasks] : listedTasks),
+    [listedTasks, archivedTasks, includeArchived]
+  );
+  const tasks = useMemo(() => filterTasksByProject(allTasks, projectFilter), [allTasks, projectFilter]);
+  const [rollUpSubtasks, setRollUpSubtasks] = useState(false);
+  const [goal, setGoal] = useState(() => getCompletionGoal(user?.id));
+  const [goalTargetDraft, setGoalTargetDraft] = useState(() => String(getCompletionGoal(user?.id).target));
+  const [weekStart, setWeekStartState] = useState(() => getWeekStart(user?.id));
+  const [rhythmMode, setRhythmMode] = useState("completed");
+  const [capacity, setCapacityState] = useState(() => getCapacity(user?.id));
+  const [forecastDays, setForecastDays] = useState(DEFAULT_FORECAST_DAYS);
+  // Streaks span the whole past year, so they need the archived completions too
+  const [archivedCompletions, setArchivedCompletions] = useState([]);
   const [updateKey, setUpdateKey] = useState(0);
 
   // Force re-render when tasks update to ensure stats reflect latest data
@@ -21,8 +79,97 @@ function Stats({ tasks = [] }) {
     setUpdateKey((prev) => prev + 1);
   }, [tasks]);
 
-  const activeWindow = useMemo(() => getRangeWindow(selectedRange), [selectedRange, updateKey]);
+  const activeWindow = useMemo(() => getSelectionWindow(selection), [selection, updateKey]);
   const previousWindow = useMemo(() => shiftWindow(activeWindow, -1), [activeWindow, updateKey]);
+  const archiveRangeStart = previousWindow?.start.getTime();
+  const archiveRangeEnd = activeWindow?.end.getTime();
+
+  useEffect(() => {
+    if (!includeArchived || !user?.id || !archiveRangeStart || !archiveRangeEnd) {
+      return undefined;
+    }
+    let cancelled = false;
+    const start = new Date(archiveRangeStart);
+    const end = new Date(archiveRangeEnd);
+    // SECURITY: The repository scopes both queries to the current user's rows
+    // Due-date stats need the tasks due in range, flow metrics the ones finished in it
+    Promise.all([
+      listArchivedTasksDueBetween(user.id, start, end),
+      listArchivedTasksCompletedBetween(user.id, start, end),
+    ]).then((results) => {
+      if (cancelled) return;
+      const loaded = new Map();
+      results.forEach(({ data, error }) => {
+        if (error) {
+          console.error("[Stats] Failed to load archived tasks:", error.message);
+        }
+        (data ?? []).forEach((task) => loaded.set(task.id, task));
+      });
+      setArchivedTasks([...loaded.values()]);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [includeArchived, user, archiveRangeStart, archiveRangeEnd]);
+
+  useEffect(() => {
+    if (!user?.id) {
+      return undefined;
+    }
+    let cancelled = false;
+    const end = new Date(Date.now() + DAY_MS);
+    const start = new Date(end.getTime() - HEATMAP_DAYS * DAY_MS);
+    // SECURITY: The repository scopes the query to the current user's rows
+    listArchivedTasksCompletedBetween(user.id, start, end).then(({ data, error }) => {
+      if (cancelled) return;
+      if (error) {
+        console.error("[Stats] Failed to load archived completions:", error.message);
+      }
+      setArchivedCompletions(data ?? []);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  // Goals are personal rather than per project, so streaks ignore the project filter
+  const streakTasks = useMemo(() => {
+    const byId = new Map(archivedCompletions.map((task) => [task.id, task]));
+    listedTasks.forEach((task) => byId.set(task.id, task));
+    return [...byId.values()];
+  }, [listedTasks, archivedCompletions]);
+  const heatmap = useMemo(() => buildCompletionHeatmap(streakTasks, { weekStart }), [streakTasks, weekStart]);
+  const streaks = useMemo(
+    () => computeStreaks(streakTasks, { ...goal, weekStart, since: heatmap.start }),
+    [streakTasks, goal, weekStart, heatmap.start]
+  );
+  const goalUnit = GOAL_PERIODS.find((period) => period.id === goal.period)?.unit ?? "day";
+
+  const updateGoal = (changes) => {
+    const next = normalizeGoal({ ...goal, ...changes });
+    if (next) {
+      setCompletionGoal(user?.id, next);
+      setGoal(next);
+    }
+  };
+
+  const changeWeekStart = (day) => {
+    setWeekStart(user?.id, day);
+    setWeekStartState(day);
+  };
+
+  const changeCapacity = (changes) => {
+    const next = normalizeCapacity({ ...capacity, ...changes });
+    if (next) {
+      setCapacity(user?.id, next);
+      setCapacityState(next);
+    }
+  };
+
+  const changeGoalTarget = (value) => {
+    setGoalTargetDraft(value);
+    updateGoal({ target: Number(value) });
+  };
 
   const currentTasks = useMemo(
     () => filterTasksByWindow(tasks, activeWindow),
@@ -33,8 +180,43 @@ function Stats({ tasks = [] }) {
     [tasks, previousWindow, updateKey]
   );
 
-  const summary = useMemo(() => computeSummaryMetrics(currentTasks), [currentTasks, updateKey]);
-  const previousSummary = useMemo(() => computeSummaryMetrics(previousTasks), [previousTasks, updateKey]);
+  const subtaskMode = rollUpSubtasks ? "rollup" : "separate";
+  const summary = useMemo(
+    () => computeSummaryMetrics(currentTasks, undefined, { subtasks: subtaskMode }),
+    [currentTasks, subtaskMode]
+  );
+  const previousSummary = useMemo(
+    () => computeSummaryMetrics(previousTasks, undefined, { subtasks: subtaskMode }),
+    [previousTasks, subtaskMode]
+  );
+  const subtaskSummary = useMemo(
+    () => computeSummaryMetrics(currentTasks, undefined, { subtasks: "separate" }).subtasks,
+    [currentTasks]
+  );
+  const trendSeries = useMemo(() => buildTrendSeries(currentTasks, activeWindow), [currentTasks, activeWindow]);
+  const previousTrendSeries = useMemo(
+    () => buildTrendSeries(previousTasks, previousWindow),
+    [previousTasks, previousWindow]
+  );
+  // Flow metrics go by when work was finished, so they use every task, not just those due in range
+  const flow = useMemo(() => computeFlowMetrics(tasks, activeWindow), [tasks, activeWindow]);
+  const previousFlow = useMemo(() => computeFlowMetrics(tasks, previousWindow), [tasks, previousWindow]);
+  const completionSeries = useMemo(() => buildCompletionSeries(tasks, activeWindow), [tasks, activeWindow]);
+  const busiestBucket = Math.max(...completionSeries.buckets.map((bucket) => bucket.completed), 1);
+  const completionMatrix = useMemo(
+    () => buildWeekHourMatrix(tasks, activeWindow, { mode: "completed", weekStart }),
+    [tasks, activeWindow, weekStart]
+  );
+  const deadlineMatrix = useMemo(
+    () => buildWeekHourMatrix(tasks, activeWindow, { mode: "due", weekStart }),
+    [tasks, activeWindow, weekStart]
+  );
+  // Capacity is a person's whole day, so the forecast ignores the project filter
+  const forecast = useMemo(
+    () => buildWorkloadForecast(listedTasks, { days: forecastDays, capacity }),
+    [listedTasks, forecastDays, capacity]
+  );
+  const unestimatedCount = forecast.days.reduce((sum, day) => sum + day.unestimated, 0);
   const activeRangeTasks = useMemo(
     () => currentTasks.filter((task) => !task.completed),
     [currentTasks, updateKey]
@@ -49,6 +231,8 @@ function Stats({ tasks = [] }) {
   const volumeDelta = summary.total - previousSummary.total;
   const overdueDelta = summary.overdue - previousSummary.overdue;
   const focusDelta = summary.focusRate - previousSummary.focusRate;
+  const finishedDelta = flow.completed - previousFlow.completed;
+  const onTimeDelta = flow.onTimeRate - previousFlow.onTimeRate;
   const coverageRate = tasks.length ? Math.round((currentTasks.length / tasks.length) * 100) : 0;
 
   const topPriority = useMemo(() => {
@@ -57,6 +241,22 @@ function Stats({ tasks = [] }) {
 
   const rangeDisplay = formatRangeDisplay(activeWindow);
   const rangeDescription = activeWindow?.description ?? "";
+  // getRangeWindow falls back to a week when the custom dates don't make a range
+  const isCustomRangeInvalid = selectedRange === "custom" && activeWindow.key !== "custom";
+
+  const updateSelection = (changes) => {
+    setSearchParams(toRangeParams({ ...selection, ...changes }), { replace: true });
+  };
+
+  const selectCustomRange = () => {
+    const lastDay = new Date(activeWindow.end.getTime() - 1);
+    updateSelection({
+      range: "custom",
+      offset: 0,
+      from: selection.from || toDateParam(activeWindow.start),
+      to: selection.to || toDateParam(lastDay),
+    });
+  };
 
   if (import.meta.env.MODE === "development") {
     console.log("[Stats] Rendering with:", { selectedRange, currentTasksCount: currentTasks.length, summary, updateKey });
@@ -69,7 +269,37 @@ function Stats({ tasks = [] }) {
           <p className="eyebrow-label">Statistics</p>
           <h1 id="stats-heading" className="page-hero__heading">Performance analytics</h1>
           <p className="muted stats-hero__description">{rangeDescription}</p>
-          <p className="stats-hero__range">{rangeDisplay}</p>
+          <div className="stats-period-nav" role="group" aria-label="Period navigation">
+            <button
+              type="button"
+              className="ghost-btn"
+              onClick={() => updateSelection({ offset: selection.offset - 1 })}
+              aria-label="Previous period"
+            >
+              ‹
+            </button>
+            <p className="stats-hero__range" aria-live="polite">{rangeDisplay}</p>
+            <button
+              type="button"
+              className="ghost-btn"
+              onClick={() => updateSelection({ offset: selection.offset + 1 })}
+              aria-label="Next period"
+            >
+              ›
+            </button>
+            {selection.offset !== 0 && (
+              <button type="button" className="ghost-btn" onClick={() => updateSelection({ offset: 0 })}>
+                {selectedRange === "custom" ? "Back to chosen dates" : "Back to current"}
+              </button>
+            )}
+          </div>
+          <ProjectFilter
+            id="stats-project-filter"
+            projects={projects}
+            value={projectFilter}
+            onChange={setProjectFilter}
+            className="stats-hero__project"
+          />
         </div>
         <div className="stats-range-selector" role="group" aria-label="Time range filters">
           {RANGE_OPTIONS.map((option) => {
@@ -79,7 +309,7 @@ function Stats({ tasks = [] }) {
                 key={option.key}
                 type="button"
                 className={`range-chip${isActive ? " is-active" : ""}`}
-                onClick={() => setSelectedRange(option.key)}
+                onClick={() => updateSelection({ range: option.key, offset: 0 })}
                 aria-pressed={isActive}
               >
                 <span>{option.label}</span>
@@ -87,7 +317,88 @@ function Stats({ tasks = [] }) {
               </button>
             );
           })}
+          <button
+            type="button"
+            className={`range-chip${selectedRange === "rolling" ? " is-active" : ""}`}
+            onClick={() => updateSelection({ range: "rolling", offset: 0 })}
+            aria-pressed={selectedRange === "rolling"}
+          >
+            <span>Rolling</span>
+            <span>Last {selection.days} days</span>
+          </button>
+          <button
+            type="button"
+            className={`range-chip${selectedRange === "custom" ? " is-active" : ""}`}
+            onClick={selectCustomRange}
+            aria-pressed={selectedRange === "custom"}
+          >
+            <span>Custom</span>
+            <span>Pick dates</span>
+          </button>
+          <button
+            type="button"
+            className={`range-chip${rollUpSubtasks ? " is-active" : ""}`}
+            onClick={() => setRollUpSubtasks((prev) => !prev)}
+            aria-pressed={rollUpSubtasks}
+          >
+            <span>Roll up subtasks</span>
+            <span>{rollUpSubtasks ? "On" : "Off"}</span>
+          </button>
+          <button
+            type="button"
+            className={`range-chip${includeArchived ? " is-active" : ""}`}
+            onClick={() => setIncludeArchived((prev) => !prev)}
+            aria-pressed={includeArchived}
+          >
+            <span>Include archived</span>
+            <span>{includeArchived ? `${archivedTasks.length} tasks` : "Off"}</span>
+          </button>
         </div>
+        {selectedRange === "rolling" && (
+          <div className="stats-range-options">
+            <label>
+              <span>Window</span>
+              <select
+                className="input-field select-field"
+                value={selection.days}
+                onChange={(event) => updateSelection({ days: Number(event.target.value), offset: 0 })}
+              >
+                {ROLLING_DAY_OPTIONS.map((days) => (
+                  <option key={days} value={days}>
+                    Last {days} days
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+        {selectedRange === "custom" && (
+          <div className="stats-range-options">
+            <label>
+              <span>From</span>
+              <input
+                type="date"
+                className="input-field"
+                value={selection.from}
+                onChange={(event) => updateSelection({ from: event.target.value, offset: 0 })}
+              />
+            </label>
+            <label>
+              <span>To</span>
+              <input
+                type="date"
+                className="input-field"
+                value={selection.to}
+                onChange={(event) => updateSelection({ to: event.target.value, offset: 0 })}
+              />
+            </label>
+            {isCustomRangeInvalid && (
+              <p className="form-error" role="alert">
+                Pick a start date on or before the end date (up to five years). Showing this week instead.
+              </p>
+            )}
+          </div>
+        )}
       </section>
 
       <section className="stats-grid" aria-label="Summary metrics">
@@ -132,6 +443,323 @@ function Stats({ tasks = [] }) {
         </article>
       </section>
 
+      <section className="chart-card stats-chart-card" aria-labelledby="stats-trend-heading">
+        <header className="chart-card__header">
+          <div>
+            <p className="eyebrow-label">Trend</p>
+            <h2 id="stats-trend-heading">Due versus done</h2>
+          </div>
+          <span className="chart-card__badge">{rangeDisplay}</span>
+        </header>
+        <TrendChart
+          series={trendSeries}
+          previousSeries={previousTrendSeries}
+          caption={`Tasks due and completion rate, ${rangeDisplay}, compared with the previous range`}
+        />
+      </section>
+
+      <section className="stats-grid" aria-label="Flow metrics">
+        <article className="stat-card">
+          <div className="stat-card__meta">
+            <p className="stat-card__label">Finished</p>
+            <DeltaBadge value={finishedDelta} />
+          </div>
+          <p className="stat-card__value">{flow.completed}</p>
+          <p className="stat-card__hint">Completed in this range, whenever they were due</p>
+        </article>
+
+        <article className="stat-card">
+          <div className="stat-card__meta">
+            <p className="stat-card__label">Lead time</p>
+          </div>
+          <p className="stat-card__value">{formatDuration(flow.leadTime.medianMs)}</p>
+          <p className="stat-card__hint">
+            {flow.leadTime.count
+              ? `Median from creation to done · avg ${formatDuration(flow.leadTime.averageMs)}`
+              : "No finished tasks to measure"}
+          </p>
+        </article>
+
+        <article className="stat-card">
+          <div className="stat-card__meta">
+            <p className="stat-card__label">Cycle time</p>
+          </div>
+          <p className="stat-card__value">{formatDuration(flow.cycleTime.medianMs)}</p>
+          <p className="stat-card__hint">
+            {flow.cycleTime.count
+              ? `Median from start to done · ${flow.cycleTime.count} ${flow.cycleTime.count === 1 ? "task" : "tasks"}`
+              : "Mark a task started, or check off a subtask, to start the clock"}
+          </p>
+        </article>
+
+        <article className="stat-card">
+          <div className="stat-card__meta">
+            <p className="stat-card__label">On-time rate</p>
+            <DeltaBadge value={onTimeDelta} suffix="%" />
+          </div>
+          <p className="stat-card__value">{flow.onTime + flow.late ? `${flow.onTimeRate}%` : "—"}</p>
+          <p className="stat-card__hint">
+            {flow.onTime} on time · {flow.late} late
+            {flow.unscheduled ? ` · ${flow.unscheduled} without a due date` : ""}
+          </p>
+          <LinearGauge value={flow.onTimeRate} accent="var(--success)" />
+        </article>
+      </section>
+
+      <section className="chart-card stats-streak-card" aria-labelledby="stats-streak-heading">
+        <header className="chart-card__header">
+          <div>
+            <p className="eyebrow-label">Habits</p>
+            <h2 id="stats-streak-heading">Completion streaks</h2>
+          </div>
+          <div className="stats-goal-form">
+            <label>
+              <span>Goal</span>
+              <input
+                type="number"
+                className="input-field"
+                min="1"
+                max={MAX_GOAL_TARGET}
+                value={goalTargetDraft}
+                onChange={(event) => changeGoalTarget(event.target.value)}
+                onBlur={() => setGoalTargetDraft(String(goal.target))}
+                aria-label="Tasks to complete"
+              />
+            </label>
+            <label>
+              <span>tasks</span>
+              <select
+                className="input-field select-field"
+                value={goal.period}
+                onChange={(event) => updateGoal({ period: event.target.value })}
+                aria-label="Goal period"
+              >
+                {GOAL_PERIODS.map((period) => (
+                  <option key={period.id} value={period.id}>
+                    {period.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </header>
+        <div className="stats-streak-card__summary">
+          <ProgressRing
+            value={streaks.progress}
+            label={`${streaks.periodCount} of ${streaks.target} done ${goal.period === "weekly" ? "this week" : "today"}`}
+          >
+            <strong>{streaks.periodCount}</strong>
+            <span>of {streaks.target}</span>
+          </ProgressRing>
+          <ul className="stats-insights">
+            <li>
+              <span className="stats-insights__label">{goal.period === "weekly" ? "This week" : "Today"}</span>
+              <strong>{streaks.isMet ? "Goal reached" : `${streaks.target - streaks.periodCount} to go`}</strong>
+              <p className="muted">
+                {streaks.isMet ? `Your streak now includes this ${goalUnit}` : "Finish them to extend your streak"}
+              </p>
+            </li>
+            <li>
+              <span className="stats-insights__label">Current streak</span>
+              <strong>{formatStreak(streaks.current, goalUnit)}</strong>
+              <p className="muted">{streaks.current ? `Consecutive ${goalUnit}s at goal` : "Reach your goal to start one"}</p>
+            </li>
+            <li>
+              <span className="stats-insights__label">Longest streak</span>
+              <strong>{formatStreak(streaks.longest, goalUnit)}</strong>
+              <p className="muted">In the past year</p>
+            </li>
+          </ul>
+        </div>
+        <CompletionHeatmap heatmap={heatmap} />
+      </section>
+
+      <section className="chart-card stats-rhythm-card" aria-labelledby="stats-rhythm-heading">
+        <header className="chart-card__header">
+          <div>
+            <p className="eyebrow-label">Rhythm</p>
+            <h2 id="stats-rhythm-heading">When work happens</h2>
+          </div>
+          <div className="stats-rhythm-card__controls">
+            <div className="stats-rhythm-card__modes" role="group" aria-label="Heatmap">
+              {[
+                { id: "completed", label: "Completions" },
+                { id: "due", label: "Deadlines" },
+              ].map((mode) => (
+                <button
+                  key={mode.id}
+                  type="button"
+                  className={`range-chip${rhythmMode === mode.id ? " is-active" : ""}`}
+                  onClick={() => setRhythmMode(mode.id)}
+                  aria-pressed={rhythmMode === mode.id}
+                >
+                  <span>{mode.label}</span>
+                  <span>{mode.id === "due" ? deadlineMatrix.total : completionMatrix.total}</span>
+                </button>
+              ))}
+            </div>
+            <div className="stats-goal-form">
+              <label>
+                <span>Week starts on</span>
+                <select
+                  className="input-field select-field"
+                  value={weekStart}
+                  onChange={(event) => changeWeekStart(Number(event.target.value))}
+                >
+                  {WEEK_START_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+        </header>
+        {rhythmMode === "due" ? (
+          <WeekHourHeatmap
+            matrix={deadlineMatrix}
+            caption={`Deadlines by weekday and hour, ${rangeDisplay}`}
+            noun="due"
+          />
+        ) : (
+          <WeekHourHeatmap
+            matrix={completionMatrix}
+            caption={`Completions by weekday and hour, ${rangeDisplay}`}
+            noun="completed"
+          />
+        )}
+        <ul className="stats-insights">
+          <li>
+            <span className="stats-insights__label">Most productive</span>
+            <strong>{completionMatrix.topSlots.length ? formatSlots(completionMatrix.topSlots) : "No completions yet"}</strong>
+            <p className="muted">
+              {completionMatrix.busiestWeekday
+                ? `${formatWeekday(completionMatrix.busiestWeekday.weekday, "long")}s lead with ${completionMatrix.busiestWeekday.count} done`
+                : "Finish tasks in this range to find your rhythm"}
+            </p>
+          </li>
+          <li>
+            <span className="stats-insights__label">Peak hour</span>
+            <strong>{completionMatrix.busiestHour ? formatHourSlot(completionMatrix.busiestHour.hour) : "—"}</strong>
+            <p className="muted">
+              {completionMatrix.busiestHour ? `${completionMatrix.busiestHour.count} completed in that hour` : "No completions yet"}
+            </p>
+          </li>
+          <li>
+            <span className="stats-insights__label">Most overloaded deadlines</span>
+            <strong>{deadlineMatrix.topSlots.length ? formatSlots(deadlineMatrix.topSlots) : "No deadlines"}</strong>
+            <p className="muted">
+              {deadlineMatrix.busiestWeekday
+                ? `${formatWeekday(deadlineMatrix.busiestWeekday.weekday, "long")} carries ${deadlineMatrix.busiestWeekday.count} due`
+                : "Nothing is due in this range"}
+            </p>
+          </li>
+        </ul>
+      </section>
+
+      <section className="chart-card stats-forecast-card" aria-labelledby="stats-forecast-heading">
+        <header className="chart-card__header">
+          <div>
+            <p className="eyebrow-label">Forecast</p>
+            <h2 id="stats-forecast-heading">What's coming up</h2>
+          </div>
+          <div className="stats-rhythm-card__controls">
+            <div className="stats-rhythm-card__modes" role="group" aria-label="Forecast length">
+              {FORECAST_DAY_OPTIONS.map((days) => (
+                <button
+                  key={days}
+                  type="button"
+                  className={`range-chip${forecastDays === days ? " is-active" : ""}`}
+                  onClick={() => setForecastDays(days)}
+                  aria-pressed={forecastDays === days}
+                >
+                  <span>{days} days</span>
+                </button>
+              ))}
+            </div>
+            <div className="stats-goal-form">
+              <label>
+                <span>Capacity per day</span>
+                <select
+                  className="input-field select-field"
+                  value={capacity.dailyMinutes}
+                  onChange={(event) => changeCapacity({ dailyMinutes: Number(event.target.value) })}
+                >
+                  {CAPACITY_HOUR_OPTIONS.map((hours) => (
+                    <option key={hours} value={hours * 60}>
+                      {hours} {hours === 1 ? "hour" : "hours"}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                <span>Tasks without an estimate</span>
+                <select
+                  className="input-field select-field"
+                  value={capacity.defaultEstimateMinutes}
+                  onChange={(event) => changeCapacity({ defaultEstimateMinutes: Number(event.target.value) })}
+                >
+                  {DEFAULT_ESTIMATE_OPTIONS.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      Count as {formatEstimate(minutes)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+        </header>
+        <WorkloadForecast
+          forecast={forecast}
+          capacity={capacity}
+          caption={`Open tasks due per day over the next ${forecastDays} days`}
+        />
+        <ul className="stats-insights">
+          <li>
+            <span className="stats-insights__label">Overloaded days</span>
+            <strong>{forecast.overloaded.length ? `${forecast.overloaded.length} of ${forecastDays}` : "None"}</strong>
+            <p className="muted">
+              {forecast.overloaded.length
+                ? forecast.overloaded
+                    .slice(0, 3)
+                    .map((day) => `${formatForecastDay(day.date)} (+${formatEstimate(day.overByMinutes)})`)
+                    .join(", ")
+                : `Every day fits in ${formatEstimate(capacity.dailyMinutes)}`}
+            </p>
+          </li>
+          <li>
+            <span className="stats-insights__label">Busiest day</span>
+            <strong>
+              {forecast.busiest
+                ? `${formatForecastDay(forecast.busiest.date)} · ${formatEstimate(forecast.busiest.minutes)}`
+                : "Nothing due"}
+            </strong>
+            <p className="muted">
+              {forecast.busiest
+                ? `${forecast.busiest.count} open ${forecast.busiest.count === 1 ? "task" : "tasks"} · ${forecast.busiest.percent}% of capacity`
+                : `No open tasks in the next ${forecastDays} days`}
+            </p>
+          </li>
+          <li>
+            <span className="stats-insights__label">Planned work</span>
+            <strong>
+              {formatEstimate(forecast.totalMinutes)} of {formatEstimate(forecast.capacityMinutes)}
+            </strong>
+            <p className="muted">
+              {unestimatedCount
+                ? `${unestimatedCount} without an estimate counted as ${formatEstimate(capacity.defaultEstimateMinutes)} each`
+                : forecast.totalMinutes
+                  ? "Every task has an estimate"
+                  : "Nothing planned yet"}
+              {forecast.overdue.count
+                ? ` · ${forecast.overdue.count} overdue (${formatEstimate(forecast.overdue.minutes)}) not shown`
+                : ""}
+            </p>
+          </li>
+        </ul>
+      </section>
+
       <section className="stats-lower-grid">
         <article className="chart-card stats-priority-card">
           <header className="chart-card__header">
@@ -169,8 +797,43 @@ function Stats({ tasks = [] }) {
               <strong>{rangeDisplay || "Active window"}</strong>
               <p className="muted">{summary.total} tracked · {summary.completed} done</p>
             </li>
+            <li>
+              <span className="stats-insights__label">Subtasks</span>
+              <strong>
+                {subtaskSummary.total ? `${subtaskSummary.completed}/${subtaskSummary.total} checked off` : "No subtasks"}
+              </strong>
+              <p className="muted">
+                {subtaskSummary.total
+                  ? `${subtaskSummary.completionRate}% complete${rollUpSubtasks ? " · rolled into totals" : ""}`
+                  : "Break tasks into steps to track them"}
+              </p>
+            </li>
           </ul>
         </article>
+
+        <article className="chart-card">
+          <header className="chart-card__header">
+            <div>
+              <p className="eyebrow-label">Completions</p>
+              <h2>When work got done</h2>
+            </div>
+            <span className="chart-card__badge">{flow.completed} finished</span>
+          </header>
+          <div className="bar-chart">
+            {completionSeries.buckets.map((bucket) => (
+              <div key={bucket.index} className="bar-chart__row">
+                <p className="bar-chart__label">{bucket.label}</p>
+                <div className="bar-chart__track">
+                  <span
+                    className="bar-chart__fill"
+                    style={{ width: `${Math.round((bucket.completed / busiestBucket) * 100)}%`, background: "var(--brand)" }}
+                  />
+                </div>
+                <span className="bar-chart__value">{bucket.completed}</span>
+              </div>
+            ))}
+          </div>
+        </article>
       </section>
     </div>
   );
@@ -194,6 +857,42 @@ function DeltaBadge({ value, suffix = "", isInverse = false }) {
   );
 }
 
+function ProgressRing({ value = 0, label, children }) {
+  const radius = 42;
+  const circumference = 2 * Math.PI * radius;
+  const progress = clamp(value, 0, 100);
+  return (
+    <div className="progress-ring" role="img" aria-label={label}>
+      <svg viewBox="0 0 100 100" aria-hidden="true" focusable="false">
+        <circle className="progress-ring__track" cx="50" cy="50" r={radius} />
+        <circle
+          className="progress-ring__value"
+          cx="50"
+          cy="50"
+          r={radius}
+          strokeDasharray={circumference}
+          strokeDashoffset={circumference * (1 - progress / 100)}
+        />
+      </svg>
+      <div className="progress-ring__label" aria-hidden="true">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+function formatSlots(slots) {
+  return slots.map((slot) => `${formatWeekday(slot.weekday)} ${formatHourSlot(slot.hour)} (${slot.count})`).join(" · ");
+}
+
+function formatForecastDay(date) {
+  return date.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+}
+
+function formatStreak(count, unit) {
+  return `${count} ${count === 1 ? unit : `${unit}s`}`;
+}
+
 function LinearGauge({ value = 0, accent = "var(--brand-accent)" }) {
   const width = clamp(value, 0, 100);
   return (
@@ -0,0 +1,257 @@
+import React, { useEffect, useState } from "react";
+import { listTrashedTasks, purgeTrashedTasks } from "../data/taskRepository";
+import { runTaskMutation } from "../offline/taskSync";
+import { useOnlineStatus } from "../offline/useOnlineStatus";
+import { findProject } from "../utils/projects";
+import {
+  TRASH_RETENTION_OPTIONS,
+  getDaysUntilPurge,
+  getPurgeCutoff,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+} from "../utils/trash";
+
+/**
+ * Trash - Deleted tasks, with restore and permanent delete (/trash)
+ *
+ * Trashed rows are not part of the app's task list, so this page loads them
+ * itself. Each load first purges tasks older than the retention period,
+ * which also applies a shortened period straight away, so shortening it
+ * asks first and names how many tasks would go. Restoring clears deletedAt
+ * and hands the task back to the list through onTasksChange.
+ */
+function Trash({ user, projects = [], onTasksChange }) {
+  const online = useOnlineStatus();
+  const [retentionDays, setRetentionDays] = useState(() => getTrashRetentionDays(user?.id));
+  const [trashedTasks, setTrashedTasks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+  const [pendingRetention, setPendingRetention] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!user?.id || !online) {
+      return undefined;
+    }
+    let cancelled = false;
+    // SECURITY: Both queries are scoped to the current user's rows
+    purgeTrashedTasks(user.id, getPurgeCutoff(retentionDays))
+      .then(() => listTrashedTasks(user.id))
+      .then(({ data, error: loadError }) => {
+        if (cancelled) return;
+        setTrashedTasks(data ?? []);
+        setError(loadError ? loadError.message : "");
+        setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [user, online, retentionDays]);
+
+  const changeRetention = (days) => {
+    if (days < retentionDays) {
+      setPendingRetention(days);
+      return;
+    }
+    applyRetention(days);
+  };
+
+  const applyRetention = (days) => {
+    setPendingRetention(null);
+    setTrashRetentionDays(user.id, days);
+    setIsLoading(true);
+    setRetentionDays(days);
+  };
+
+  // Counted from the loaded list; unknown while offline or still loading
+  const pendingPurgeCount =
+    pendingRetention !== null && online && !isLoading
+      ? trashedTasks.filter((task) => new Date(task.deletedAt) < getPurgeCutoff(pendingRetention)).length
+      : null;
+
+  const restoreTasks = async (targets) => {
+    setIsSaving(true);
+    setError("");
+    const ids = targets.map((task) => task.id);
+    const { error: restoreError, updatedAt } = await runTaskMutation(user.id, {
+      kind: "update",
+      ids,
+      changes: { deletedAt: null },
+      baseUpdatedAt: getLatestUpdatedAt(targets),
+    });
+    if (restoreError) {
+      setError(restoreError.message);
+    } else {
+      // Archived tasks go back to the archive, not the task list
+      const restored = targets
+        .filter((task) => !task.archivedAt)
+        .map((task) => ({ ...task, deletedAt: null, updatedAt }));
+      setTrashedTasks((prev) => prev.filter((task) => !ids.includes(task.id)));
+      onTasksChange?.((prev) => [...prev.filter((task) => !ids.includes(task.id)), ...restored]);
+    }
+    setIsSaving(false);
+  };
+
+  const purgeTasks = async (targets) => {
+    setIsSaving(true);
+    setError("");
+    setConfirmEmpty(false);
+    const ids = targets.map((task) => task.id);
+    const { error: purgeError } = await runTaskMutation(user.id, {
+      kind: "delete",
+      ids,
+      baseUpdatedAt: getLatestUpdatedAt(targets),
+    });
+    if (purgeError) {
+      setError(purgeError.message);
+    } else {
+      setTrashedTasks((prev) => prev.filter((task) => !ids.includes(task.id)));
+    }
+    setIsSaving(false);
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <section className="page-container trash-page">
+      <div className="glass-panel trash-page__panel" aria-labelledby="trash-heading">
+        <div className="trash-page__header">
+          <div>
+            <p className="eyebrow-label">Deleted tasks</p>
+            <h1 id="trash-heading">Trash</h1>
+            <p className="muted">
+              Deleted tasks stay here until they are restored or purged. Tasks older than the retention period are
+              deleted permanently.
+            </p>
+          </div>
+          <label className="trash-page__retention">
+            <span>Keep deleted tasks for</span>
+            <select
+              className="input-field select-field"
+              value={retentionDays}
+              onChange={(event) => changeRetention(Number(event.target.value))}
+              disabled={isSaving}
+            >
+              {TRASH_RETENTION_OPTIONS.map((days) => (
+                <option key={days} value={days}>
+                  {days} days
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {pendingRetention !== null && (
+          <div className="trash-page__actions" role="alert">
+            <span className="trash-page__confirm">
+              {pendingPurgeCount === null
+                ? `Tasks deleted more than ${pendingRetention} days ago will be deleted forever.`
+                : pendingPurgeCount === 0
+                  ? `No tasks are older than ${pendingRetention} days, so nothing is deleted now.`
+                  : `Keeping tasks for ${pendingRetention} days deletes ${pendingPurgeCount} ${
+                      pendingPurgeCount === 1 ? "task" : "tasks"
+                    } forever right away.`}
+            </span>
+            <button
+              type="button"
+              className={`ghost-btn${pendingPurgeCount === 0 ? "" : " trash-page__danger"}`}
+              onClick={() => applyRetention(pendingRetention)}
+              disabled={isSaving}
+            >
+              {pendingPurgeCount ? `Delete ${pendingPurgeCount} and save` : `Keep for ${pendingRetention} days`}
+            </button>
+            <button type="button" className="ghost-btn" onClick={() => setPendingRetention(null)} disabled={isSaving}>
+              Cancel
+            </button>
+          </div>
+        )}
+
+        {!online ? (
+          <p className="muted">You're offline. The Trash is available again once you reconnect.</p>
+        ) : isLoading ? (
+          <p className="muted">Loading…</p>
+        ) : trashedTasks.length === 0 ? (
+          <p className="muted">The Trash is empty.</p>
+        ) : (
+          <>
+            <div className="trash-page__actions">
+              <button type="button" className="ghost-btn" onClick={() => restoreTasks(trashedTasks)} disabled={isSaving}>
+                Restore all
+              </button>
+              {confirmEmpty ? (
+                <>
+                  <span className="trash-page__confirm">
+                    Permanently delete {trashedTasks.length} {trashedTasks.length === 1 ? "task" : "tasks"}?
+                  </span>
+                  <button
+                    type="button"
+                    className="ghost-btn trash-page__danger"
+                    onClick={() => purgeTasks(trashedTasks)}
+                    disabled={isSaving}
+                  >
+                    Delete forever
+                  </button>
+                  <button type="button" className="ghost-btn" onClick={() => setConfirmEmpty(false)} disabled={isSaving}>
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button type="button" className="ghost-btn trash-page__danger" onClick={() => setConfirmEmpty(true)} disabled={isSaving}>
+                  Empty Trash
+                </button>
+              )}
+            </div>
+            <ul className="trash-list">
+              {trashedTasks.map((task) => {
+                const project = findProject(projects, task.projectId);
+                const daysLeft = getDaysUntilPurge(task, retentionDays);
+                return (
+                  <li key={task.id} className="trash-list__item">
+                    <div className="trash-list__body">
+                      <strong className="trash-list__title">{task.title || "Untitled task"}</strong>
+                      <span className="trash-list__meta">
+                        {project ? `${project.name} · ` : ""}
+                        Deleted {formatDeletedAt(task.deletedAt)} ·{" "}
+                        {daysLeft === 0 ? "purged today" : `purged in ${daysLeft} ${daysLeft === 1 ? "day" : "days"}`}
+                      </span>
+                    </div>
+                    <div className="trash-list__actions">
+                      <button type="button" className="ghost-btn" onClick={() => restoreTasks([task])} disabled={isSaving}>
+                        Restore
+                      </button>
+                      <button
+                        type="button"
+                        className="ghost-btn trash-page__danger"
+                        onClick={() => purgeTasks([task])}
+                        disabled={isSaving}
+                        aria-label={`Delete "${task.title}" forever`}
+                      >
+                        Delete forever
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+        {error && <p className="form-error" role="alert">{error}</p>}
+      </div>
+    </section>
+  );
+}
+
+function formatDeletedAt(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+}
+
+function getLatestUpdatedAt(taskList) {
+  return taskList.reduce((latest, task) => (task.updatedAt && (!latest || task.updatedAt > latest) ? task.updatedAt : latest), null);
+}
+
+export default Trash;
@@ -22,9 +22,13 @@ import { createClient } from "@supabase/supabase-js";
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
+// VITE_DATA_ADAPTER=memory runs the app against the in-memory adapter
+// (src/data/adapters/memoryAdapter.js), so no Supabase project is needed
+const useMemoryAdapter = import.meta.env.VITE_DATA_ADAPTER === "memory";
+
 // Validate that required environment variables are set
 // Throw error early if missing to avoid runtime failures
-if (!supabaseUrl || !supabaseAnonKey) {
+if (!useMemoryAdapter && (!supabaseUrl || !supabaseAnonKey)) {
   throw new Error("Missing Supabase environment variables");
 }
 
@@ -38,8 +42,11 @@ if (!supabaseUrl || !supabaseAnonKey) {
  * - supabase.from('tasks').select() - Fetch tasks
  * - supabase.from('tasks').insert() - Create task
  * - supabase.channel('tasks').subscribe() - Real-time updates
+ *
+ * UI code should not import this directly - go through src/data instead.
+ * null when the in-memory adapter is selected.
  */
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+export const supabase = useMemoryAdapter ? null : createClient(supabaseUrl, supabaseAnonKey);
 
 
 
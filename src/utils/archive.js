@@ -0,0 +1,45 @@
+/**
+ * archive.js - Auto-archive settings for completed tasks
+ *
+ * Archived tasks (archived_at set) leave the task list, Calendar and Stats
+ * and are browsed page by page on the History page instead. Completed tasks
+ * are archived automatically once they have been done for the number of
+ * days the user picks (stored per user in localStorage); 0 turns it off.
+ */
+
+const AUTO_ARCHIVE_STORAGE_KEY_PREFIX = "taskflow-auto-archive";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AUTO_ARCHIVE_OPTIONS = [0, 7, 14, 30, 60, 90];
+export const DEFAULT_AUTO_ARCHIVE_DAYS = 30;
+
+export function getAutoArchiveDays(userId) {
+  if (typeof window === "undefined") {
+    return DEFAULT_AUTO_ARCHIVE_DAYS;
+  }
+  const stored = window.localStorage.getItem(getAutoArchiveStorageKey(userId));
+  const days = Number(stored);
+  return stored !== null && AUTO_ARCHIVE_OPTIONS.includes(days) ? days : DEFAULT_AUTO_ARCHIVE_DAYS;
+}
+
+export function setAutoArchiveDays(userId, days) {
+  if (typeof window === "undefined" || !AUTO_ARCHIVE_OPTIONS.includes(days)) {
+    return;
+  }
+  window.localStorage.setItem(getAutoArchiveStorageKey(userId), String(days));
+}
+
+/**
+ * getArchiveCutoff - Tasks completed before this date are due for archiving
+ *
+ * @param {number} days - Auto-archive period; 0 means never
+ * @param {number} [now] - Current timestamp
+ * @returns {Date|null} null when auto-archive is off
+ */
+export function getArchiveCutoff(days, now = Date.now()) {
+  return days > 0 ? new Date(now - days * DAY_MS) : null;
+}
+
+function getAutoArchiveStorageKey(userId) {
+  return userId ? `${AUTO_ARCHIVE_STORAGE_KEY_PREFIX}-${userId}` : AUTO_ARCHIVE_STORAGE_KEY_PREFIX;
+}
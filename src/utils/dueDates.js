@@ -0,0 +1,47 @@
+/**
+ * dueDates.js - Due date validation shared by the task forms and importers
+ */
+
+/**
+ * validateDueDate - Checks a YYYY-MM-DD string is a real, non-past date
+ *
+ * @param {string} dateString - Local calendar date (YYYY-MM-DD)
+ * @returns {Object} { valid, message } - message explains why it was rejected
+ */
+export function validateDueDate(dateString) {
+  if (!dateString) return { valid: false, message: "Please select a due date" };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+    return { valid: false, message: "Enter a valid date (YYYY-MM-DD)" };
+  }
+  const [yearStr, monthStr, dayStr] = dateString.split("-");
+  const year = Number(yearStr);
+  const month = Number(monthStr);
+  const day = Number(dayStr);
+  if (!Number.isFinite(year) || year < 1900 || year > 2100) {
+    return { valid: false, message: "Year must be between 1900 and 2100" };
+  }
+  if (!Number.isFinite(month) || month < 1 || month > 12) {
+    return { valid: false, message: "Enter a valid month" };
+  }
+  if (!Number.isFinite(day) || day < 1 || day > 31) {
+    return { valid: false, message: "Enter a valid day" };
+  }
+  const candidate = new Date(`${dateString}T00:00:00`);
+  if (Number.isNaN(candidate.getTime())) {
+    return { valid: false, message: "Enter a real calendar date" };
+  }
+  if (
+    candidate.getFullYear() !== year ||
+    candidate.getMonth() + 1 !== month ||
+    candidate.getDate() !== day
+  ) {
+    return { valid: false, message: "Enter a real calendar date" };
+  }
+  candidate.setHours(0, 0, 0, 0);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (candidate < today) {
+    return { valid: false, message: "Due date cannot be in the past" };
+  }
+  return { valid: true, message: "" };
+}
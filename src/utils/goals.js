@@ -0,0 +1,57 @@
+/**
+ * goals.js - Completion goal settings for streaks
+ *
+ * A goal is a number of tasks to finish per day or per week. Stats counts a
+ * day (or week) that reaches it towards the current streak. Stored per user
+ * in localStorage, like the other Stats and list preferences.
+ */
+
+const GOAL_STORAGE_KEY_PREFIX = "taskflow-completion-goal";
+
+export const GOAL_PERIODS = [
+  { id: "daily", label: "Per day", unit: "day" },
+  { id: "weekly", label: "Per week", unit: "week" },
+];
+export const MAX_GOAL_TARGET = 100;
+export const DEFAULT_COMPLETION_GOAL = { period: "daily", target: 3 };
+
+export function getCompletionGoal(userId) {
+  if (typeof window === "undefined") {
+    return DEFAULT_COMPLETION_GOAL;
+  }
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(getGoalStorageKey(userId)));
+    return normalizeGoal(stored) ?? DEFAULT_COMPLETION_GOAL;
+  } catch {
+    return DEFAULT_COMPLETION_GOAL;
+  }
+}
+
+export function setCompletionGoal(userId, goal) {
+  const normalized = normalizeGoal(goal);
+  if (typeof window === "undefined" || !normalized) {
+    return;
+  }
+  window.localStorage.setItem(getGoalStorageKey(userId), JSON.stringify(normalized));
+}
+
+/**
+ * normalizeGoal - Validates a goal, returning null when it can't be used
+ *
+ * @param {Object} goal - { period, target }
+ * @returns {Object|null} { period, target } with target a whole number in 1..MAX_GOAL_TARGET
+ */
+export function normalizeGoal(goal) {
+  const target = Number(goal?.target);
+  if (!GOAL_PERIODS.some((period) => period.id === goal?.period) || !Number.isInteger(target)) {
+    return null;
+  }
+  if (target < 1 || target > MAX_GOAL_TARGET) {
+    return null;
+  }
+  return { period: goal.period, target };
+}
+
+function getGoalStorageKey(userId) {
+  return userId ? `${GOAL_STORAGE_KEY_PREFIX}-${userId}` : GOAL_STORAGE_KEY_PREFIX;
+}
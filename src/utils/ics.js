@@ -0,0 +1,388 @@
+/**
+ * ics.js - Writes tasks as iCalendar (RFC 5545) and reads .ics files back
+ *
+ * Each task with a due date becomes a VEVENT that starts at the due time and
+ * lasts EVENT_DURATION_MINUTES, which is what calendar apps display best for
+ * deadlines. Recurring tasks keep their RRULE so subscribers see the whole
+ * series; the UID is stable per task so re-imports and feed refreshes update
+ * events instead of duplicating them.
+ *
+ * parseIcsCalendar reads VEVENT and VTODO entries from other calendar apps
+ * and resolves their dates to absolute instants (see the function for rules).
+ *
+ * This module has no imports on purpose: the calendar feed function
+ * (api/calendar-feed.js) runs it on the server as well as in the browser.
+ */
+
+export const ICS_MIME_TYPE = "text/calendar;charset=utf-8";
+export const EVENT_DURATION_MINUTES = 30;
+
+const PRODUCT_ID = "-//TaskFlow//Tasks//EN";
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+const MAX_LINE_OCTETS = 75;
+const MINUTE_MS = 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * MINUTE_MS;
+// How far past the last due date the VTIMEZONE reaches, for recurring series
+const TIMEZONE_YEARS_AHEAD = 10;
+const zoneFormatters = new Map();
+
+/**
+ * buildIcsCalendar - Produces a VCALENDAR document for the given tasks
+ *
+ * @param {Array} tasks - Task objects; tasks without a due date are skipped
+ * @param {Object} options - { calendarName, tags, timeZone, includeRecurrence, now }
+ *   timeZone (IANA name) writes local times with TZID, plus the VTIMEZONE
+ *   that defines it, so recurring events keep their wall-clock time across
+ *   DST; without it, or for a name Intl does not know, times are UTC.
+ *   includeRecurrence=false exports each task as a single event, e.g. when the
+ *   caller has already expanded occurrences for a date range.
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function buildIcsCalendar(
+  tasks,
+  { calendarName = "TaskFlow", tags = [], timeZone = "", includeRecurrence = true, now = new Date() } = {}
+) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+  const events = tasks.map((task) => ({ task, start: toDate(task.dueDate) })).filter(({ start }) => start);
+  const zone = timeZone && isKnownTimeZone(timeZone) ? timeZone : "";
+  if (zone) {
+    lines.push(`X-WR-TIMEZONE:${zone}`);
+  }
+  if (zone && events.length) {
+    const years = events.map(({ start }) => start.getUTCFullYear());
+    const firstYear = years.reduce((min, year) => Math.min(min, year));
+    const lastYear = years.reduce((max, year) => Math.max(max, year));
+    lines.push(...buildTimeZone(zone, Date.UTC(firstYear - 1, 0, 1), Date.UTC(lastYear + TIMEZONE_YEARS_AHEAD, 0, 1)));
+  }
+  const tagNames = new Map(tags.map((tag) => [tag.id, tag.name]));
+  events.forEach(({ task, start }) => {
+    lines.push(...buildEvent(task, start, { tagNames, timeZone: zone, includeRecurrence, now }));
+  });
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * parseIcsCalendar - Reads VEVENT and VTODO entries from an .ics file
+ *
+ * Dates are resolved to ISO instants: UTC values as-is, TZID values through
+ * Intl in that zone, floating values in the user's own zone. All-day dates
+ * (VALUE=DATE) are returned as YYYY-MM-DD with allDay set, so the caller can
+ * pick a time. VTODOs are due at DUE (falling back to DTSTART), VEVENTs at
+ * DTSTART. Cancelled entries and RECURRENCE-ID overrides of a series are
+ * skipped.
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} { type, uid, summary, description, dueDate, allDay,
+ *   rrule, priority, completed, categories, createdAt, completedAt }
+ *   createdAt/completedAt come from CREATED/COMPLETED, "" when absent
+ */
+export function parseIcsCalendar(text) {
+  const lines = String(text ?? "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n|\r/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.trim());
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.trim() ?? "")) {
+    throw new Error("not an iCalendar file");
+  }
+
+  const entries = [];
+  const stack = [];
+  let current = null;
+  lines.forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+    if (property.name === "BEGIN") {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === "VEVENT" || property.value.toUpperCase() === "VTODO") {
+        current = { type: property.value.toUpperCase(), properties: new Map() };
+      }
+      return;
+    }
+    if (property.name === "END") {
+      const closing = stack.pop();
+      if (current && closing === current.type) {
+        entries.push(current);
+        current = null;
+      }
+      return;
+    }
+    // Properties of nested components (e.g. VALARM) are not the entry's own
+    if (current && stack[stack.length - 1] === current.type && !current.properties.has(property.name)) {
+      current.properties.set(property.name, property);
+    }
+  });
+
+  return entries
+    .filter((entry) => {
+      const status = entry.properties.get("STATUS")?.value.toUpperCase();
+      return status !== "CANCELLED" && !entry.properties.has("RECURRENCE-ID");
+    })
+    .map((entry) => {
+      const get = (name) => entry.properties.get(name);
+      const dateProperty = entry.type === "VTODO" ? get("DUE") ?? get("DTSTART") : get("DTSTART");
+      const date = dateProperty ? readDateValue(dateProperty) : null;
+      return {
+        type: entry.type,
+        uid: get("UID")?.value ?? "",
+        summary: unescapeText(get("SUMMARY")?.value ?? ""),
+        description: unescapeText(get("DESCRIPTION")?.value ?? ""),
+        dueDate: date?.value ?? "",
+        allDay: Boolean(date?.allDay),
+        rrule: get("RRULE")?.value ?? "",
+        priority: get("PRIORITY")?.value ?? "",
+        completed: entry.type === "VTODO" && (get("STATUS")?.value.toUpperCase() === "COMPLETED" || entry.properties.has("COMPLETED")),
+        categories: splitTextList(get("CATEGORIES")?.value ?? "").map(unescapeText),
+        createdAt: readTimestampProperty(get("CREATED")),
+        completedAt: readTimestampProperty(get("COMPLETED")),
+      };
+    });
+}
+
+function buildEvent(task, start, { tagNames, timeZone, includeRecurrence, now }) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${task.sourceId ?? task.id}${task.isProjected ? `-${formatIcsUtc(start)}` : ""}@taskflow`,
+    `DTSTAMP:${formatIcsUtc(now)}`,
+    formatDateProperty("DTSTART", start, timeZone),
+    `DURATION:PT${EVENT_DURATION_MINUTES}M`,
+    `SUMMARY:${escapeText(`${task.completed ? "✓ " : ""}${task.title ?? "Untitled task"}`)}`,
+  ];
+  const description = describeTask(task);
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority] ?? ICS_PRIORITIES.medium}`);
+  const categories = (task.tagIds ?? []).map((id) => tagNames.get(id)).filter(Boolean);
+  if (categories.length) {
+    lines.push(`CATEGORIES:${categories.map(escapeText).join(",")}`);
+  }
+  if (includeRecurrence && task.recurrence && !task.completed) {
+    lines.push(`RRULE:${task.recurrence.replace(/^RRULE:/i, "")}`);
+  }
+  const updatedAt = toDate(task.updatedAt);
+  if (updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatIcsUtc(updatedAt)}`);
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function describeTask(task) {
+  const parts = [];
+  if (task.description) {
+    parts.push(task.description);
+  }
+  const subtasks = task.subtasks ?? [];
+  if (subtasks.length) {
+    parts.push(subtasks.map((item) => `${item.completed ? "[x]" : "[ ]"} ${item.title}`).join("\n"));
+  }
+  return parts.join("\n\n");
+}
+
+function formatDateProperty(name, date, timeZone) {
+  if (!timeZone) {
+    return `${name}:${formatIcsUtc(date)}`;
+  }
+  const parts = Object.fromEntries(getZoneFormatter(timeZone).formatToParts(date).map((part) => [part.type, part.value]));
+  return `${name};TZID=${timeZone}:${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+/**
+ * buildTimeZone - The VTIMEZONE defining a TZID used by the events
+ *
+ * Intl exposes offsets rather than rules, so the zone is written as its
+ * explicit transitions between `from` and `to`: a weekly scan finds each
+ * offset change and a binary search narrows it to the minute. The first
+ * observance holds the offset already in effect at `from`.
+ */
+function buildTimeZone(timeZone, from, to) {
+  let offset = getZoneOffset(from, timeZone);
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`, ...buildObservance(from, offset, offset)];
+  for (let time = from; time < to; time += WEEK_MS) {
+    const next = Math.min(time + WEEK_MS, to);
+    const nextOffset = getZoneOffset(next, timeZone);
+    if (nextOffset === offset) continue;
+    let low = time;
+    let high = next;
+    while (high - low > MINUTE_MS) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (getZoneOffset(middle, timeZone) === offset) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    lines.push(...buildObservance(high, offset, nextOffset));
+    offset = nextOffset;
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+function buildObservance(time, offsetFrom, offsetTo) {
+  const type = offsetTo > offsetFrom ? "DAYLIGHT" : "STANDARD";
+  return [
+    `BEGIN:${type}`,
+    // Onsets are local time in the offset being left
+    `DTSTART:${formatIcsUtc(new Date(time + offsetFrom)).slice(0, -1)}`,
+    `TZOFFSETFROM:${formatUtcOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatUtcOffset(offsetTo)}`,
+    `END:${type}`,
+  ];
+}
+
+function formatUtcOffset(offset) {
+  const minutes = Math.round(Math.abs(offset) / MINUTE_MS);
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `${offset < 0 ? "-" : "+"}${hours}${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function formatIcsUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a single space,
+// splitting between characters rather than inside a UTF-8 sequence
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) {
+    return line;
+  }
+  const segments = [];
+  let current = "";
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    const limit = segments.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (currentOctets + octets > limit) {
+      segments.push(current);
+      current = "";
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  segments.push(current);
+  return segments.join("\r\n ");
+}
+
+// NAME;PARAM=value;PARAM="quoted:value":property value
+function parseContentLine(line) {
+  const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:]*))*):(.*)$/);
+  if (!match) return null;
+  const params = {};
+  (match[2].match(/;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:]*)/g) ?? []).forEach((param) => {
+    const [key, ...rest] = param.slice(1).split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  });
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+function readDateValue({ params, value }) {
+  const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly || params.VALUE === "DATE") {
+    if (!dateOnly) return null;
+    return { value: `${dateOnly[1]}-${dateOnly[2]}-${dateOnly[3]}`, allDay: true };
+  }
+  const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!dateTime) return null;
+  const [year, month, day, hour, minute, second] = dateTime.slice(1, 7).map(Number);
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  let date;
+  if (dateTime[7] === "Z") {
+    date = new Date(wallTime);
+  } else if (params.TZID && isKnownTimeZone(params.TZID)) {
+    date = new Date(zonedWallTimeToUtc(wallTime, params.TZID));
+  } else {
+    // Floating time, or a TZID Intl does not know (e.g. Windows zone names)
+    date = new Date(year, month - 1, day, hour, minute, second);
+  }
+  return Number.isNaN(date.getTime()) ? null : { value: date.toISOString(), allDay: false };
+}
+
+function readTimestampProperty(property) {
+  const date = property ? readDateValue(property) : null;
+  return date && !date.allDay ? date.value : "";
+}
+
+function zonedWallTimeToUtc(wallTime, timeZone) {
+  // Two passes settle the offset around DST transitions
+  let utc = wallTime - getZoneOffset(wallTime, timeZone);
+  utc = wallTime - getZoneOffset(utc, timeZone);
+  return utc;
+}
+
+function getZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    getZoneFormatter(timeZone)
+      .formatToParts(new Date(timestamp))
+      .map((part) => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Wall-clock formatter per zone; building one is slow and VTIMEZONE scans call it often
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+function isKnownTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+// Splits a comma-separated TEXT list, ignoring escaped commas
+function splitTextList(value) {
+  return value
+    .split(/(?<!\\),/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,62 @@
+/**
+ * newTask.js - Validation and field defaults for creating a task
+ *
+ * Shared by the task composer (TasksFixed) and the calendar quick-create
+ * popover so both write identical inserts through runTaskMutation.
+ */
+
+import { normalizeTagIds } from "./tags";
+import { normalizeEstimate } from "./workload";
+
+/**
+ * validateNewTaskDue - Rejects due times that have already passed
+ *
+ * @param {string|null} dueDateIso - Combined due date and time
+ * @param {number} [now] - Current timestamp
+ * @returns {Object|null} { field: "date"|"time", message } or null when valid
+ */
+export function validateNewTaskDue(dueDateIso, now = Date.now()) {
+  if (!dueDateIso) return null;
+  const due = new Date(dueDateIso);
+  if (Number.isNaN(due.getTime())) return null;
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+  const startOfDue = new Date(due);
+  startOfDue.setHours(0, 0, 0, 0);
+  if (startOfDue.getTime() < startOfToday.getTime()) {
+    return { field: "date", message: "Due date cannot be in the past" };
+  }
+  if (due.getTime() <= now) {
+    return { field: "time", message: "Due time cannot be in the past" };
+  }
+  return null;
+}
+
+/**
+ * buildNewTaskFields - Fills defaults for a task about to be inserted
+ *
+ * @param {Object} draft - { title, description, dueDate, priority, recurrence, tagIds, projectId, estimateMinutes }
+ * @returns {Object} Task fields for runTaskMutation's insert
+ */
+export function buildNewTaskFields({
+  title,
+  description = "",
+  dueDate = null,
+  priority = "medium",
+  recurrence = null,
+  tagIds = [],
+  projectId = null,
+  estimateMinutes = null,
+}) {
+  return {
+    title: title.trim(),
+    description: description.trim(),
+    dueDate,
+    completed: false,
+    priority,
+    recurrence: recurrence || null,
+    tagIds: normalizeTagIds(tagIds),
+    projectId: projectId || null,
+    estimateMinutes: normalizeEstimate(estimateMinutes),
+  };
+}
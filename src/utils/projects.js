@@ -0,0 +1,55 @@
+/**
+ * projects.js - Helpers for grouping tasks into projects
+ *
+ * Projects are rows in the `projects` table ({ id, user_id, name, color,
+ * archived }). A task belongs to at most one project through `project_id`;
+ * tasks without one live in the Inbox.
+ */
+
+import { TAG_COLORS } from "./tags";
+
+export const PROJECT_COLORS = TAG_COLORS;
+export const ALL_PROJECTS = "all";
+export const INBOX_PROJECT = "inbox";
+
+export function normalizeProject(row) {
+  return {
+    id: row.id,
+    name: row.name?.trim() || "Untitled project",
+    color: typeof row.color === "string" && /^#[0-9a-f]{6}$/i.test(row.color) ? row.color : PROJECT_COLORS[0],
+    archived: Boolean(row.archived),
+  };
+}
+
+export function sortProjects(projects = []) {
+  return [...projects].sort((a, b) => {
+    if (a.archived !== b.archived) {
+      return a.archived ? 1 : -1;
+    }
+    return a.name.localeCompare(b.name);
+  });
+}
+
+export function isTaskInProject(task, projectKey = ALL_PROJECTS) {
+  if (!projectKey || projectKey === ALL_PROJECTS) {
+    return true;
+  }
+  if (projectKey === INBOX_PROJECT) {
+    return !task?.projectId;
+  }
+  return task?.projectId === projectKey;
+}
+
+export function filterTasksByProject(tasks = [], projectKey = ALL_PROJECTS) {
+  if (!projectKey || projectKey === ALL_PROJECTS) {
+    return tasks;
+  }
+  return tasks.filter((task) => isTaskInProject(task, projectKey));
+}
+
+export function findProject(projects = [], projectId) {
+  if (!projectId) {
+    return null;
+  }
+  return projects.find((project) => project.id === projectId) ?? null;
+}
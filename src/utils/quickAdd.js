@@ -0,0 +1,313 @@
+/**
+ * quickAdd.js - Natural-language parser for the one-line task quick-add bar
+ *
+ * Turns input like "Send report tomorrow 3pm !high #client-a every friday"
+ * into task fields. Everything runs locally with plain regular expressions,
+ * so the bar keeps working offline. Text in double quotes is never parsed,
+ * which lets a title contain words like "friday" or "#1".
+ *
+ * Recognized tokens (case-insensitive):
+ * - Priority: !high / !medium / !med / !low, !h / !m / !l, !1 / !2 / !3
+ * - Tags: #name (normalized like the tag picker does)
+ * - Recurrence: daily / weekly / monthly / yearly, every day, every weekday,
+ *   every 2 weeks, every other month, every monday, every mon, wed and fri
+ * - Dates: today, tonight, tomorrow, monday…sunday (the next one after today),
+ *   next week, in 3 days, jan 5, 5 jan, 2026-03-14, 3/14 (month first)
+ * - Times: 3pm, 3:30 pm, 15:00, at 9, noon
+ *
+ * A date without a time is due at the end of that day, like imported dates.
+ */
+
+import { isValidRRule } from "./recurrence";
+import { normalizeTagName } from "./tags";
+
+const PRIORITY_ALIASES = {
+  high: "high", h: "high", 1: "high",
+  medium: "medium", med: "medium", m: "medium", 2: "medium",
+  low: "low", l: "low", 3: "low",
+};
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WORKWEEK = ["MO", "TU", "WE", "TH", "FR"];
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const UNIT_FREQUENCIES = { day: "DAILY", week: "WEEKLY", month: "MONTHLY", year: "YEARLY" };
+const ADVERB_FREQUENCIES = { daily: "DAILY", weekly: "WEEKLY", monthly: "MONTHLY", yearly: "YEARLY", annually: "YEARLY" };
+const END_OF_DAY = { hours: 23, minutes: 59 };
+const TONIGHT = { hours: 20, minutes: 0 };
+
+const START = "(?<=^|\\s)";
+const END = "(?=$|\\s|[,.;!?])";
+const DATE_PREFIX = "(?:(?:due|by|on)\\s+)?";
+const WEEKDAY_PATTERN = "(sun|mon|tue|wed|thu|fri|sat)[a-z]*";
+const MONTH_PATTERN = "(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?";
+const ORDINAL_DAY = "(\\d{1,2})(?:st|nd|rd|th)?";
+
+const TAG_RE = new RegExp(`${START}#([\\w-]+)`, "g");
+const PRIORITY_RE = new RegExp(`${START}!(high|medium|med|low|h|m|l|1|2|3)${END}`, "i");
+const RECURRENCE_RES = [
+  new RegExp(`${START}every\\s+weekdays?${END}`, "i"),
+  new RegExp(`${START}every\\s+(?:(other)\\s+|(\\d+)\\s+)?(day|week|month|year)s?${END}`, "i"),
+  new RegExp(`${START}every\\s+(${WEEKDAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${WEEKDAY_PATTERN})*)${END}`, "i"),
+  new RegExp(`${START}(daily|weekly|monthly|yearly|annually)${END}`, "i"),
+];
+const DATE_RES = {
+  iso: new RegExp(`${START}${DATE_PREFIX}(\\d{4})-(\\d{1,2})-(\\d{1,2})${END}`, "i"),
+  slash: new RegExp(`${START}${DATE_PREFIX}(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?${END}`, "i"),
+  monthDay: new RegExp(`${START}${DATE_PREFIX}${MONTH_PATTERN}\\s+${ORDINAL_DAY}(?:,?\\s+(\\d{4}))?${END}`, "i"),
+  dayMonth: new RegExp(`${START}${DATE_PREFIX}${ORDINAL_DAY}\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?${END}`, "i"),
+  relative: new RegExp(`${START}${DATE_PREFIX}(today|tonight|tomorrow|tmrw|tmr)${END}`, "i"),
+  offset: new RegExp(`${START}${DATE_PREFIX}in\\s+(\\d+|an?)\\s+(day|week|month)s?${END}`, "i"),
+  nextWeek: new RegExp(`${START}${DATE_PREFIX}next\\s+week${END}`, "i"),
+  weekday: new RegExp(`${START}${DATE_PREFIX}(?:(?:next|this)\\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)${END}`, "i"),
+};
+const TIME_RES = [
+  new RegExp(`${START}(?:at\\s+)?(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm)${END}`, "i"),
+  new RegExp(`${START}(?:at\\s+)?([01]?\\d|2[0-3]):([0-5]\\d)${END}`, "i"),
+  new RegExp(`${START}(?:at\\s+)?(noon|midday)${END}`, "i"),
+  new RegExp(`${START}at\\s+([01]?\\d|2[0-3])${END}`, "i"),
+];
+
+/**
+ * parseQuickAdd - Reads task fields out of one line of quick-add text
+ *
+ * @param {string} input - Raw text typed into the quick-add bar
+ * @param {Object} [options] - { now } timestamp used to resolve relative dates
+ * @returns {Object} { title, dueDate, hasTime, priority, tagNames, recurrence }
+ *   dueDate is an ISO string or null; priority defaults to "medium"
+ */
+export function parseQuickAdd(input, { now = Date.now() } = {}) {
+  const quoted = [];
+  let text = String(input ?? "").replace(/"([^"]*)"/g, (_, content) => {
+    quoted.push(content);
+    return String.fromCharCode(0xe000 + quoted.length - 1);
+  });
+  const consume = (match) => {
+    text = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+  };
+
+  const tagNames = [];
+  for (const match of text.matchAll(TAG_RE)) {
+    const name = normalizeTagName(match[1]);
+    if (name && !tagNames.includes(name)) {
+      tagNames.push(name);
+    }
+  }
+  text = text.replace(TAG_RE, " ");
+
+  let priority = "medium";
+  const priorityMatch = text.match(PRIORITY_RE);
+  if (priorityMatch) {
+    priority = PRIORITY_ALIASES[priorityMatch[1].toLowerCase()];
+    consume(priorityMatch);
+  }
+
+  let recurrence = null;
+  for (const pattern of RECURRENCE_RES) {
+    const match = text.match(pattern);
+    const rule = match ? readRecurrence(match, pattern) : null;
+    if (rule && isValidRRule(rule)) {
+      recurrence = rule;
+      consume(match);
+      break;
+    }
+  }
+
+  const today = startOfDay(new Date(now));
+  let date = null;
+  let defaultTime = END_OF_DAY;
+  for (const [kind, pattern] of Object.entries(DATE_RES)) {
+    const match = text.match(pattern);
+    const resolved = match ? readDate(kind, match, today) : null;
+    if (resolved) {
+      date = resolved.date;
+      defaultTime = resolved.defaultTime ?? END_OF_DAY;
+      consume(match);
+      break;
+    }
+  }
+
+  let time = null;
+  for (const pattern of TIME_RES) {
+    const match = text.match(pattern);
+    time = match ? readTime(match) : null;
+    if (time) {
+      consume(match);
+      break;
+    }
+  }
+
+  const title = text
+    .replace(/[\uE000-\uF8FF]/g, (marker) => quoted[marker.charCodeAt(0) - 0xe000] ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const due = resolveDue({ date, time: time ?? defaultTime, hasDate: Boolean(date), hasTime: Boolean(time), recurrence, now });
+  return {
+    title,
+    dueDate: due ? due.toISOString() : null,
+    hasTime: Boolean(time) || (Boolean(date) && defaultTime !== END_OF_DAY),
+    priority,
+    tagNames,
+    recurrence,
+  };
+}
+
+function readRecurrence(match, pattern) {
+  if (pattern === RECURRENCE_RES[0]) {
+    return `FREQ=WEEKLY;BYDAY=${WORKWEEK.join(",")}`;
+  }
+  if (pattern === RECURRENCE_RES[1]) {
+    const interval = match[1] ? 2 : Number(match[2] ?? 1);
+    if (!interval) return null;
+    const freq = UNIT_FREQUENCIES[match[3].toLowerCase()];
+    return interval > 1 ? `FREQ=${freq};INTERVAL=${interval}` : `FREQ=${freq}`;
+  }
+  if (pattern === RECURRENCE_RES[2]) {
+    const codes = [];
+    for (const name of match[1].split(/\s*(?:,|and|&)\s*/i)) {
+      const code = readWeekday(name);
+      if (!code) return null;
+      if (!codes.includes(code)) codes.push(code);
+    }
+    codes.sort((a, b) => WEEKDAY_CODES.indexOf(a) - WEEKDAY_CODES.indexOf(b));
+    return `FREQ=WEEKLY;BYDAY=${codes.join(",")}`;
+  }
+  return `FREQ=${ADVERB_FREQUENCIES[match[1].toLowerCase()]}`;
+}
+
+function readDate(kind, match, today) {
+  const year = today.getFullYear();
+  switch (kind) {
+    case "iso":
+      return wrapDate(buildDate(Number(match[1]), Number(match[2]), Number(match[3])));
+    case "slash":
+      return wrapDate(datedOrNextYear(Number(match[1]), Number(match[2]), readYear(match[3]), today));
+    case "monthDay":
+      return wrapDate(datedOrNextYear(readMonth(match[1]), Number(match[2]), readYear(match[3]), today));
+    case "dayMonth":
+      return wrapDate(datedOrNextYear(readMonth(match[2]), Number(match[1]), readYear(match[3]), today));
+    case "relative": {
+      const word = match[1].toLowerCase();
+      if (word === "today") return wrapDate(today);
+      if (word === "tonight") return { date: today, defaultTime: TONIGHT };
+      return wrapDate(addDays(today, 1));
+    }
+    case "offset": {
+      const amount = /^an?$/i.test(match[1]) ? 1 : Number(match[1]);
+      const unit = match[2].toLowerCase();
+      if (unit === "month") {
+        const target = new Date(year, today.getMonth() + amount, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        target.setDate(Math.min(today.getDate(), lastDay));
+        return wrapDate(target);
+      }
+      return wrapDate(addDays(today, unit === "week" ? amount * 7 : amount));
+    }
+    case "nextWeek":
+      // Monday of next week
+      return wrapDate(addDays(today, ((8 - today.getDay()) % 7) || 7));
+    case "weekday": {
+      const target = WEEKDAY_NAMES.indexOf(match[1].toLowerCase());
+      return wrapDate(addDays(today, ((target - today.getDay() + 7) % 7) || 7));
+    }
+    default:
+      return null;
+  }
+}
+
+function readTime(match) {
+  const [, first, second, meridiem] = match;
+  if (/^(noon|midday)$/i.test(first)) {
+    return { hours: 12, minutes: 0 };
+  }
+  let hours = Number(first);
+  const minutes = Number(second ?? 0);
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    const isPm = meridiem[0].toLowerCase() === "p";
+    hours = (hours % 12) + (isPm ? 12 : 0);
+  } else if (second === undefined && hours >= 1 && hours <= 7) {
+    // A bare "at 3" means the afternoon; nobody schedules work at 3am
+    hours += 12;
+  }
+  return { hours, minutes };
+}
+
+/**
+ * Combines the parsed parts into a due date. Weekly day rules without an
+ * explicit date start on their first upcoming day; a bare time that has
+ * already passed today rolls over to tomorrow.
+ */
+function resolveDue({ date, time, hasDate, hasTime, recurrence, now }) {
+  if (!hasDate && !hasTime && !recurrence) {
+    return null;
+  }
+  const at = (day) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), time.hours, time.minutes);
+  if (hasDate) {
+    return at(date);
+  }
+  const today = startOfDay(new Date(now));
+  const byDay = recurrence?.match(/BYDAY=([A-Z,]+)/)?.[1].split(",") ?? [];
+  if (byDay.length) {
+    for (let offset = 0; offset <= 7; offset += 1) {
+      const candidate = at(addDays(today, offset));
+      if (byDay.includes(WEEKDAY_CODES[candidate.getDay()]) && candidate.getTime() > now) {
+        return candidate;
+      }
+    }
+  }
+  const due = at(today);
+  return due.getTime() > now ? due : at(addDays(today, 1));
+}
+
+function datedOrNextYear(month, day, year, today) {
+  if (year !== null) {
+    return buildDate(year, month, day);
+  }
+  const candidate = buildDate(today.getFullYear(), month, day);
+  if (candidate && candidate < today) {
+    return buildDate(today.getFullYear() + 1, month, day);
+  }
+  return candidate;
+}
+
+function buildDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+function wrapDate(date) {
+  return date ? { date } : null;
+}
+
+function readYear(value) {
+  if (!value) return null;
+  const year = Number(value);
+  return value.length === 2 ? 2000 + year : year;
+}
+
+function readMonth(name) {
+  return MONTH_NAMES.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+function readWeekday(name) {
+  const prefix = name.trim().slice(0, 2).toUpperCase();
+  return WEEKDAY_CODES.includes(prefix) && WEEKDAY_NAMES.some((full) => full.startsWith(name.trim().toLowerCase()))
+    ? prefix
+    : null;
+}
+
+function startOfDay(date) {
+  const copy = new Date(date);
+  copy.setHours(0, 0, 0, 0);
+  return copy;
+}
+
+function addDays(date, amount) {
+  const copy = new Date(date);
+  copy.setDate(copy.getDate() + amount);
+  return copy;
+}
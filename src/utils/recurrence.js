@@ -0,0 +1,469 @@
+/**
+ * recurrence.js - RFC 5545 RRULE support for repeating tasks
+ *
+ * A recurring task stores its rule as an RRULE string in the `recurrence`
+ * column and uses its own due date as DTSTART. Only the current occurrence is
+ * persisted; later ones are computed on demand (Calendar projection) and the
+ * row is advanced to the next occurrence when the current one is completed.
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT,
+ * UNTIL, BYDAY (with ordinals for MONTHLY/YEARLY), BYMONTHDAY, BYMONTH,
+ * BYSETPOS, BYHOUR, BYMINUTE and WKST. Rules using anything else are rejected
+ * by parseRRule rather than silently misinterpreted.
+ */
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const WORKWEEK = ["MO", "TU", "WE", "TH", "FR"];
+const FREQUENCY_UNITS = { DAILY: "day", WEEKLY: "week", MONTHLY: "month", YEARLY: "year" };
+const FREQUENCY_LABELS = { DAILY: "Daily", WEEKLY: "Weekly", MONTHLY: "Monthly", YEARLY: "Yearly" };
+const MAX_PERIODS = 10000;
+const DAY_IN_MS = 86400000;
+
+export const RECURRENCE_PRESETS = [
+  { key: "none", label: "Does not repeat", rule: "" },
+  { key: "daily", label: "Every day", rule: "FREQ=DAILY" },
+  { key: "weekdays", label: "Every weekday (Mon–Fri)", rule: "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR" },
+  { key: "weekly", label: "Every week", rule: "FREQ=WEEKLY" },
+  { key: "biweekly", label: "Every 2 weeks", rule: "FREQ=WEEKLY;INTERVAL=2" },
+  { key: "monthly", label: "Every month", rule: "FREQ=MONTHLY" },
+  { key: "last-weekday", label: "Last weekday of each month", rule: "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1" },
+  { key: "yearly", label: "Every year", rule: "FREQ=YEARLY" },
+];
+
+export function parseRRule(value) {
+  if (!value || typeof value !== "string") {
+    return null;
+  }
+  const source = value.trim().replace(/^RRULE:/i, "");
+  if (!source) {
+    return null;
+  }
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    byHour: [],
+    byMinute: [],
+    wkst: "MO",
+  };
+  const seen = new Set();
+  for (const part of source.split(";")) {
+    if (!part) continue;
+    const [rawKey, rawValue = ""] = part.split("=");
+    const key = rawKey.trim().toUpperCase();
+    const val = rawValue.trim().toUpperCase();
+    if (!val || seen.has(key)) {
+      return null;
+    }
+    seen.add(key);
+    switch (key) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(val)) return null;
+        rule.freq = val;
+        break;
+      case "INTERVAL":
+        rule.interval = parseIntegerInRange(val, 1, 1000);
+        if (rule.interval === null) return null;
+        break;
+      case "COUNT":
+        rule.count = parseIntegerInRange(val, 1, 10000);
+        if (rule.count === null) return null;
+        break;
+      case "UNTIL":
+        rule.until = parseRRuleDate(val);
+        if (!rule.until) return null;
+        break;
+      case "BYDAY":
+        rule.byDay = parseList(val, parseWeekdayEntry);
+        if (!rule.byDay) return null;
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = parseList(val, (item) => parseSignedIntegerInRange(item, 31));
+        if (!rule.byMonthDay) return null;
+        break;
+      case "BYMONTH":
+        rule.byMonth = parseList(val, (item) => parseIntegerInRange(item, 1, 12));
+        if (!rule.byMonth) return null;
+        break;
+      case "BYSETPOS":
+        rule.bySetPos = parseList(val, (item) => parseSignedIntegerInRange(item, 366));
+        if (!rule.bySetPos) return null;
+        break;
+      case "BYHOUR":
+        rule.byHour = parseList(val, (item) => parseIntegerInRange(item, 0, 23));
+        if (!rule.byHour) return null;
+        break;
+      case "BYMINUTE":
+        rule.byMinute = parseList(val, (item) => parseIntegerInRange(item, 0, 59));
+        if (!rule.byMinute) return null;
+        break;
+      case "WKST":
+        if (!WEEKDAY_CODES.includes(val)) return null;
+        rule.wkst = val;
+        break;
+      default:
+        return null;
+    }
+  }
+  if (!rule.freq || (rule.count && rule.until)) {
+    return null;
+  }
+  if (rule.freq === "WEEKLY" && rule.byMonthDay.length) {
+    return null;
+  }
+  return rule;
+}
+
+export function isValidRRule(value) {
+  return Boolean(parseRRule(value));
+}
+
+export function formatRRule(rule) {
+  if (!rule?.freq) {
+    return "";
+  }
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatRRuleDate(rule.until)}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(",")}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map(({ weekday, ordinal }) => `${ordinal || ""}${weekday}`).join(",")}`);
+  }
+  if (rule.byHour?.length) parts.push(`BYHOUR=${rule.byHour.join(",")}`);
+  if (rule.byMinute?.length) parts.push(`BYMINUTE=${rule.byMinute.join(",")}`);
+  if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(",")}`);
+  if (rule.wkst && rule.wkst !== "MO") parts.push(`WKST=${rule.wkst}`);
+  return parts.join(";");
+}
+
+export function describeRRule(value) {
+  const rule = typeof value === "string" ? parseRRule(value) : value;
+  if (!rule?.freq) {
+    return "";
+  }
+  const unit = FREQUENCY_UNITS[rule.freq];
+  const pieces = [rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : FREQUENCY_LABELS[rule.freq]];
+
+  const weekdays = rule.byDay.filter((entry) => !entry.ordinal).map((entry) => entry.weekday);
+  const isWorkweek = weekdays.length === WORKWEEK.length && WORKWEEK.every((code) => weekdays.includes(code));
+  if (rule.byDay.length) {
+    if (isWorkweek && rule.bySetPos.length === 1) {
+      pieces.push(`on the ${formatOrdinal(rule.bySetPos[0])} weekday`);
+    } else if (isWorkweek && weekdays.length === rule.byDay.length) {
+      pieces.push("on weekdays");
+    } else {
+      const days = rule.byDay.map(({ weekday, ordinal }) => {
+        const label = WEEKDAY_LABELS[WEEKDAY_CODES.indexOf(weekday)];
+        return ordinal ? `the ${formatOrdinal(ordinal)} ${label}` : label;
+      });
+      pieces.push(`on ${days.join(", ")}`);
+    }
+  }
+  if (rule.byMonthDay.length) {
+    const days = rule.byMonthDay.map((day) => (day < 0 ? (day === -1 ? "the last day" : `${formatOrdinal(day)} day`) : `day ${day}`));
+    pieces.push(`on ${days.join(", ")}`);
+  }
+  if (rule.byMonth.length) {
+    const formatter = new Intl.DateTimeFormat(undefined, { month: "short" });
+    pieces.push(`in ${rule.byMonth.map((month) => formatter.format(new Date(2000, month - 1, 1))).join(", ")}`);
+  }
+  if (rule.byHour.length) {
+    const minutes = rule.byMinute.length ? rule.byMinute : [0];
+    const times = rule.byHour.flatMap((hour) => minutes.map((minute) => formatClock(hour, minute)));
+    pieces.push(`at ${times.join(", ")}`);
+  }
+  let text = pieces.join(" ");
+  if (rule.count) {
+    text += `, ${rule.count} ${rule.count === 1 ? "time" : "times"}`;
+  } else if (rule.until) {
+    text += `, until ${rule.until.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" })}`;
+  }
+  return text;
+}
+
+/**
+ * Occurrences of a rule anchored at dtstart that fall in [from, to).
+ * dtstart itself is the first occurrence, as in RFC 5545.
+ */
+export function getOccurrences(value, dtstartInput, { from = null, to = null, limit = 1000 } = {}) {
+  const rule = typeof value === "string" ? parseRRule(value) : value;
+  const dtstart = toValidDate(dtstartInput);
+  if (!rule?.freq || !dtstart) {
+    return [];
+  }
+  const fromMs = from ? toValidDate(from)?.getTime() ?? -Infinity : -Infinity;
+  const toMs = to ? toValidDate(to)?.getTime() ?? Infinity : Infinity;
+  if (!Number.isFinite(toMs) && !rule.count && !rule.until && limit === Infinity) {
+    return [];
+  }
+  const results = [];
+  let emitted = 0;
+  let done = false;
+  iteratePeriods(rule, dtstart, (candidate) => {
+    const ts = candidate.getTime();
+    if (rule.until && ts > rule.until.getTime()) {
+      done = true;
+      return false;
+    }
+    emitted += 1;
+    if (ts >= toMs) {
+      done = true;
+      return false;
+    }
+    if (ts >= fromMs) {
+      results.push(candidate);
+      if (results.length >= limit) {
+        done = true;
+        return false;
+      }
+    }
+    if (rule.count && emitted >= rule.count) {
+      done = true;
+      return false;
+    }
+    return true;
+  }, (periodStart) => done || periodStart.getTime() >= toMs);
+  return results;
+}
+
+export function getNextOccurrence(value, dtstartInput, after = dtstartInput) {
+  const afterDate = toValidDate(after);
+  if (!afterDate) {
+    return null;
+  }
+  const [next] = getOccurrences(value, dtstartInput, { from: new Date(afterDate.getTime() + 1000), limit: 1 });
+  return next ?? null;
+}
+
+/**
+ * Re-anchors a rule on its next occurrence once the current one is done.
+ * COUNT is relative to DTSTART, so it shrinks by the occurrence consumed.
+ */
+export function advanceRRule(value) {
+  const rule = typeof value === "string" ? parseRRule(value) : value;
+  if (!rule) {
+    return "";
+  }
+  if (rule.count) {
+    return rule.count > 1 ? formatRRule({ ...rule, count: rule.count - 1 }) : "";
+  }
+  return formatRRule(rule);
+}
+
+function iteratePeriods(rule, dtstart, onCandidate, shouldStop) {
+  for (let index = 0; index < MAX_PERIODS; index += 1) {
+    const periodStart = getPeriodStart(rule, dtstart, index * rule.interval);
+    if (shouldStop(periodStart)) {
+      return;
+    }
+    const candidates = applySetPos(rule, expandTimes(rule, dtstart, expandDays(rule, dtstart, periodStart)));
+    for (const candidate of candidates) {
+      if (candidate.getTime() < dtstart.getTime()) continue;
+      if (!onCandidate(candidate)) {
+        return;
+      }
+    }
+  }
+}
+
+function getPeriodStart(rule, dtstart, offset) {
+  switch (rule.freq) {
+    case "DAILY":
+      return new Date(dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate() + offset);
+    case "WEEKLY": {
+      const weekStart = WEEKDAY_CODES.indexOf(rule.wkst);
+      const diff = (dtstart.getDay() - weekStart + 7) % 7;
+      return new Date(dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate() - diff + offset * 7);
+    }
+    case "MONTHLY":
+      return new Date(dtstart.getFullYear(), dtstart.getMonth() + offset, 1);
+    case "YEARLY":
+    default:
+      return new Date(dtstart.getFullYear() + offset, 0, 1);
+  }
+}
+
+function expandDays(rule, dtstart, periodStart) {
+  const year = periodStart.getFullYear();
+  switch (rule.freq) {
+    case "DAILY":
+      return [periodStart].filter((day) =>
+        matchesMonth(rule, day) && matchesMonthDay(rule, day) && matchesWeekdayOnly(rule, day));
+    case "WEEKLY": {
+      const days = Array.from({ length: 7 }, (_, i) =>
+        new Date(periodStart.getFullYear(), periodStart.getMonth(), periodStart.getDate() + i));
+      return days.filter((day) => {
+        if (!matchesMonth(rule, day)) return false;
+        return rule.byDay.length ? matchesWeekdayOnly(rule, day) : day.getDay() === dtstart.getDay();
+      });
+    }
+    case "MONTHLY":
+      if (!matchesMonth(rule, periodStart)) return [];
+      return filterMonthDays(rule, dtstart, year, periodStart.getMonth());
+    case "YEARLY":
+    default: {
+      if (rule.byMonth.length) {
+        return [...rule.byMonth].sort((a, b) => a - b)
+          .flatMap((month) => filterMonthDays(rule, dtstart, year, month - 1));
+      }
+      if (rule.byMonthDay.length) {
+        return Array.from({ length: 12 }, (_, month) => daysOfMonth(year, month))
+          .flat()
+          .filter((day) => matchesMonthDay(rule, day) && matchesWeekdayOnly(rule, day));
+      }
+      if (rule.byDay.length) {
+        const days = daysOfYear(year);
+        return days.filter((day, index) => matchesWeekdayInScope(rule, day, index, days.length));
+      }
+      const anniversary = new Date(year, dtstart.getMonth(), dtstart.getDate());
+      return anniversary.getMonth() === dtstart.getMonth() ? [anniversary] : [];
+    }
+  }
+}
+
+function filterMonthDays(rule, dtstart, year, month) {
+  const days = daysOfMonth(year, month);
+  if (!rule.byMonthDay.length && !rule.byDay.length) {
+    return days.filter((day) => day.getDate() === dtstart.getDate());
+  }
+  return days.filter((day, index) =>
+    matchesMonthDay(rule, day) && (!rule.byDay.length || matchesWeekdayInScope(rule, day, index, days.length)));
+}
+
+function expandTimes(rule, dtstart, days) {
+  const hours = rule.byHour.length ? [...rule.byHour].sort((a, b) => a - b) : [dtstart.getHours()];
+  const minutes = rule.byMinute.length ? [...rule.byMinute].sort((a, b) => a - b) : [dtstart.getMinutes()];
+  return days.flatMap((day) => hours.flatMap((hour) => minutes.map((minute) =>
+    new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute, dtstart.getSeconds()))));
+}
+
+function applySetPos(rule, candidates) {
+  if (!rule.bySetPos.length || !candidates.length) {
+    return candidates;
+  }
+  const picked = new Set();
+  rule.bySetPos.forEach((position) => {
+    const index = position > 0 ? position - 1 : candidates.length + position;
+    if (index >= 0 && index < candidates.length) {
+      picked.add(index);
+    }
+  });
+  return [...picked].sort((a, b) => a - b).map((index) => candidates[index]);
+}
+
+function matchesMonth(rule, day) {
+  return !rule.byMonth.length || rule.byMonth.includes(day.getMonth() + 1);
+}
+
+function matchesMonthDay(rule, day) {
+  if (!rule.byMonthDay.length) {
+    return true;
+  }
+  const date = day.getDate();
+  const length = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+  return rule.byMonthDay.some((value) => value === date || value === date - length - 1);
+}
+
+function matchesWeekdayOnly(rule, day) {
+  if (!rule.byDay.length) {
+    return true;
+  }
+  const code = WEEKDAY_CODES[day.getDay()];
+  return rule.byDay.some((entry) => entry.weekday === code);
+}
+
+function matchesWeekdayInScope(rule, day, index, scopeLength) {
+  const code = WEEKDAY_CODES[day.getDay()];
+  const forward = Math.floor(index / 7) + 1;
+  const backward = -(Math.floor((scopeLength - index - 1) / 7) + 1);
+  return rule.byDay.some((entry) =>
+    entry.weekday === code && (!entry.ordinal || entry.ordinal === forward || entry.ordinal === backward));
+}
+
+function daysOfMonth(year, month) {
+  const length = new Date(year, month + 1, 0).getDate();
+  return Array.from({ length }, (_, i) => new Date(year, month, i + 1));
+}
+
+function daysOfYear(year) {
+  const length = Math.round((new Date(year + 1, 0, 1) - new Date(year, 0, 1)) / DAY_IN_MS);
+  return Array.from({ length }, (_, i) => new Date(year, 0, i + 1));
+}
+
+function parseList(value, parseItem) {
+  const items = value.split(",").map((item) => parseItem(item.trim()));
+  return items.some((item) => item === null) ? null : items;
+}
+
+function parseWeekdayEntry(value) {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const ordinal = match[1] ? Number(match[1]) : 0;
+  if (Math.abs(ordinal) > 53 || (match[1] && ordinal === 0)) {
+    return null;
+  }
+  return { weekday: match[2], ordinal };
+}
+
+function parseIntegerInRange(value, min, max) {
+  if (!/^\d+$/.test(value)) {
+    return null;
+  }
+  const number = Number(value);
+  return number >= min && number <= max ? number : null;
+}
+
+function parseSignedIntegerInRange(value, maxAbs) {
+  if (!/^[+-]?\d+$/.test(value)) {
+    return null;
+  }
+  const number = Number(value);
+  return number !== 0 && Math.abs(number) <= maxAbs ? number : null;
+}
+
+function parseRRuleDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, y, mo, d, h = "23", mi = "59", s = "59", utc] = match;
+  const parts = [Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)];
+  const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatRRuleDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function formatOrdinal(value) {
+  if (value === -1) return "last";
+  if (value < 0) return `${formatOrdinal(-value)} to last`;
+  const suffix = value % 100 >= 11 && value % 100 <= 13
+    ? "th"
+    : ["th", "st", "nd", "rd"][value % 10] ?? "th";
+  return `${value}${suffix}`;
+}
+
+function formatClock(hour, minute) {
+  const period = hour >= 12 ? "PM" : "AM";
+  return `${hour % 12 || 12}:${String(minute).padStart(2, "0")} ${period}`;
+}
+
+function toValidDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
@@ -0,0 +1,136 @@
+/**
+ * shortcuts.js - Keyboard bindings and the task command channel
+ *
+ * SHORTCUT_GROUPS is the single list the help overlay renders, so a new
+ * binding only needs adding here and in the handler that implements it.
+ *
+ * The command palette lives in App while task rows live in TasksFixed, so
+ * palette actions reach the list through sendTaskCommand. A command sent
+ * while no list is mounted (or queued with queueTaskCommand right before a
+ * navigation) is handed to the next list that subscribes.
+ */
+
+export const SHORTCUT_GROUPS = [
+  {
+    title: "Anywhere",
+    bindings: [
+      { keys: ["Mod", "K"], description: "Open the command palette" },
+      { keys: ["?"], description: "Show keyboard shortcuts" },
+      { keys: ["Esc"], description: "Close the open dialog" },
+    ],
+  },
+  {
+    title: "Task list",
+    bindings: [
+      { keys: ["J"], description: "Highlight the next task" },
+      { keys: ["K"], description: "Highlight the previous task" },
+      { keys: ["S"], description: "Select or deselect the task (Shift+S selects a range)" },
+      { keys: ["X"], description: "Complete or reopen the task, or every selected task" },
+      { keys: ["Enter"], description: "Show or hide the task's details" },
+      { keys: ["E"], description: "Edit the task" },
+      { keys: ["Delete"], description: "Move the task, or every selected task, to the Trash" },
+      { keys: ["Mod", "Z"], description: "Undo the last change" },
+      { keys: ["Mod", "Shift", "Z"], description: "Redo" },
+      { keys: ["N"], description: "New task" },
+      { keys: ["Q"], description: "Focus the quick-add bar" },
+      { keys: ["/"], description: "Search tasks" },
+      { keys: ["Esc"], description: "Clear the selection, then the highlighted task" },
+    ],
+  },
+];
+
+const listeners = new Set();
+let pendingCommand = null;
+
+export function isMacPlatform() {
+  return typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform ?? "");
+}
+
+export function formatShortcutKey(key) {
+  if (key === "Mod") {
+    return isMacPlatform() ? "⌘" : "Ctrl";
+  }
+  return key;
+}
+
+/**
+ * isPaletteShortcut - True for Ctrl+K, or Cmd+K on macOS
+ */
+export function isPaletteShortcut(event) {
+  return event.key.toLowerCase() === "k" && (event.metaKey || event.ctrlKey) && !event.altKey && !event.shiftKey;
+}
+
+/**
+ * getHistoryShortcut - "undo" for Ctrl/Cmd+Z, "redo" for Ctrl/Cmd+Shift+Z or Ctrl+Y
+ *
+ * @returns {string|null}
+ */
+export function getHistoryShortcut(event) {
+  if (!(event.metaKey || event.ctrlKey) || event.altKey) {
+    return null;
+  }
+  const key = event.key.toLowerCase();
+  if (key === "z") {
+    return event.shiftKey ? "redo" : "undo";
+  }
+  return key === "y" && event.ctrlKey && !event.shiftKey ? "redo" : null;
+}
+
+export function isEditableTarget(target) {
+  return Boolean(target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName));
+}
+
+export function isModalOpen() {
+  return typeof document !== "undefined" && Boolean(document.querySelector('[aria-modal="true"]'));
+}
+
+/**
+ * isShortcutBlocked - Whether a single-key shortcut should be ignored
+ *
+ * Keys typed into a field, combined with a modifier, or pressed while a
+ * modal dialog is open belong to that field or dialog instead.
+ *
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {boolean} True when the shortcut must not run
+ */
+export function isShortcutBlocked(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) {
+    return true;
+  }
+  return isEditableTarget(event.target) || isModalOpen();
+}
+
+/**
+ * sendTaskCommand - Delivers a palette command to the mounted task list
+ *
+ * @param {Object} command - { type: "new-task"|"quick-add"|"complete-selected"|"open-task"|"undo"|"redo", taskId? }
+ */
+export function sendTaskCommand(command) {
+  if (!listeners.size) {
+    pendingCommand = command;
+    return;
+  }
+  listeners.forEach((listener) => listener(command));
+}
+
+/**
+ * queueTaskCommand - Holds a command for the next task list that mounts
+ *
+ * Use before navigating to a page with a task list, so the list being left
+ * does not receive it.
+ */
+export function queueTaskCommand(command) {
+  pendingCommand = command;
+}
+
+export function subscribeToTaskCommands(listener) {
+  listeners.add(listener);
+  if (pendingCommand) {
+    const command = pendingCommand;
+    pendingCommand = null;
+    listener(command);
+  }
+  return () => {
+    listeners.delete(listener);
+  };
+}
@@ -20,6 +20,13 @@ const RANGE_CONFIG = {
     description: "Month-long planning horizon for deeper forecasting.",
     buckets: 5,
   },
+  quarterly: {
+    key: "quarterly",
+    label: "This Quarter",
+    caption: "3mo",
+    description: "Quarter-long view across three months of work.",
+    buckets: 13,
+  },
   yearly: {
     key: "yearly",
     label: "This Year",
@@ -27,24 +34,84 @@ const RANGE_CONFIG = {
     description: "High-level overview of progress across the year.",
     buckets: 12,
   },
+  rolling: {
+    key: "rolling",
+    label: "Rolling",
+    caption: "Last N days",
+    description: "Trailing window that ends today.",
+    buckets: null,
+  },
+  custom: {
+    key: "custom",
+    label: "Custom",
+    caption: "Pick dates",
+    description: "Your own start and end dates.",
+    buckets: null,
+  },
 };
 
+// Ranges that step through the calendar by whole months
+const CALENDAR_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
 const PRIORITY_ORDER = ["high", "medium", "low"];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
 
-export const RANGE_OPTIONS = Object.values(RANGE_CONFIG);
+export const DEFAULT_RANGE_KEY = "daily";
+export const ROLLING_DAY_OPTIONS = [7, 14, 30, 90];
+export const DEFAULT_ROLLING_DAYS = 30;
+const MAX_CUSTOM_RANGE_DAYS = 366 * 5;
+// Periods the URL may step away from now; far larger offsets overflow Date
+const MAX_RANGE_OFFSET = 1000;
 
-export function getRangeWindow(rangeKey, reference = new Date()) {
-  const config = RANGE_CONFIG[rangeKey] ?? RANGE_CONFIG.weekly;
+// Calendar presets, shown as range chips; rolling and custom take extra input
+export const RANGE_OPTIONS = Object.values(RANGE_CONFIG).filter((config) => config.buckets);
+
+/**
+ * getRangeWindow - The [start, end) window for a range, anchored on a reference date
+ *
+ * @param {string} rangeKey - Key of RANGE_CONFIG
+ * @param {Date|number} [reference] - Date the window should contain (default now)
+ * @param {Object} [options] - { days } for "rolling"; { from, to } (Dates, both
+ *   days included) for "custom". An invalid custom range falls back to weekly.
+ * @returns {Object} Range config plus { start, end, durationMs, buckets }
+ */
+export function getRangeWindow(rangeKey, reference = new Date(), options = {}) {
+  let config = RANGE_CONFIG[rangeKey] ?? RANGE_CONFIG.weekly;
   const base = toDate(reference);
   let start;
+  let end;
+
+  if (config.key === "custom") {
+    const from = options.from ? startOfDay(toDate(options.from)) : null;
+    const to = options.to ? startOfDay(toDate(options.to)) : null;
+    const days = from && to ? Math.round((to.getTime() - from.getTime()) / DAY_MS) + 1 : 0;
+    if (days > 0 && days <= MAX_CUSTOM_RANGE_DAYS) {
+      start = from;
+      end = addDays(to, 1);
+    } else {
+      config = RANGE_CONFIG.weekly;
+    }
+  }
 
   switch (config.key) {
+    case "custom":
+      break;
+    case "rolling": {
+      const days = ROLLING_DAY_OPTIONS.includes(options.days) ? options.days : DEFAULT_ROLLING_DAYS;
+      end = addDays(startOfDay(base), 1);
+      start = addDays(end, -days);
+      config = { ...config, label: `Last ${days} days`, caption: `${days}d`, days };
+      break;
+    }
     case "daily":
       start = startOfDay(base);
       break;
     case "monthly":
       start = startOfMonth(base);
       break;
+    case "quarterly":
+      start = startOfQuarter(base);
+      break;
     case "yearly":
       start = startOfYear(base);
       break;
@@ -54,31 +121,126 @@ export function getRangeWindow(rangeKey, reference = new Date()) {
       break;
   }
 
-  const end = createEndForRange(config.key, start);
+  end = end ?? createEndForRange(config.key, start);
   const durationMs = end.getTime() - start.getTime();
   return {
     ...config,
     start,
     end,
     durationMs,
+    buckets: config.buckets ?? getSpanBucketCount(Math.round(durationMs / DAY_MS)),
   };
 }
 
+/**
+ * shiftWindow - Moves a window by whole periods
+ *
+ * Months, quarters and years step by calendar months so they stay aligned
+ * to month starts; every other range steps by its length in days.
+ *
+ * @param {Object} rangeWindow - Window from getRangeWindow
+ * @param {number} [direction] - Periods to move; negative goes back
+ * @returns {Object|null}
+ */
 export function shiftWindow(rangeWindow, direction = -1) {
   if (!rangeWindow) {
     return null;
   }
-  const offset = getWindowDuration(rangeWindow);
-  const delta = offset * direction;
-  const nextStart = new Date(rangeWindow.start.getTime() + delta);
-  const nextEnd = new Date(rangeWindow.end.getTime() + delta);
+  const months = CALENDAR_MONTHS[rangeWindow.key];
+  let nextStart;
+  let nextEnd;
+  if (months) {
+    nextStart = addMonths(rangeWindow.start, months * direction);
+    nextEnd = addMonths(rangeWindow.end, months * direction);
+  } else {
+    const days = Math.max(Math.round(getWindowDuration(rangeWindow) / DAY_MS), 1);
+    nextStart = addDays(rangeWindow.start, days * direction);
+    nextEnd = addDays(rangeWindow.end, days * direction);
+  }
   return {
     ...rangeWindow,
     start: nextStart,
     end: nextEnd,
+    durationMs: nextEnd.getTime() - nextStart.getTime(),
+  };
+}
+
+/**
+ * parseRangeParams - Reads a Stats range selection from the URL query
+ *
+ * Query keys: range, offset (periods from the current one), days (rolling)
+ * and from/to (custom, YYYY-MM-DD). Unknown or malformed values fall back
+ * to the defaults; offset is clamped to ±MAX_RANGE_OFFSET periods.
+ *
+ * @param {URLSearchParams} params - Current query
+ * @returns {Object} { range, offset, days, from, to }
+ */
+export function parseRangeParams(params) {
+  const range = RANGE_CONFIG[params.get("range")] ? params.get("range") : DEFAULT_RANGE_KEY;
+  const offset = Number(params.get("offset"));
+  const days = Number(params.get("days"));
+  return {
+    range,
+    offset: Number.isInteger(offset) ? clamp(offset, -MAX_RANGE_OFFSET, MAX_RANGE_OFFSET) : 0,
+    days: ROLLING_DAY_OPTIONS.includes(days) ? days : DEFAULT_ROLLING_DAYS,
+    from: parseDateParam(params.get("from")) ? params.get("from") : "",
+    to: parseDateParam(params.get("to")) ? params.get("to") : "",
   };
 }
 
+/**
+ * toRangeParams - Query values for a range selection, leaving out defaults
+ *
+ * @param {Object} selection - { range, offset, days, from, to }
+ * @returns {Object} Plain object for setSearchParams
+ */
+export function toRangeParams({ range, offset = 0, days, from, to }) {
+  const params = {};
+  if (range && range !== DEFAULT_RANGE_KEY) {
+    params.range = range;
+  }
+  if (offset) {
+    params.offset = String(offset);
+  }
+  if (range === "rolling" && days && days !== DEFAULT_ROLLING_DAYS) {
+    params.days = String(days);
+  }
+  if (range === "custom") {
+    if (from) params.from = from;
+    if (to) params.to = to;
+  }
+  return params;
+}
+
+/**
+ * getSelectionWindow - The window a range selection points at
+ *
+ * @param {Object} selection - { range, offset, days, from, to } as parsed by parseRangeParams
+ * @param {Date|number} [reference] - "Now"
+ * @returns {Object} Window, shifted by selection.offset periods, or the
+ *   current period when the shift lands outside the dates Date can hold
+ */
+export function getSelectionWindow({ range, offset = 0, days, from, to }, reference = new Date()) {
+  const window = getRangeWindow(range, reference, {
+    days,
+    from: parseDateParam(from),
+    to: parseDateParam(to),
+  });
+  const shifted = offset ? shiftWindow(window, offset) : window;
+  return Number.isNaN(shifted.start.getTime()) || Number.isNaN(shifted.end.getTime()) ? window : shifted;
+}
+
+/**
+ * toDateParam - Formats a date as a local YYYY-MM-DD query/input value
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateParam(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 export function filterTasksByWindow(tasks = [], window) {
   if (!window?.start || !window?.end) {
     return [];
@@ -98,25 +260,243 @@ export function filterTasksByWindow(tasks = [], window) {
   });
 }
 
-export function computeSummaryMetrics(tasks = [], reference = Date.now()) {
+export const SUBTASK_MODES = ["ignore", "separate", "rollup"];
+
+/**
+ * Summary counts for a set of tasks.
+ *
+ * `options.subtasks` controls how checklist items are counted:
+ * - "ignore" (default): only parent tasks are counted.
+ * - "separate": parent counts are unchanged and a `subtasks` summary is added.
+ * - "rollup": each subtask counts as one unit of its parent's work; tasks
+ *   without subtasks count as a single unit. A completed parent completes
+ *   all of its units.
+ */
+export function computeSummaryMetrics(tasks = [], reference = Date.now(), options = {}) {
   const nowTs = reference instanceof Date ? reference.getTime() : Number(reference) || Date.now();
-  const total = tasks.length;
-  const completed = tasks.filter((task) => task.completed).length;
-  const active = Math.max(total - completed, 0);
-  const overdue = tasks.filter((task) => !task.completed && isBefore(task.dueDate, nowTs)).length;
-  const completionRate = total ? Math.round((completed / total) * 100) : 0;
-  const focusRate = total ? Math.round((active / total) * 100) : 0;
+  const mode = SUBTASK_MODES.includes(options.subtasks) ? options.subtasks : "ignore";
+  const units = mode === "rollup" ? tasks.flatMap(expandTaskUnits) : tasks;
+  const summary = summarizeUnits(units, nowTs);
+
+  if (mode === "separate") {
+    const subtaskUnits = tasks.flatMap((task) => getSubtasks(task).map((item) => ({
+      completed: Boolean(task.completed || item.completed),
+      dueDate: task.dueDate,
+    })));
+    summary.subtasks = summarizeUnits(subtaskUnits, nowTs);
+  }
 
+  return summary;
+}
+
+/**
+ * computeStreaks - Current and longest runs of days (or weeks) that met a completion goal
+ *
+ * Completions are bucketed by calendar day in `timeZone`, so a task done at
+ * 23:30 counts for that evening wherever the server or UTC day falls. Weeks
+ * start on `weekStart` (0 = Sunday ... 6 = Saturday, Monday by default),
+ * the user's setting on the Stats page. The current period never breaks a
+ * streak while it is still in progress: it only adds to it once met.
+ * Completions on days before `since` are ignored.
+ *
+ * @param {Array} tasks - Tasks to count (completed ones with a completion time)
+ * @param {Object} [options] - { period: "daily"|"weekly", target, weekStart, timeZone, now, since (YYYY-MM-DD) }
+ * @returns {Object} { period, target, current, longest, periodCount, progress, isMet }
+ *   progress is periodCount as a percentage of target, capped at 100
+ */
+export function computeStreaks(
+  tasks = [],
+  { period = "daily", target = 1, weekStart = 1, timeZone, now = Date.now(), since = "" } = {}
+) {
+  const isWeekly = period === "weekly";
+  const step = isWeekly ? 7 : 1;
+  const goal = Math.max(Math.round(target) || 1, 1);
+  const counts = new Map();
+  countCompletionsByDay(tasks, timeZone).forEach((count, dayKey) => {
+    if (dayKey < since) {
+      return;
+    }
+    const key = isWeekly ? getWeekStartKey(dayKey, weekStart) : dayKey;
+    counts.set(key, (counts.get(key) ?? 0) + count);
+  });
+  const isMetAt = (key) => (counts.get(key) ?? 0) >= goal;
+
+  const todayKey = getLocalDayKey(now, timeZone);
+  const periodKey = isWeekly ? getWeekStartKey(todayKey, weekStart) : todayKey;
+  let current = 0;
+  let cursor = isMetAt(periodKey) ? periodKey : addDaysToKey(periodKey, -step);
+  while (isMetAt(cursor)) {
+    current += 1;
+    cursor = addDaysToKey(cursor, -step);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previousKey = null;
+  [...counts.keys()]
+    .filter(isMetAt)
+    .sort()
+    .forEach((key) => {
+      run = previousKey && addDaysToKey(previousKey, step) === key ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previousKey = key;
+    });
+
+  const periodCount = counts.get(periodKey) ?? 0;
   return {
-    total,
-    completed,
-    active,
-    overdue,
-    completionRate,
-    focusRate,
+    period: isWeekly ? "weekly" : "daily",
+    target: goal,
+    current,
+    longest: Math.max(longest, current),
+    periodCount,
+    progress: Math.min(Math.round((periodCount / goal) * 100), 100),
+    isMet: periodCount >= goal,
+  };
+}
+
+/**
+ * buildCompletionHeatmap - Completions per day for a contribution-style calendar
+ *
+ * Columns are weeks starting on `weekStart` (as in computeStreaks), ending
+ * with the current one; days after today are flagged `isFuture`. Levels 0-4
+ * are relative to the busiest day.
+ *
+ * @param {Array} tasks - Tasks to count
+ * @param {Object} [options] - { weekStart, timeZone, now, weeks }
+ * @returns {Object} { weeks: [{ key, days }], months: [{ index, label }], total, activeDays, busiestCount, start, end }
+ *   Each day is { key (YYYY-MM-DD), count, level, isFuture }; start/end are day keys
+ */
+export function buildCompletionHeatmap(tasks = [], { weekStart = 1, timeZone, now = Date.now(), weeks = 53 } = {}) {
+  const counts = countCompletionsByDay(tasks, timeZone);
+  const todayKey = getLocalDayKey(now, timeZone);
+  const startKey = addDaysToKey(getWeekStartKey(todayKey, weekStart), -(weeks - 1) * 7);
+  const monthFormatter = getFormatter({ month: "short", timeZone: "UTC" });
+
+  const columns = Array.from({ length: weeks }, (_, index) => {
+    const weekKey = addDaysToKey(startKey, index * 7);
+    return {
+      key: weekKey,
+      days: Array.from({ length: 7 }, (__, offset) => {
+        const key = addDaysToKey(weekKey, offset);
+        const isFuture = key > todayKey;
+        return { key, count: isFuture ? 0 : counts.get(key) ?? 0, level: 0, isFuture };
+      }),
+    };
+  });
+
+  const days = columns.flatMap((column) => column.days);
+  const busiestCount = Math.max(...days.map((day) => day.count), 0);
+  days.forEach((day) => {
+    day.level = day.count ? Math.min(Math.ceil((day.count / busiestCount) * 4), 4) : 0;
+  });
+
+  const months = [];
+  columns.forEach((column, index) => {
+    const firstOfMonth = column.days.find((day) => day.key.endsWith("-01"));
+    if (firstOfMonth) {
+      months.push({ index, label: monthFormatter.format(dayKeyToDate(firstOfMonth.key)) });
+    }
+  });
+  // Label the first column too, unless the next month's label would crowd it
+  if (!months.length || months[0].index > 2) {
+    months.unshift({ index: 0, label: monthFormatter.format(dayKeyToDate(startKey)) });
+  }
+
+  return {
+    weeks: columns,
+    months,
+    total: days.reduce((sum, day) => sum + day.count, 0),
+    activeDays: days.filter((day) => day.count > 0).length,
+    busiestCount,
+    start: startKey,
+    end: todayKey,
   };
 }
 
+/**
+ * buildWeekHourMatrix - Counts tasks per weekday and hour of day
+ *
+ * "completed" places each task at its completion time (tasks finished in
+ * the window); "due" places it at its due time (tasks due in the window,
+ * done or not). Hours and weekdays are read in `timeZone`. Rows run from
+ * `weekStart` (0 = Sunday ... 6 = Saturday).
+ *
+ * @param {Array} tasks - Tasks to place
+ * @param {Object} window - Range window from getRangeWindow
+ * @param {Object} [options] - { mode: "completed"|"due", weekStart, timeZone }
+ * @returns {Object} { rows: [{ weekday, counts[24] }], total, max, topSlots, busiestWeekday, busiestHour }
+ *   topSlots holds up to three { weekday, hour, count } with count > 0, busiest first;
+ *   busiestWeekday/busiestHour are { weekday|hour, count } or null without data
+ */
+export function buildWeekHourMatrix(tasks = [], window, { mode = "completed", weekStart = 1, timeZone } = {}) {
+  const rows = Array.from({ length: 7 }, (_, index) => ({
+    weekday: (weekStart + index) % 7,
+    counts: Array(24).fill(0),
+  }));
+  const placed = mode === "due"
+    ? filterTasksByWindow(tasks, window).map((task) => toTimestamp(task.dueDate)).filter(Number.isFinite)
+    : filterTasksCompletedInWindow(tasks, window).map(getCompletionTimestamp);
+
+  placed.forEach((timestamp) => {
+    const { key, hour } = getLocalDayParts(timestamp, timeZone);
+    const weekday = dayKeyToDate(key).getUTCDay();
+    rows[(weekday - weekStart + 7) % 7].counts[hour] += 1;
+  });
+
+  const slots = rows.flatMap((row) => row.counts.map((count, hour) => ({ weekday: row.weekday, hour, count })));
+  const weekdayTotals = rows.map((row) => ({ weekday: row.weekday, count: row.counts.reduce((sum, count) => sum + count, 0) }));
+  const hourTotals = Array.from({ length: 24 }, (_, hour) => ({
+    hour,
+    count: rows.reduce((sum, row) => sum + row.counts[hour], 0),
+  }));
+  const pickBusiest = (entries) => entries.reduce((best, entry) => (entry.count > (best?.count ?? 0) ? entry : best), null);
+
+  return {
+    rows,
+    total: placed.length,
+    max: Math.max(...slots.map((slot) => slot.count), 0),
+    topSlots: slots
+      .filter((slot) => slot.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3),
+    busiestWeekday: pickBusiest(weekdayTotals),
+    busiestHour: pickBusiest(hourTotals),
+  };
+}
+
+/**
+ * formatWeekday - Localized weekday name for a Date#getDay number
+ *
+ * @param {number} weekday - 0 = Sunday ... 6 = Saturday
+ * @param {"short"|"long"} [style]
+ * @returns {string}
+ */
+export function formatWeekday(weekday, style = "short") {
+  // 1 January 2023 was a Sunday
+  return getFormatter({ weekday: style, timeZone: "UTC" }).format(new Date(Date.UTC(2023, 0, 1 + weekday)));
+}
+
+/**
+ * formatHourSlot - Localized label for an hour of the day ("9 AM", "14")
+ *
+ * @param {number} hour - 0-23
+ * @returns {string}
+ */
+export function formatHourSlot(hour) {
+  return getFormatter({ hour: "numeric", timeZone: "UTC" }).format(new Date(Date.UTC(2023, 0, 1, hour)));
+}
+
+/**
+ * getLocalDayKey - Calendar day of a moment in a time zone, as YYYY-MM-DD
+ *
+ * @param {Date|number|string} value - Moment to place
+ * @param {string} [timeZone] - IANA name; defaults to the browser's zone
+ * @returns {string}
+ */
+export function getLocalDayKey(value, timeZone) {
+  return getLocalDayParts(value, timeZone).key;
+}
+
 export function computePriorityBreakdown(tasks = []) {
   const total = tasks.length || 1;
   return PRIORITY_ORDER.map((priority) => {
@@ -135,7 +515,7 @@ export function buildTrendSeries(tasks = [], window) {
     return { buckets: [] };
   }
   const config = RANGE_CONFIG[window.key] ?? RANGE_CONFIG.weekly;
-  const bucketCount = config.buckets;
+  const bucketCount = window.buckets ?? config.buckets;
   if (!bucketCount) {
     return { buckets: [] };
   }
@@ -201,15 +581,134 @@ export function buildTrendSeries(tasks = [], window) {
     return { buckets, start: window.start, end: window.end, rangeKey: window.key };
 }
 
+/**
+ * filterTasksCompletedInWindow - Tasks finished within [start, end)
+ *
+ * Unlike filterTasksByWindow this goes by when the work was done, not by
+ * dueDate, so tasks finished early or late count in the range they were
+ * finished in.
+ *
+ * @param {Array} tasks - Tasks to filter
+ * @param {Object} window - Range window from getRangeWindow
+ * @returns {Array}
+ */
+export function filterTasksCompletedInWindow(tasks = [], window) {
+  if (!window?.start || !window?.end) {
+    return [];
+  }
+  const startMs = window.start.getTime();
+  const endMs = window.end.getTime();
+  return tasks.filter((task) => {
+    const completedTs = getCompletionTimestamp(task);
+    return completedTs >= startMs && completedTs < endMs;
+  });
+}
+
+/**
+ * buildCompletionSeries - Buckets tasks by when they were finished
+ *
+ * Same bucket layout as buildTrendSeries; each bucket's `completed` (and
+ * `total`) is the number of tasks finished in it.
+ *
+ * @param {Array} tasks - Tasks to bucket
+ * @param {Object} window - Range window from getRangeWindow
+ * @returns {Object} { buckets, start, end, rangeKey }
+ */
+export function buildCompletionSeries(tasks = [], window) {
+  const finished = filterTasksCompletedInWindow(tasks, window).map((task) => ({
+    dueDate: new Date(getCompletionTimestamp(task)).toISOString(),
+    completed: true,
+  }));
+  return buildTrendSeries(finished, window);
+}
+
+/**
+ * computeFlowMetrics - Lead time, cycle time and on-time rate for work finished in a window
+ *
+ * - Lead time runs from createdAt to completedAt; for an occurrence of a
+ *   repeating task it runs from occurrenceStartedAt, when the previous
+ *   occurrence was completed.
+ * - Cycle time runs from startedAt (set by "Mark started" or the first
+ *   subtask checked off) to completedAt; tasks never started are left out.
+ * - On time means finished no later than dueDate; tasks without a due
+ *   date are counted as unscheduled and left out of both rates.
+ *
+ * @param {Array} tasks - Tasks to measure
+ * @param {Object} window - Range window from getRangeWindow
+ * @returns {Object} { completed, leadTime, cycleTime, onTime, late, unscheduled, onTimeRate, lateRate }
+ *   leadTime/cycleTime are { count, averageMs, medianMs } (ms are null without data)
+ */
+export function computeFlowMetrics(tasks = [], window) {
+  const finished = filterTasksCompletedInWindow(tasks, window);
+  const leadTimes = [];
+  const cycleTimes = [];
+  let onTime = 0;
+  let late = 0;
+
+  finished.forEach((task) => {
+    const completedTs = getCompletionTimestamp(task);
+    const createdTs = toTimestamp(task.occurrenceStartedAt ?? task.createdAt);
+    const startedTs = toTimestamp(task.startedAt);
+    const dueTs = toTimestamp(task.dueDate);
+    if (Number.isFinite(createdTs)) {
+      leadTimes.push(Math.max(completedTs - createdTs, 0));
+    }
+    if (Number.isFinite(startedTs)) {
+      cycleTimes.push(Math.max(completedTs - startedTs, 0));
+    }
+    if (Number.isFinite(dueTs)) {
+      if (completedTs <= dueTs) {
+        onTime += 1;
+      } else {
+        late += 1;
+      }
+    }
+  });
+
+  const scheduled = onTime + late;
+  return {
+    completed: finished.length,
+    leadTime: summarizeDurations(leadTimes),
+    cycleTime: summarizeDurations(cycleTimes),
+    onTime,
+    late,
+    unscheduled: finished.length - scheduled,
+    onTimeRate: scheduled ? Math.round((onTime / scheduled) * 100) : 0,
+    lateRate: scheduled ? Math.round((late / scheduled) * 100) : 0,
+  };
+}
+
+/**
+ * formatDuration - Compact label for a lead/cycle time ("45m", "6h", "2.5d")
+ *
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} "—" when there is no duration
+ */
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms)) {
+    return "—";
+  }
+  const minutes = ms / MINUTE_MS;
+  if (minutes < 60) {
+    return `${Math.max(Math.round(minutes), 1)}m`;
+  }
+  const hours = minutes / 60;
+  if (hours < 48) {
+    return `${Math.round(hours)}h`;
+  }
+  const days = hours / 24;
+  return days < 10 ? `${Math.round(days * 10) / 10}d` : `${Math.round(days)}d`;
+}
+
 export function formatRangeDisplay(window) {
   if (!window?.start || !window?.end) {
     return "";
   }
-  const formatOptions = window.start.getFullYear() === window.end.getFullYear()
+  const endDisplay = new Date(window.end.getTime() - 1);
+  const formatOptions = window.start.getFullYear() === endDisplay.getFullYear()
     ? { month: "short", day: "numeric" }
     : { month: "short", day: "numeric", year: "numeric" };
   const formatter = getFormatter(formatOptions);
-  const endDisplay = new Date(window.end.getTime() - 1);
   return `${formatter.format(window.start)} – ${formatter.format(endDisplay)}`;
 }
 
@@ -238,6 +737,9 @@ function createEndForRange(key, start) {
     case "monthly":
       end.setMonth(end.getMonth() + 1);
       break;
+    case "quarterly":
+      end.setMonth(end.getMonth() + 3);
+      break;
     case "yearly":
       end.setFullYear(end.getFullYear() + 1);
       break;
@@ -268,12 +770,50 @@ function startOfMonth(date) {
   return clone;
 }
 
+function startOfQuarter(date) {
+  const clone = startOfMonth(date);
+  clone.setMonth(clone.getMonth() - (clone.getMonth() % 3));
+  return clone;
+}
+
 function startOfYear(date) {
   const clone = startOfDay(date);
   clone.setMonth(0, 1);
   return clone;
 }
 
+function addDays(date, days) {
+  const clone = new Date(date);
+  clone.setDate(clone.getDate() + days);
+  return clone;
+}
+
+function addMonths(date, months) {
+  const clone = new Date(date);
+  clone.setMonth(clone.getMonth() + months);
+  return clone;
+}
+
+// Daily buckets for short spans, then weekly, then roughly monthly
+function getSpanBucketCount(days) {
+  if (days <= 14) {
+    return Math.max(days, 1);
+  }
+  if (days <= 120) {
+    return Math.ceil(days / 7);
+  }
+  return Math.min(Math.ceil(days / 30), 24);
+}
+
+function parseDateParam(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? "");
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date : null;
+}
+
 function toDate(input) {
   if (input instanceof Date) {
     return new Date(input.getTime());
@@ -293,6 +833,62 @@ function isBefore(value, pivot) {
   return timestamp < pivot;
 }
 
+function summarizeUnits(units, nowTs) {
+  const total = units.length;
+  const completed = units.filter((task) => task.completed).length;
+  const active = Math.max(total - completed, 0);
+  const overdue = units.filter((task) => !task.completed && isBefore(task.dueDate, nowTs)).length;
+  const completionRate = total ? Math.round((completed / total) * 100) : 0;
+  const focusRate = total ? Math.round((active / total) * 100) : 0;
+
+  return {
+    total,
+    completed,
+    active,
+    overdue,
+    completionRate,
+    focusRate,
+  };
+}
+
+// Tasks completed before completed_at was recorded fall back to their last write
+function getCompletionTimestamp(task) {
+  if (!task?.completed) {
+    return Number.NaN;
+  }
+  return toTimestamp(task.completedAt ?? task.updatedAt);
+}
+
+function toTimestamp(value) {
+  return value ? new Date(value).getTime() : Number.NaN;
+}
+
+function summarizeDurations(durations) {
+  if (!durations.length) {
+    return { count: 0, averageMs: null, medianMs: null };
+  }
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const medianMs = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const averageMs = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return { count: sorted.length, averageMs, medianMs };
+}
+
+function expandTaskUnits(task) {
+  const subtasks = getSubtasks(task);
+  if (!subtasks.length) {
+    return [task];
+  }
+  return subtasks.map((item) => ({
+    completed: Boolean(task.completed || item.completed),
+    dueDate: task.dueDate,
+  }));
+}
+
+function getSubtasks(task) {
+  return Array.isArray(task?.subtasks) ? task.subtasks : [];
+}
+
 function clamp(value, min, max) {
   if (value < min) {
     return min;
@@ -303,6 +899,63 @@ function clamp(value, min, max) {
   return value;
 }
 
+function countCompletionsByDay(tasks, timeZone) {
+  const counts = new Map();
+  tasks.forEach((task) => {
+    const completedTs = getCompletionTimestamp(task);
+    if (!Number.isFinite(completedTs)) {
+      return;
+    }
+    const key = getLocalDayKey(completedTs, timeZone);
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  });
+  return counts;
+}
+
+// Day keys are calendar dates, so their arithmetic runs in UTC where no DST shifts apply
+function dayKeyToDate(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDaysToKey(key, days) {
+  const date = dayKeyToDate(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function getWeekStartKey(key, weekStart = 1) {
+  const day = dayKeyToDate(key).getUTCDay();
+  return addDaysToKey(key, -((day - weekStart + 7) % 7));
+}
+
+function getLocalDayParts(value, timeZone) {
+  const parts = Object.fromEntries(
+    getDayKeyFormatter(timeZone)
+      .formatToParts(toDate(value))
+      .map((part) => [part.type, part.value])
+  );
+  return { key: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) % 24 };
+}
+
+const dayKeyFormatters = new Map();
+
+function getDayKeyFormatter(timeZone) {
+  const cacheKey = timeZone || "";
+  if (!dayKeyFormatters.has(cacheKey)) {
+    const options = { year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", hourCycle: "h23" };
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat("en-CA", timeZone ? { ...options, timeZone } : options);
+    } catch {
+      // Unknown time zone name - fall back to the browser's own zone
+      formatter = new Intl.DateTimeFormat("en-CA", options);
+    }
+    dayKeyFormatters.set(cacheKey, formatter);
+  }
+  return dayKeyFormatters.get(cacheKey);
+}
+
 function getFormatter(options) {
   if (typeof Intl === "undefined" || typeof Intl.DateTimeFormat === "undefined") {
     return {
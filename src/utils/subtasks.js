@@ -0,0 +1,92 @@
+/**
+ * subtasks.js - Checklist helpers for tasks
+ *
+ * Subtasks live on the parent row in the `subtasks` jsonb column as an ordered
+ * array of { id, title, completed }. Array order is display order, so
+ * reordering is just moving an entry. These helpers never mutate their input.
+ */
+
+export function normalizeSubtasks(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value
+    .filter((item) => item && typeof item.title === "string" && item.title.trim())
+    .map((item) => ({
+      id: item.id ? String(item.id) : createSubtaskId(),
+      title: item.title.trim(),
+      completed: Boolean(item.completed),
+    }));
+}
+
+export function createSubtask(title) {
+  return {
+    id: createSubtaskId(),
+    title: title.trim(),
+    completed: false,
+  };
+}
+
+export function addSubtask(subtasks = [], title = "") {
+  if (!title.trim()) {
+    return subtasks;
+  }
+  return [...subtasks, createSubtask(title)];
+}
+
+export function toggleSubtask(subtasks = [], subtaskId) {
+  return subtasks.map((item) => (item.id === subtaskId ? { ...item, completed: !item.completed } : item));
+}
+
+export function removeSubtask(subtasks = [], subtaskId) {
+  return subtasks.filter((item) => item.id !== subtaskId);
+}
+
+export function moveSubtask(subtasks = [], subtaskId, offset) {
+  const fromIndex = subtasks.findIndex((item) => item.id === subtaskId);
+  const toIndex = fromIndex + offset;
+  if (fromIndex === -1 || toIndex < 0 || toIndex >= subtasks.length) {
+    return subtasks;
+  }
+  const next = [...subtasks];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+}
+
+/**
+ * getSubtaskChanges - The task changes a checklist edit writes
+ *
+ * Checking off the first subtask also stamps startedAt, which starts the
+ * task's cycle-time clock (see computeFlowMetrics in stats.js).
+ *
+ * @param {Object} task - Task before the edit
+ * @param {Array} nextSubtasks - Its new checklist
+ * @param {Date|number} [now] - When the edit happened
+ * @returns {Object} { changes, previousFields } - previousFields puts the task back if the save fails
+ */
+export function getSubtaskChanges(task, nextSubtasks, now = Date.now()) {
+  const changes = { subtasks: nextSubtasks };
+  if (!task?.startedAt && nextSubtasks.some((item) => item.completed)) {
+    changes.startedAt = new Date(now).toISOString();
+  }
+  return { changes, previousFields: { subtasks: task?.subtasks ?? [], startedAt: task?.startedAt ?? null } };
+}
+
+export function getSubtaskProgress(task) {
+  const subtasks = Array.isArray(task?.subtasks) ? task.subtasks : [];
+  const total = subtasks.length;
+  const completed = subtasks.filter((item) => item.completed).length;
+  return {
+    total,
+    completed,
+    label: total ? `${completed}/${total}` : "",
+    percent: total ? Math.round((completed / total) * 100) : 0,
+  };
+}
+
+function createSubtaskId() {
+  return typeof crypto !== "undefined" && typeof crypto.randomUUID === "function"
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random()}`;
+}
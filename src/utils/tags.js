@@ -0,0 +1,77 @@
+/**
+ * tags.js - Helpers for user-defined task tags
+ *
+ * Tags are rows in the `tags` table ({ id, user_id, name, color }); a task
+ * references any number of them through its `tag_ids` uuid[] column, and a tag
+ * can be shared by any number of tasks.
+ */
+
+export const TAG_COLORS = [
+  "#0ea5e9",
+  "#6366f1",
+  "#a855f7",
+  "#ec4899",
+  "#ef4444",
+  "#f97316",
+  "#eab308",
+  "#22c55e",
+  "#14b8a6",
+  "#64748b",
+];
+
+export function normalizeTagName(value = "") {
+  return value.trim().replace(/^#/, "").replace(/\s+/g, "-").toLowerCase().slice(0, 40);
+}
+
+export function normalizeTag(row) {
+  return {
+    id: row.id,
+    name: row.name ?? "",
+    color: isHexColor(row.color) ? row.color : pickTagColor(row.name ?? ""),
+  };
+}
+
+export function normalizeTagIds(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return Array.from(new Set(value.filter(Boolean).map(String)));
+}
+
+export function pickTagColor(name = "") {
+  let hash = 0;
+  for (let i = 0; i < name.length; i += 1) {
+    hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+}
+
+export function findTagByName(tags = [], name = "") {
+  const normalized = normalizeTagName(name);
+  return tags.find((tag) => tag.name === normalized) ?? null;
+}
+
+export function resolveTaskTags(task, tags = []) {
+  const ids = Array.isArray(task?.tagIds) ? task.tagIds : [];
+  if (!ids.length) {
+    return [];
+  }
+  const byId = new Map(tags.map((tag) => [tag.id, tag]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+}
+
+export function getTagTextColor(hex) {
+  if (!isHexColor(hex)) {
+    return "#0f172a";
+  }
+  const value = hex.slice(1);
+  const r = parseInt(value.slice(0, 2), 16);
+  const g = parseInt(value.slice(2, 4), 16);
+  const b = parseInt(value.slice(4, 6), 16);
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.6 ? "#0f172a" : "#ffffff";
+}
+
+function isHexColor(value) {
+  return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+}
@@ -0,0 +1,196 @@
+/**
+ * taskExport.js - Serializes tasks to CSV, JSON and Markdown downloads
+ *
+ * Every format writes dates twice: ISO 8601 (machine readable, UTC) and the
+ * user's local display format. The JSON export is full fidelity - it keeps
+ * every task field plus the tags and projects the tasks reference - so it can
+ * serve as a backup.
+ */
+
+import { findProject } from "./projects";
+import { resolveTaskTags } from "./tags";
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV", extension: "csv", mimeType: "text/csv;charset=utf-8" },
+  { id: "json", label: "JSON", extension: "json", mimeType: "application/json;charset=utf-8" },
+  { id: "markdown", label: "Markdown", extension: "md", mimeType: "text/markdown;charset=utf-8" },
+];
+
+export const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "status",
+  "priority",
+  "due_date",
+  "due_date_local",
+  "recurrence",
+  "tags",
+  "project",
+  "subtasks_completed",
+  "subtasks_total",
+  "subtasks",
+  "updated_at",
+  "updated_at_local",
+];
+
+/**
+ * buildTaskExport - Produces a downloadable file for the given format
+ *
+ * @param {string} formatId - "csv", "json" or "markdown"
+ * @param {Array} tasks - Tasks to export
+ * @param {Object} context - { tags, projects, scope, exportedAt }
+ * @returns {Object} { filename, content, mimeType }
+ */
+export function buildTaskExport(formatId, tasks, { tags = [], projects = [], scope = "all", exportedAt = new Date() } = {}) {
+  const format = EXPORT_FORMATS.find((entry) => entry.id === formatId) ?? EXPORT_FORMATS[0];
+  const context = { tags, projects, scope, exportedAt };
+  let content;
+  if (format.id === "json") {
+    content = tasksToJson(tasks, context);
+  } else if (format.id === "markdown") {
+    content = tasksToMarkdown(tasks, context);
+  } else {
+    content = tasksToCsv(tasks, context);
+  }
+  const stamp = toLocalDateStamp(exportedAt);
+  const suffix = scope === "all" ? "" : "-filtered";
+  return {
+    filename: `taskflow-tasks${suffix}-${stamp}.${format.extension}`,
+    content,
+    mimeType: format.mimeType,
+  };
+}
+
+export function tasksToCsv(tasks, { tags = [], projects = [] } = {}) {
+  const rows = tasks.map((task) => {
+    const subtasks = task.subtasks ?? [];
+    const values = {
+      id: task.id,
+      title: task.title,
+      description: task.description ?? "",
+      status: task.completed ? "completed" : "active",
+      priority: task.priority ?? "medium",
+      due_date: task.dueDate ?? "",
+      due_date_local: formatLocalDate(task.dueDate),
+      recurrence: task.recurrence ?? "",
+      tags: resolveTaskTags(task, tags).map((tag) => tag.name).join(", "),
+      project: findProject(projects, task.projectId)?.name ?? "",
+      subtasks_completed: subtasks.filter((item) => item.completed).length,
+      subtasks_total: subtasks.length,
+      subtasks: subtasks.map((item) => `${item.completed ? "[x]" : "[ ]"} ${item.title}`).join(" | "),
+      updated_at: task.updatedAt ?? "",
+      updated_at_local: formatLocalDate(task.updatedAt),
+    };
+    return CSV_COLUMNS.map((column) => escapeCsvCell(values[column])).join(",");
+  });
+  // BOM so spreadsheet apps detect UTF-8; CRLF per RFC 4180
+  return `\uFEFF${[CSV_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+export function tasksToJson(tasks, { tags = [], projects = [], scope = "all", exportedAt = new Date() } = {}) {
+  const tagIds = new Set(tasks.flatMap((task) => task.tagIds ?? []));
+  const projectIds = new Set(tasks.map((task) => task.projectId).filter(Boolean));
+  const payload = {
+    app: "TaskFlow",
+    version: EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    exportedAtLocal: formatLocalDate(exportedAt),
+    scope,
+    count: tasks.length,
+    tasks: tasks.map((task) => ({
+      ...task,
+      dueDateLocal: formatLocalDate(task.dueDate) || null,
+    })),
+    tags: tags.filter((tag) => tagIds.has(tag.id)),
+    projects: projects.filter((project) => projectIds.has(project.id)),
+  };
+  return `${JSON.stringify(payload, null, 2)}\n`;
+}
+
+export function tasksToMarkdown(tasks, { tags = [], projects = [], scope = "all", exportedAt = new Date() } = {}) {
+  const lines = [
+    "# TaskFlow tasks",
+    "",
+    `Exported ${formatLocalDate(exportedAt)} (${exportedAt.toISOString()}) · ${tasks.length} ${tasks.length === 1 ? "task" : "tasks"}${scope === "all" ? "" : " · current view"}`,
+    "",
+  ];
+  tasks.forEach((task) => {
+    const details = [];
+    if (task.dueDate) {
+      details.push(`due ${formatLocalDate(task.dueDate)} (${task.dueDate})`);
+    }
+    details.push(`${task.priority ?? "medium"} priority`);
+    const project = findProject(projects, task.projectId);
+    if (project) {
+      details.push(project.name);
+    }
+    const tagNames = resolveTaskTags(task, tags).map((tag) => `#${tag.name}`);
+    if (tagNames.length) {
+      details.push(tagNames.join(" "));
+    }
+    if (task.recurrence) {
+      details.push(`repeats \`${task.recurrence}\``);
+    }
+    lines.push(`- [${task.completed ? "x" : " "}] ${escapeMarkdown(task.title)} — ${details.join(" · ")}`);
+    if (task.description) {
+      task.description.split(/\r?\n/).forEach((line) => {
+        lines.push(`  > ${escapeMarkdown(line)}`);
+      });
+    }
+    (task.subtasks ?? []).forEach((item) => {
+      lines.push(`  - [${item.completed ? "x" : " "}] ${escapeMarkdown(item.title)}`);
+    });
+  });
+  if (!tasks.length) {
+    lines.push("_No tasks._");
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * downloadTextFile - Triggers a browser download for generated text
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type including charset
+ */
+export function downloadTextFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function formatLocalDate(value) {
+  if (!value) return "";
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function toLocalDateStamp(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>])/g, "\\$1");
+}
@@ -0,0 +1,155 @@
+/**
+ * taskHistory.js - Undo/redo entries for task mutations
+ *
+ * An entry records what a user action did as { before, after } Task
+ * snapshots: before is null for a created task and after is null for a
+ * permanently deleted one. Moving a task to the Trash or the archive is an
+ * ordinary change of deletedAt or archivedAt. Undo walks each change from `after` back to `before`; redo
+ * walks it forward again. Because entries hold whole snapshots, any write
+ * the task list makes (toggle, edit, create, delete, bulk actions, automatic
+ * priority bumps) can be reversed the same way.
+ */
+
+export const UNDO_WINDOW_MS = 8000;
+export const HISTORY_LIMIT = 50;
+
+// Task fields an undo or redo writes back; id and updatedAt are bookkeeping
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "dueDate",
+  "completed",
+  "createdAt",
+  "occurrenceStartedAt",
+  "completedAt",
+  "startedAt",
+  "priority",
+  "subtasks",
+  "recurrence",
+  "tagIds",
+  "projectId",
+  "estimateMinutes",
+  "deletedAt",
+  "archivedAt",
+];
+
+let entrySequence = 0;
+
+/**
+ * createHistoryEntry - Builds an entry, dropping changes that changed nothing
+ *
+ * @param {string} label - Short description for toasts ("Task deleted")
+ * @param {Array} changes - [{ before: Task|null, after: Task|null }]
+ * @returns {Object} { id, label, changes }
+ */
+export function createHistoryEntry(label, changes) {
+  entrySequence += 1;
+  return {
+    id: `history-${Date.now().toString(36)}-${entrySequence}`,
+    label,
+    changes: changes.filter(({ before, after }) => (before || after) && !isSameTask(before, after)),
+  };
+}
+
+export function pushHistoryEntry(stack, entry) {
+  if (!entry.changes.length) {
+    return stack;
+  }
+  return [...stack, entry].slice(-HISTORY_LIMIT);
+}
+
+/**
+ * getHistorySteps - The { from, to } transitions for undoing or redoing an entry
+ *
+ * @param {Object} entry - History entry
+ * @param {"undo"|"redo"} direction
+ * @returns {Array} [{ from: Task|null, to: Task|null }]
+ */
+export function getHistorySteps(entry, direction) {
+  return entry.changes.map(({ before, after }) => (direction === "undo" ? { from: after, to: before } : { from: before, to: after }));
+}
+
+/**
+ * applyHistorySteps - Optimistically applies steps to a task list
+ *
+ * Tasks a step deletes, trashes or archives leave the list.
+ */
+export function applyHistorySteps(tasks, steps) {
+  const isGone = (step) => !step.to || Boolean(step.to.deletedAt || step.to.archivedAt);
+  const removed = new Set(steps.filter(isGone).map((step) => (step.to ?? step.from).id));
+  const replaced = new Map(steps.filter((step) => !isGone(step)).map((step) => [step.to.id, step.to]));
+  const next = tasks
+    .filter((task) => !removed.has(task.id))
+    .map((task) => (replaced.has(task.id) ? { ...task, ...pickTrackedFields(replaced.get(task.id)) } : task));
+  const existing = new Set(next.map((task) => task.id));
+  replaced.forEach((task, id) => {
+    if (!existing.has(id)) {
+      next.push(task);
+    }
+  });
+  return next;
+}
+
+/**
+ * planHistoryMutations - runTaskMutation calls that perform the steps
+ *
+ * Updates writing identical changes are merged into one bulk update, so
+ * undoing a bulk action is again a single statement.
+ *
+ * @param {Array} steps - From getHistorySteps
+ * @param {Array} currentTasks - Live tasks, for each row's latest updatedAt
+ * @returns {Array} Mutations in the shapes runTaskMutation accepts
+ */
+export function planHistoryMutations(steps, currentTasks = []) {
+  const liveById = new Map(currentTasks.map((task) => [task.id, task]));
+  const baseFor = (task) => liveById.get(task.id)?.updatedAt ?? task.updatedAt ?? null;
+  const mutations = [];
+  const updates = new Map();
+  steps.forEach(({ from, to }) => {
+    if (from && to) {
+      const changes = diffTrackedFields(from, to);
+      if (!Object.keys(changes).length) return;
+      const key = JSON.stringify(changes);
+      if (!updates.has(key)) {
+        updates.set(key, { kind: "update", ids: [], changes, baseUpdatedAt: null });
+        mutations.push(updates.get(key));
+      }
+      const update = updates.get(key);
+      update.ids.push(to.id);
+      const base = baseFor(from);
+      if (base && (!update.baseUpdatedAt || base > update.baseUpdatedAt)) {
+        update.baseUpdatedAt = base;
+      }
+    } else if (from) {
+      mutations.push({ kind: "delete", ids: [from.id], baseUpdatedAt: baseFor(from) });
+    } else if (to) {
+      mutations.push({ kind: "insert", fields: { id: to.id, ...pickTrackedFields(to) } });
+    }
+  });
+  return mutations;
+}
+
+function pickTrackedFields(task) {
+  return TRACKED_FIELDS.reduce((fields, key) => {
+    if (task[key] !== undefined) {
+      fields[key] = task[key];
+    }
+    return fields;
+  }, {});
+}
+
+function diffTrackedFields(from, to) {
+  return TRACKED_FIELDS.reduce((changes, key) => {
+    if (JSON.stringify(from[key] ?? null) !== JSON.stringify(to[key] ?? null)) {
+      changes[key] = to[key] ?? null;
+    }
+    return changes;
+  }, {});
+}
+
+function isSameTask(before, after) {
+  if (!before || !after) {
+    return false;
+  }
+  return before.id === after.id && !Object.keys(diffTrackedFields(before, after)).length;
+}
@@ -0,0 +1,463 @@
+/**
+ * taskImport.js - Parses task backlogs from other tools into TaskFlow tasks
+ *
+ * Supported sources:
+ * - csv:      any CSV with a header row; columns are mapped by the user
+ * - todoist:  Todoist CSV export (TYPE, CONTENT, DESCRIPTION, PRIORITY, DATE…)
+ * - taskflow: TaskFlow JSON backup written by taskExport.js
+ * - trello:   Trello board JSON export (cards, lists, labels, checklists)
+ * - ics:      iCalendar file (VEVENT and VTODO entries, see ics.js)
+ *
+ * Every source is reduced to the same draft shape ({ title, description,
+ * dueDate, priority, completed, subtasks, recurrence, tagNames, projectName,
+ * estimateMinutes, createdAt, startedAt, completedAt }) before buildImportPreview validates
+ * due dates with validateDueDate and flags duplicates. The timestamps are
+ * optional and carried over when the source records them, so finished work
+ * keeps its real completion date in Stats instead of the import time.
+ */
+
+import { validateDueDate } from "./dueDates";
+import { parseIcsCalendar } from "./ics";
+import { formatRRule, getOccurrences, isValidRRule, parseRRule } from "./recurrence";
+import { normalizeSubtasks } from "./subtasks";
+import { findTagByName, normalizeTagName } from "./tags";
+import { normalizeEstimate } from "./workload";
+
+export const IMPORT_SOURCES = [
+  { id: "csv", label: "CSV file" },
+  { id: "todoist", label: "Todoist CSV export" },
+  { id: "taskflow", label: "TaskFlow JSON backup" },
+  { id: "trello", label: "Trello board JSON" },
+  { id: "ics", label: "iCalendar (.ics)" },
+];
+
+export const IMPORT_FIELDS = [
+  { id: "title", label: "Title", required: true },
+  { id: "description", label: "Description" },
+  { id: "dueDate", label: "Due date" },
+  { id: "priority", label: "Priority" },
+];
+
+export const IMPORT_BATCH_SIZE = 50;
+
+const COLUMN_HINTS = {
+  title: ["title", "name", "task", "content", "summary", "subject"],
+  description: ["description", "desc", "notes", "note", "details", "body"],
+  dueDate: ["due_date", "due date", "due", "date", "deadline", "due_at"],
+  priority: ["priority", "importance", "urgency"],
+};
+
+/**
+ * parseCsv - RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+ *
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} Rows of cells; blank lines are dropped
+ */
+export function parseCsv(text) {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+    if (char === '"' && !cell) {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+/**
+ * detectImportSource - Guesses the source from the file name and contents
+ *
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File contents
+ * @returns {string} One of the IMPORT_SOURCES ids
+ */
+export function detectImportSource(fileName, text) {
+  const trimmed = String(text ?? "").replace(/^\uFEFF/, "").trimStart();
+  if (/\.ics$/i.test(fileName ?? "") || /^BEGIN:VCALENDAR/i.test(trimmed)) {
+    return "ics";
+  }
+  if (/\.json$/i.test(fileName ?? "") || trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      const payload = JSON.parse(trimmed);
+      if (payload?.app === "TaskFlow" || (Array.isArray(payload) && payload[0]?.title !== undefined)) {
+        return "taskflow";
+      }
+      if (Array.isArray(payload?.cards)) {
+        return "trello";
+      }
+    } catch {
+      return "csv";
+    }
+    return "taskflow";
+  }
+  const header = parseCsv(trimmed.split(/\r?\n/, 1)[0] ?? "")[0] ?? [];
+  const upper = header.map((cell) => cell.trim().toUpperCase());
+  if (upper.includes("TYPE") && upper.includes("CONTENT") && upper.includes("PRIORITY")) {
+    return "todoist";
+  }
+  return "csv";
+}
+
+/**
+ * readImportFile - Parses file contents for a source
+ *
+ * CSV sources return their header columns and one record per row (keyed by
+ * header) so the user can map columns. JSON sources return ready drafts and
+ * columns: null.
+ *
+ * @param {string} source - IMPORT_SOURCES id
+ * @param {string} text - File contents
+ * @returns {Object} { columns, records, drafts, error }
+ */
+export function readImportFile(source, text) {
+  try {
+    if (source === "taskflow") {
+      return { columns: null, records: [], drafts: readTaskFlowBackup(JSON.parse(text)), error: "" };
+    }
+    if (source === "trello") {
+      return { columns: null, records: [], drafts: readTrelloBoard(JSON.parse(text)), error: "" };
+    }
+    if (source === "ics") {
+      return { columns: null, records: [], drafts: readIcsCalendar(text), error: "" };
+    }
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map((cell, index) => cell.trim() || `Column ${index + 1}`);
+    let records = rows.map((cells) =>
+      columns.reduce((record, column, index) => {
+        record[column] = cells[index] ?? "";
+        return record;
+      }, {})
+    );
+    if (source === "todoist") {
+      const typeColumn = columns.find((column) => column.toUpperCase() === "TYPE");
+      records = records.filter((record) => !typeColumn || record[typeColumn].trim().toLowerCase() === "task");
+    }
+    if (!columns.length) {
+      return { columns: [], records: [], drafts: [], error: "The file has no header row." };
+    }
+    return { columns, records, drafts: [], error: "" };
+  } catch (error) {
+    return { columns: null, records: [], drafts: [], error: `Could not read the file: ${error.message}` };
+  }
+}
+
+/**
+ * guessColumnMapping - Picks a column for each import field by header name
+ *
+ * @param {string[]} columns - CSV header columns
+ * @returns {Object} { title, description, dueDate, priority } -> column or ""
+ */
+export function guessColumnMapping(columns = []) {
+  const used = new Set();
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const match = COLUMN_HINTS[field.id]
+      .map((hint) => columns.find((column) => !used.has(column) && column.trim().toLowerCase() === hint))
+      .find(Boolean);
+    mapping[field.id] = match ?? "";
+    if (match) used.add(match);
+    return mapping;
+  }, {});
+}
+
+/**
+ * recordsToDrafts - Applies a column mapping to CSV records
+ *
+ * @param {string} source - "csv" or "todoist"
+ * @param {Array<Object>} records - Rows keyed by header
+ * @param {Object} mapping - Field id -> column
+ * @returns {Array<Object>} Drafts
+ */
+export function recordsToDrafts(source, records, mapping) {
+  return records.map((record) => ({
+    title: mapping.title ? record[mapping.title] : "",
+    description: mapping.description ? record[mapping.description] : "",
+    dueDate: mapping.dueDate ? record[mapping.dueDate] : "",
+    priority: normalizeImportPriority(mapping.priority ? record[mapping.priority] : "", source),
+    completed: false,
+    subtasks: [],
+    recurrence: null,
+    tagNames: [],
+    projectName: "",
+  }));
+}
+
+/**
+ * normalizeImportPriority - Maps source priorities onto low/medium/high
+ *
+ * Todoist exports 1 (p1, most urgent) to 4 (p4, Todoist's "no priority"),
+ * so 1 -> high, 2 -> medium, 3 -> low and 4 -> medium (TaskFlow's default).
+ * iCalendar PRIORITY runs 1 (highest) to 9, with 0 meaning undefined:
+ * 1-4 -> high, 5 and 0 -> medium, 6-9 -> low (RFC 5545 §3.8.1.9).
+ *
+ * @param {string|number} value - Raw priority
+ * @param {string} source - IMPORT_SOURCES id
+ * @returns {"low"|"medium"|"high"}
+ */
+export function normalizeImportPriority(value, source = "csv") {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (source === "todoist" && /^[1-4]$/.test(text)) {
+    return { 1: "high", 2: "medium", 3: "low", 4: "medium" }[text];
+  }
+  if (source === "ics" && /^\d$/.test(text)) {
+    const level = Number(text);
+    return level >= 1 && level <= 4 ? "high" : level >= 6 ? "low" : "medium";
+  }
+  if (/^(high|urgent|critical|p1|!!!)$/.test(text)) return "high";
+  if (/^(low|minor|p3|p4|!)$/.test(text)) return "low";
+  return "medium";
+}
+
+/**
+ * parseImportDate - Reads a due date from an import cell
+ *
+ * Accepts ISO dates/timestamps, YYYY/MM/DD, MM/DD/YYYY and anything
+ * Date.parse understands. Date-only values are due at the end of that day.
+ *
+ * @param {string} value - Raw date
+ * @returns {Object|null} { iso, dateString } or null when unrecognized
+ */
+export function parseImportDate(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  let date = null;
+  const isoDate = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  const usDate = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (isoDate) {
+    date = new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]), 23, 59);
+  } else if (usDate) {
+    date = new Date(Number(usDate[3]), Number(usDate[1]) - 1, Number(usDate[2]), 23, 59);
+  } else {
+    const parsed = Date.parse(text);
+    date = Number.isNaN(parsed) ? null : new Date(parsed);
+  }
+  if (!date || Number.isNaN(date.getTime())) return null;
+  const pad = (part) => String(part).padStart(2, "0");
+  return {
+    iso: date.toISOString(),
+    dateString: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+  };
+}
+
+/**
+ * buildImportPreview - Validates drafts and resolves them into task fields
+ *
+ * @param {Array<Object>} drafts - Parsed drafts
+ * @param {Object} context - { existingTasks, tags, projects, projectId, dropInvalidDates }
+ * @returns {Array<Object>} { index, status: "ready"|"duplicate"|"invalid", message, draft, fields }
+ */
+export function buildImportPreview(drafts, { existingTasks = [], tags = [], projects = [], projectId = null, dropInvalidDates = false } = {}) {
+  const seen = new Set(existingTasks.map((task) => duplicateKey(task.title, task.dueDate)));
+  return drafts.map((draft, index) => {
+    const title = String(draft.title ?? "").trim();
+    if (!title) {
+      return { index, status: "invalid", message: "Missing title", draft, fields: null };
+    }
+
+    let dueDate = null;
+    let message = "";
+    const rawDate = String(draft.dueDate ?? "").trim();
+    if (rawDate) {
+      const parsed = parseImportDate(rawDate);
+      const validation = parsed ? validateDueDate(parsed.dateString) : { valid: false, message: `Unrecognized date "${rawDate}"` };
+      if (validation.valid) {
+        dueDate = parsed.iso;
+      } else if (dropInvalidDates) {
+        message = `${validation.message} - imported without a due date`;
+      } else {
+        return { index, status: "invalid", message: validation.message, draft, fields: null };
+      }
+    }
+
+    const key = duplicateKey(title, dueDate);
+    if (seen.has(key)) {
+      return { index, status: "duplicate", message: "Already in TaskFlow or earlier in this file", draft, fields: null };
+    }
+    seen.add(key);
+
+    const project = draft.projectName
+      ? projects.find((entry) => entry.name.toLowerCase() === String(draft.projectName).toLowerCase())
+      : null;
+    const recurrence = dueDate && draft.recurrence && isValidRRule(draft.recurrence) ? draft.recurrence : null;
+    const fields = {
+      title,
+      description: String(draft.description ?? "").trim(),
+      dueDate,
+      completed: Boolean(draft.completed),
+      priority: ["low", "medium", "high"].includes(draft.priority) ? draft.priority : "medium",
+      subtasks: normalizeSubtasks(draft.subtasks),
+      recurrence,
+      tagIds: (draft.tagNames ?? [])
+        .map((name) => findTagByName(tags, normalizeTagName(name))?.id)
+        .filter(Boolean),
+      projectId: project?.id ?? projectId ?? null,
+      estimateMinutes: normalizeEstimate(draft.estimateMinutes),
+      createdAt: readTimestamp(draft.createdAt),
+      startedAt: readTimestamp(draft.startedAt),
+      completedAt: draft.completed ? readTimestamp(draft.completedAt) : null,
+    };
+    return { index, status: "ready", message, draft, fields };
+  });
+}
+
+/**
+ * chunk - Splits a list into batches
+ *
+ * @param {Array} list - Items
+ * @param {number} size - Batch size
+ * @returns {Array<Array>}
+ */
+export function chunk(list, size = IMPORT_BATCH_SIZE) {
+  const batches = [];
+  for (let index = 0; index < list.length; index += size) {
+    batches.push(list.slice(index, index + size));
+  }
+  return batches;
+}
+
+function readTaskFlowBackup(payload) {
+  const tasks = Array.isArray(payload) ? payload : payload?.tasks;
+  if (!Array.isArray(tasks)) {
+    throw new Error("no tasks array found");
+  }
+  const tagNames = new Map((payload?.tags ?? []).map((tag) => [tag.id, tag.name]));
+  const projectNames = new Map((payload?.projects ?? []).map((project) => [project.id, project.name]));
+  return tasks.map((task) => ({
+    title: task.title ?? "",
+    description: task.description ?? "",
+    dueDate: task.dueDate ?? task.due_date ?? "",
+    priority: normalizeImportPriority(task.priority),
+    completed: Boolean(task.completed),
+    subtasks: task.subtasks ?? [],
+    recurrence: task.recurrence ?? null,
+    tagNames: (task.tagIds ?? task.tag_ids ?? []).map((id) => tagNames.get(id)).filter(Boolean),
+    projectName: projectNames.get(task.projectId ?? task.project_id) ?? "",
+    estimateMinutes: task.estimateMinutes ?? task.estimate_minutes ?? null,
+    createdAt: task.createdAt ?? task.created_at ?? "",
+    startedAt: task.startedAt ?? task.started_at ?? "",
+    completedAt: task.completedAt ?? task.completed_at ?? "",
+  }));
+}
+
+function readTrelloBoard(board) {
+  if (!Array.isArray(board?.cards)) {
+    throw new Error("no cards found");
+  }
+  const closedLists = new Set((board.lists ?? []).filter((list) => list.closed).map((list) => list.id));
+  const checklistsByCard = new Map();
+  (board.checklists ?? []).forEach((checklist) => {
+    const items = checklistsByCard.get(checklist.idCard) ?? [];
+    (checklist.checkItems ?? []).forEach((item) => {
+      items.push({ title: item.name, completed: item.state === "complete" });
+    });
+    checklistsByCard.set(checklist.idCard, items);
+  });
+  return board.cards
+    .filter((card) => !card.closed && !closedLists.has(card.idList))
+    .map((card) => {
+      const labelNames = (card.labels ?? []).map((label) => label.name).filter(Boolean);
+      const priorityLabel = labelNames.find((name) => normalizeImportPriority(name) !== "medium");
+      return {
+        title: card.name ?? "",
+        description: card.desc ?? "",
+        dueDate: card.due ?? "",
+        priority: priorityLabel ? normalizeImportPriority(priorityLabel) : "medium",
+        completed: Boolean(card.dueComplete),
+        subtasks: checklistsByCard.get(card.id) ?? [],
+        recurrence: null,
+        tagNames: labelNames.filter((name) => name !== priorityLabel),
+        projectName: "",
+        createdAt: readTrelloCreatedAt(card.id),
+        // Trello keeps no completion time; the card's last activity is usually marking it done
+        completedAt: card.dueComplete ? card.dateLastActivity ?? "" : "",
+      };
+    });
+}
+
+function readIcsCalendar(text, now = new Date()) {
+  return parseIcsCalendar(text).map((entry) => {
+    // All-day entries arrive as YYYY-MM-DD, which parseImportDate puts at the
+    // end of that day in the user's timezone
+    const start = entry.dueDate ? parseImportDate(entry.dueDate)?.iso ?? entry.dueDate : "";
+    const series = entry.rrule && start ? resumeSeries(entry.rrule, start, now) : null;
+    return {
+      title: entry.summary,
+      description: entry.description,
+      dueDate: series?.dueDate ?? start,
+      priority: normalizeImportPriority(entry.priority, "ics"),
+      completed: entry.completed,
+      subtasks: [],
+      recurrence: series?.recurrence ?? (entry.rrule || null),
+      tagNames: entry.categories,
+      projectName: "",
+      createdAt: entry.createdAt,
+      completedAt: entry.completedAt,
+    };
+  });
+}
+
+// A series that started in the past is imported at its next occurrence, the
+// same way completing an occurrence advances a task. COUNT shrinks by the
+// occurrences already past so the series still ends where it did.
+function resumeSeries(rrule, start, now) {
+  const rule = parseRRule(rrule);
+  if (!rule || new Date(start) >= now) {
+    return null;
+  }
+  const [next] = getOccurrences(rule, start, { from: now, limit: 1 });
+  if (!next) {
+    return null;
+  }
+  if (rule.count) {
+    rule.count -= getOccurrences(rule, start, { to: next }).length;
+  }
+  return { dueDate: next.toISOString(), recurrence: formatRRule(rule) };
+}
+
+// Trello ids are MongoDB ObjectIds: the first 8 hex digits are the creation time in seconds
+function readTrelloCreatedAt(id) {
+  const seconds = /^[0-9a-f]{24}$/i.test(id ?? "") ? parseInt(id.slice(0, 8), 16) : NaN;
+  return Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : "";
+}
+
+function readTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function duplicateKey(title, dueDate) {
+  const day = dueDate ? new Date(dueDate).toDateString() : "";
+  return `${String(title ?? "").trim().toLowerCase()}|${day}`;
+}
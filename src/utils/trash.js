@@ -0,0 +1,60 @@
+/**
+ * trash.js - Retention settings for the Trash
+ *
+ * Deleting a task sets its `deleted_at` instead of removing the row. Tasks
+ * stay in the Trash for the retention period the user picks (stored per user
+ * in localStorage, like the other list preferences) and are then purged for
+ * good the next time the app loads online.
+ */
+
+const RETENTION_STORAGE_KEY_PREFIX = "taskflow-trash-retention";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRASH_RETENTION_OPTIONS = [7, 14, 30, 60, 90];
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+export function getTrashRetentionDays(userId) {
+  if (typeof window === "undefined") {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+  const stored = Number(window.localStorage.getItem(getRetentionStorageKey(userId)));
+  return TRASH_RETENTION_OPTIONS.includes(stored) ? stored : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+export function setTrashRetentionDays(userId, days) {
+  if (typeof window === "undefined" || !TRASH_RETENTION_OPTIONS.includes(days)) {
+    return;
+  }
+  window.localStorage.setItem(getRetentionStorageKey(userId), String(days));
+}
+
+/**
+ * getPurgeCutoff - Tasks moved to the Trash before this date are due for purging
+ *
+ * @param {number} retentionDays - Days a task stays in the Trash
+ * @param {number} [now] - Current timestamp
+ * @returns {Date}
+ */
+export function getPurgeCutoff(retentionDays, now = Date.now()) {
+  return new Date(now - retentionDays * DAY_MS);
+}
+
+/**
+ * getDaysUntilPurge - Whole days left before a trashed task is purged (0 = today)
+ *
+ * @param {Object} task - Task with deletedAt
+ * @param {number} retentionDays - Days a task stays in the Trash
+ * @param {number} [now] - Current timestamp
+ * @returns {number|null} null when the task is not in the Trash
+ */
+export function getDaysUntilPurge(task, retentionDays, now = Date.now()) {
+  const deletedAt = task?.deletedAt ? new Date(task.deletedAt).getTime() : Number.NaN;
+  if (!Number.isFinite(deletedAt)) {
+    return null;
+  }
+  return Math.max(0, Math.ceil((deletedAt + retentionDays * DAY_MS - now) / DAY_MS));
+}
+
+function getRetentionStorageKey(userId) {
+  return userId ? `${RETENTION_STORAGE_KEY_PREFIX}-${userId}` : RETENTION_STORAGE_KEY_PREFIX;
+}
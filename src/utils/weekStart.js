@@ -0,0 +1,37 @@
+/**
+ * weekStart.js - Which day weekday charts start on
+ *
+ * Used to order the rows of the Stats weekday/hour heatmaps, and for the
+ * weeks of weekly goal streaks and the year heatmap's columns. Stored per
+ * user in localStorage, like the other Stats preferences. Days use
+ * Date#getDay numbering (0 = Sunday).
+ */
+
+const WEEK_START_STORAGE_KEY_PREFIX = "taskflow-week-start";
+
+export const WEEK_START_OPTIONS = [
+  { value: 1, label: "Monday" },
+  { value: 0, label: "Sunday" },
+  { value: 6, label: "Saturday" },
+];
+export const DEFAULT_WEEK_START = 1;
+
+export function getWeekStart(userId) {
+  if (typeof window === "undefined") {
+    return DEFAULT_WEEK_START;
+  }
+  const stored = window.localStorage.getItem(getWeekStartStorageKey(userId));
+  const day = Number(stored);
+  return stored !== null && WEEK_START_OPTIONS.some((option) => option.value === day) ? day : DEFAULT_WEEK_START;
+}
+
+export function setWeekStart(userId, day) {
+  if (typeof window === "undefined" || !WEEK_START_OPTIONS.some((option) => option.value === day)) {
+    return;
+  }
+  window.localStorage.setItem(getWeekStartStorageKey(userId), String(day));
+}
+
+function getWeekStartStorageKey(userId) {
+  return userId ? `${WEEK_START_STORAGE_KEY_PREFIX}-${userId}` : WEEK_START_STORAGE_KEY_PREFIX;
+}
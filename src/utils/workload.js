@@ -0,0 +1,185 @@
+/**
+ * workload.js - Effort estimates, daily capacity and the workload forecast
+ *
+ * An estimate is how many minutes a task should take (Task.estimateMinutes,
+ * null when nobody has guessed). Capacity is how many minutes of work a user
+ * plans for a day; open tasks without an estimate count as its
+ * defaultEstimateMinutes, so a day can be overloaded by task count alone.
+ * Capacity is stored per user in localStorage, like the other preferences.
+ *
+ * Days are local calendar days keyed YYYY-MM-DD, the same keys the Calendar
+ * uses. Repeating tasks contribute every occurrence that falls in the
+ * forecast, not just the one Supabase holds.
+ */
+
+import { getOccurrences } from "./recurrence";
+import { toDateParam } from "./stats";
+
+const CAPACITY_STORAGE_KEY_PREFIX = "taskflow-capacity";
+const MAX_ESTIMATE_MINUTES = 24 * 60;
+
+export const ESTIMATE_OPTIONS = [15, 30, 45, 60, 90, 120, 180, 240, 360, 480];
+export const CAPACITY_HOUR_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 12];
+export const DEFAULT_ESTIMATE_OPTIONS = [15, 30, 60, 120];
+export const DEFAULT_CAPACITY = { dailyMinutes: 6 * 60, defaultEstimateMinutes: 30 };
+export const FORECAST_DAY_OPTIONS = [14, 21, 30];
+export const DEFAULT_FORECAST_DAYS = 14;
+
+export function getCapacity(userId) {
+  if (typeof window === "undefined") {
+    return DEFAULT_CAPACITY;
+  }
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(getCapacityStorageKey(userId)));
+    return normalizeCapacity(stored) ?? DEFAULT_CAPACITY;
+  } catch {
+    return DEFAULT_CAPACITY;
+  }
+}
+
+export function setCapacity(userId, capacity) {
+  const normalized = normalizeCapacity(capacity);
+  if (typeof window === "undefined" || !normalized) {
+    return;
+  }
+  window.localStorage.setItem(getCapacityStorageKey(userId), JSON.stringify(normalized));
+}
+
+/**
+ * normalizeCapacity - Validates a capacity, returning null when it can't be used
+ *
+ * @param {Object} capacity - { dailyMinutes, defaultEstimateMinutes }
+ * @returns {Object|null} Both values as whole minutes, dailyMinutes one of CAPACITY_HOUR_OPTIONS
+ */
+export function normalizeCapacity(capacity) {
+  const dailyMinutes = Number(capacity?.dailyMinutes);
+  const defaultEstimateMinutes = Number(capacity?.defaultEstimateMinutes);
+  if (!CAPACITY_HOUR_OPTIONS.some((hours) => hours * 60 === dailyMinutes)) {
+    return null;
+  }
+  if (!DEFAULT_ESTIMATE_OPTIONS.includes(defaultEstimateMinutes)) {
+    return null;
+  }
+  return { dailyMinutes, defaultEstimateMinutes };
+}
+
+/**
+ * normalizeEstimate - Cleans a stored or entered estimate
+ *
+ * @param {*} value - Minutes as a number or numeric string
+ * @returns {number|null} Whole minutes in 1..1440, or null when unset or unusable
+ */
+export function normalizeEstimate(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const minutes = Math.round(Number(value));
+  return Number.isFinite(minutes) && minutes > 0 && minutes <= MAX_ESTIMATE_MINUTES ? minutes : null;
+}
+
+/**
+ * formatEstimate - Short label for a number of minutes ("45m", "1h 30m", "2h")
+ */
+export function formatEstimate(minutes) {
+  const total = Math.max(Math.round(minutes || 0), 0);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (!hours) {
+    return `${rest}m`;
+  }
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+/**
+ * getTaskEffort - Minutes a task counts for against capacity
+ */
+export function getTaskEffort(task, capacity = DEFAULT_CAPACITY) {
+  return normalizeEstimate(task?.estimateMinutes) ?? capacity.defaultEstimateMinutes;
+}
+
+/**
+ * getDayLoad - Totals the open tasks of one day against capacity
+ *
+ * Completed tasks are ignored: they no longer need time.
+ *
+ * @param {Array} tasks - Tasks due that day
+ * @param {Object} capacity - { dailyMinutes, defaultEstimateMinutes }
+ * @returns {Object} { count, minutes, unestimated, isOverloaded, overByMinutes, percent }
+ */
+export function getDayLoad(tasks = [], capacity = DEFAULT_CAPACITY) {
+  const open = tasks.filter((task) => task && !task.completed);
+  const minutes = open.reduce((sum, task) => sum + getTaskEffort(task, capacity), 0);
+  return {
+    count: open.length,
+    minutes,
+    unestimated: open.filter((task) => normalizeEstimate(task.estimateMinutes) === null).length,
+    isOverloaded: minutes > capacity.dailyMinutes,
+    overByMinutes: Math.max(minutes - capacity.dailyMinutes, 0),
+    percent: capacity.dailyMinutes ? Math.round((minutes / capacity.dailyMinutes) * 100) : 0,
+  };
+}
+
+/**
+ * buildWorkloadForecast - Open tasks due on each of the next few days
+ *
+ * Day 0 is today. Open tasks already past due are not spread over the
+ * forecast; they are totalled separately as `overdue`.
+ *
+ * @param {Array} tasks - Tasks to forecast (archived and trashed ones excluded by the caller)
+ * @param {Object} [options]
+ * @param {number} [options.days] - How many days to forecast, today included
+ * @param {Object} [options.capacity] - { dailyMinutes, defaultEstimateMinutes }
+ * @param {Date|number} [options.now] - Reference time
+ * @returns {Object} { days: [{ key, date, tasks, ...getDayLoad }], overloaded, totalMinutes, capacityMinutes, busiest, overdue }
+ */
+export function buildWorkloadForecast(tasks = [], { days = DEFAULT_FORECAST_DAYS, capacity = DEFAULT_CAPACITY, now = Date.now() } = {}) {
+  const reference = new Date(now);
+  const start = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate());
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + days);
+  const tasksByDay = new Map();
+  const overdue = [];
+
+  tasks.forEach((task) => {
+    if (!task || task.completed || !task.dueDate) return;
+    const due = new Date(task.dueDate);
+    if (Number.isNaN(due.getTime())) return;
+    if (due < start) {
+      overdue.push(task);
+    } else if (due < end) {
+      addToDay(tasksByDay, due, task);
+    }
+    if (task.recurrence) {
+      getOccurrences(task.recurrence, task.dueDate, { from: start, to: end, limit: days * 24 })
+        .filter((date) => date.getTime() !== due.getTime())
+        .forEach((date) => addToDay(tasksByDay, date, { ...task, dueDate: date.toISOString(), isProjected: true }));
+    }
+  });
+
+  const forecastDays = Array.from({ length: days }, (_, index) => {
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + index);
+    const key = toDateParam(date);
+    const dayTasks = tasksByDay.get(key) ?? [];
+    return { key, date, tasks: dayTasks, ...getDayLoad(dayTasks, capacity) };
+  });
+  const busiest = forecastDays.reduce((best, day) => (day.minutes > (best?.minutes ?? 0) ? day : best), null);
+
+  return {
+    days: forecastDays,
+    overloaded: forecastDays.filter((day) => day.isOverloaded),
+    totalMinutes: forecastDays.reduce((sum, day) => sum + day.minutes, 0),
+    capacityMinutes: capacity.dailyMinutes * days,
+    busiest,
+    overdue: getDayLoad(overdue, capacity),
+  };
+}
+
+function addToDay(map, date, task) {
+  const key = toDateParam(date);
+  const list = map.get(key) ?? [];
+  list.push(task);
+  map.set(key, list);
+}
+
+function getCapacityStorageKey(userId) {
+  return userId ? `${CAPACITY_STORAGE_KEY_PREFIX}-${userId}` : CAPACITY_STORAGE_KEY_PREFIX;
+}